@@ -0,0 +1,329 @@
+const fs = require('fs');
+
+/**
+ * Dataset builds
+ * A build is written to a staging file next to the live database, checked against the
+ * build it replaces, and renamed over the live file in one step. The replaced build is
+ * kept as the previous build, so `npm run rollback` can put it back.
+ *
+ * Every database file has a manifest (<file>.manifest.json) with its version, row counts
+ * per country and sample codes, and a snapshot of its rows (<file>.rows.parquet) for the
+ * changelog. Checks compare against the live manifest, because a running server holds the
+ * lock on the live database file.
+ */
+
+const DEFAULT_THRESHOLDS = {
+    maxRowDrop: 0.05, // Largest allowed drop in total rows
+    maxCountryDrop: 0.2, // Largest allowed drop per country...
+    minCountryRows: 1000, // ...for countries with at least this many rows before
+    minSampleHitRate: 0.95 // Share of sample codes from the previous build that must still resolve
+};
+
+function buildPaths(dbPath) {
+    const base = dbPath.replace(/\.duckdb$/, '');
+
+    return {
+        live: dbPath,
+        staging: `${base}_staging.duckdb`,
+        previous: `${base}_previous.duckdb`,
+        swap: `${base}_swap.duckdb`
+    };
+}
+
+function manifestPath(dbFile) {
+    return `${dbFile}.manifest.json`;
+}
+
+function snapshotPath(dbFile) {
+    return `${dbFile}.rows.parquet`;
+}
+
+function readManifest(dbFile) {
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath(dbFile), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function writeManifest(dbFile, manifest) {
+    fs.writeFileSync(manifestPath(dbFile), JSON.stringify(manifest, null, 2));
+}
+
+// A database file with its write-ahead log, manifest and snapshot
+function databaseFiles(dbFile) {
+    return [dbFile, `${dbFile}.wal`, manifestPath(dbFile), snapshotPath(dbFile)];
+}
+
+function removeDatabase(dbFile) {
+    for (const file of databaseFiles(dbFile)) {
+        fs.rmSync(file, { force: true });
+    }
+}
+
+// Renames over the destination; a file `from` lacks (log, manifest, snapshot) is removed at `to`
+function moveDatabase(from, to) {
+    for (const [index, file] of databaseFiles(from).entries()) {
+        const target = databaseFiles(to)[index];
+        if (fs.existsSync(file)) {
+            fs.renameSync(file, target);
+        } else {
+            fs.rmSync(target, { force: true });
+        }
+    }
+}
+
+/**
+ * Keeps `from` under the name `to` without taking it away from `from`: a hard link, so the
+ * live path never disappears, or a copy where links are not supported
+ */
+function preserveDatabase(from, to) {
+    removeDatabase(to);
+
+    for (const [index, file] of databaseFiles(from).entries()) {
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+        try {
+            fs.linkSync(file, databaseFiles(to)[index]);
+        } catch {
+            fs.copyFileSync(file, databaseFiles(to)[index]);
+        }
+    }
+}
+
+/**
+ * Claims the staging file for one build at a time (a manual ingest and a scheduled refresh
+ * must not share it). A lock left by a process that no longer runs is taken over.
+ * Returns a function that releases the lock.
+ */
+function acquireBuildLock(paths) {
+    const lockFile = `${paths.staging}.lock`;
+
+    try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+
+        const pid = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
+        if (processRunning(pid)) {
+            throw new Error(`Another build is already running (process ${pid}, lock ${lockFile})`);
+        }
+        fs.writeFileSync(lockFile, String(process.pid));
+    }
+
+    return () => fs.rmSync(lockFile, { force: true });
+}
+
+function processRunning(pid) {
+    if (!Number.isInteger(pid) || pid <= 0) {
+        return false;
+    }
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Row counts per country and two sample codes (first and last) per country.
+ * catalog: attached database to profile instead of the connection's own
+ */
+async function profileBuild(db, catalog = null) {
+    const prefix = catalog ? `${catalog}.` : '';
+    const rows = await db.all(`
+        SELECT c.code as country_code, COUNT(*) as count,
+               MIN(p.postal_code) as first_code, MAX(p.postal_code) as last_code
+        FROM ${prefix}postal_codes p
+        JOIN ${prefix}countries c ON c.id = p.country_id
+        GROUP BY c.code
+        ORDER BY c.code
+    `);
+
+    const countries = {};
+    const samples = [];
+    for (const row of rows) {
+        countries[row.country_code] = Number(row.count);
+        samples.push({ country: row.country_code, postalCode: row.first_code });
+        if (row.last_code !== row.first_code) {
+            samples.push({ country: row.country_code, postalCode: row.last_code });
+        }
+    }
+
+    return {
+        totalRecords: Object.values(countries).reduce((sum, count) => sum + count, 0),
+        countries,
+        samples
+    };
+}
+
+/**
+ * The profile of the live build to check a new one against: its manifest, or the live
+ * database itself when it has none and is not locked by a running server. Null for the
+ * first build.
+ */
+async function loadBaseline(db, livePath) {
+    const manifest = readManifest(livePath);
+    if (manifest) {
+        return { ...manifest, source: 'manifest' };
+    }
+    if (!fs.existsSync(livePath)) {
+        return null;
+    }
+
+    try {
+        await db.run(`ATTACH '${livePath.replace(/'/g, "''")}' AS live_build (READ_ONLY)`);
+        try {
+            return { ...await profileBuild(db, 'live_build'), source: 'database' };
+        } finally {
+            await db.run('DETACH live_build');
+        }
+    } catch (error) {
+        console.log(`⚠️  Live database has no manifest and cannot be read (${error.message})`);
+        return null;
+    }
+}
+
+/**
+ * Checks a new build against the previous one: total rows, per-country deltas and
+ * lookups of the previous build's sample codes.
+ * Returns { passed, checks: [{ name, passed, detail }], profile, deltas }
+ */
+async function checkBuild(db, baseline, thresholds = {}) {
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    const profile = await profileBuild(db);
+    const checks = [];
+
+    checks.push({
+        name: 'rows',
+        passed: profile.totalRecords > 0,
+        detail: `${profile.totalRecords} rows in ${Object.keys(profile.countries).length} countries`
+    });
+
+    let deltas = [];
+    if (baseline) {
+        const drop = baseline.totalRecords > 0 ? (baseline.totalRecords - profile.totalRecords) / baseline.totalRecords : 0;
+        checks.push({
+            name: 'total_delta',
+            passed: drop <= limits.maxRowDrop,
+            detail: `${baseline.totalRecords} -> ${profile.totalRecords} rows (${formatChange(-drop)}, largest allowed drop ${formatPercent(limits.maxRowDrop)})`
+        });
+
+        const codes = new Set([...Object.keys(baseline.countries), ...Object.keys(profile.countries)]);
+        deltas = [...codes]
+            .map(country => {
+                const before = baseline.countries[country] || 0;
+                const after = profile.countries[country] || 0;
+                return { country, before, after, change: after - before };
+            })
+            .filter(delta => delta.change !== 0)
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.country.localeCompare(b.country));
+
+        const failing = deltas.filter(delta =>
+            delta.before >= limits.minCountryRows && (delta.before - delta.after) / delta.before > limits.maxCountryDrop);
+        checks.push({
+            name: 'country_deltas',
+            passed: failing.length === 0,
+            detail: failing.length === 0 ?
+                `${deltas.length} countries changed, none dropped more than ${formatPercent(limits.maxCountryDrop)}` :
+                `dropped more than ${formatPercent(limits.maxCountryDrop)}: ` +
+                    failing.map(delta => `${delta.country} ${delta.before} -> ${delta.after}`).join(', ')
+        });
+    }
+
+    // Codes that resolved in the previous build should still resolve; the first build checks its own
+    const samples = baseline ? baseline.samples : profile.samples;
+    let found = 0;
+    const missing = [];
+    for (const sample of samples) {
+        const rows = await db.all(`
+            SELECT 1 FROM postal_codes p
+            JOIN countries c ON c.id = p.country_id
+            WHERE c.code = $1 AND p.postal_code = $2
+            LIMIT 1
+        `, sample.country, sample.postalCode);
+
+        if (rows.length > 0) {
+            found++;
+        } else {
+            missing.push(`${sample.country} ${sample.postalCode}`);
+        }
+    }
+
+    const hitRate = samples.length > 0 ? found / samples.length : 1;
+    checks.push({
+        name: 'sample_lookups',
+        passed: hitRate >= limits.minSampleHitRate,
+        detail: `${found}/${samples.length} sample codes found` +
+            (missing.length > 0 ? `, missing: ${missing.slice(0, 10).join(', ')}${missing.length > 10 ? ', ...' : ''}` : '')
+    });
+
+    return {
+        passed: checks.every(check => check.passed),
+        checks,
+        profile,
+        deltas
+    };
+}
+
+function formatPercent(fraction) {
+    return `${Math.round(fraction * 1000) / 10}%`;
+}
+
+function formatChange(fraction) {
+    return `${fraction >= 0 ? '+' : ''}${formatPercent(fraction)}`;
+}
+
+/**
+ * Makes the staging build live. The live build is kept as the previous build first, then
+ * the staging file is renamed over the live path, which replaces it atomically.
+ */
+function promoteBuild(paths) {
+    if (fs.existsSync(paths.live)) {
+        preserveDatabase(paths.live, paths.previous);
+    }
+
+    moveDatabase(paths.staging, paths.live);
+}
+
+/**
+ * Swaps the previous build back in; the build it replaces becomes the previous one, so a
+ * second rollback undoes the first. Returns the manifest of the restored build.
+ */
+function rollbackBuild(paths) {
+    if (!fs.existsSync(paths.previous)) {
+        throw new Error(`No previous build to roll back to (${paths.previous} not found)`);
+    }
+
+    const hadLive = fs.existsSync(paths.live);
+    if (hadLive) {
+        preserveDatabase(paths.live, paths.swap);
+    }
+
+    moveDatabase(paths.previous, paths.live);
+
+    if (hadLive) {
+        moveDatabase(paths.swap, paths.previous);
+    }
+
+    return readManifest(paths.live);
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS,
+    buildPaths,
+    snapshotPath,
+    readManifest,
+    writeManifest,
+    removeDatabase,
+    acquireBuildLock,
+    profileBuild,
+    loadBaseline,
+    checkBuild,
+    promoteBuild,
+    rollbackBuild
+};
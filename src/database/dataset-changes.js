@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const { snapshotPath } = require('./dataset-builds');
+const { haversineDistance, haversineSql } = require('../utils/geo');
+
+/**
+ * Dataset changelog
+ * A new build is compared with the snapshot the live build left next to its database
+ * file, per postal code: codes that were added or removed, and codes whose place names,
+ * admin codes or coordinates (beyond `minShiftKm`) changed. The result is stored beside
+ * the database as changes/<version>.parquet with a <version>.json summary naming the
+ * version it was compared with, so the changes since any earlier version can be followed
+ * back build by build. A build whose predecessor has no snapshot starts a new chain.
+ *
+ * Codes whose rows differ only in ways the changelog does not report (admin name spelling,
+ * small coordinate moves, accuracy) are stored too, as change type "minor", so the rows a
+ * code had in any earlier build can be reproduced for point-in-time lookups.
+ */
+
+const DEFAULT_MIN_SHIFT_KM = 1; // Coordinate moves smaller than this are not recorded
+
+const CHANGE_TYPES = ['added', 'removed', 'changed'];
+
+// Columns of a change record as netChanges builds it
+const CHANGE_FIELDS = ['country_code', 'postal_code', 'change_type', 'changed_fields', 'version', 'before', 'after'];
+
+// One row per postal code and place, in the form the snapshot stores it
+const CURRENT_ROWS_SQL = `
+    SELECT c.code as country_code, p.postal_code, p.place_name,
+           p.admin_name1, p.admin_code1, p.admin_name2, p.admin_code2, p.admin_name3, p.admin_code3,
+           CAST(p.latitude AS DOUBLE) as latitude, CAST(p.longitude AS DOUBLE) as longitude, p.accuracy
+    FROM postal_codes p
+    JOIN countries c ON c.id = p.country_id
+`;
+
+function sqlString(value) {
+    return `'${value.replace(/'/g, "''")}'`;
+}
+
+function changesDir(dbPath) {
+    return path.join(path.dirname(dbPath), 'changes');
+}
+
+function readChangelog(dir, version) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, `${version}.json`), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// Writes the rows of a finished build for the next build to compare with
+async function exportSnapshot(db, dbFile) {
+    await db.run(`
+        COPY (${CURRENT_ROWS_SQL} ORDER BY country_code, postal_code, place_name)
+        TO ${sqlString(snapshotPath(dbFile))} (FORMAT PARQUET, COMPRESSION ZSTD)
+    `);
+}
+
+/**
+ * SQL for the postal codes whose rows differ between the live build's snapshot and the
+ * build in the connection, as country_code, postal_code and the lists of rows on each side,
+ * "before" and "after" (null when the code is missing there)
+ */
+function differencesSql(snapshot) {
+    const grouped = (source) => `
+        SELECT country_code, postal_code,
+               list(struct_pack(place_name, admin_name1, admin_code1, admin_name2, admin_code2,
+                                admin_name3, admin_code3, latitude, longitude, accuracy)
+                    ORDER BY place_name, admin_code1, admin_code2, admin_code3, latitude, longitude) as place_rows
+        FROM (${source})
+        GROUP BY country_code, postal_code
+    `;
+
+    return `
+        WITH before_rows AS (${grouped(`SELECT * FROM read_parquet(${sqlString(snapshot)})`)}),
+             after_rows AS (${grouped(CURRENT_ROWS_SQL)})
+        SELECT COALESCE(a.country_code, b.country_code) as country_code,
+               COALESCE(a.postal_code, b.postal_code) as postal_code,
+               b.place_rows as "before",
+               a.place_rows as "after"
+        FROM before_rows b
+        FULL OUTER JOIN after_rows a ON a.country_code = b.country_code AND a.postal_code = b.postal_code
+        WHERE b.place_rows IS DISTINCT FROM a.place_rows
+    `;
+}
+
+/**
+ * classifyChange in SQL, over `source` with country_code, postal_code and the row lists
+ * "before" and "after": adds change_type (minor where classifyChange gives null) and
+ * changed_fields, comma-separated
+ */
+function classifiedSql(source, minShiftKm) {
+    const distinct = (rows, value) => `list_sort(list_distinct(list_transform(${rows}, r -> ${value})))`;
+    const placeName = "COALESCE(r.place_name, '')";
+    const adminCodes = "COALESCE(r.admin_code1, '') || '|' || COALESCE(r.admin_code2, '') || '|' || COALESCE(r.admin_code3, '')";
+    const centroid = (rows, axis) =>
+        `list_avg(list_transform(list_filter(${rows}, r -> r.latitude IS NOT NULL AND r.longitude IS NOT NULL), r -> r.${axis}))`;
+
+    // The centroid after the change goes by latitude/longitude for haversineSql
+    return `
+        SELECT country_code, postal_code, "before", "after",
+               CASE WHEN "before" IS NULL THEN 'added'
+                    WHEN "after" IS NULL THEN 'removed'
+                    WHEN len(fields) > 0 THEN 'changed'
+                    ELSE 'minor' END as change_type,
+               CASE WHEN "before" IS NULL OR "after" IS NULL THEN '' ELSE array_to_string(fields, ',') END as changed_fields
+        FROM (
+            SELECT *, list_filter([
+                       CASE WHEN ${distinct('"before"', placeName)} <> ${distinct('"after"', placeName)} THEN 'place_name' END,
+                       CASE WHEN ${distinct('"before"', adminCodes)} <> ${distinct('"after"', adminCodes)} THEN 'admin_codes' END,
+                       CASE WHEN (centroids.from_latitude IS NULL) <> (centroids.latitude IS NULL) OR
+                                 ${haversineSql('centroids', 'centroids.from_latitude', 'centroids.from_longitude')} > ${Number(minShiftKm)}
+                            THEN 'coordinates' END
+                   ], field -> field IS NOT NULL) as fields
+            FROM (
+                SELECT *,
+                       ${centroid('"before"', 'latitude')} as from_latitude, ${centroid('"before"', 'longitude')} as from_longitude,
+                       ${centroid('"after"', 'latitude')} as latitude, ${centroid('"after"', 'longitude')} as longitude
+                FROM (${source})
+            ) centroids
+        )
+    `;
+}
+
+function distinctValues(rows, valueOf) {
+    return [...new Set(rows.map(valueOf))].sort().join('\n');
+}
+
+// Mean position of the rows that have coordinates, or null
+function centroid(rows) {
+    const located = rows.filter(row => row.latitude !== null && row.longitude !== null);
+    if (located.length === 0) {
+        return null;
+    }
+
+    return {
+        latitude: located.reduce((sum, row) => sum + Number(row.latitude), 0) / located.length,
+        longitude: located.reduce((sum, row) => sum + Number(row.longitude), 0) / located.length
+    };
+}
+
+/**
+ * What changed for one postal code between two sets of rows: { change_type, changed_fields }
+ * with fields out of place_name, admin_codes and coordinates, or null when nothing the
+ * changelog tracks has changed (e.g. only an admin name's spelling or the accuracy).
+ */
+function classifyChange(before, after, minShiftKm = DEFAULT_MIN_SHIFT_KM) {
+    if (!before && !after) {
+        return null;
+    }
+    if (!before) {
+        return { change_type: 'added', changed_fields: [] };
+    }
+    if (!after) {
+        return { change_type: 'removed', changed_fields: [] };
+    }
+
+    const fields = [];
+    if (distinctValues(before, row => row.place_name) !== distinctValues(after, row => row.place_name)) {
+        fields.push('place_name');
+    }
+
+    const adminCodes = row => [row.admin_code1, row.admin_code2, row.admin_code3].join('|');
+    if (distinctValues(before, adminCodes) !== distinctValues(after, adminCodes)) {
+        fields.push('admin_codes');
+    }
+
+    const from = centroid(before);
+    const to = centroid(after);
+    if ((from === null) !== (to === null) ||
+        (from && to && haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude) > minShiftKm)) {
+        fields.push('coordinates');
+    }
+
+    return fields.length > 0 ? { change_type: 'changed', changed_fields: fields } : null;
+}
+
+/**
+ * Compares the build in `db` with the live build and stores the changelog of `dataset`.
+ * previous: manifest of the live build ({ version, builtAt })
+ * Returns the summary { version, previousVersion, previousBuiltAt, builtAt, minShiftKm, counts,
+ * countries }, or null when the live build has no snapshot to compare with.
+ */
+async function recordChangelog(db, livePath, dataset, previous, options = {}) {
+    const minShiftKm = options.minShiftKm ?? DEFAULT_MIN_SHIFT_KM;
+    const snapshot = snapshotPath(livePath);
+    if (!previous || !previous.version || !fs.existsSync(snapshot)) {
+        return null;
+    }
+
+    const dir = changesDir(livePath);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${dataset.version}.parquet`);
+
+    await db.run(`
+        COPY (
+            SELECT country_code, postal_code, change_type, changed_fields,
+                   CAST(to_json("before") AS VARCHAR) as "before", CAST(to_json("after") AS VARCHAR) as "after"
+            FROM (${classifiedSql(differencesSql(snapshot), minShiftKm)})
+            ORDER BY country_code, postal_code
+        ) TO ${sqlString(file)} (FORMAT PARQUET, COMPRESSION ZSTD)
+    `);
+
+    const rows = await db.all(`
+        SELECT country_code, change_type, COUNT(*) as count
+        FROM read_parquet(${sqlString(file)})
+        WHERE change_type <> 'minor'
+        GROUP BY country_code, change_type
+    `);
+
+    const counts = { added: 0, removed: 0, changed: 0 };
+    const countries = {};
+    for (const row of rows) {
+        counts[row.change_type] += Number(row.count);
+        countries[row.country_code] = countries[row.country_code] || { added: 0, removed: 0, changed: 0 };
+        countries[row.country_code][row.change_type] = Number(row.count);
+    }
+
+    const summary = {
+        version: dataset.version,
+        previousVersion: previous.version,
+        previousBuiltAt: previous.builtAt || null,
+        builtAt: dataset.builtAt,
+        minShiftKm,
+        counts,
+        countries
+    };
+    fs.writeFileSync(path.join(dir, `${dataset.version}.json`), JSON.stringify(summary, null, 2));
+
+    return summary;
+}
+
+/**
+ * Changelog summaries of `currentVersion` and the builds before it, newest first, for as
+ * far back as the chain of changelogs goes
+ */
+function changelogHistory(dir, currentVersion, maxBuilds = 1000) {
+    const history = [];
+    let summary = readChangelog(dir, currentVersion);
+
+    while (summary && history.length < maxBuilds) {
+        history.push(summary);
+        summary = summary.previousVersion ? readChangelog(dir, summary.previousVersion) : null;
+    }
+
+    return history;
+}
+
+/**
+ * Changelog summaries leading from `sinceVersion` to `currentVersion`, oldest first.
+ * Empty when they are the same version, null when no chain of changelogs connects them.
+ */
+function changelogChain(dir, currentVersion, sinceVersion, maxBuilds = 1000) {
+    if (currentVersion === sinceVersion) {
+        return [];
+    }
+
+    const history = changelogHistory(dir, currentVersion, maxBuilds);
+    const index = history.findIndex(summary => summary.previousVersion === sinceVersion);
+    return index === -1 ? null : history.slice(0, index + 1).reverse();
+}
+
+/**
+ * The build that was live at `date`, as { version, builtAt, files }: `files` are the
+ * changelogs of the builds since, oldest first, whose earliest record of a postal code
+ * holds its rows at that date. Null when the history does not reach back that far.
+ * current: { version, builtAt } of the build being served
+ */
+function buildAt(dir, current, date, maxBuilds = 1000) {
+    const history = changelogHistory(dir, current.version, maxBuilds);
+    const files = [];
+    let version = current.version;
+    let builtAt = current.builtAt;
+
+    for (let index = 0; date < new Date(builtAt); index++) {
+        const summary = history[index];
+        if (!summary || !summary.previousBuiltAt) {
+            return null;
+        }
+
+        files.unshift(path.join(dir, `${summary.version}.parquet`));
+        version = summary.previousVersion;
+        builtAt = summary.previousBuiltAt;
+    }
+
+    return { version, builtAt: new Date(builtAt).toISOString(), files };
+}
+
+// Rows a postal code had before the change recorded in a changelog row, in lookup result form
+function rowsBefore(change) {
+    const rows = change.before ? JSON.parse(change.before) : [];
+    return rows.map(row => ({ country_code: change.country_code, postal_code: change.postal_code, ...row }));
+}
+
+/**
+ * Collapses the changes of consecutive builds into the net change per postal code, from its
+ * rows before the first build to its rows after the last one. Rows must be ordered by
+ * country, postal code and then build. Codes that ended up as they started are dropped.
+ */
+function netChanges(rows, minShiftKm = DEFAULT_MIN_SHIFT_KM) {
+    const changes = [];
+    let current = null;
+
+    const flush = () => {
+        if (current) {
+            const change = classifyChange(current.before, current.after, minShiftKm);
+            if (change) {
+                changes.push({ ...current, ...change });
+            }
+        }
+    };
+
+    for (const row of rows) {
+        const before = row.before ? JSON.parse(row.before) : null;
+        const after = row.after ? JSON.parse(row.after) : null;
+
+        if (current && current.country_code === row.country_code && current.postal_code === row.postal_code) {
+            current.after = after;
+            current.version = row.version;
+        } else {
+            flush();
+            current = { country_code: row.country_code, postal_code: row.postal_code, before, after, version: row.version };
+        }
+    }
+    flush();
+
+    return changes.map(change => ({
+        country_code: change.country_code,
+        postal_code: change.postal_code,
+        change_type: change.change_type,
+        changed_fields: change.changed_fields,
+        version: change.version,
+        before: change.before,
+        after: change.after
+    }));
+}
+
+module.exports = {
+    DEFAULT_MIN_SHIFT_KM,
+    CHANGE_TYPES,
+    CHANGE_FIELDS,
+    changesDir,
+    readChangelog,
+    exportSnapshot,
+    classifyChange,
+    recordChangelog,
+    changelogHistory,
+    changelogChain,
+    buildAt,
+    rowsBefore,
+    netChanges
+};
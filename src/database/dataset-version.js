@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Dataset versions
+ * Every build records its source files in data_sources together with a dataset version
+ * made of the build timestamp and a checksum over the source list and file contents,
+ * e.g. "20250301T120000Z-3fa9c1d2e4b5". The server serves it as ETag / Last-Modified.
+ */
+
+const DATA_SOURCES_DDL = `
+    CREATE TABLE IF NOT EXISTS data_sources (
+        id INTEGER PRIMARY KEY,
+        source_name VARCHAR(50) UNIQUE NOT NULL,
+        last_updated TIMESTAMP,
+        file_size INTEGER,
+        record_count INTEGER,
+        checksum VARCHAR(64),
+        status VARCHAR(20) DEFAULT 'pending',
+        dataset_version VARCHAR(64),
+        dataset_checksum VARCHAR(64),
+        built_at TIMESTAMP,
+        previous_dataset_version VARCHAR(64),
+        adapter VARCHAR(30),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+// Columns added to data_sources for versioning and source adapters (older databases lack them)
+const VERSION_COLUMNS = ['dataset_version', 'dataset_checksum', 'built_at', 'previous_dataset_version', 'adapter'];
+
+// DuckDB reads 'YYYY-MM-DD HH:MM:SS.mmm' as a UTC timestamp
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function fileChecksum(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Describes a source file for data_sources: { name, checksum, fileSize, lastUpdated }
+ */
+async function describeSourceFile(filePath) {
+    const stat = await fs.promises.stat(filePath);
+
+    return {
+        name: path.basename(filePath),
+        checksum: await fileChecksum(filePath),
+        fileSize: stat.size,
+        lastUpdated: stat.mtime
+    };
+}
+
+/**
+ * { version, checksum, builtAt } for a set of described sources. The checksum covers
+ * source names and contents in name order, so the same inputs always give the same checksum.
+ */
+function buildDatasetVersion(sources, builtAt = new Date()) {
+    const checksum = crypto.createHash('sha256')
+        .update([...sources]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(source => `${source.name}:${source.checksum}`)
+            .join('\n'))
+        .digest('hex');
+
+    const stamp = builtAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+
+    return {
+        version: `${stamp}-${checksum.substring(0, 12)}`,
+        checksum,
+        builtAt
+    };
+}
+
+/**
+ * Writes the sources of a finished build to data_sources as the active dataset.
+ * sources: described source files with a recordCount and the adapter that read them each;
+ * a source's id is its position in the list, starting at 1 (postal_codes.source_id)
+ * previousVersion: version of the build this one replaces, if known
+ */
+async function recordDatasetVersion(db, sources, builtAt = new Date(), previousVersion = null) {
+    const dataset = buildDatasetVersion(sources, builtAt);
+
+    await db.run(DATA_SOURCES_DDL);
+    await db.run('DELETE FROM data_sources');
+
+    for (const [index, source] of sources.entries()) {
+        await db.run(`
+            INSERT INTO data_sources (
+                id, source_name, last_updated, file_size, record_count, checksum, status,
+                dataset_version, dataset_checksum, built_at, previous_dataset_version, adapter
+            ) VALUES ($1, $2, CAST($3 AS TIMESTAMP), $4, $5, $6, 'active', $7, $8, CAST($9 AS TIMESTAMP), $10, $11)
+        `, index + 1, source.name, toSqlTimestamp(source.lastUpdated), source.fileSize, source.recordCount,
+        source.checksum, dataset.version, dataset.checksum, toSqlTimestamp(dataset.builtAt), previousVersion,
+        source.adapter || null);
+    }
+
+    return { ...dataset, previousVersion };
+}
+
+module.exports = {
+    DATA_SOURCES_DDL,
+    VERSION_COLUMNS,
+    fileChecksum,
+    describeSourceFile,
+    buildDatasetVersion,
+    recordDatasetVersion
+};
@@ -1,16 +1,40 @@
 const { Database } = require('duckdb-async');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const { boundingBox, haversineSql } = require('../utils/geo');
+const { DATA_SOURCES_DDL, VERSION_COLUMNS } = require('./dataset-version');
+const { foldSql, escapeLikeWildcards } = require('../utils/text');
+
+// Name columns that get an accent/case-folded search copy (<column>_folded)
+const FOLDED_NAME_COLUMNS = ['place_name', 'admin_name1', 'admin_name2'];
+
+// Service state that must outlive dataset rebuilds. It lives in a separate database file
+// with its own connection, so a new build can be swapped in without losing it.
+const STATE_TABLES = ['refresh_log', 'geocode_jobs', 'api_keys', 'api_key_usage'];
 
 class PostalCodeDatabase {
-    constructor(dbPath = null) {
+    constructor(dbPath = null, statePath = null) {
         this.dbPath = dbPath || path.join(__dirname, '../../data/postal_codes.duckdb');
+        this.statePath = statePath || path.join(__dirname, '../../data/service_state.duckdb');
         this.db = null;
+        this.stateDb = null;
+        this.fileId = null; // dev:inode of the dataset file this connection opened
+        this.activeQueries = 0;
+        this.lastQueryAt = 0;
     }
 
-    async connect() {
+    /**
+     * Opens the dataset file. The state connection is shared with `stateFrom` when given
+     * (a reload: DuckDB must not open the same file twice in one process), else opened here.
+     */
+    async connect(stateFrom = null) {
         try {
-            this.db = await Database.create(this.dbPath);
-            console.log(`Connected to DuckDB database at ${this.dbPath}`);
+            const stat = await fs.promises.stat(this.dbPath).catch(() => null);
+            this.db = this.trackQueries(await Database.create(this.dbPath));
+            this.fileId = stat ? `${stat.dev}:${stat.ino}` : null;
+            this.stateDb = stateFrom ? stateFrom.stateDb : await Database.create(this.statePath);
+            console.log(`Connected to DuckDB database at ${this.dbPath} (state: ${this.statePath})`);
             return this.db;
         } catch (error) {
             console.error('Failed to connect to database:', error);
@@ -47,26 +71,22 @@ class PostalCodeDatabase {
                     latitude DECIMAL(10,7),
                     longitude DECIMAL(11,7),
                     accuracy TINYINT,
+                    place_name_folded VARCHAR(180),
+                    admin_name1_folded VARCHAR(100),
+                    admin_name2_folded VARCHAR(100),
+                    source_id SMALLINT,
                     FOREIGN KEY (country_id) REFERENCES countries(id)
                 );
             `);
 
-            // Data source metadata table
-            await this.db.run(`
-                CREATE TABLE IF NOT EXISTS data_sources (
-                    id INTEGER PRIMARY KEY,
-                    source_name VARCHAR(50) UNIQUE NOT NULL,
-                    last_updated TIMESTAMP,
-                    file_size INTEGER,
-                    record_count INTEGER,
-                    checksum VARCHAR(64),
-                    status VARCHAR(20) DEFAULT 'pending',
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                );
-            `);
+            await this.ensureFoldedColumns();
+
+            // Data source metadata table (source files and dataset version of the build)
+            await this.db.run(DATA_SOURCES_DDL);
+            await this.ensureVersionColumns();
 
             // Refresh log table
-            await this.db.run(`
+            await this.stateDb.run(`
                 CREATE TABLE IF NOT EXISTS refresh_log (
                     id INTEGER PRIMARY KEY,
                     operation VARCHAR(50) NOT NULL,
@@ -76,10 +96,73 @@ class PostalCodeDatabase {
                     duration_ms INTEGER,
                     error_message TEXT,
                     started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    completed_at TIMESTAMP,
+                    stage VARCHAR(20),
+                    trigger VARCHAR(100),
+                    details TEXT
+                );
+            `);
+
+            // Progress columns of server-managed refreshes (older refresh_log tables lack them)
+            for (const [column, type] of [['stage', 'VARCHAR(20)'], ['trigger', 'VARCHAR(100)'], ['details', 'TEXT']]) {
+                await this.stateDb.run(`ALTER TABLE refresh_log ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+            }
+
+            // Bulk geocoding jobs (uploaded CSV files processed in the background)
+            await this.stateDb.run(`
+                CREATE TABLE IF NOT EXISTS geocode_jobs (
+                    id VARCHAR(36) PRIMARY KEY,
+                    status VARCHAR(20) NOT NULL,
+                    original_filename VARCHAR(255),
+                    input_path VARCHAR NOT NULL,
+                    result_path VARCHAR NOT NULL,
+                    country_column VARCHAR(100),
+                    postal_code_column VARCHAR(100) NOT NULL,
+                    default_country VARCHAR(2),
+                    delimiter VARCHAR(1) DEFAULT ',',
+                    fuzzy BOOLEAN DEFAULT false,
+                    input_bytes BIGINT DEFAULT 0,
+                    bytes_processed BIGINT DEFAULT 0,
+                    rows_processed INTEGER DEFAULT 0,
+                    exact_rows INTEGER DEFAULT 0,
+                    fuzzy_rows INTEGER DEFAULT 0,
+                    unmatched_rows INTEGER DEFAULT 0,
+                    error_rows INTEGER DEFAULT 0,
+                    row_errors TEXT,
+                    error_message TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    started_at TIMESTAMP,
+                    updated_at TIMESTAMP,
                     completed_at TIMESTAMP
                 );
             `);
 
+            // API keys (only a SHA-256 hash of each key is stored) and their monthly usage
+            await this.stateDb.run(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id VARCHAR(16) PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    key_hash VARCHAR(64) NOT NULL UNIQUE,
+                    scopes VARCHAR(50) NOT NULL,
+                    rate_limit_per_minute INTEGER NOT NULL,
+                    monthly_quota BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    revoked_at TIMESTAMP
+                );
+            `);
+
+            await this.stateDb.run(`
+                CREATE TABLE IF NOT EXISTS api_key_usage (
+                    key_id VARCHAR(16) NOT NULL,
+                    month VARCHAR(7) NOT NULL,
+                    request_count BIGINT DEFAULT 0,
+                    last_used_at TIMESTAMP,
+                    PRIMARY KEY (key_id, month)
+                );
+            `);
+
+            await this.migrateStateTables();
+
             await this.createIndexes();
             
             console.log('Database tables created successfully');
@@ -89,6 +172,127 @@ class PostalCodeDatabase {
         }
     }
 
+    // Moves service state out of dataset files created before the state database existed
+    async migrateStateTables() {
+        const legacy = await this.db.all(`
+            SELECT table_name FROM information_schema.tables
+            WHERE table_name IN (${STATE_TABLES.map(name => `'${name}'`).join(', ')})
+        `);
+
+        for (const { table_name: table } of legacy) {
+            const rows = await this.db.all(`SELECT * FROM ${table}`);
+            let copied = 0;
+
+            // Rows are copied one by one: the two files are open in different connections.
+            // A row whose key the state database already holds keeps its state database version,
+            // so a migration interrupted part way can simply run again.
+            try {
+                for (const row of rows) {
+                    const columns = Object.keys(row);
+                    const inserted = await this.stateDb.all(
+                        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+                         ON CONFLICT DO NOTHING RETURNING 1 as inserted`,
+                        ...columns.map(column => {
+                            const value = row[column];
+                            if (value instanceof Date) return value.toISOString();
+                            if (typeof value === 'bigint') return value.toString();
+                            return value;
+                        })
+                    );
+                    copied += inserted.length;
+                }
+            } catch (error) {
+                console.warn(`Could not move ${table} to the state database, keeping it in ${this.dbPath}: ${error.message}`);
+                continue;
+            }
+
+            await this.db.run(`DROP TABLE ${table}`);
+            console.log(`Moved ${table} to the state database (${copied} rows copied, ${rows.length - copied} already there)`);
+        }
+    }
+
+    // Counts running queries, so a replaced connection is only closed once it is idle
+    trackQueries(db) {
+        for (const method of ['all', 'run']) {
+            const query = db[method].bind(db);
+            db[method] = async (...args) => {
+                this.activeQueries++;
+                try {
+                    return await query(...args);
+                } finally {
+                    this.activeQueries--;
+                    this.lastQueryAt = Date.now();
+                }
+            };
+        }
+        return db;
+    }
+
+    /**
+     * Waits until no query has run for `quietMs` (a request can be between two queries on
+     * this connection) or `timeoutMs` has passed. Returns whether the connection went idle.
+     */
+    async drain(quietMs = 1000, timeoutMs = 30000) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            if (this.activeQueries === 0 && Date.now() - this.lastQueryAt >= quietMs) {
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        return false;
+    }
+
+    // Adds and backfills the folded name columns on databases built before they existed
+    async ensureFoldedColumns() {
+        const existing = await this.db.all(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'postal_codes' AND column_name LIKE '%_folded'
+        `);
+        const existingColumns = new Set(existing.map(row => row.column_name));
+        const missing = FOLDED_NAME_COLUMNS.filter(column => !existingColumns.has(`${column}_folded`));
+
+        if (missing.length === 0) {
+            return;
+        }
+
+        console.log(`🔤 Adding folded search columns: ${missing.join(', ')}`);
+
+        // DuckDB cannot alter a table that has indexes; createIndexes() restores it
+        await this.db.run('DROP INDEX IF EXISTS idx_country_postal');
+
+        for (const column of missing) {
+            await this.db.run(`ALTER TABLE postal_codes ADD COLUMN ${column}_folded VARCHAR`);
+            await this.db.run(`UPDATE postal_codes SET ${column}_folded = ${foldSql(column)}`);
+        }
+    }
+
+    // Databases built before dataset versioning or source adapters have a data_sources table without those columns
+    async ensureVersionColumns() {
+        const existing = await this.db.all(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'data_sources'
+        `);
+        const existingColumns = new Set(existing.map(row => row.column_name));
+        if (VERSION_COLUMNS.every(column => existingColumns.has(column))) {
+            return;
+        }
+
+        // The table was never written to before versioning, so it can simply be recreated
+        const [{ count }] = await this.db.all('SELECT COUNT(*) as count FROM data_sources');
+        if (Number(count) === 0) {
+            await this.db.run('DROP TABLE data_sources');
+            await this.db.run(DATA_SOURCES_DDL);
+            return;
+        }
+
+        for (const column of VERSION_COLUMNS.filter(name => !existingColumns.has(name))) {
+            await this.db.run(`ALTER TABLE data_sources ADD COLUMN ${column} ${column === 'built_at' ? 'TIMESTAMP' : 'VARCHAR'}`);
+        }
+    }
+
     async createIndexes() {
         try {
             console.log('🔍 Creating optimized indexes for search operations...');
@@ -125,18 +329,34 @@ class PostalCodeDatabase {
 
         return {
             // Exact match lookup with JOIN to countries table
-            findExact: async (countryCode, postalCode) => {
+            findExact: async (countryCode, postalCode, limit = 10) => {
                 return await this.db.all(`
                     SELECT pc.*, c.code as country_code FROM postal_codes pc
                     JOIN countries c ON pc.country_id = c.id
                     WHERE c.code = $1 AND pc.postal_code = $2
-                    ORDER BY pc.accuracy DESC
-                    LIMIT 10
+                    ORDER BY pc.accuracy DESC, pc.place_name, pc.admin_code1, pc.admin_code2, pc.latitude, pc.longitude
+                    LIMIT ${parseInt(limit, 10)}
                 `, countryCode, postalCode);
             },
 
+            // Exact match on any of several spellings across all countries (country auto-detection):
+            // the best `limit` rows of each country and spelling, so every country is represented
+            findExactAnyCountry: async (postalCodes, limit = 10) => {
+                const placeholders = postalCodes.map((_, index) => `$${index + 1}`).join(', ');
+                return await this.db.all(`
+                    SELECT pc.*, c.code as country_code FROM postal_codes pc
+                    JOIN countries c ON pc.country_id = c.id
+                    WHERE pc.postal_code IN (${placeholders})
+                    QUALIFY ROW_NUMBER() OVER (
+                        PARTITION BY c.code, pc.postal_code
+                        ORDER BY pc.accuracy DESC, pc.place_name, pc.admin_code1, pc.admin_code2, pc.latitude, pc.longitude
+                    ) <= ${parseInt(limit, 10)}
+                    ORDER BY c.code, pc.accuracy DESC, pc.place_name
+                `, ...postalCodes);
+            },
+
             // Fuzzy postal code search with JOIN
-            findFuzzy: async (countryCode, postalCode) => {
+            findFuzzy: async (countryCode, postalCode, limit = 20) => {
                 const searchPattern = `%${postalCode}%`;
                 return await this.db.all(`
                     SELECT pc.*, c.code as country_code,
@@ -152,28 +372,196 @@ class PostalCodeDatabase {
                     )
                     ORDER BY 
                         ABS(LENGTH(pc.postal_code) - LENGTH($2)) ASC,
-                        pc.accuracy DESC
-                    LIMIT 20
+                        pc.accuracy DESC,
+                        pc.postal_code, pc.place_name, pc.latitude, pc.longitude
+                    LIMIT ${parseInt(limit, 10)}
                 `, countryCode, postalCode, searchPattern, `${postalCode}%`);
             },
 
-            // Place name search with JOIN
-            findByPlace: async (countryCode, placeName) => {
-                const placePattern = `%${placeName}%`;
+            // Autocomplete: same match rules as findFuzzy, one row per postal code + place,
+            // prefix matches first, in a total order so pages can be walked with an offset
+            findSuggestions: async (countryCode, partialPostalCode, limit, offset = 0) => {
+                return await this.db.all(`
+                    SELECT * FROM (
+                        SELECT pc.*, c.code as country_code
+                        FROM postal_codes pc
+                        JOIN countries c ON pc.country_id = c.id
+                        WHERE c.code = $1
+                        AND (
+                            pc.postal_code LIKE $3
+                            OR pc.postal_code LIKE $4
+                            OR $2 LIKE pc.postal_code || '%'
+                        )
+                        QUALIFY ROW_NUMBER() OVER (
+                            PARTITION BY pc.postal_code, pc.place_name
+                            ORDER BY pc.accuracy DESC, pc.admin_code1, pc.admin_code2, pc.latitude, pc.longitude
+                        ) = 1
+                    ) suggestions
+                    ORDER BY
+                        CASE WHEN postal_code LIKE $4 THEN 0 ELSE 1 END,
+                        ABS(LENGTH(postal_code) - LENGTH($2)) ASC,
+                        postal_code, place_name
+                    LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
+                `, countryCode, partialPostalCode, `%${partialPostalCode}%`, `${partialPostalCode}%`);
+            },
+
+            // Place name search with JOIN (expects a folded name, see utils/text foldText)
+            findByPlace: async (countryCode, foldedPlaceName, limit = 15) => {
+                const placePattern = `%${escapeLikeWildcards(foldedPlaceName)}%`;
                 return await this.db.all(`
                     SELECT pc.*, c.code as country_code FROM postal_codes pc
                     JOIN countries c ON pc.country_id = c.id
                     WHERE c.code = $1 
                     AND (
-                        pc.place_name LIKE $2
-                        OR pc.admin_name1 LIKE $2
-                        OR pc.admin_name2 LIKE $2
+                        pc.place_name_folded LIKE $2 ESCAPE '\\'
+                        OR pc.admin_name1_folded LIKE $2 ESCAPE '\\'
+                        OR pc.admin_name2_folded LIKE $2 ESCAPE '\\'
                     )
-                    ORDER BY pc.accuracy DESC
-                    LIMIT 15
+                    ORDER BY pc.accuracy DESC, pc.place_name, pc.postal_code, pc.latitude, pc.longitude
+                    LIMIT ${parseInt(limit, 10)}
                 `, countryCode, placePattern);
             },
 
+            // Nearest postal codes to a coordinate, optionally limited to a radius and country
+            findNearest: async (latitude, longitude, limit, maxDistanceKm = null, countryCode = null) => {
+                const bounds = maxDistanceKm
+                    ? boundingBox(latitude, longitude, maxDistanceKm)
+                    : { minLat: -90, maxLat: 90, minLon: -180, maxLon: 180 };
+
+                return await this.db.all(`
+                    SELECT * FROM (
+                        SELECT pc.*, c.code as country_code,
+                               ${haversineSql('pc', '$1', '$2')} as distance_km
+                        FROM postal_codes pc
+                        JOIN countries c ON pc.country_id = c.id
+                        WHERE pc.latitude IS NOT NULL
+                        AND pc.longitude IS NOT NULL
+                        AND pc.latitude BETWEEN $3 AND $4
+                        AND pc.longitude BETWEEN $5 AND $6
+                        AND ($8 IS NULL OR c.code = $8)
+                    ) nearest
+                    WHERE $7 IS NULL OR distance_km <= $7
+                    ORDER BY distance_km ASC, accuracy DESC
+                    LIMIT ${parseInt(limit, 10)}
+                `, latitude, longitude, bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon, maxDistanceKm, countryCode);
+            },
+
+            // Postal codes inside a lat/lon box, in a stable order for paging.
+            // minLon > maxLon means the box crosses the antimeridian.
+            // after: the scan key of the last row already read ([country_code, postal_code,
+            // place_name, latitude, longitude, row_id]); the next rows are found by that key
+            // instead of sorting and skipping every earlier row, so long scans stay linear.
+            findInBoundingBox: async (bounds, limit, offset = 0, after = null) => {
+                const keyset = after ?
+                    `AND (c.code, pc.postal_code, pc.place_name, pc.latitude, pc.longitude, pc.rowid) >
+                         ($5, $6, $7, CAST($8 AS DECIMAL(10,7)), CAST($9 AS DECIMAL(11,7)), $10)` :
+                    '';
+
+                return await this.db.all(`
+                    SELECT pc.*, c.code as country_code, CAST(pc.rowid AS INTEGER) as row_id FROM postal_codes pc
+                    JOIN countries c ON pc.country_id = c.id
+                    WHERE pc.latitude BETWEEN $1 AND $2
+                    AND (
+                        ($3 <= $4 AND pc.longitude BETWEEN $3 AND $4)
+                        OR ($3 > $4 AND (pc.longitude >= $3 OR pc.longitude <= $4))
+                    )
+                    ${keyset}
+                    ORDER BY c.code, pc.postal_code, pc.place_name, pc.latitude, pc.longitude, pc.rowid
+                    LIMIT ${parseInt(limit, 10)} OFFSET ${after ? 0 : parseInt(offset, 10)}
+                `, bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon, ...(after || []));
+            },
+
+            // Ranked place name search: exact > prefix > word prefix > substring,
+            // place_name weighted above admin_name1/admin_name2, matched on folded columns
+            // ($2 is the folded query, $3 the same with LIKE wildcards escaped)
+            searchPlaces: async (countryCode, foldedQuery, limit, offset = 0) => {
+                const nameScore = (column, weight) => `
+                    CASE
+                        WHEN pc.${column}_folded = $2 THEN ${100 * weight}
+                        WHEN pc.${column}_folded LIKE $3 || '%' ESCAPE '\\' THEN ${75 * weight}
+                        WHEN pc.${column}_folded LIKE '% ' || $3 || '%' ESCAPE '\\' THEN ${55 * weight}
+                        WHEN pc.${column}_folded LIKE '%' || $3 || '%' ESCAPE '\\' THEN ${35 * weight}
+                        ELSE 0
+                    END`;
+
+                return await this.db.all(`
+                    SELECT *,
+                           GREATEST(place_score, admin1_score, admin2_score) as match_score,
+                           CASE
+                               WHEN place_score >= GREATEST(admin1_score, admin2_score) THEN 'place_name'
+                               WHEN admin1_score >= admin2_score THEN 'admin_name1'
+                               ELSE 'admin_name2'
+                           END as matched_field
+                    FROM (
+                        SELECT pc.*, c.code as country_code,
+                               ${nameScore('place_name', 1)} as place_score,
+                               ${nameScore('admin_name1', 0.6)} as admin1_score,
+                               ${nameScore('admin_name2', 0.5)} as admin2_score
+                        FROM postal_codes pc
+                        JOIN countries c ON pc.country_id = c.id
+                        WHERE ($1 IS NULL OR c.code = $1)
+                        AND (
+                            pc.place_name_folded LIKE '%' || $3 || '%' ESCAPE '\\'
+                            OR pc.admin_name1_folded LIKE '%' || $3 || '%' ESCAPE '\\'
+                            OR pc.admin_name2_folded LIKE '%' || $3 || '%' ESCAPE '\\'
+                        )
+                    ) scored
+                    ORDER BY match_score DESC, accuracy DESC, place_name ASC, postal_code ASC,
+                             country_code, admin_code1, admin_code2, latitude, longitude
+                    LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
+                `, countryCode, foldedQuery, escapeLikeWildcards(foldedQuery));
+            },
+
+            // Administrative hierarchy browsing (each ordered by its group key, so pages are stable)
+            listCountries: async (limit, offset = 0) => {
+                return await this.db.all(`
+                    SELECT c.code as country_code, COUNT(pc.postal_code) as record_count
+                    FROM countries c
+                    LEFT JOIN postal_codes pc ON pc.country_id = c.id
+                    GROUP BY c.code
+                    ORDER BY c.code
+                    LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
+                `);
+            },
+
+            listAdmin1: async (countryCode, limit, offset = 0) => {
+                return await this.db.all(`
+                    SELECT pc.admin_code1, ANY_VALUE(pc.admin_name1) as admin_name1,
+                           COUNT(*) as record_count
+                    FROM postal_codes pc
+                    JOIN countries c ON pc.country_id = c.id
+                    WHERE c.code = $1 AND pc.admin_code1 IS NOT NULL
+                    GROUP BY pc.admin_code1
+                    ORDER BY admin_name1, pc.admin_code1
+                    LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
+                `, countryCode);
+            },
+
+            listAdmin2: async (countryCode, admin1Code, limit, offset = 0) => {
+                return await this.db.all(`
+                    SELECT pc.admin_code2, ANY_VALUE(pc.admin_name2) as admin_name2,
+                           COUNT(*) as record_count
+                    FROM postal_codes pc
+                    JOIN countries c ON pc.country_id = c.id
+                    WHERE c.code = $1 AND pc.admin_code1 = $2 AND pc.admin_code2 IS NOT NULL
+                    GROUP BY pc.admin_code2
+                    ORDER BY admin_name2, pc.admin_code2
+                    LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
+                `, countryCode, admin1Code);
+            },
+
+            // Postal codes in an admin1 area, optionally narrowed to an admin2 area
+            listPostalCodesInArea: async (countryCode, admin1Code, admin2Code, limit, offset = 0) => {
+                return await this.db.all(`
+                    SELECT pc.*, c.code as country_code FROM postal_codes pc
+                    JOIN countries c ON pc.country_id = c.id
+                    WHERE c.code = $1 AND pc.admin_code1 = $2
+                    AND ($3 IS NULL OR pc.admin_code2 = $3)
+                    ORDER BY pc.place_name, pc.postal_code, pc.admin_code2, pc.admin_code3, pc.latitude, pc.longitude
+                    LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
+                `, countryCode, admin1Code, admin2Code);
+            },
+
             // Helper to get country ID by code
             getCountryId: async (countryCode) => {
                 const result = await this.db.all(`
@@ -195,15 +583,261 @@ class PostalCodeDatabase {
                     SELECT 'all' as source, COUNT(*) as count 
                     FROM postal_codes
                 `);
+            },
+
+            // Bulk geocoding job state
+            createJob: async (job) => {
+                await this.stateDb.run(`
+                    INSERT INTO geocode_jobs (
+                        id, status, original_filename, input_path, result_path,
+                        country_column, postal_code_column, default_country, delimiter, fuzzy, input_bytes
+                    ) VALUES ($1, 'queued', $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                `, job.id, job.originalFilename, job.inputPath, job.resultPath,
+                job.countryColumn, job.postalCodeColumn, job.defaultCountry, job.delimiter, job.fuzzy, job.inputBytes);
+            },
+
+            getJob: async (jobId) => {
+                const result = await this.stateDb.all(`
+                    SELECT * FROM geocode_jobs WHERE id = $1
+                `, jobId);
+                return result.length > 0 ? result[0] : null;
+            },
+
+            // Jobs that were queued or cut off mid-run, oldest first
+            findUnfinishedJobs: async () => {
+                return await this.stateDb.all(`
+                    SELECT * FROM geocode_jobs
+                    WHERE status IN ('queued', 'running')
+                    ORDER BY created_at
+                `);
+            },
+
+            markJobRunning: async (jobId) => {
+                await this.stateDb.run(`
+                    UPDATE geocode_jobs
+                    SET status = 'running', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+                        bytes_processed = 0, rows_processed = 0, exact_rows = 0, fuzzy_rows = 0,
+                        unmatched_rows = 0, error_rows = 0, row_errors = NULL, error_message = NULL
+                    WHERE id = $1
+                `, jobId);
+            },
+
+            updateJobProgress: async (jobId, progress) => {
+                await this.stateDb.run(`
+                    UPDATE geocode_jobs
+                    SET bytes_processed = $2, rows_processed = $3, exact_rows = $4, fuzzy_rows = $5,
+                        unmatched_rows = $6, error_rows = $7, row_errors = $8, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, jobId, progress.bytesProcessed, progress.rowsProcessed, progress.exactRows, progress.fuzzyRows,
+                progress.unmatchedRows, progress.errorRows, JSON.stringify(progress.rowErrors));
+            },
+
+            finishJob: async (jobId, status, errorMessage = null) => {
+                await this.stateDb.run(`
+                    UPDATE geocode_jobs
+                    SET status = $2, error_message = $3,
+                        updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, jobId, status, errorMessage);
+            },
+
+            // Changelog rows of consecutive builds (changes/<version>.parquet, oldest build first)
+            getDatasetChanges: async (files, countryCode = null) => {
+                const fileList = files.map(file => `'${file.replace(/'/g, "''")}'`).join(', ');
+                return await this.db.all(`
+                    SELECT country_code, postal_code, "before", "after",
+                           list_position([${fileList}], filename) as build
+                    FROM read_parquet([${fileList}], filename = true)
+                    WHERE $1::VARCHAR IS NULL OR country_code = $1
+                    ORDER BY country_code, postal_code, build
+                `, countryCode);
+            },
+
+            // Earliest changelog row of one postal code among consecutive builds (oldest first)
+            findFirstCodeChange: async (files, countryCode, postalCode) => {
+                const fileList = files.map(file => `'${file.replace(/'/g, "''")}'`).join(', ');
+                const result = await this.db.all(`
+                    SELECT country_code, postal_code, "before"
+                    FROM read_parquet([${fileList}], filename = true)
+                    WHERE country_code = $1 AND postal_code = $2
+                    ORDER BY list_position([${fileList}], filename)
+                    LIMIT 1
+                `, countryCode, postalCode);
+                return result.length > 0 ? result[0] : null;
+            },
+
+            // Server-managed refresh runs
+            createRefreshRun: async (trigger) => {
+                const result = await this.stateDb.all(`
+                    INSERT INTO refresh_log (id, operation, status, stage, trigger, started_at)
+                    SELECT COALESCE(MAX(id), 0) + 1, 'refresh', 'running', 'download', $1, CURRENT_TIMESTAMP
+                    FROM refresh_log
+                    RETURNING id
+                `, trigger);
+                return result[0].id;
+            },
+
+            updateRefreshRun: async (runId, run) => {
+                await this.stateDb.run(`
+                    UPDATE refresh_log
+                    SET status = $2, stage = $3, records_processed = $4, duration_ms = $5,
+                        error_message = $6, details = $7,
+                        completed_at = CASE WHEN $2 = 'running' THEN NULL ELSE CURRENT_TIMESTAMP END
+                    WHERE id = $1
+                `, runId, run.status, run.stage, run.recordsProcessed, run.durationMs,
+                run.error, JSON.stringify(run.details));
+            },
+
+            getRefreshRun: async (runId) => {
+                const result = await this.stateDb.all(`
+                    SELECT * FROM refresh_log WHERE id = $1
+                `, runId);
+                return result.length > 0 ? result[0] : null;
+            },
+
+            listRefreshRuns: async (limit = 20) => {
+                return await this.stateDb.all(`
+                    SELECT * FROM refresh_log
+                    ORDER BY started_at DESC, id DESC
+                    LIMIT ${parseInt(limit, 10)}
+                `);
+            },
+
+            // Runs cut off by a shutdown cannot be resumed mid-stage
+            failInterruptedRefreshRuns: async () => {
+                await this.stateDb.run(`
+                    UPDATE refresh_log
+                    SET status = 'failed', error_message = 'Interrupted by a server restart', completed_at = CURRENT_TIMESTAMP
+                    WHERE status = 'running'
+                `);
+            },
+
+            // API keys and usage
+            createApiKey: async (apiKey) => {
+                await this.stateDb.run(`
+                    INSERT INTO api_keys (id, name, key_hash, scopes, rate_limit_per_minute, monthly_quota)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, apiKey.id, apiKey.name, apiKey.keyHash, apiKey.scopes.join(','),
+                apiKey.rateLimitPerMinute, apiKey.monthlyQuota);
+            },
+
+            findApiKeyByHash: async (keyHash) => {
+                const result = await this.stateDb.all(`
+                    SELECT * FROM api_keys WHERE key_hash = $1
+                `, keyHash);
+                return result.length > 0 ? result[0] : null;
+            },
+
+            getApiKey: async (keyId) => {
+                const result = await this.stateDb.all(`
+                    SELECT * FROM api_keys WHERE id = $1
+                `, keyId);
+                return result.length > 0 ? result[0] : null;
+            },
+
+            // Keys with their usage in the given month ('YYYY-MM'), oldest first
+            listApiKeys: async (month, includeRevoked = false) => {
+                return await this.stateDb.all(`
+                    SELECT k.*, COALESCE(u.request_count, 0) as month_requests, u.last_used_at
+                    FROM api_keys k
+                    LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.month = $1
+                    WHERE $2 OR k.revoked_at IS NULL
+                    ORDER BY k.created_at, k.id
+                `, month, includeRevoked);
+            },
+
+            revokeApiKey: async (keyId) => {
+                await this.stateDb.run(`
+                    UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND revoked_at IS NULL
+                `, keyId);
+            },
+
+            getApiKeyUsage: async (keyId, month) => {
+                const result = await this.stateDb.all(`
+                    SELECT request_count FROM api_key_usage WHERE key_id = $1 AND month = $2
+                `, keyId, month);
+                return result.length > 0 ? Number(result[0].request_count) : 0;
+            },
+
+            addApiKeyUsage: async (keyId, month, requests) => {
+                await this.stateDb.run(`
+                    INSERT INTO api_key_usage (key_id, month, request_count, last_used_at)
+                    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                    ON CONFLICT (key_id, month) DO UPDATE
+                    SET request_count = api_key_usage.request_count + EXCLUDED.request_count,
+                        last_used_at = EXCLUDED.last_used_at
+                `, keyId, month, requests);
             }
         };
     }
 
-    async close() {
+    /**
+     * Identifies the dataset currently on disk plus the version this connection serves.
+     * A rebuild replaces the file, which changes its inode and birth time
+     * (in-place edits are ruled out by DuckDB's file lock).
+     */
+    async getDatasetFingerprint() {
+        const stat = await fs.promises.stat(this.dbPath);
+        const dataset = await this.getDatasetVersion();
+        return `${stat.dev}:${stat.ino}:${stat.birthtimeMs}:${dataset.version}`;
+    }
+
+    /**
+     * Version of the loaded dataset as recorded by the ingest: { version, checksum, builtAt, sources }.
+     * Databases built before versioning get a version derived from the file itself (legacy: true).
+     */
+    async getDatasetVersion() {
+        if (!this.db) {
+            throw new Error('Database not connected');
+        }
+
+        const rows = await this.db.all(`
+            SELECT * FROM data_sources
+            WHERE status = 'active' AND dataset_version IS NOT NULL
+            ORDER BY id
+        `);
+
+        if (rows.length > 0) {
+            return {
+                version: rows[0].dataset_version,
+                checksum: rows[0].dataset_checksum,
+                builtAt: rows[0].built_at,
+                previousVersion: rows[0].previous_dataset_version || null,
+                sources: rows.map(row => ({
+                    name: row.source_name,
+                    adapter: row.adapter || null,
+                    checksum: row.checksum,
+                    fileSize: Number(row.file_size),
+                    recordCount: Number(row.record_count),
+                    lastUpdated: row.last_updated
+                }))
+            };
+        }
+
+        const stat = await fs.promises.stat(this.dbPath);
+        const fileId = crypto.createHash('sha1').update(`${stat.dev}:${stat.ino}:${stat.birthtimeMs}`).digest('hex');
+
+        return {
+            version: `legacy-${fileId.substring(0, 12)}`,
+            checksum: null,
+            builtAt: stat.birthtimeMs > 0 ? stat.birthtime : stat.mtime,
+            sources: [],
+            legacy: true
+        };
+    }
+
+    // options.keepState leaves the state connection open for a database that shares it
+    async close(options = {}) {
         if (this.db) {
             await this.db.close();
+            this.db = null;
             console.log('Database connection closed');
         }
+        if (this.stateDb && !options.keepState) {
+            await this.stateDb.close();
+            this.stateDb = null;
+        }
     }
 
     // Database maintenance operations
@@ -256,13 +890,19 @@ class PostalCodeDatabase {
             SELECT 
                 (SELECT COUNT(*) FROM postal_codes) as total_records,
                 (SELECT COUNT(*) FROM countries) as countries,
-                1 as sources,
-                (SELECT MAX(started_at) FROM refresh_log) as last_update
+                (SELECT COUNT(*) FROM data_sources) as sources
+        `);
+        const [{ last_update: lastUpdate }] = await this.stateDb.all(`
+            SELECT MAX(started_at) as last_update FROM refresh_log
         `);
 
+        // Records per source file of the build (source_id is the file's data_sources id)
         const sourceStats = await this.db.all(`
-            SELECT 'all' as source, COUNT(*) as count 
-            FROM postal_codes
+            SELECT COALESCE(ds.source_name, 'unknown') as source, ds.adapter, COUNT(*) as count
+            FROM postal_codes pc
+            LEFT JOIN data_sources ds ON ds.id = pc.source_id
+            GROUP BY ds.id, ds.source_name, ds.adapter
+            ORDER BY ds.id NULLS LAST
         `);
 
         // Convert BigInt values to Numbers for JSON serialization
@@ -281,9 +921,11 @@ class PostalCodeDatabase {
 
         return {
             ...convertBigInt(stats[0]),
+            last_update: lastUpdate,
             by_source: sourceStats.map(convertBigInt)
         };
     }
 }
 
-module.exports = PostalCodeDatabase; 
\ No newline at end of file
+module.exports = PostalCodeDatabase;
+module.exports.FOLDED_NAME_COLUMNS = FOLDED_NAME_COLUMNS; 
\ No newline at end of file
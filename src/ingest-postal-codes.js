@@ -1,7 +1,25 @@
 const { Database } = require("duckdb-async");
 const fs = require("fs");
 const path = require("path");
-const AdmZip = require("adm-zip");
+const { FOLDED_NAME_COLUMNS } = require("./database/schema");
+const { foldSql } = require("./utils/text");
+const { describeSourceFile, recordDatasetVersion } = require("./database/dataset-version");
+const {
+  buildPaths,
+  removeDatabase,
+  acquireBuildLock,
+  readManifest,
+  writeManifest,
+  loadBaseline,
+  checkBuild,
+  promoteBuild,
+  rollbackBuild,
+} = require("./database/dataset-builds");
+const { exportSnapshot, recordChangelog } = require("./database/dataset-changes");
+const { DEFAULT_RAW_DATA_ROOT, getAdapter, resolveSources, stageInput } = require("./sources");
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), "data", "postal_codes.duckdb");
+const DEFAULT_RAW_DATA_DIR = path.join(DEFAULT_RAW_DATA_ROOT, "geonames.org_all_countries");
 
 /**
  * Optimizes the database with ANALYZE and VACUUM
@@ -30,82 +48,57 @@ async function optimizeDatabase(db) {
 }
 
 /**
- * Extracts ZIP files from the raw data directory
+ * Extracts the GeoNames ZIP files in the raw data directory
  */
-async function extractZipFiles() {
-    const rawDataDir = path.join(process.cwd(), 'raw_data', 'geonames.org_all_countries');
-    const extractDir = rawDataDir; // Extract to the same directory
-    
-    console.log("🗂️  Extracting ZIP files...");
-    
-    if (!fs.existsSync(rawDataDir)) {
-        console.log(`⚠️  Raw data directory not found: ${rawDataDir}`);
-        return;
-    }
-    
-    // Find all ZIP files
-    const zipFiles = fs.readdirSync(rawDataDir)
-        .filter(file => file.endsWith('.zip'))
-        .map(file => ({
-            zipPath: path.join(rawDataDir, file),
-            fileName: file
-        }));
-    
-    if (zipFiles.length === 0) {
-        console.log("⚠️  No ZIP files found in raw data directory");
-        return;
-    }
-    
-    for (const { zipPath, fileName } of zipFiles) {
-        try {
-            console.log(`📦 Extracting ${fileName}...`);
-            const zip = new AdmZip(zipPath);
-            const zipEntries = zip.getEntries();
-            
-            zipEntries.forEach(entry => {
-                if (entry.entryName.endsWith('.txt')) {
-                    const txtPath = path.join(extractDir, entry.entryName);
-                    
-                    // Only extract if TXT doesn't exist or is older than ZIP
-                    if (!fs.existsSync(txtPath) || 
-                        fs.statSync(txtPath).mtime < fs.statSync(zipPath).mtime) {
-                        
-                        console.log(`   → Extracting ${entry.entryName}`);
-                        zip.extractEntryTo(entry, extractDir, false, true);
-                    } else {
-                        console.log(`   ✓ ${entry.entryName} already exists and is up to date`);
-                    }
-                }
-            });
-            
-        } catch (error) {
-            console.error(`❌ Failed to extract ${fileName}:`, error.message);
-        }
-    }
-    
-    console.log("✅ ZIP extraction completed");
+async function extractZipFiles(rawDataDir = DEFAULT_RAW_DATA_DIR) {
+  await getAdapter("geonames").extract(rawDataDir);
 }
 
 /**
  * Ingests postal code CSV files into DuckDB with optimized storage
  * Creates normalized structure with separate countries table
+ *
+ * The build goes to a staging file and only replaces the live database once its
+ * integrity checks pass, so a running server keeps serving the current build and a
+ * failed ingest leaves it untouched. The replaced build is kept for `npm run rollback`.
+ * Postal codes are read through the source adapters (src/sources): every adapter's
+ * directory under raw_data/ is searched for its files, and each row remembers the
+ * data_sources entry of the file it came from.
+ * options: { dbPath, sources (adapter names, default: all), rawDataDir (GeoNames directory),
+ *            sourceDirs ({ adapter: directory }), force (promote despite failed checks), thresholds,
+ *            onProgress ({ stage, ... } at each stage: extract, load (per file), optimize, swap) }
  */
-async function ingestPostalCodes() {
-  const dbPath = path.join(process.cwd(), 'data', 'postal_codes.duckdb');
+async function ingestPostalCodes(options = {}) {
+  const paths = buildPaths(options.dbPath || DEFAULT_DB_PATH);
+  const sourceList = resolveSources(options.sources, {
+    geonames: options.rawDataDir,
+    ...options.sourceDirs,
+  });
+  const progress = options.onProgress || (() => {});
+  const releaseLock = acquireBuildLock(paths);
 
-  // Remove existing database file if it exists
-  if (fs.existsSync(dbPath)) {
-    fs.unlinkSync(dbPath);
-    console.log("🗑️  Removed existing database file");
-  }
+  let db = null;
+  let closed = false;
+
+  try {
+    // Remove what is left of an earlier failed build
+    if (fs.existsSync(paths.staging)) {
+      removeDatabase(paths.staging);
+      console.log("🗑️  Removed previous staging database");
+    }
 
-  // Extract ZIP files first
-  await extractZipFiles();
+    // Unpack downloaded archives first
+    progress({ stage: "extract" });
+    for (const { adapter, dir } of sourceList) {
+      if (adapter.extract) {
+        await adapter.extract(dir);
+      }
+    }
 
-  const db = await Database.create(dbPath);
+    progress({ stage: "load" });
+    db = await Database.create(paths.staging);
 
-  try {
-    console.log("🚀 Starting postal codes ingestion...");
+    console.log(`🚀 Starting postal codes ingestion into ${paths.staging}...`);
 
     // Create countries table for normalization
     await db.run(`
@@ -130,112 +123,105 @@ async function ingestPostalCodes() {
                 latitude DECIMAL(10,7),
                 longitude DECIMAL(11,7),
                 accuracy TINYINT,
+                place_name_folded VARCHAR(180),
+                admin_name1_folded VARCHAR(100),
+                admin_name2_folded VARCHAR(100),
+                source_id SMALLINT,
                 FOREIGN KEY (country_id) REFERENCES countries(id)
             )
         `);
 
-    // Files to process - look in the raw data directory
-    const rawDataDir = path.join(process.cwd(), 'raw_data', 'geonames.org_all_countries');
-    const txtFiles = [
-      "allCountries.txt",
-      "CA_full.txt", 
-      "GB_full.txt",
-      "NL_full.txt",
-    ];
-
     const countryMap = new Map();
     let countryIdCounter = 1;
+    const sources = [];
 
-    // Process each TXT file
-    for (const filename of txtFiles) {
-      const fullPath = path.join(rawDataDir, filename);
-      
-      if (!fs.existsSync(fullPath)) {
-        console.log(`⚠️  File ${filename} not found, skipping...`);
+    // Process each input of each source; source_id is the file's data_sources id
+    for (const { adapter, dir } of sourceList) {
+      const inputs = adapter.discover(dir);
+      if (inputs.length === 0) {
+        console.log(`⚠️  No ${adapter.name} files found in ${dir}, skipping...`);
         continue;
       }
 
-      console.log(`📁 Processing ${filename}...`);
-      const startTime = Date.now();
-
-      // Use DuckDB's native CSV reading for better performance
-      const tempTableName = `temp_${filename.replace(/[^a-zA-Z0-9]/g, "_")}`;
-
-      await db.run(`
-                CREATE TEMPORARY TABLE ${tempTableName} (
-                    country_code VARCHAR(2),
-                    postal_code VARCHAR(20),
-                    place_name VARCHAR(180),
-                    admin_name1 VARCHAR(100),
-                    admin_code1 VARCHAR(20),
-                    admin_name2 VARCHAR(100),
-                    admin_code2 VARCHAR(20),
-                    admin_name3 VARCHAR(100),
-                    admin_code3 VARCHAR(20),
-                    latitude VARCHAR(20),
-                    longitude VARCHAR(20),
-                    accuracy VARCHAR(10)
-                )
-            `);
-
-      // Load TXT data into temp table with full path
-      await db.run(`
-                COPY ${tempTableName} FROM '${fullPath}' (
-                    DELIMITER '\t',
-                    HEADER false,
-                    NULL_PADDING true,
-                    IGNORE_ERRORS true
-                )
-            `);
-
-      // Get unique country codes and add to countries table
-      const countryRows = await db.all(`
-                SELECT DISTINCT country_code 
-                FROM ${tempTableName} 
-                WHERE country_code IS NOT NULL AND country_code != ''
-            `);
-
-      for (const row of countryRows) {
-        const countryCode = row.country_code;
-        if (!countryMap.has(countryCode)) {
-          countryMap.set(countryCode, countryIdCounter);
-          await db.run(
-            `INSERT OR IGNORE INTO countries (id, code) VALUES (${countryIdCounter}, '${countryCode}')`
-          );
-          countryIdCounter++;
+      for (const input of inputs) {
+        const filename = path.basename(input.file);
+        console.log(`📁 Processing ${filename} (${adapter.name})...`);
+        const startTime = Date.now();
+        const source = { ...await describeSourceFile(input.file), adapter: adapter.name };
+        const sourceId = sources.length + 1;
+        const [{ count: countBefore }] = await db.all("SELECT COUNT(*) as count FROM postal_codes");
+
+        // The adapter maps the file onto the standard columns, as text
+        const tempTableName = `temp_${filename.replace(/[^a-zA-Z0-9]/g, "_")}`;
+        await stageInput(db, adapter, input, tempTableName);
+
+        // Get unique country codes and add to countries table
+        const countryRows = await db.all(`
+                  SELECT DISTINCT country_code 
+                  FROM ${tempTableName} 
+                  WHERE country_code IS NOT NULL AND country_code != ''
+              `);
+
+        for (const row of countryRows) {
+          const countryCode = row.country_code;
+          if (!/^[A-Z]{2}$/.test(countryCode)) {
+            console.log(`⚠️  Skipping rows with country code "${countryCode}" (not a two-letter code)`);
+            continue;
+          }
+          if (!countryMap.has(countryCode)) {
+            countryMap.set(countryCode, countryIdCounter);
+            await db.run("INSERT OR IGNORE INTO countries (id, code) VALUES ($1, $2)", countryIdCounter, countryCode);
+            countryIdCounter++;
+          }
         }
+
+        // Insert data into main table with country_id mapping (remove only exact duplicate rows)
+        await db.run(`
+                  INSERT INTO postal_codes (country_id, postal_code, place_name, admin_name1, admin_code1, admin_name2, admin_code2, admin_name3, admin_code3, latitude, longitude, accuracy, source_id)
+                  SELECT DISTINCT
+                      c.id as country_id,
+                      t.postal_code,
+                      NULLIF(t.place_name, '') as place_name,
+                      NULLIF(t.admin_name1, '') as admin_name1,
+                      NULLIF(t.admin_code1, '') as admin_code1,
+                      NULLIF(t.admin_name2, '') as admin_name2,
+                      NULLIF(t.admin_code2, '') as admin_code2,
+                      NULLIF(t.admin_name3, '') as admin_name3,
+                      NULLIF(t.admin_code3, '') as admin_code3,
+                      TRY_CAST(t.latitude AS DECIMAL(10,7)) as latitude,
+                      TRY_CAST(t.longitude AS DECIMAL(11,7)) as longitude,
+                      TRY_CAST(t.accuracy AS TINYINT) as accuracy,
+                      ${sourceId} as source_id
+                  FROM ${tempTableName} t
+                  JOIN countries c ON c.code = t.country_code
+                  WHERE t.country_code IS NOT NULL 
+                  AND t.postal_code IS NOT NULL
+                  AND t.postal_code != ''
+              `);
+
+        // Drop temp table
+        await db.run(`DROP TABLE ${tempTableName}`);
+
+        const [{ count: countAfter }] = await db.all("SELECT COUNT(*) as count FROM postal_codes");
+        sources.push({ ...source, recordCount: Number(countAfter - countBefore) });
+        progress({ stage: "load", file: filename, rows: Number(countAfter - countBefore), totalRows: Number(countAfter) });
+
+        const duration = (Date.now() - startTime) / 1000;
+        console.log(`✅ Completed ${filename} in ${duration.toFixed(2)}s`);
       }
+    }
 
-      // Insert data into main table with country_id mapping (remove only exact duplicate rows)
-      await db.run(`
-                INSERT INTO postal_codes (country_id, postal_code, place_name, admin_name1, admin_code1, admin_name2, admin_code2, admin_name3, admin_code3, latitude, longitude, accuracy)
-                SELECT DISTINCT
-                    c.id as country_id,
-                    t.postal_code,
-                    NULLIF(t.place_name, '') as place_name,
-                    NULLIF(t.admin_name1, '') as admin_name1,
-                    NULLIF(t.admin_code1, '') as admin_code1,
-                    NULLIF(t.admin_name2, '') as admin_name2,
-                    NULLIF(t.admin_code2, '') as admin_code2,
-                    NULLIF(t.admin_name3, '') as admin_name3,
-                    NULLIF(t.admin_code3, '') as admin_code3,
-                    TRY_CAST(t.latitude AS DECIMAL(10,7)) as latitude,
-                    TRY_CAST(t.longitude AS DECIMAL(11,7)) as longitude,
-                    TRY_CAST(t.accuracy AS TINYINT) as accuracy
-                FROM ${tempTableName} t
-                JOIN countries c ON c.code = t.country_code
-                WHERE t.country_code IS NOT NULL 
-                AND t.postal_code IS NOT NULL
-                AND t.postal_code != ''
-            `);
-
-      // Drop temp table
-      await db.run(`DROP TABLE ${tempTableName}`);
-
-      const duration = (Date.now() - startTime) / 1000;
-      console.log(`✅ Completed ${filename} in ${duration.toFixed(2)}s`);
+    if (sources.length === 0) {
+      throw new Error(`No source files found (looked in ${sourceList.map((entry) => entry.dir).join(", ")})`);
     }
 
+    // Fill the accent/case-folded copies of the name columns used by name searches
+    console.log("🔤 Building folded name columns...");
+    await db.run(`
+            UPDATE postal_codes SET
+                ${FOLDED_NAME_COLUMNS.map((column) => `${column}_folded = ${foldSql(column)}`).join(",\n                ")}
+        `);
+
     // Get final statistics
     const stats = await db.all(`
             SELECT 
@@ -253,18 +239,98 @@ async function ingestPostalCodes() {
     console.log(`   Postal codes: ${stats[0].total_records.toLocaleString()}`);
     console.log(`   Unique countries in data: ${stats[0].unique_countries}`);
 
+    // Record the source files and the dataset version of this build, and the build it replaces
+    const liveManifest = readManifest(paths.live);
+    const dataset = await recordDatasetVersion(db, sources, new Date(), liveManifest ? liveManifest.version : null);
+    console.log(`   Dataset version: ${dataset.version} (${sources.map((source) => source.name).join(", ")})`);
+
     // Optimize database using the dedicated optimization function
+    progress({ stage: "optimize" });
     await optimizeDatabase(db);
 
+    // Check the staging build against the live one before it goes anywhere near it
+    progress({ stage: "swap" });
+    console.log("\n🔍 Running integrity checks...");
+    const baseline = await loadBaseline(db, paths.live);
+    if (!baseline) {
+      console.log("   No previous build to compare against");
+    }
+
+    const report = await checkBuild(db, baseline, options.thresholds);
+    progress({ stage: "swap", checks: report.checks, previousTotalRows: baseline ? baseline.totalRecords : null });
+    for (const check of report.checks) {
+      console.log(`   ${check.passed ? "✅" : "❌"} ${check.name}: ${check.detail}`);
+    }
+    if (report.deltas.length > 0) {
+      console.log("   Largest per-country changes:");
+      for (const delta of report.deltas.slice(0, 10)) {
+        console.log(`     ${delta.country}: ${delta.before} -> ${delta.after} (${delta.change > 0 ? "+" : ""}${delta.change})`);
+      }
+    }
+
+    if (!report.passed && !options.force) {
+      throw new Error(
+        `Integrity checks failed; the live database was not replaced. ` +
+        `The build is kept at ${paths.staging} for inspection (rerun with --force to use it anyway)`
+      );
+    }
+    if (!report.passed) {
+      console.log("⚠️  Integrity checks failed, promoting anyway (--force)");
+    }
+
+    // Changelog against the live build, then a snapshot of this build for the next one to compare with
+    console.log("\n📝 Recording changes...");
+    const changelog = await recordChangelog(db, paths.live, dataset, liveManifest, {
+      minShiftKm: options.thresholds && options.thresholds.minShiftKm,
+    });
+    if (changelog) {
+      console.log(`   Since ${changelog.previousVersion}: ${changelog.counts.added} added, ` +
+        `${changelog.counts.removed} removed, ${changelog.counts.changed} changed`);
+    } else {
+      console.log("   The live build has no snapshot to compare with; changes are recorded from the next build on");
+    }
+    await exportSnapshot(db, paths.staging);
+
+    await db.close();
+    closed = true;
+
+    writeManifest(paths.staging, {
+      version: dataset.version,
+      builtAt: dataset.builtAt,
+      ...report.profile,
+    });
+    promoteBuild(paths);
+
+    console.log(`🔁 ${paths.live} now serves ${dataset.version}` +
+      (fs.existsSync(paths.previous) ? ` (previous build kept at ${paths.previous})` : ""));
     console.log("✨ Ingestion completed successfully!");
 
-    return db;
+    return { dbPath: paths.live, dataset, report, changelog };
   } catch (error) {
     console.error("❌ Error during ingestion:", error);
     throw error;
+  } finally {
+    if (db && !closed) {
+      await db.close();
+    }
+    releaseLock();
   }
 }
 
+/**
+ * Restores the previous build. The build it replaces becomes the previous one,
+ * so running it again rolls forward.
+ */
+function rollbackDatabase(options = {}) {
+  const paths = buildPaths(options.dbPath || DEFAULT_DB_PATH);
+  const manifest = rollbackBuild(paths);
+
+  console.log(`⏪ Restored previous build to ${paths.live}` +
+    (manifest ? ` (${manifest.version}, ${manifest.totalRecords.toLocaleString()} postal codes)` : ""));
+
+  return manifest;
+}
+
 /**
  * Query function optimized for country + postal code lookups
  */
@@ -295,41 +361,84 @@ async function queryPostalCode(db, countryCode, postalCode) {
 // Export functions
 module.exports = {
   ingestPostalCodes,
+  rollbackDatabase,
   queryPostalCode,
   extractZipFiles,
+  thresholdsFromEnv,
 };
 
+// Usage for --help / -h
+function printHelp() {
+  console.log(`
+Postal Code Ingestion
+
+Usage: node src/ingest-postal-codes.js [options]
+
+Options:
+  --force        Replace the live database even if integrity checks fail
+  --rollback     Restore the previous build instead of ingesting
+  --help, -h     Show this help message
+
+The build is written to data/postal_codes_staging.duckdb, checked against the live
+build (total rows, per-country row counts, sample lookups) and then renamed over
+data/postal_codes.duckdb. The replaced build is kept as data/postal_codes_previous.duckdb.
+
+Sources (environment):
+  INGEST_SOURCES               Source adapters to read, comma-separated (default: all of
+                               geonames, opendatasoft, csv). Each reads its directory under
+                               raw_data/: geonames.org_all_countries, opendatasoft.com_allcountries
+                               and custom (CSV files with a <name>.mapping.json each)
+
+Check thresholds (environment):
+  INGEST_MAX_ROW_DROP          Largest allowed drop in total rows (default: 0.05)
+  INGEST_MAX_COUNTRY_DROP      Largest allowed drop per country (default: 0.2)
+  INGEST_MIN_SAMPLE_HIT_RATE   Share of previous sample codes that must resolve (default: 0.95)
+  INGEST_CHANGE_MIN_SHIFT_KM   Coordinate moves recorded in the changelog (default: 1 km)
+`);
+}
+
+// Thresholds from the environment; unset ones keep their defaults
+function thresholdsFromEnv() {
+  const thresholds = {};
+  const variables = {
+    maxRowDrop: "INGEST_MAX_ROW_DROP",
+    maxCountryDrop: "INGEST_MAX_COUNTRY_DROP",
+    minSampleHitRate: "INGEST_MIN_SAMPLE_HIT_RATE",
+    minShiftKm: "INGEST_CHANGE_MIN_SHIFT_KM",
+  };
+
+  for (const [name, variable] of Object.entries(variables)) {
+    const value = parseFloat(process.env[variable]);
+    if (Number.isFinite(value)) {
+      thresholds[name] = value;
+    }
+  }
+
+  return thresholds;
+}
+
 // Run if called directly
 if (require.main === module) {
-  ingestPostalCodes()
-    .then(async (db) => {
-      console.log("\n🔍 Testing query...");
-      
-      // Get a sample record to test with
-      const sample = await db.all('SELECT * FROM postal_codes LIMIT 1');
-      if (sample.length > 0) {
-        const countryId = sample[0].country_id;
-        const postalCode = sample[0].postal_code;
-        
-        // Get country code for this ID
-        const country = await db.all('SELECT code FROM countries WHERE id = $1', countryId);
-        
-        console.log(`Testing with country: ${country[0].code}, postal code: ${postalCode}`);
-        
-        // Test the query function
-        const result = await queryPostalCode(db, country[0].code, postalCode);
-        console.log("Query result:", result);
-      }
-      
-      await db.close();
-      return true;
-    })
+  if (process.argv.includes("--help") || process.argv.includes("-h")) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const run = process.argv.includes("--rollback") ?
+    async () => rollbackDatabase() :
+    () => ingestPostalCodes({
+      sources: process.env.INGEST_SOURCES,
+      force: process.argv.includes("--force"),
+      thresholds: thresholdsFromEnv(),
+    });
+
+  run()
     .then(() => {
-      console.log("✅ All tests passed!");
+      console.log("A running API server picks up the new database with POST /admin/reload (or on its own with RELOAD_WATCH_ENABLED=true).");
       process.exit(0);
     })
     .catch((error) => {
-      console.error("Fatal error:", error);
+      console.error("Fatal error:", error.message);
       process.exit(1);
     });
 }
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+const PostalCodeDatabase = require('../database/schema');
+const ApiKeyService = require('../services/api-key-service');
+
+// Key management output goes to the terminal only; keys must not end up in log files
+const logger = {
+    info: () => {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+const USAGE = `
+Postal Code API Key Management
+
+Usage:
+  npm run keys -- create --name <name> [--scopes read,batch,admin] [--rate-limit <per minute>] [--monthly-quota <requests>]
+  npm run keys -- list [--all]
+  npm run keys -- revoke <key id>
+
+Options:
+  --name            Team or client the key belongs to (required for create)
+  --scopes          Comma-separated scopes: ${ApiKeyService.SCOPES.join(', ')} (default: read)
+  --rate-limit      Requests per minute (default: API_KEY_DEFAULT_RATE_LIMIT or 600)
+  --monthly-quota   Requests per calendar month, UTC (default: unlimited)
+  --all             Include revoked keys in the list
+  --help, -h        Show this help message
+
+The database is locked while the server runs; use the /admin/keys endpoints
+with an admin key or REFRESH_AUTH_TOKEN instead.
+`;
+
+// "--name x --all" -> { name: 'x', all: true }, other words -> positional
+function parseArgs(args) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].substring(2);
+            const value = args[i + 1];
+            if (value === undefined || value.startsWith('--')) {
+                options[name] = true;
+            } else {
+                options[name] = value;
+                i++;
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    return { options, positional };
+}
+
+function printKey(apiKey) {
+    console.log(`  ${apiKey.id}  ${apiKey.name}`);
+    console.log(`    status: ${apiKey.status}, scopes: ${apiKey.scopes.join(',')}, ` +
+        `rate limit: ${apiKey.rateLimitPerMinute}/min, monthly quota: ${apiKey.monthlyQuota ?? 'unlimited'}`);
+    if (apiKey.usage) {
+        console.log(`    ${apiKey.usage.month}: ${apiKey.usage.requests} requests` +
+            (apiKey.usage.remaining === null ? '' : `, ${apiKey.usage.remaining} remaining`));
+    }
+}
+
+async function manageApiKeys(command, args) {
+    const { options, positional } = parseArgs(args);
+    const database = new PostalCodeDatabase();
+
+    try {
+        await database.connect();
+    } catch (error) {
+        console.error(`Cannot open the database: ${error.message}`);
+        console.error('If the server is running, manage keys through the /admin/keys endpoints instead.');
+        throw error;
+    }
+
+    try {
+        await database.createTables();
+        const apiKeyService = new ApiKeyService(database, logger, {
+            defaultRateLimit: parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || undefined
+        });
+
+        switch (command) {
+        case 'create': {
+            const result = await apiKeyService.createKey({
+                name: typeof options.name === 'string' ? options.name : '',
+                scopes: typeof options.scopes === 'string' ? options.scopes : undefined,
+                rateLimitPerMinute: options['rate-limit'],
+                monthlyQuota: options['monthly-quota']
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            console.log('Created API key:');
+            printKey(result.apiKey);
+            console.log(`\n  ${result.key}\n`);
+            console.log('Store the key now; it cannot be shown again.');
+            break;
+        }
+
+        case 'list': {
+            const keys = await apiKeyService.listKeys({ includeRevoked: options.all === true });
+            console.log(keys.length > 0 ? `${keys.length} API key(s):` : 'No API keys.');
+            keys.forEach(printKey);
+            break;
+        }
+
+        case 'revoke': {
+            if (!positional[0]) {
+                throw new Error('Usage: npm run keys -- revoke <key id>');
+            }
+            const result = await apiKeyService.revokeKey(positional[0]);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            console.log('Revoked API key:');
+            printKey(result.apiKey);
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command: ${command || '(none)'}\n${USAGE}`);
+        }
+    } finally {
+        await database.close();
+    }
+}
+
+// Handle command line arguments
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+// Run if called directly
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+
+    manageApiKeys(command, args)
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { manageApiKeys };
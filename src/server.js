@@ -6,13 +6,107 @@ const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 const { spawn } = require('child_process');
 const path = require('path');
+const readline = require('readline');
 const fs = require('fs-extra');
+const crypto = require('crypto');
 
 // Import our custom modules
 const PostalCodeDatabase = require('./database/schema');
 const SearchService = require('./services/search-service');
+const JobService = require('./services/job-service');
+const ResultCache = require('./services/result-cache');
+const ApiKeyService = require('./services/api-key-service');
+const RefreshService = require('./services/refresh-service');
+const ChangeService = require('./services/change-service');
+const { readManifest } = require('./database/dataset-builds');
+const { CHANGE_FIELDS } = require('./database/dataset-changes');
+const { MAX_POLYGON_POSITIONS, isValidCoordinate, toPolygonGeometry, countPositions } = require('./utils/geo');
+const {
+    negotiateFormat,
+    toFeatureCollection,
+    resolveFields,
+    toCsv,
+    toNdjson
+} = require('./utils/response-format');
+
+// Browse listings (countries, admin areas) have no coordinates, so no GeoJSON
+const TABULAR_FORMATS = ['json', 'csv', 'ndjson'];
+
+// Endpoints whose GET answers depend only on the request and the dataset build,
+// so they carry the dataset version as ETag / Last-Modified
+const DATASET_READ_ENDPOINTS = [
+    '/lookup', '/validate', '/suggest', '/search', '/reverse', '/nearby',
+    '/within', '/distance', '/countries', '/version', '/changes'
+];
 // Removed configurable data processor - using direct ingest now
 
+/**
+ * Region subtags from an Accept-Language header in preference order,
+ * e.g. "en-GB,en;q=0.9,de-DE;q=0.8" -> ['GB', 'DE']
+ */
+function acceptLanguageRegions(header) {
+    if (!header) {
+        return [];
+    }
+
+    return header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const quality = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+            const region = tag.split('-').find((subtag, i) => i > 0 && /^[A-Za-z]{2}$/.test(subtag));
+            return { region: region ? region.toUpperCase() : null, quality: Number.isFinite(quality) ? quality : 0, index };
+        })
+        .filter(entry => entry.region && entry.quality > 0)
+        .sort((a, b) => (b.quality - a.quality) || (a.index - b.index))
+        .map(entry => entry.region);
+}
+
+// Identity of requests made with the operator token (REFRESH_AUTH_TOKEN)
+const OPERATOR_KEY = Object.freeze({
+    id: 'operator',
+    name: 'operator',
+    scopes: ApiKeyService.SCOPES,
+    operator: true
+});
+
+function tokensMatch(token, expected) {
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Scope an endpoint needs from an API key: batch for bulk endpoints, admin for
+ * /admin, none for health checks and documentation, read for everything else
+ */
+function requiredScope(requestPath) {
+    if (requestPath === '/' || requestPath === '/health') {
+        return null;
+    }
+    if (requestPath.startsWith('/admin')) {
+        return 'admin';
+    }
+    if (requestPath.startsWith('/lookup/batch') || requestPath.startsWith('/jobs')) {
+        return 'batch';
+    }
+    return 'read';
+}
+
+// The build a point-in-time answer comes from, as reported with it
+function describeHistory(history) {
+    return {
+        date: history.asOf,
+        version: history.version,
+        builtAt: history.builtAt
+    };
+}
+
+// Status code for a failed service result; a rejected pagination cursor is a client error
+function failureStatus(result) {
+    return result.reason === 'invalid_cursor' ? 400 : 500;
+}
+
 // Configure logger
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
@@ -40,9 +134,20 @@ class PostalCodeServer {
         this.port = process.env.PORT || 3000;
         this.database = null;
         this.searchService = null;
+        this.jobService = null;
+        this.resultCache = null;
+        this.datasetVersion = null;
+        this.apiKeyService = null;
+        this.refreshService = null;
+        this.changeService = null;
+        this.reloadInProgress = false;
+        this.lastReload = null; // Outcome of the most recent reload, for /health
+        this.databaseWatcher = null;
         // Removed dataProcessor - using direct ingest now
-        // Removed refreshInProgress - using direct ingest now
-        // Removed authToken - no longer needed without refresh endpoints
+        // Operator token with every scope and no limits, for bootstrapping API keys
+        this.authToken = process.env.REFRESH_AUTH_TOKEN || null;
+        // Without it, requests that carry no key fall back to the per-IP limits
+        this.apiKeysRequired = process.env.API_KEYS_REQUIRED === 'true';
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -60,10 +165,57 @@ class PostalCodeServer {
             await this.database.connect();
             await this.database.createTables();
 
+            this.datasetVersion = await this.database.getDatasetVersion();
+            logger.info(`Serving dataset version ${this.datasetVersion.version}`);
+
+            // Result cache for lookups, suggestions and validation, flushed when the dataset changes
+            // CACHE_MAX_ENTRIES=0 disables the cache; only an unset or unparsable value means the default
+            const cacheMaxEntries = parseInt(process.env.CACHE_MAX_ENTRIES);
+            this.resultCache = new ResultCache({
+                enabled: process.env.CACHE_ENABLED !== 'false',
+                maxEntries: Number.isNaN(cacheMaxEntries) ? undefined : cacheMaxEntries,
+                ttlMs: parseInt(process.env.CACHE_TTL_MS) || undefined,
+                logger
+            });
+            this.resultCache.watch(() => this.database.getDatasetFingerprint());
+
             // Initialize services
-            this.searchService = new SearchService(this.database, logger);
+            this.searchService = new SearchService(this.database, logger, {
+                cache: this.resultCache,
+                cacheScope: this.datasetVersion.version
+            });
+            this.jobService = new JobService(this.database, this.searchService, logger, {
+                jobsDir: process.env.JOBS_DIR,
+                maxUploadBytes: parseInt(process.env.JOB_MAX_UPLOAD_MB) * 1024 * 1024 || undefined
+            });
+            this.apiKeyService = new ApiKeyService(this.database, logger, {
+                defaultRateLimit: parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || undefined
+            });
+            this.apiKeyService.start();
+            this.changeService = new ChangeService(this.database, logger);
+            this.refreshService = new RefreshService(this.database, logger, {
+                baseUrl: process.env.REFRESH_BASE_URL,
+                files: process.env.REFRESH_FILES ? process.env.REFRESH_FILES.split(',').map(file => file.trim()).filter(Boolean) : undefined,
+                rawDataDir: process.env.RAW_DATA_DIR,
+                sources: process.env.INGEST_SOURCES,
+                dbPath: this.database.dbPath,
+                schedule: process.env.REFRESH_SCHEDULE || '0 3 * * 0',
+                reload: (run) => this.reloadAfterRefresh(run)
+            });
             // Removed dataProcessor initialization - using direct ingest now
 
+            // Pick up bulk jobs that were queued or running before the last shutdown
+            await this.jobService.resumeJobs();
+            await this.refreshService.recoverInterruptedRuns();
+
+            if (process.env.BACKGROUND_REFRESH_ENABLED === 'true') {
+                this.refreshService.start();
+            }
+
+            if (process.env.RELOAD_WATCH_ENABLED === 'true') {
+                this.watchDatabaseFile();
+            }
+
             logger.info('Server initialization completed');
         } catch (error) {
             logger.error('Server initialization failed:', error);
@@ -71,13 +223,177 @@ class PostalCodeServer {
         }
     }
 
+    /**
+     * Switches to the database file currently on disk without a restart: opens it next to
+     * the current connection, warms it up, swaps the PostalCodeDatabase and SearchService,
+     * and closes the old connection once its in-flight queries have finished. Requests keep
+     * being served from the old build until the swap; a new file that fails to open or to
+     * answer its health check is discarded and the old build stays in service.
+     */
+    async reloadDatabase(trigger = 'manual') {
+        if (this.reloadInProgress) {
+            return { success: false, reason: 'in_progress', error: 'A reload is already in progress' };
+        }
+
+        this.reloadInProgress = true;
+        const startTime = Date.now();
+        const oldDatabase = this.database;
+        const previousVersion = this.datasetVersion ? this.datasetVersion.version : null;
+        const database = new PostalCodeDatabase(oldDatabase.dbPath, oldDatabase.statePath);
+
+        try {
+            // The running connection already has this very file open (nothing was swapped in)
+            const stat = await fs.stat(oldDatabase.dbPath).catch(() => null);
+            if (!stat) {
+                return { success: false, reason: 'missing', error: `Database file not found: ${oldDatabase.dbPath}` };
+            }
+            if (`${stat.dev}:${stat.ino}` === oldDatabase.fileId) {
+                return { success: true, reloaded: false, reason: 'unchanged', version: previousVersion };
+            }
+
+            logger.info(`Reloading database (${trigger})`);
+            await database.connect(oldDatabase);
+            await database.createTables();
+
+            const datasetVersion = await database.getDatasetVersion();
+            const searchService = new SearchService(database, logger, {
+                cache: this.resultCache,
+                cacheScope: datasetVersion.version
+            });
+            await this.warmUp(database, searchService);
+
+            // Swap: new requests and the job runner use the new build from here on
+            this.database = database;
+            this.searchService = searchService;
+            this.datasetVersion = datasetVersion;
+            this.jobService.useDatabase(database, searchService);
+            this.apiKeyService.useDatabase(database);
+            this.refreshService.useDatabase(database);
+            this.changeService.useDatabase(database);
+            this.resultCache.flush('database reloaded');
+            this.resultCache.noteFingerprint(await database.getDatasetFingerprint());
+
+            const durationMs = Date.now() - startTime;
+            logger.info(`Serving dataset version ${datasetVersion.version} (was ${previousVersion}), reloaded in ${durationMs}ms`);
+
+            this.retireDatabase(oldDatabase);
+
+            this.lastReload = {
+                success: true,
+                trigger,
+                previousVersion,
+                version: datasetVersion.version,
+                durationMs,
+                completedAt: new Date().toISOString()
+            };
+            return { ...this.lastReload, reloaded: true };
+        } catch (error) {
+            logger.error('Database reload failed, still serving the previous build:', error);
+            await database.close({ keepState: true }).catch(() => {});
+
+            this.lastReload = {
+                success: false,
+                trigger,
+                version: previousVersion,
+                error: error.message,
+                completedAt: new Date().toISOString()
+            };
+            return { ...this.lastReload, reason: 'failed' };
+        } finally {
+            this.reloadInProgress = false;
+        }
+    }
+
+    // The dataset history a ?asOf= parameter refers to ({ success, history }; history is null without asOf)
+    async resolveHistory(asOf) {
+        if (asOf === undefined) {
+            return { success: true, history: null };
+        }
+
+        const resolved = await this.changeService.resolveAsOf(asOf);
+        if (!resolved.success) {
+            return { success: false, statusCode: resolved.reason === 'invalid' ? 400 : 404, result: resolved };
+        }
+
+        return resolved;
+    }
+
+    // Switches to a build a refresh has just promoted; waits out a watcher reload of the same file
+    async reloadAfterRefresh(run) {
+        let result = await this.reloadDatabase(`refresh #${run.id}`);
+        while (!result.success && result.reason === 'in_progress') {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            result = await this.reloadDatabase(`refresh #${run.id}`);
+        }
+        return result;
+    }
+
+    /**
+     * Touches the new build before it takes traffic: the health check query plus lookups of
+     * the sample codes recorded in its manifest, so the first requests do not pay for cold pages
+     */
+    async warmUp(database, searchService) {
+        const health = await searchService.healthCheck();
+        if (!health.healthy) {
+            throw new Error(`New database failed its health check: ${health.error || 'no records'}`);
+        }
+
+        const manifest = readManifest(database.dbPath);
+        const samples = manifest ? manifest.samples.slice(0, 50) : [];
+        const statements = database.getStatements();
+        for (const sample of samples) {
+            await statements.findExact(sample.country, sample.postalCode);
+        }
+    }
+
+    // Closes a replaced connection once requests still using it have finished
+    async retireDatabase(database) {
+        const idle = await database.drain();
+        if (!idle) {
+            logger.warn('Replaced database connection still busy after 30s, closing it anyway');
+        }
+
+        try {
+            await database.close({ keepState: true });
+        } catch (error) {
+            logger.error('Failed to close the replaced database connection:', error);
+        }
+    }
+
+    /**
+     * Reloads when the database file is replaced (ingest, rollback). Watches the data
+     * directory, since the file is swapped in by renaming; bursts of events are coalesced.
+     */
+    watchDatabaseFile() {
+        const dbFile = path.basename(this.database.dbPath);
+        let timer = null;
+
+        this.databaseWatcher = fs.watch(path.dirname(this.database.dbPath), (eventType, filename) => {
+            if (filename !== dbFile) {
+                return;
+            }
+
+            clearTimeout(timer);
+            timer = setTimeout(async () => {
+                const result = await this.reloadDatabase('file watcher');
+                if (!result.success && result.reason !== 'missing') {
+                    logger.warn(`Watched reload did not complete: ${result.error}`);
+                }
+            }, 2000);
+        });
+        this.databaseWatcher.unref();
+
+        logger.info(`Watching ${this.database.dbPath} for replacement`);
+    }
+
     setupMiddleware() {
         // Security middleware
         this.app.use(helmet());
         this.app.use(cors({
             origin: process.env.CORS_ORIGIN || '*',
-            methods: ['GET', 'POST'],
-            allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token']
+            methods: ['GET', 'POST', 'DELETE'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'x-api-key'],
+            exposedHeaders: ['X-Next-Cursor', 'ETag', 'X-Quota-Limit', 'X-Quota-Remaining']
         }));
 
         // Performance middleware
@@ -90,19 +406,39 @@ class PostalCodeServer {
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true }));
 
-        // Rate limiting
+        // API key authentication and scopes (before the limiters, which count per key)
+        this.app.use((req, res, next) => this.authMiddleware(req, res, next));
+        this.app.use((req, res, next) => this.scopeMiddleware(req, res, next));
+
+        // Rate limiting: requests with an API key are counted per key against the key's
+        // own limit, others per IP. The operator token (REFRESH_AUTH_TOKEN) is not limited.
+        const hasApiKey = req => Boolean(req.apiKey);
+
         const generalLimiter = rateLimit({
             windowMs: 15 * 60 * 1000, // 15 minutes
             max: 1000, // Limit each IP to 1000 requests per windowMs
+            skip: hasApiKey,
             message: {
                 error: 'Too many requests from this IP, please try again later',
                 retryAfter: '15 minutes'
             }
         });
 
+        const apiKeyLimiter = rateLimit({
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: req => req.apiKey.rateLimitPerMinute, // Limit each key to its own requests per minute
+            keyGenerator: req => `key:${req.apiKey.id}`,
+            skip: req => !req.apiKey || req.apiKey.operator,
+            message: req => ({
+                error: `Rate limit of ${req.apiKey.rateLimitPerMinute} requests per minute exceeded for API key ${req.apiKey.id}`,
+                retryAfter: '1 minute'
+            })
+        });
+
         const searchLimiter = rateLimit({
             windowMs: 1 * 60 * 1000, // 1 minute
             max: 100, // Limit each IP to 100 searches per minute
+            skip: hasApiKey,
             message: {
                 error: 'Too many search requests, please try again later',
                 retryAfter: '1 minute'
@@ -112,25 +448,78 @@ class PostalCodeServer {
         // Removed refresh limiter - refresh endpoints removed
 
         this.app.use(generalLimiter);
+        this.app.use(apiKeyLimiter);
         this.app.use('/lookup', searchLimiter);
+        this.app.use('/reverse', searchLimiter);
+        this.app.use('/nearby', searchLimiter);
+        this.app.use('/distance', searchLimiter);
+        this.app.use('/search', searchLimiter);
+        this.app.use('/parse', searchLimiter);
+        this.app.use('/within', searchLimiter);
+        this.app.use('/jobs', searchLimiter);
         // Removed refresh route limiter
 
+        // Monthly quotas of API keys
+        this.app.use((req, res, next) => this.quotaMiddleware(req, res, next));
+
         // Request logging
         this.app.use((req, res, next) => {
             const start = Date.now();
+            // req.path is relative to the mount point while a mounted middleware (e.g. a 304) ends the request
+            const requestPath = req.path;
             res.on('finish', () => {
                 const duration = Date.now() - start;
-                logger.info(`${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`, {
+                logger.info(`${req.method} ${requestPath} - ${res.statusCode} - ${duration}ms`, {
                     method: req.method,
-                    path: req.path,
+                    path: requestPath,
                     statusCode: res.statusCode,
                     duration,
                     ip: req.ip,
+                    apiKey: req.apiKey ? req.apiKey.id : undefined,
                     userAgent: req.get('User-Agent')
                 });
             });
             next();
         });
+
+        // Conditional requests against the dataset version
+        this.app.use(DATASET_READ_ENDPOINTS, (req, res, next) => this.datasetValidators(req, res, next));
+    }
+
+    /**
+     * Answers a GET whose If-None-Match or If-Modified-Since matches the dataset version with
+     * 304 before any query runs. Otherwise keeps the validators, a weak ETag of the version
+     * (the body still varies by format) and its build time as Last-Modified, in res.locals
+     * for setDatasetValidators, so that only successful responses carry them.
+     */
+    datasetValidators(req, res, next) {
+        if ((req.method !== 'GET' && req.method !== 'HEAD') || !this.datasetVersion) {
+            return next();
+        }
+
+        const validators = {
+            'ETag': `W/"${this.datasetVersion.version}"`,
+            'Last-Modified': new Date(this.datasetVersion.builtAt).toUTCString()
+        };
+        res.vary('Accept');
+
+        // req.fresh compares the request against the response headers
+        res.set(validators);
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        res.removeHeader('ETag');
+        res.removeHeader('Last-Modified');
+
+        res.locals.datasetValidators = validators;
+        next();
+    }
+
+    // Sets the validators datasetValidators kept for this request on a 2xx response
+    setDatasetValidators(res, statusCode) {
+        if (res.locals.datasetValidators && statusCode >= 200 && statusCode < 300) {
+            res.set(res.locals.datasetValidators);
+        }
     }
 
     setupRoutes() {
@@ -149,7 +538,13 @@ class PostalCodeServer {
                 res.status(health.healthy ? 200 : 503).json({
                     status: health.healthy ? 'healthy' : 'unhealthy',
                     timestamp: new Date().toISOString(),
-                    refreshInProgress: false, // Always false - use 'npm run ingest' for updates
+                    refreshInProgress: this.refreshService ? this.refreshService.isRunning() : false,
+                    dataset: this.datasetVersion && {
+                        version: this.datasetVersion.version,
+                        builtAt: this.datasetVersion.builtAt
+                    },
+                    reloadInProgress: this.reloadInProgress,
+                    lastReload: this.lastReload,
                     ...health
                 });
             } catch (error) {
@@ -164,25 +559,56 @@ class PostalCodeServer {
         // Main lookup endpoint
         this.app.get('/lookup', async (req, res) => {
             try {
-                const { country, postalCode, fuzzy } = req.query;
+                const { country, postalCode, fuzzy, countryHint, asOf } = req.query;
 
                 // Validate required parameters
-                if (!country || !postalCode) {
+                if (!postalCode) {
                     return res.status(400).json({
                         success: false,
-                        error: 'Missing required parameters: country and postalCode',
+                        error: 'Missing required parameter: postalCode',
                         example: '/lookup?country=US&postalCode=90210'
                     });
                 }
 
+                if (asOf !== undefined && !country) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'asOf lookups need a country',
+                        example: '/lookup?country=US&postalCode=90210&asOf=2025-01-01'
+                    });
+                }
+
+                // Without a country, find every country where the code exists
+                if (!country) {
+                    // The regions in Accept-Language rank the detected countries
+                    res.vary('Accept-Language');
+                    const preferredCountries = [
+                        ...(countryHint ? [countryHint] : []),
+                        ...acceptLanguageRegions(req.get('Accept-Language'))
+                    ];
+
+                    const detected = await this.searchService.detectCountry(postalCode, preferredCountries);
+                    const detectedStatus = detected.success ?
+                        (detected.results.length > 0 ? 200 : 404) :
+                        500;
+
+                    return this.sendResult(req, res, detectedStatus, detected);
+                }
+
                 // Convert fuzzy parameter (default to true)
                 const enableFuzzy = fuzzy !== 'false' && fuzzy !== '0';
 
+                const history = await this.resolveHistory(asOf);
+                if (!history.success) {
+                    return res.status(history.statusCode).json(history.result);
+                }
+
                 // Perform search
                 const result = await this.searchService.searchPostalCode(
                     country, 
                     postalCode, 
-                    enableFuzzy
+                    enableFuzzy,
+                    { history: history.history }
                 );
 
                 // Set appropriate status code
@@ -190,7 +616,7 @@ class PostalCodeServer {
                     (result.results.length > 0 ? 200 : 404) : 
                     500;
 
-                res.status(statusCode).json(result);
+                this.sendResult(req, res, statusCode, history.history ? { ...result, asOf: describeHistory(history.history) } : result);
 
             } catch (error) {
                 logger.error('Lookup endpoint error:', error);
@@ -228,11 +654,24 @@ class PostalCodeServer {
 
                 const results = await this.searchService.searchMultiple(searches);
 
-                res.json({
+                // Non-JSON formats flatten every search's matches, tagged with the batch
+                // position and query; searches without a match keep a placeholder row
+                this.sendResult(req, res, 200, {
                     success: true,
                     count: results.length,
                     results
-                });
+                }, results.flatMap((search, index) => {
+                    const batchColumns = {
+                        batch_index: index,
+                        query_country: search.query.country,
+                        query_postal_code: search.query.postalCode,
+                        match_type: search.matchType || 'none'
+                    };
+
+                    return search.results && search.results.length > 0 ?
+                        search.results.map(record => ({ ...batchColumns, ...record })) :
+                        [batchColumns];
+                }));
 
             } catch (error) {
                 logger.error('Batch lookup endpoint error:', error);
@@ -243,10 +682,72 @@ class PostalCodeServer {
             }
         });
 
-        // Validation endpoint - Quick true/false check
+        // Streaming batch lookup - NDJSON in, one NDJSON result line out per input line
+        this.app.post('/lookup/batch/stream', async (req, res) => {
+            const startTime = Date.now();
+            let clientGone = false;
+
+            res.on('close', () => {
+                if (!res.writableFinished) {
+                    clientGone = true;
+                }
+            });
+
+            const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+
+            // Respect socket backpressure; a vanished client resolves pending writes
+            const writeResult = (output) => new Promise(resolve => {
+                if (clientGone) {
+                    return resolve();
+                }
+
+                const flushed = res.write(JSON.stringify(output) + '\n');
+                if (typeof res.flush === 'function') {
+                    res.flush(); // push through compression as results arrive
+                }
+
+                if (flushed) {
+                    return resolve();
+                }
+
+                // Whichever fires first removes the other, so stalled writes do not pile up listeners
+                const settle = () => {
+                    res.off('drain', settle);
+                    res.off('close', settle);
+                    resolve();
+                };
+                res.on('drain', settle);
+                res.on('close', settle);
+            });
+
+            try {
+                res.status(200).type('application/x-ndjson');
+
+                const summary = await this.searchService.searchStream(lines, writeResult, {
+                    concurrency: req.query.concurrency,
+                    isCancelled: () => clientGone
+                });
+
+                logger.info(`Streaming batch finished: ${summary.processed} lookups, ${summary.failed} failed, ` +
+                    `cancelled=${summary.cancelled} in ${Date.now() - startTime}ms`);
+
+            } catch (error) {
+                logger.error('Streaming batch endpoint error:', error);
+                if (!clientGone) {
+                    res.write(JSON.stringify({ success: false, error: 'Internal server error' }) + '\n');
+                }
+            } finally {
+                lines.close();
+                if (!clientGone) {
+                    res.end();
+                }
+            }
+        });
+
+        // Validation endpoint - Quick true/false check, or format details with ?detailed=true
         this.app.get('/validate', async (req, res) => {
             try {
-                const { country, postalCode } = req.query;
+                const { country, postalCode, detailed, asOf } = req.query;
 
                 if (!country || !postalCode) {
                     return res.status(400).json({
@@ -256,11 +757,25 @@ class PostalCodeServer {
                     });
                 }
 
+                const history = await this.resolveHistory(asOf);
+                if (!history.success) {
+                    return res.status(history.statusCode).json(history.result);
+                }
+
+                if (detailed === 'true' || detailed === '1') {
+                    const validation = await this.searchService.validatePostalCode(country, postalCode, { history: history.history });
+                    const validationStatus = validation.success ? 200 : 500;
+                    this.setDatasetValidators(res, validationStatus);
+                    return res.status(validationStatus)
+                        .json(history.history ? { ...validation, asOf: describeHistory(history.history) } : validation);
+                }
+
                 // Perform exact match only for validation
                 const result = await this.searchService.searchPostalCode(
                     country, 
                     postalCode, 
-                    { fuzzy: false, limit: 1 }
+                    false,
+                    { history: history.history }
                 );
 
                 // Return simple boolean based on exact match
@@ -269,6 +784,7 @@ class PostalCodeServer {
                               result.results && 
                               result.results.length > 0;
 
+                this.setDatasetValidators(res, 200);
                 res.json(isValid);
 
             } catch (error) {
@@ -280,7 +796,7 @@ class PostalCodeServer {
         // Suggestion endpoint
         this.app.get('/suggest', async (req, res) => {
             try {
-                const { country, partial, limit } = req.query;
+                const { country, partial, limit, pageSize, cursor } = req.query;
 
                 if (!country || !partial) {
                     return res.status(400).json({
@@ -290,13 +806,15 @@ class PostalCodeServer {
                     });
                 }
 
+                // Full records are only needed for GeoJSON, CSV and NDJSON output
                 const result = await this.searchService.suggest(
                     country, 
                     partial, 
-                    parseInt(limit) || 10
+                    parseInt(pageSize || limit) || 10,
+                    { includeRecords: negotiateFormat(req) !== 'json', cursor }
                 );
 
-                res.json(result);
+                this.sendResult(req, res, result.success ? 200 : failureStatus(result), result, result.records);
 
             } catch (error) {
                 logger.error('Suggestion endpoint error:', error);
@@ -307,113 +825,1078 @@ class PostalCodeServer {
             }
         });
 
-        // Removed refresh endpoints - use 'npm run ingest' for data updates
-
-        // Statistics endpoint
-        this.app.get('/stats', async (req, res) => {
+        // Place name search endpoint
+        this.app.get('/search/place', async (req, res) => {
             try {
-                const stats = this.searchService.getStats();
-                
-                if (!stats) {
-                    return res.status(503).json({
+                const { country, q, limit, pageSize, cursor } = req.query;
+
+                if (!q || q.trim().length < 2) {
+                    return res.status(400).json({
                         success: false,
-                        error: 'Statistics unavailable'
+                        error: 'Missing required parameter: q (at least 2 characters)',
+                        example: '/search/place?country=CH&q=zurich'
                     });
                 }
 
-                res.json({
-                    success: true,
-                    stats,
-                    timestamp: new Date().toISOString()
-                });
+                const result = await this.searchService.searchPlaces(
+                    country,
+                    q,
+                    parseInt(pageSize || limit) || 20,
+                    { cursor }
+                );
+
+                const statusCode = result.success ?
+                    (result.results.length > 0 ? 200 : 404) :
+                    failureStatus(result);
+
+                this.sendResult(req, res, statusCode, result);
 
             } catch (error) {
-                logger.error('Stats endpoint error:', error);
+                logger.error('Place search endpoint error:', error);
                 res.status(500).json({
                     success: false,
-                    error: 'Failed to get statistics'
+                    error: 'Internal server error'
                 });
             }
         });
 
-        // API documentation endpoint
-        this.app.get('/', (req, res) => {
-            res.json({
-                name: 'Postal Code Lookup API',
-                version: '1.0.0',
-                description: 'Fast postal code lookup with exact and fuzzy matching',
-                endpoints: {
-                    'GET /lookup': {
-                        description: 'Search for postal code',
-                        parameters: {
-                            country: 'Country code (required)',
-                            postalCode: 'Postal code to search (required)',
-                            fuzzy: 'Enable fuzzy matching (optional, default: true)'
-                        },
-                        example: '/lookup?country=US&postalCode=90210'
-                    },
-                    'POST /lookup/batch': {
-                        description: 'Batch postal code search',
-                        body: {
-                            searches: 'Array of search objects'
-                        }
-                    },
-                    'GET /suggest': {
-                        description: 'Get postal code suggestions',
-                        parameters: {
-                            country: 'Country code (required)',
-                            partial: 'Partial postal code (required)',
-                            limit: 'Maximum suggestions (optional, default: 10)'
-                        }
-                    },
-                    'GET /health': 'Health check endpoint',
-                    'GET /stats': 'Database statistics',
-                                    // Removed refresh endpoints - use 'npm run ingest' for data updates
-                },
-                authentication: {
-                    header: 'x-auth-token',
-                    required_for: [] // Removed refresh endpoints
+        // Reverse geocoding endpoint - nearest postal codes to a coordinate
+        this.app.get('/reverse', async (req, res) => {
+            try {
+                const { lat, lon, limit } = req.query;
+
+                if (!isValidCoordinate(parseFloat(lat), parseFloat(lon))) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Missing or invalid parameters: lat (-90 to 90) and lon (-180 to 180)',
+                        example: '/reverse?lat=34.0901&lon=-118.4065&limit=5'
+                    });
                 }
-            });
+
+                const result = await this.searchService.reverseGeocode(
+                    parseFloat(lat),
+                    parseFloat(lon),
+                    parseInt(limit) || 5
+                );
+
+                const statusCode = result.success ?
+                    (result.results.length > 0 ? 200 : 404) :
+                    500;
+
+                this.sendResult(req, res, statusCode, result);
+
+            } catch (error) {
+                logger.error('Reverse geocoding endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
         });
-    }
 
-    authMiddleware(req, res, next) {
-        const token = req.headers['x-auth-token'] || req.headers['authorization'];
-        
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required. Please provide x-auth-token header.'
-            });
-        }
+        // Radius search endpoint - postal codes around an anchor postal code
+        this.app.get('/nearby', async (req, res) => {
+            try {
+                const { country, postalCode, radiusKm, limit, crossBorder } = req.query;
 
-        // Remove 'Bearer ' prefix if present
-        const cleanToken = token.replace(/^Bearer\s+/, '');
+                if (!country || !postalCode || !radiusKm) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Missing required parameters: country, postalCode and radiusKm',
+                        example: '/nearby?country=US&postalCode=90210&radiusKm=25'
+                    });
+                }
 
-        if (cleanToken !== this.authToken) {
-            return res.status(403).json({
-                success: false,
-                error: 'Invalid authentication token'
-            });
-        }
+                const radius = parseFloat(radiusKm);
+                if (!(radius > 0) || radius > this.searchService.maxNearbyRadiusKm) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `radiusKm must be a number between 0 and ${this.searchService.maxNearbyRadiusKm}`
+                    });
+                }
 
-        next();
-    }
+                // Convert crossBorder parameter (default to false)
+                const includeOtherCountries = crossBorder === 'true' || crossBorder === '1';
 
-    // Removed startBackgroundRefresh method - using direct ingest now
+                const result = await this.searchService.findNearby(
+                    country,
+                    postalCode,
+                    radius,
+                    parseInt(limit) || 100,
+                    includeOtherCountries
+                );
 
-    setupErrorHandling() {
-        // 404 handler
-        this.app.use((req, res) => {
-            res.status(404).json({
-                success: false,
-                error: 'Endpoint not found',
-                availableEndpoints: ['/lookup', '/health', '/stats']
-            });
+                const statusCode = result.success ?
+                    (result.results.length > 0 ? 200 : 404) :
+                    500;
+
+                this.sendResult(req, res, statusCode, result);
+
+            } catch (error) {
+                logger.error('Nearby endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
         });
 
-        // Error handler
+        // Postal codes inside a bounding box
+        this.app.get('/within/bbox', async (req, res) => {
+            try {
+                const bounds = {
+                    minLat: parseFloat(req.query.minLat),
+                    minLon: parseFloat(req.query.minLon),
+                    maxLat: parseFloat(req.query.maxLat),
+                    maxLon: parseFloat(req.query.maxLon)
+                };
+
+                if (!isValidCoordinate(bounds.minLat, bounds.minLon) ||
+                    !isValidCoordinate(bounds.maxLat, bounds.maxLon) ||
+                    bounds.minLat > bounds.maxLat) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Missing or invalid parameters: minLat, minLon, maxLat, maxLon (minLon > maxLon crosses the antimeridian)',
+                        example: '/within/bbox?minLat=34.0&minLon=-118.5&maxLat=34.1&maxLon=-118.3'
+                    });
+                }
+
+                const result = await this.searchService.findWithinBoundingBox(
+                    bounds,
+                    parseInt(req.query.pageSize || req.query.limit) || 100,
+                    parseInt(req.query.offset) || 0,
+                    { cursor: req.query.cursor }
+                );
+
+                this.sendResult(req, res, result.success ? 200 : failureStatus(result), result);
+
+            } catch (error) {
+                logger.error('Bounding box endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Postal codes inside a GeoJSON Polygon or MultiPolygon
+        this.app.post('/within/polygon', async (req, res) => {
+            try {
+                const { geometry, limit, offset, pageSize, cursor } = req.body;
+                const polygon = toPolygonGeometry(geometry);
+
+                if (!polygon) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Request body must contain a GeoJSON Polygon or MultiPolygon geometry with numeric [longitude, latitude] positions',
+                        example: {
+                            geometry: {
+                                type: 'Polygon',
+                                coordinates: [[[-118.5, 34.0], [-118.3, 34.0], [-118.3, 34.1], [-118.5, 34.1], [-118.5, 34.0]]]
+                            },
+                            limit: 100,
+                            offset: 0
+                        }
+                    });
+                }
+
+                const positions = countPositions(polygon);
+                if (positions > MAX_POLYGON_POSITIONS) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Geometry has ${positions} positions; at most ${MAX_POLYGON_POSITIONS} are accepted (simplify the polygon first)`
+                    });
+                }
+
+                const result = await this.searchService.findWithinPolygon(
+                    polygon,
+                    parseInt(pageSize ?? limit ?? req.query.pageSize ?? req.query.limit) || 100,
+                    parseInt(offset ?? req.query.offset) || 0,
+                    { cursor: cursor ?? req.query.cursor }
+                );
+
+                this.sendResult(req, res, result.success ? 200 : failureStatus(result), result);
+
+            } catch (error) {
+                logger.error('Polygon endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Distance between two postal codes
+        this.app.get('/distance', async (req, res) => {
+            try {
+                const { from, to } = req.query;
+
+                if (!from || !to) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Missing required parameters: from and to (COUNTRY:POSTALCODE)',
+                        example: '/distance?from=US:90210&to=US:10001'
+                    });
+                }
+
+                const result = await this.searchService.calculateDistance(from, to);
+
+                const statusCode = result.success ?
+                    (result.status === 'ok' ? 200 : 404) :
+                    500;
+
+                this.setDatasetValidators(res, statusCode);
+                res.status(statusCode).json(result);
+
+            } catch (error) {
+                logger.error('Distance endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Distance matrix between lists of postal codes
+        this.app.post('/distance/matrix', async (req, res) => {
+            try {
+                const { origins, destinations } = req.body;
+
+                if (!Array.isArray(origins) || origins.length === 0 ||
+                    !Array.isArray(destinations) || destinations.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Request body must contain non-empty origins and destinations arrays',
+                        example: {
+                            origins: ['US:90210', { country: 'US', postalCode: '94105' }],
+                            destinations: ['US:10001']
+                        }
+                    });
+                }
+
+                const maxSize = this.searchService.maxMatrixSize;
+                if (origins.length > maxSize || destinations.length > maxSize) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Maximum ${maxSize} origins and ${maxSize} destinations per matrix request`
+                    });
+                }
+
+                const result = await this.searchService.distanceMatrix(origins, destinations);
+
+                res.status(result.success ? 200 : 500).json(result);
+
+            } catch (error) {
+                logger.error('Distance matrix endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Free-form address parsing endpoint
+        this.app.post('/parse', async (req, res) => {
+            try {
+                const { address, countryHint } = req.body;
+
+                if (typeof address !== 'string' || address.trim().length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Request body must contain an address string',
+                        example: {
+                            address: '1600 Amphitheatre Pkwy, Mountain View, CA 94043, USA',
+                            countryHint: 'US'
+                        }
+                    });
+                }
+
+                const result = await this.searchService.parseAddress(address, countryHint);
+
+                res.status(result.success ? 200 : 500).json(result);
+
+            } catch (error) {
+                logger.error('Parse endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Administrative hierarchy browsing, paged with ?cursor= and ?pageSize=
+        const sendBrowseResult = (req, res, result, fields) => {
+            const statusCode = result.success ?
+                (result.results.length > 0 ? 200 : 404) :
+                failureStatus(result);
+
+            this.sendResult(req, res, statusCode, result, result.results, TABULAR_FORMATS, fields);
+        };
+
+        this.app.get('/countries', async (req, res) => {
+            try {
+                sendBrowseResult(req, res, await this.searchService.listCountries(req.query), ['country_code', 'record_count']);
+            } catch (error) {
+                logger.error('Countries endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/countries/:code/admin1', async (req, res) => {
+            try {
+                sendBrowseResult(req, res, await this.searchService.listAdmin1(req.params.code, req.query),
+                    ['admin_code1', 'admin_name1', 'record_count']);
+            } catch (error) {
+                logger.error('Admin1 endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/countries/:code/admin1/:admin1/admin2', async (req, res) => {
+            try {
+                const { code, admin1 } = req.params;
+                sendBrowseResult(req, res, await this.searchService.listAdmin2(code, admin1, req.query),
+                    ['admin_code2', 'admin_name2', 'record_count']);
+            } catch (error) {
+                logger.error('Admin2 endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/countries/:code/admin1/:admin1/postal-codes', async (req, res) => {
+            try {
+                const { code, admin1 } = req.params;
+                const result = await this.searchService.listPostalCodesInArea(
+                    code,
+                    admin1,
+                    null,
+                    parseInt(req.query.pageSize || req.query.limit) || 1000,
+                    { cursor: req.query.cursor }
+                );
+
+                this.sendResult(req, res, result.success ? (result.results.length > 0 ? 200 : 404) : failureStatus(result), result);
+            } catch (error) {
+                logger.error('Area postal codes endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/countries/:code/admin1/:admin1/admin2/:admin2/postal-codes', async (req, res) => {
+            try {
+                const { code, admin1, admin2 } = req.params;
+                const result = await this.searchService.listPostalCodesInArea(
+                    code,
+                    admin1,
+                    admin2,
+                    parseInt(req.query.pageSize || req.query.limit) || 1000,
+                    { cursor: req.query.cursor }
+                );
+
+                this.sendResult(req, res, result.success ? (result.results.length > 0 ? 200 : 404) : failureStatus(result), result);
+            } catch (error) {
+                logger.error('Area postal codes endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Bulk geocoding jobs - raw CSV body in, job id out; poll the job, then download
+        this.app.post('/jobs', async (req, res) => {
+            try {
+                const { countryColumn, postalCodeColumn, defaultCountry, delimiter, fuzzy, filename } = req.query;
+
+                if (!req.is(['text/csv', 'text/plain', 'application/octet-stream'])) {
+                    return res.status(415).json({
+                        success: false,
+                        error: 'Upload the CSV file as the raw request body (Content-Type: text/csv)',
+                        example: 'curl -X POST --data-binary @addresses.csv -H "Content-Type: text/csv" ' +
+                            '"/jobs?countryColumn=country&postalCodeColumn=zip"'
+                    });
+                }
+
+                if (defaultCountry && !/^[A-Za-z]{2}$/.test(defaultCountry)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'defaultCountry must be a two-letter country code'
+                    });
+                }
+
+                if (delimiter && delimiter.length !== 1) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'delimiter must be a single character'
+                    });
+                }
+
+                const maxBytes = this.jobService.maxUploadBytes;
+                if (parseInt(req.get('Content-Length')) > maxBytes) {
+                    return res.status(413).json({
+                        success: false,
+                        error: `Upload exceeds ${Math.round(maxBytes / (1024 * 1024))} MB`
+                    });
+                }
+
+                // Without a country column every row uses defaultCountry
+                const result = await this.jobService.createJob(req, {
+                    originalFilename: filename,
+                    countryColumn: countryColumn || (defaultCountry ? null : 'country'),
+                    postalCodeColumn: postalCodeColumn || 'postal_code',
+                    defaultCountry: defaultCountry ? defaultCountry.toUpperCase() : null,
+                    delimiter,
+                    fuzzy: fuzzy === 'true' || fuzzy === '1'
+                });
+
+                if (!result.success) {
+                    const statusCode = { empty: 400, missing_columns: 400, too_large: 413 }[result.reason] || 500;
+                    return res.status(statusCode).json(result);
+                }
+
+                res.status(202)
+                    .location(`/jobs/${result.job.id}`)
+                    .json(result);
+
+            } catch (error) {
+                logger.error('Job creation endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/jobs/:id', async (req, res) => {
+            try {
+                const job = await this.jobService.getJob(req.params.id);
+
+                if (!job) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Job not found'
+                    });
+                }
+
+                res.json({ success: true, job });
+
+            } catch (error) {
+                logger.error('Job status endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/jobs/:id/result', async (req, res) => {
+            try {
+                const result = await this.jobService.getResult(req.params.id);
+
+                if (!result) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Job not found'
+                    });
+                }
+
+                if (!result.resultPath) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Job is ${result.job.status}; the result is available once it has completed`,
+                        job: result.job
+                    });
+                }
+
+                const baseName = result.job.filename ?
+                    path.basename(result.job.filename, path.extname(result.job.filename)) :
+                    result.job.id;
+
+                res.download(result.resultPath, `${baseName}-geocoded.csv`);
+
+            } catch (error) {
+                logger.error('Job result endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Dataset refresh: download, build, check and switch to a new build without a restart
+        this.app.post('/admin/refresh', async (req, res) => {
+            try {
+                const result = await this.refreshService.trigger(`POST /admin/refresh by ${req.apiKey.name}`, {
+                    rebuild: (req.body && req.body.rebuild === true) || req.query.rebuild === 'true'
+                });
+
+                if (!result.success) {
+                    return res.status(409)
+                        .location(`/admin/refresh/${result.runId}`)
+                        .json(result);
+                }
+
+                res.status(202)
+                    .location(`/admin/refresh/${result.run.id}`)
+                    .json(result);
+
+            } catch (error) {
+                logger.error('Refresh endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/admin/refresh', async (req, res) => {
+            try {
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+                const runs = await this.refreshService.listRuns(limit);
+
+                res.json({
+                    success: true,
+                    refreshInProgress: this.refreshService.isRunning(),
+                    schedule: {
+                        enabled: this.refreshService.timer !== null,
+                        expression: this.refreshService.schedule ? this.refreshService.schedule.expression : null,
+                        nextRunAt: this.refreshService.timer !== null ? this.refreshService.nextRunAt() : null
+                    },
+                    runs,
+                    count: runs.length
+                });
+
+            } catch (error) {
+                logger.error('Refresh list endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/admin/refresh/:id', async (req, res) => {
+            try {
+                const id = parseInt(req.params.id, 10);
+                const run = Number.isInteger(id) ? await this.refreshService.getRun(id) : null;
+
+                if (!run) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Refresh run not found'
+                    });
+                }
+
+                res.json({ success: true, run });
+
+            } catch (error) {
+                logger.error('Refresh status endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // API key administration (admin scope); `npm run keys` does the same while the server is stopped
+        this.app.get('/admin/keys', async (req, res) => {
+            try {
+                const keys = await this.apiKeyService.listKeys({
+                    includeRevoked: req.query.includeRevoked === 'true'
+                });
+
+                res.json({ success: true, keys, count: keys.length });
+
+            } catch (error) {
+                logger.error('API key list endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.post('/admin/keys', async (req, res) => {
+            try {
+                const { name, scopes, rateLimitPerMinute, monthlyQuota } = req.body || {};
+                const result = await this.apiKeyService.createKey({ name, scopes, rateLimitPerMinute, monthlyQuota });
+
+                if (!result.success) {
+                    return res.status(400).json(result);
+                }
+
+                res.status(201).json({
+                    ...result,
+                    note: 'Store the key now; it cannot be shown again'
+                });
+
+            } catch (error) {
+                logger.error('API key creation endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.delete('/admin/keys/:id', async (req, res) => {
+            try {
+                const result = await this.apiKeyService.revokeKey(req.params.id);
+
+                if (!result.success) {
+                    return res.status(404).json(result);
+                }
+
+                res.json(result);
+
+            } catch (error) {
+                logger.error('API key revocation endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Switch to the database file on disk (e.g. after `npm run ingest` or `npm run rollback`)
+        this.app.post('/admin/reload', async (req, res) => {
+            try {
+                const result = await this.reloadDatabase(`POST /admin/reload by ${req.apiKey.name}`);
+
+                if (!result.success) {
+                    const statusCode = { in_progress: 409, missing: 404 }[result.reason] || 500;
+                    return res.status(statusCode).json(result);
+                }
+
+                res.json(result);
+
+            } catch (error) {
+                logger.error('Reload endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Dataset version of the running build
+        this.app.get('/version', (req, res) => {
+            if (!this.datasetVersion) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Service not initialized'
+                });
+            }
+
+            this.setDatasetValidators(res, 200);
+            res.json({
+                success: true,
+                ...this.datasetVersion
+            });
+        });
+
+        // Postal codes added, removed or changed since an earlier dataset version
+        this.app.get('/changes', async (req, res) => {
+            try {
+                const result = await this.changeService.getChanges({
+                    since: req.query.since,
+                    country: req.query.country,
+                    type: req.query.type,
+                    pageSize: req.query.pageSize || req.query.limit,
+                    cursor: req.query.cursor
+                });
+
+                if (!result.success) {
+                    const statusCode = { invalid: 400, invalid_cursor: 400, unknown_version: 404 }[result.reason] || 500;
+                    return res.status(statusCode).json(result);
+                }
+
+                this.sendResult(req, res, 200, result, result.changes, TABULAR_FORMATS, CHANGE_FIELDS);
+
+            } catch (error) {
+                logger.error('Changes endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error'
+                });
+            }
+        });
+
+        // Statistics endpoint
+        this.app.get('/stats', async (req, res) => {
+            try {
+                const stats = await this.searchService.getStats();
+                
+                if (!stats) {
+                    return res.status(503).json({
+                        success: false,
+                        error: 'Statistics unavailable'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    stats,
+                    cache: this.searchService.getCacheStats(),
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Stats endpoint error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to get statistics'
+                });
+            }
+        });
+
+        // API documentation endpoint
+        this.app.get('/', (req, res) => {
+            res.json({
+                name: 'Postal Code Lookup API',
+                version: '1.0.0',
+                description: 'Fast postal code lookup with exact and fuzzy matching',
+                endpoints: {
+                    'GET /lookup': {
+                        description: 'Search for postal code',
+                        parameters: {
+                            country: 'Country code (optional - when omitted, every country containing the code is returned)',
+                            postalCode: 'Postal code to search (required)',
+                            fuzzy: 'Enable fuzzy matching (optional, default: true)',
+                            countryHint: 'Preferred country when country is omitted (optional, Accept-Language regions are also used)',
+                            asOf: 'Answer from the dataset as it was on this date (YYYY-MM-DD, end of day UTC) or at this ISO 8601 time; needs a country, exact matches only (optional)'
+                        },
+                        example: '/lookup?country=US&postalCode=90210'
+                    },
+                    'POST /lookup/batch': {
+                        description: 'Batch postal code search',
+                        body: {
+                            searches: 'Array of search objects'
+                        }
+                    },
+                    'POST /lookup/batch/stream': {
+                        description: 'Streaming batch search of any size (Content-Type: application/x-ndjson)',
+                        body: 'One JSON object per line: { "id": "...", "country": "US", "postalCode": "90210", "fuzzy": true }',
+                        parameters: {
+                            concurrency: 'Parallel lookups (optional, default: 8, max: 32)'
+                        },
+                        response: 'One NDJSON line per input line, written as soon as it resolves, carrying the input id and line number'
+                    },
+                    'GET /suggest': {
+                        description: 'Get postal code suggestions, prefix matches first',
+                        parameters: {
+                            country: 'Country code (required)',
+                            partial: 'Partial postal code (required)',
+                            pageSize: 'Suggestions per page (optional, default: 10, max: 100; limit is an alias)',
+                            cursor: 'nextCursor from the previous page (optional)'
+                        }
+                    },
+                    'GET /search/place': {
+                        description: 'Search postal codes by town or region name',
+                        parameters: {
+                            q: 'Place name, accents optional (required, min 2 characters)',
+                            country: 'Country code (optional, default: all countries)',
+                            pageSize: 'Results per page (optional, default: 20, max: 100; limit is an alias)',
+                            cursor: 'nextCursor from the previous page (optional)'
+                        },
+                        example: '/search/place?country=CH&q=zurich'
+                    },
+                    'GET /validate': {
+                        description: 'Check whether a postal code exists',
+                        parameters: {
+                            country: 'Country code (required)',
+                            postalCode: 'Postal code to validate (required)',
+                            detailed: 'Return { formatValid, exists, normalized, reason } instead of a boolean (optional)',
+                            asOf: 'Validate against the dataset as it was on this date or at this time, as for /lookup (optional)'
+                        },
+                        example: '/validate?country=US&postalCode=90210&detailed=true'
+                    },
+                    'GET /reverse': {
+                        description: 'Find the nearest postal codes to a coordinate',
+                        parameters: {
+                            lat: 'Latitude in decimal degrees (required)',
+                            lon: 'Longitude in decimal degrees (required)',
+                            limit: 'Maximum results (optional, default: 5, max: 20)'
+                        },
+                        example: '/reverse?lat=34.0901&lon=-118.4065'
+                    },
+                    'GET /nearby': {
+                        description: 'Find postal codes within a radius of a postal code',
+                        parameters: {
+                            country: 'Country code of the anchor (required)',
+                            postalCode: 'Anchor postal code (required)',
+                            radiusKm: 'Search radius in km (required, max: 500)',
+                            limit: 'Maximum results (optional, default: 100, max: 1000)',
+                            crossBorder: 'Include other countries (optional, default: false)'
+                        },
+                        example: '/nearby?country=US&postalCode=90210&radiusKm=25'
+                    },
+                    'GET /within/bbox': {
+                        description: 'Postal codes whose coordinates fall inside a bounding box',
+                        parameters: {
+                            minLat: 'South edge (required)',
+                            minLon: 'West edge (required)',
+                            maxLat: 'North edge (required)',
+                            maxLon: 'East edge (required)',
+                            pageSize: 'Page size (optional, default: 100, max: 1000; limit is an alias)',
+                            cursor: 'nextCursor from the previous page (optional)',
+                            offset: 'Rows to skip when no cursor is given (optional, default: 0)'
+                        },
+                        example: '/within/bbox?minLat=34.0&minLon=-118.5&maxLat=34.1&maxLon=-118.3'
+                    },
+                    'POST /within/polygon': {
+                        description: 'Postal codes whose coordinates fall inside a GeoJSON polygon',
+                        body: {
+                            geometry: 'GeoJSON Polygon or MultiPolygon, or a Feature wrapping one, with at most 10000 positions (required)',
+                            pageSize: 'Page size (optional, default: 100, max: 1000; limit is an alias)',
+                            cursor: 'nextCursor from the previous page (optional)',
+                            offset: 'Rows to skip when no cursor is given (optional, default: 0)'
+                        }
+                    },
+                    'GET /distance': {
+                        description: 'Great-circle distance between two postal codes',
+                        parameters: {
+                            from: 'Origin as COUNTRY:POSTALCODE (required)',
+                            to: 'Destination as COUNTRY:POSTALCODE (required)'
+                        },
+                        example: '/distance?from=US:90210&to=US:10001'
+                    },
+                    'POST /distance/matrix': {
+                        description: 'Distances between every origin and destination',
+                        body: {
+                            origins: 'Array of COUNTRY:POSTALCODE strings or { country, postalCode } objects (max: 50)',
+                            destinations: 'Array of COUNTRY:POSTALCODE strings or { country, postalCode } objects (max: 50)'
+                        }
+                    },
+                    'POST /parse': {
+                        description: 'Parse a free-form address and match it against the dataset',
+                        body: {
+                            address: 'Raw address text (required)',
+                            countryHint: 'Country code to assume when the address names none (optional)'
+                        }
+                    },
+                    'POST /jobs': {
+                        description: 'Queue a CSV file for background geocoding (raw body, Content-Type: text/csv)',
+                        parameters: {
+                            postalCodeColumn: 'Header of the postal code column (optional, default: postal_code)',
+                            countryColumn: 'Header of the country column, ISO codes or names (optional, default: country)',
+                            defaultCountry: 'Country for rows without one; without countryColumn it applies to every row (optional)',
+                            delimiter: 'Field separator (optional, default: ,)',
+                            fuzzy: 'Allow fuzzy matches (optional, default: false)',
+                            filename: 'Original file name, used for the download name (optional)'
+                        },
+                        response: '202 with the job; poll GET /jobs/:id'
+                    },
+                    'GET /jobs/:id': 'Job status, progress (0-1), match counts and the first row errors',
+                    'GET /jobs/:id/result': 'Download the input CSV with match_type, place, admin and coordinate columns appended',
+                    'GET /countries': 'Countries with record counts (pageSize: default and max 1000)',
+                    'GET /countries/:code/admin1': 'First-level admin areas (state/province) of a country (pageSize: default and max 1000)',
+                    'GET /countries/:code/admin1/:admin1/admin2': 'Second-level admin areas (county) of an admin1 area (pageSize: default and max 1000)',
+                    'GET /countries/:code/admin1/:admin1/postal-codes': 'Postal codes in an admin1 area (pageSize: default 1000, max 5000)',
+                    'GET /countries/:code/admin1/:admin1/admin2/:admin2/postal-codes': 'Postal codes in an admin2 area (pageSize: default 1000, max 5000)',
+                    'GET /health': 'Health check endpoint',
+                    'GET /version': 'Dataset version, build time and source files of the loaded data',
+                    'GET /changes': {
+                        description: 'Postal codes added, removed or changed (place name, admin codes, coordinates) since an earlier dataset version',
+                        parameters: {
+                            since: 'Dataset version to compare with, as reported by GET /version (required)',
+                            country: 'ISO country code (optional)',
+                            type: 'added, removed or changed (optional)',
+                            pageSize: 'Changes per page (optional, default: 1000, max: 10000)',
+                            cursor: 'nextCursor from the previous page (optional)'
+                        },
+                        example: '/changes?since=20250301T120000Z-3fa9c1d2e4b5&country=GB'
+                    },
+                    'GET /stats': 'Database statistics and result cache counters (hits, misses, hitRate, size)',
+                    'GET /admin/keys': 'API keys with their requests this month (admin scope; includeRevoked=true lists revoked keys)',
+                    'POST /admin/keys': {
+                        description: 'Create an API key (admin scope); the key is only returned in this response',
+                        body: {
+                            name: 'Team or client name (required)',
+                            scopes: 'Array of read, batch, admin (optional, default: ["read"])',
+                            rateLimitPerMinute: 'Requests per minute (optional, default: 600)',
+                            monthlyQuota: 'Requests per calendar month, UTC (optional, default: unlimited)'
+                        }
+                    },
+                    'DELETE /admin/keys/:id': 'Revoke an API key (admin scope)',
+                    'POST /admin/reload': 'Start serving the database file on disk without a restart, e.g. after npm run ingest (admin scope)',
+                    'POST /admin/refresh': {
+                        description: 'Download the sources, build and check a new database and switch to it (admin scope)',
+                        body: {
+                            rebuild: 'Build even when no archive is newer than the live build (optional, default: false)'
+                        },
+                        response: '202 with the run; poll GET /admin/refresh/:id (409 while another run is going)'
+                    },
+                    'GET /admin/refresh': 'Recent refresh runs and the background schedule (admin scope)',
+                    'GET /admin/refresh/:id': 'Stage (download, extract, load, optimize, swap), row counts per file and check results of a refresh run (admin scope)'
+                },
+                formats: {
+                    geojson: 'Add ?format=geojson or send Accept: application/geo+json on /lookup, /lookup/batch, /suggest, /search/place, /reverse, /nearby, /within/* and area postal code listings',
+                    csv: 'Add ?format=csv or send Accept: text/csv on the same endpoints and on /countries listings',
+                    ndjson: 'Add ?format=ndjson or send Accept: application/x-ndjson on the same endpoints and on /countries listings',
+                    fields: 'Comma-separated column list for CSV and NDJSON, e.g. ?fields=postal_code,place_name'
+                },
+                caching: 'GET read endpoints send the dataset version as ETag and its build time as Last-Modified; ' +
+                    'If-None-Match / If-Modified-Since are answered with 304 until the data is rebuilt',
+                pagination: 'Paged endpoints return hasMore and nextCursor (also as the X-Next-Cursor header); pass it back as ?cursor= with the same query to get the next page',
+                authentication: {
+                    header: 'x-api-key (or Authorization: Bearer <key>)',
+                    required: this.apiKeysRequired ? 'on every endpoint except / and /health' : 'only on /admin endpoints; other requests without a key are limited per IP',
+                    scopes: {
+                        read: 'Lookup, search, browse and version endpoints',
+                        batch: '/lookup/batch, /lookup/batch/stream and /jobs',
+                        admin: '/admin endpoints'
+                    },
+                    limits: 'Each key has its own requests per minute and optional monthly quota (X-Quota-Limit / X-Quota-Remaining headers)'
+                }
+            });
+        });
+    }
+
+    /**
+     * Sends a lookup-style result in the negotiated format: the JSON envelope as-is,
+     * or its records as a GeoJSON FeatureCollection, CSV or NDJSON (?fields= picks columns).
+     * Failed results are always sent as JSON. A result's nextCursor is also sent as X-Next-Cursor.
+     */
+    sendResult(req, res, statusCode, result, records = result.results, formats = undefined, defaultFields = undefined) {
+        const format = negotiateFormat(req, formats);
+        this.setDatasetValidators(res, statusCode);
+
+        // Tabular and GeoJSON bodies have no envelope, so the next page travels in a header
+        if (result.nextCursor) {
+            res.set('X-Next-Cursor', result.nextCursor);
+        }
+
+        if (format === 'json' || !result.success) {
+            return res.status(statusCode).json(result);
+        }
+
+        const rows = records || [];
+
+        if (format === 'geojson') {
+            return res.status(statusCode)
+                .type('application/geo+json')
+                .json(toFeatureCollection(rows, result));
+        }
+
+        const fields = resolveFields(rows, req.query.fields, defaultFields);
+
+        if (format === 'csv') {
+            return res.status(statusCode)
+                .type('text/csv')
+                .send(toCsv(rows, fields));
+        }
+
+        res.status(statusCode)
+            .type('application/x-ndjson')
+            .send(toNdjson(rows, fields));
+    }
+
+    /**
+     * Identifies the caller from x-api-key, x-auth-token or "Authorization: Bearer".
+     * Sets req.apiKey to the key (or the operator identity for REFRESH_AUTH_TOKEN), or to
+     * null when no credential was sent. An unknown or revoked key is rejected.
+     */
+    async authMiddleware(req, res, next) {
+        const token = req.headers['x-api-key'] || req.headers['x-auth-token'] || req.headers['authorization'];
+        req.apiKey = null;
+
+        if (!token) {
+            return next();
+        }
+
+        // Remove 'Bearer ' prefix if present
+        const cleanToken = token.replace(/^Bearer\s+/, '');
+
+        if (this.authToken && tokensMatch(cleanToken, this.authToken)) {
+            req.apiKey = OPERATOR_KEY;
+            return next();
+        }
+
+        const apiKey = this.apiKeyService ? await this.apiKeyService.authenticate(cleanToken) : null;
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or revoked API key'
+            });
+        }
+
+        req.apiKey = apiKey;
+        next();
+    }
+
+    // Checks the scope the endpoint needs; admin endpoints always need a credential
+    scopeMiddleware(req, res, next) {
+        const scope = requiredScope(req.path);
+        if (!scope) {
+            return next();
+        }
+
+        if (!req.apiKey) {
+            if (scope === 'admin' || this.apiKeysRequired) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required. Please provide an API key in the x-api-key header.'
+                });
+            }
+            return next();
+        }
+
+        if (!req.apiKey.scopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `API key ${req.apiKey.id} does not have the '${scope}' scope`
+            });
+        }
+
+        next();
+    }
+
+    // Counts the request against the key's monthly quota and reports what is left
+    async quotaMiddleware(req, res, next) {
+        if (!req.apiKey || req.apiKey.operator || !requiredScope(req.path)) {
+            return next();
+        }
+
+        const usage = await this.apiKeyService.recordUsage(req.apiKey);
+        if (usage.quota !== null) {
+            res.set('X-Quota-Limit', String(usage.quota));
+            res.set('X-Quota-Remaining', String(usage.remaining));
+        }
+
+        if (usage.exceeded) {
+            return res.status(429).json({
+                success: false,
+                error: `Monthly quota of ${usage.quota} requests exceeded for API key ${req.apiKey.id}`,
+                resetsAt: usage.resetsAt
+            });
+        }
+
+        next();
+    }
+
+    setupErrorHandling() {
+        // 404 handler
+        this.app.use((req, res) => {
+            res.status(404).json({
+                success: false,
+                error: 'Endpoint not found',
+                availableEndpoints: ['/lookup', '/search/place', '/reverse', '/nearby', '/within/bbox', '/within/polygon', '/distance', '/parse', '/countries', '/jobs', '/health', '/version', '/changes', '/stats', '/admin/keys', '/admin/reload', '/admin/refresh']
+            });
+        });
+
+        // Error handler
         this.app.use((err, req, res, _next) => {
             logger.error('Unhandled error:', err);
             
@@ -442,6 +1925,15 @@ class PostalCodeServer {
             process.on('SIGTERM', async () => {
                 logger.info('SIGTERM received, shutting down gracefully');
                 server.close(async () => {
+                    if (this.databaseWatcher) {
+                        this.databaseWatcher.close();
+                    }
+                    if (this.refreshService) {
+                        this.refreshService.stop();
+                    }
+                    if (this.apiKeyService) {
+                        await this.apiKeyService.stop();
+                    }
                     if (this.database) {
                         await this.database.close();
                     }
@@ -452,6 +1944,15 @@ class PostalCodeServer {
             process.on('SIGINT', async () => {
                 logger.info('SIGINT received, shutting down gracefully');
                 server.close(async () => {
+                    if (this.databaseWatcher) {
+                        this.databaseWatcher.close();
+                    }
+                    if (this.refreshService) {
+                        this.refreshService.stop();
+                    }
+                    if (this.apiKeyService) {
+                        await this.apiKeyService.stop();
+                    }
                     if (this.database) {
                         await this.database.close();
                     }
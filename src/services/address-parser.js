@@ -0,0 +1,244 @@
+const { POSTAL_CODE_FORMATS, validateFormat } = require('./postal-code-formats');
+const { normalizePostalCode } = require('./postal-code-normalizer');
+const { foldText } = require('../utils/text');
+
+/**
+ * Free-form address parsing
+ * Splits a pasted address such as "1600 Amphitheatre Pkwy, Mountain View, CA 94043, USA"
+ * into country, postal code, locality and region candidates. Nothing here touches
+ * the database; SearchService.parseAddress checks the candidates against the data.
+ */
+
+// Country names and common aliases, keyed by their folded form
+const COUNTRY_ALIASES = {
+    'argentina': 'AR',
+    'australia': 'AU',
+    'austria': 'AT',
+    'osterreich': 'AT',
+    'belgium': 'BE',
+    'belgie': 'BE',
+    'belgique': 'BE',
+    'brazil': 'BR',
+    'brasil': 'BR',
+    'canada': 'CA',
+    'czech republic': 'CZ',
+    'czechia': 'CZ',
+    'denmark': 'DK',
+    'danmark': 'DK',
+    'finland': 'FI',
+    'suomi': 'FI',
+    'france': 'FR',
+    'germany': 'DE',
+    'deutschland': 'DE',
+    'india': 'IN',
+    'ireland': 'IE',
+    'italy': 'IT',
+    'italia': 'IT',
+    'japan': 'JP',
+    'mexico': 'MX',
+    'netherlands': 'NL',
+    'the netherlands': 'NL',
+    'nederland': 'NL',
+    'holland': 'NL',
+    'new zealand': 'NZ',
+    'norway': 'NO',
+    'norge': 'NO',
+    'poland': 'PL',
+    'polska': 'PL',
+    'portugal': 'PT',
+    'slovakia': 'SK',
+    'south africa': 'ZA',
+    'spain': 'ES',
+    'espana': 'ES',
+    'sweden': 'SE',
+    'sverige': 'SE',
+    'switzerland': 'CH',
+    'schweiz': 'CH',
+    'suisse': 'CH',
+    'svizzera': 'CH',
+    'united kingdom': 'GB',
+    'great britain': 'GB',
+    'uk': 'GB',
+    'england': 'GB',
+    'scotland': 'GB',
+    'wales': 'GB',
+    'northern ireland': 'GB',
+    'united states': 'US',
+    'united states of america': 'US',
+    'usa': 'US',
+    'u.s.a.': 'US',
+    'u.s.': 'US'
+};
+
+// Longest alias first so "united states of america" wins over "united states"
+const COUNTRY_ALIAS_KEYS = Object.keys(COUNTRY_ALIASES).sort((a, b) => b.length - a.length);
+
+function splitSegments(raw) {
+    return raw
+        .split(/[,;\n]+/)
+        .map(segment => segment.trim().replace(/\s+/g, ' '))
+        .filter(segment => segment.length > 0);
+}
+
+/**
+ * Looks for a country name at the end of the address: either the whole last
+ * segment ("..., USA", "..., DE") or its trailing words ("10115 Berlin Germany")
+ */
+function detectCountry(segments) {
+    if (segments.length === 0) {
+        return null;
+    }
+
+    const lastIndex = segments.length - 1;
+    const last = segments[lastIndex];
+    const folded = foldText(last);
+
+    if (COUNTRY_ALIASES[folded]) {
+        return { code: COUNTRY_ALIASES[folded], text: last, segmentIndex: lastIndex, remainder: '', source: 'name' };
+    }
+
+    // A bare ISO code is only trusted as its own segment after at least one other part,
+    // and still competes with region codes such as "CA" (California)
+    if (/^[A-Za-z]{2}$/.test(last) && segments.length > 1) {
+        return { code: last.toUpperCase(), text: last, segmentIndex: lastIndex, remainder: '', source: 'iso' };
+    }
+
+    for (const alias of COUNTRY_ALIAS_KEYS) {
+        if (folded.endsWith(` ${alias}`)) {
+            const remainder = last.substring(0, last.length - alias.length).trim();
+            return { code: COUNTRY_ALIASES[alias], text: last.substring(remainder.length).trim(), segmentIndex: lastIndex, remainder, source: 'name' };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds substrings that are well-formed postal codes for any of the given countries.
+ * Single tokens and adjacent token pairs are tried ("94043", "SW1A 1AA", "1012 AB");
+ * candidates nearer the end of the address come first since house numbers lead.
+ */
+function findPostalCodeCandidates(segments, countryCodes) {
+    const candidates = [];
+    const seen = new Set();
+
+    segments.forEach((segment, segmentIndex) => {
+        const tokens = segment.split(' ');
+
+        for (let start = 0; start < tokens.length; start++) {
+            for (let size = 1; size <= 2 && start + size <= tokens.length; size++) {
+                const text = tokens.slice(start, start + size).join(' ');
+                if (!/\d/.test(text)) {
+                    continue;
+                }
+
+                for (const country of countryCodes) {
+                    if (!validateFormat(country, text).formatValid) {
+                        continue;
+                    }
+
+                    const { normalized } = normalizePostalCode(country, text);
+                    const key = `${country}:${normalized}`;
+                    if (seen.has(key)) {
+                        continue;
+                    }
+
+                    seen.add(key);
+                    candidates.push({
+                        country,
+                        text,
+                        normalized,
+                        segmentIndex,
+                        tokenIndex: start,
+                        tokenCount: size
+                    });
+                }
+            }
+        }
+    });
+
+    // Later in the address first; longer matches first at the same position
+    return candidates.sort((a, b) =>
+        (b.segmentIndex - a.segmentIndex) ||
+        (b.tokenIndex + b.tokenCount - a.tokenIndex - a.tokenCount) ||
+        (b.tokenCount - a.tokenCount)
+    );
+}
+
+/**
+ * Splits what is left of the address (without country and postal code) into
+ * street, locality and region candidates
+ */
+function extractPlaceCandidates(segments, country, postalCode) {
+    const remaining = segments.map((segment, index) => {
+        let tokens = segment.split(' ');
+
+        if (country && index === country.segmentIndex) {
+            tokens = tokens.slice(0, country.remainder ? country.remainder.split(' ').length : 0);
+        }
+
+        if (postalCode && index === postalCode.segmentIndex) {
+            tokens = tokens.filter((token, tokenIndex) =>
+                tokenIndex < postalCode.tokenIndex || tokenIndex >= postalCode.tokenIndex + postalCode.tokenCount
+            );
+        }
+
+        return tokens.join(' ').trim();
+    }).filter(segment => segment.length > 0);
+
+    let street = null;
+    if (remaining.length > 1 && /\d/.test(remaining[0])) {
+        street = remaining.shift();
+    }
+
+    const localities = [];
+    const regions = [];
+
+    remaining.forEach(segment => {
+        // Short all-caps tokens ("CA", "NSW", "ON") read as region codes
+        const words = segment.split(' ');
+        const codeWords = words.filter(word => /^[A-Z]{2,3}$/.test(word));
+        const nameWords = words.filter(word => !/^[A-Z]{2,3}$/.test(word));
+
+        regions.push(...codeWords);
+        if (nameWords.length > 0) {
+            localities.push(nameWords.join(' '));
+        }
+    });
+
+    // Any locality can also be a region name ("Bavaria", "Ontario")
+    regions.push(...localities);
+
+    return { street, localities, regions };
+}
+
+function parseAddressText(raw, countryHint = null) {
+    const segments = splitSegments(raw);
+    const country = detectCountry(segments);
+
+    let countryCodes;
+    if (country) {
+        countryCodes = [country.code];
+    } else if (countryHint) {
+        countryCodes = [countryHint];
+    } else {
+        countryCodes = Object.keys(POSTAL_CODE_FORMATS);
+    }
+
+    // When the country is only an ISO-looking code it may be a region; fall back to all rules
+    const postalCodes = findPostalCodeCandidates(segments, countryCodes);
+    if (country && country.source === 'iso' && postalCodes.length === 0) {
+        postalCodes.push(...findPostalCodeCandidates(segments, Object.keys(POSTAL_CODE_FORMATS)));
+    }
+
+    return { segments, country, postalCodes };
+}
+
+module.exports = {
+    COUNTRY_ALIASES,
+    splitSegments,
+    detectCountry,
+    findPostalCodeCandidates,
+    extractPlaceCandidates,
+    parseAddressText
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+
+const SCOPES = ['read', 'batch', 'admin'];
+
+// Keys look like "pck_<id>_<secret>"; the id is also the key's public identifier
+const KEY_PREFIX = 'pck';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Usage is counted per calendar month in UTC, e.g. "2025-03"
+function currentMonth(now = new Date()) {
+    return now.toISOString().substring(0, 7);
+}
+
+function monthEnd(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthIndex, 1)).toISOString();
+}
+
+function optionalPositiveInteger(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : NaN;
+}
+
+/**
+ * API keys for the teams sharing a deployment
+ * Each key has a name, scopes (read, batch, admin), a per-minute rate limit and an
+ * optional monthly quota. Only a hash of the key is stored; the key itself is shown once
+ * when it is created. Authenticated keys are cached for `cacheTtlMs`, and request counts
+ * are kept in memory and added to api_key_usage every `flushIntervalMs`.
+ */
+class ApiKeyService {
+    constructor(database, logger, options = {}) {
+        this.database = database;
+        this.logger = logger;
+        this.statements = database.getStatements();
+        this.defaultRateLimit = options.defaultRateLimit || 600; // Requests per minute for new keys
+        this.cacheTtlMs = 60 * 1000; // Authenticated keys are re-read after a minute
+        this.flushIntervalMs = 10 * 1000; // Usage writes to the database
+        this.keys = new Map(); // key hash -> { apiKey, loadedAt }
+        this.usage = new Map(); // "<key id>|<month>" -> { loaded, persisted, pending }
+        this.timer = null;
+    }
+
+    /**
+     * Creates a key. Returns { success, key, apiKey }; `key` is the only copy of the secret.
+     * options: { name, scopes, rateLimitPerMinute, monthlyQuota }
+     */
+    async createKey(options) {
+        const name = String(options.name || '').trim();
+        if (!name || name.length > 100) {
+            return { success: false, reason: 'invalid', error: 'Key name is required (at most 100 characters)' };
+        }
+
+        const scopes = [...new Set(Array.isArray(options.scopes) ? options.scopes : String(options.scopes || 'read').split(','))]
+            .map(scope => String(scope).trim().toLowerCase())
+            .filter(Boolean);
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (scopes.length === 0 || unknown.length > 0) {
+            return { success: false, reason: 'invalid', error: `Scopes must be a list of: ${SCOPES.join(', ')}` };
+        }
+
+        const rateLimitPerMinute = optionalPositiveInteger(options.rateLimitPerMinute) ?? this.defaultRateLimit;
+        if (Number.isNaN(rateLimitPerMinute)) {
+            return { success: false, reason: 'invalid', error: 'Rate limit must be a positive integer (requests per minute)' };
+        }
+
+        const monthlyQuota = optionalPositiveInteger(options.monthlyQuota);
+        if (Number.isNaN(monthlyQuota)) {
+            return { success: false, reason: 'invalid', error: 'Monthly quota must be a positive integer' };
+        }
+
+        const id = crypto.randomBytes(6).toString('hex');
+        const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+        await this.statements.createApiKey({
+            id,
+            name,
+            keyHash: hashKey(key),
+            scopes,
+            rateLimitPerMinute,
+            monthlyQuota
+        });
+
+        this.logger.info(`API key ${id} (${name}) created with scopes ${scopes.join(',')}`);
+
+        return {
+            success: true,
+            key,
+            apiKey: this.formatKey(await this.statements.getApiKey(id))
+        };
+    }
+
+    async revokeKey(id) {
+        const row = await this.statements.getApiKey(id);
+        if (!row) {
+            return { success: false, reason: 'not_found', error: `API key not found: ${id}` };
+        }
+
+        await this.statements.revokeApiKey(id);
+
+        // Drop the cached entry so the key stops working immediately
+        for (const [hash, entry] of this.keys) {
+            if (entry.apiKey.id === id) {
+                this.keys.delete(hash);
+            }
+        }
+
+        this.logger.info(`API key ${id} (${row.name}) revoked`);
+
+        return { success: true, apiKey: this.formatKey(await this.statements.getApiKey(id)) };
+    }
+
+    // Keys with their requests this month (including requests not yet written to the database)
+    async listKeys(options = {}) {
+        const month = currentMonth();
+        const rows = await this.statements.listApiKeys(month, Boolean(options.includeRevoked));
+
+        return rows.map(row => {
+            const entry = this.usage.get(`${row.id}|${month}`);
+            const requests = Number(row.month_requests) + (entry ? entry.pending : 0);
+
+            return {
+                ...this.formatKey(row),
+                usage: {
+                    month,
+                    requests,
+                    remaining: row.monthly_quota === null ? null : Math.max(Number(row.monthly_quota) - requests, 0),
+                    lastUsedAt: row.last_used_at || null
+                }
+            };
+        });
+    }
+
+    /**
+     * Resolves a presented key to its record, or null when it is unknown or revoked
+     */
+    async authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}_`)) {
+            return null;
+        }
+
+        const hash = hashKey(key);
+        const cached = this.keys.get(hash);
+        if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+            return cached.apiKey;
+        }
+
+        const row = await this.statements.findApiKeyByHash(hash);
+        if (!row || row.revoked_at) {
+            this.keys.delete(hash);
+            return null;
+        }
+
+        const apiKey = this.formatKey(row);
+        this.keys.set(hash, { apiKey, loadedAt: Date.now() });
+        return apiKey;
+    }
+
+    /**
+     * Counts one request against the key's monthly quota.
+     * Returns { quota, used, remaining, exceeded, resetsAt }; requests over quota are not counted.
+     */
+    async recordUsage(apiKey) {
+        const month = currentMonth();
+        const usageKey = `${apiKey.id}|${month}`;
+
+        let entry = this.usage.get(usageKey);
+        if (!entry) {
+            entry = { loaded: null, persisted: 0, pending: 0 };
+            entry.loaded = this.statements.getApiKeyUsage(apiKey.id, month)
+                .then(persisted => { entry.persisted = persisted; })
+                .catch(error => {
+                    this.usage.delete(usageKey);
+                    throw error;
+                });
+            this.usage.set(usageKey, entry);
+        }
+        await entry.loaded;
+
+        const quota = apiKey.monthlyQuota;
+        const exceeded = quota !== null && entry.persisted + entry.pending >= quota;
+        if (!exceeded) {
+            entry.pending++;
+        }
+
+        const used = entry.persisted + entry.pending;
+
+        return {
+            quota,
+            used,
+            remaining: quota === null ? null : Math.max(quota - used, 0),
+            exceeded,
+            resetsAt: monthEnd(month)
+        };
+    }
+
+    // Adds the in-memory request counts to api_key_usage
+    async flushUsage() {
+        const month = currentMonth();
+
+        for (const [usageKey, entry] of this.usage) {
+            const [keyId, entryMonth] = usageKey.split('|');
+            const requests = entry.pending;
+
+            if (requests > 0) {
+                entry.pending = 0;
+                try {
+                    await this.statements.addApiKeyUsage(keyId, entryMonth, requests);
+                    entry.persisted += requests;
+                } catch (error) {
+                    entry.pending += requests;
+                    this.logger.warn(`Failed to record usage for API key ${keyId}:`, error.message);
+                    continue;
+                }
+            }
+
+            if (entryMonth !== month && entry.pending === 0) {
+                this.usage.delete(usageKey);
+            }
+        }
+    }
+
+    // Switches to a reloaded database (keys live in the shared state connection)
+    useDatabase(database) {
+        this.database = database;
+        this.statements = database.getStatements();
+    }
+
+    // Flushes usage every flushIntervalMs; the timer does not keep the process alive
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.flushUsage(), this.flushIntervalMs);
+        this.timer.unref();
+    }
+
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            await this.flushUsage();
+        }
+    }
+
+    formatKey(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: `${KEY_PREFIX}_${row.id}`,
+            scopes: row.scopes.split(','),
+            rateLimitPerMinute: Number(row.rate_limit_per_minute),
+            monthlyQuota: row.monthly_quota === null ? null : Number(row.monthly_quota),
+            status: row.revoked_at ? 'revoked' : 'active',
+            createdAt: row.created_at,
+            revokedAt: row.revoked_at || null
+        };
+    }
+}
+
+module.exports = ApiKeyService;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,163 @@
+const path = require('path');
+const { CHANGE_TYPES, changesDir, changelogChain, buildAt, netChanges } = require('../database/dataset-changes');
+const { normalizeCountry } = require('./postal-code-normalizer');
+const { readPage, pageResult } = require('../utils/cursor');
+const ResultCache = require('./result-cache');
+
+// "2025-01-01" covers the whole day (UTC); full timestamps are taken as they are
+function parseAsOf(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T23:59:59.999Z`) : new Date(text);
+    return text && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Postal code changes between dataset builds, for clients that keep postal codes of their
+ * own and need to know which of them to re-check after a rebuild. Reads the changelog the
+ * ingest stores per build and nets out codes that changed more than once (a code added and
+ * removed again since `since` is not listed). The same changelog answers which build was
+ * live at a past date, for point-in-time lookups.
+ */
+class ChangeService {
+    constructor(database, logger, options = {}) {
+        this.database = database;
+        this.logger = logger;
+        this.statements = database.getStatements();
+        this.changesDir = options.changesDir || changesDir(database.dbPath);
+        this.defaultPageSize = 1000; // Changes per page
+        this.maxPageSize = 10000; // Page size limit
+        // Netted changes per (since, version): every page and filter of a listing reads the same ones
+        this.nettedCache = new ResultCache({ maxEntries: options.nettedCacheEntries ?? 4 });
+    }
+
+    /**
+     * Changes from dataset version `since` to the version being served
+     * options: { since, country, type (added, removed or changed), pageSize, cursor }
+     */
+    async getChanges(options) {
+        const since = typeof options.since === 'string' ? options.since.trim() : '';
+        if (!since) {
+            return { success: false, reason: 'invalid', error: 'since is required: the dataset version to list changes from (see GET /version)' };
+        }
+
+        const country = options.country ? normalizeCountry(options.country) : null;
+        if (country !== null && !/^[A-Z]{2}$/.test(country)) {
+            return { success: false, reason: 'invalid', error: 'country must be a two-letter country code' };
+        }
+
+        const type = options.type ? String(options.type).trim().toLowerCase() : null;
+        if (type !== null && !CHANGE_TYPES.includes(type)) {
+            return { success: false, reason: 'invalid', error: `type must be one of: ${CHANGE_TYPES.join(', ')}` };
+        }
+
+        const query = { since, country, type };
+        const page = readPage(query, options.cursor, options.pageSize, this.defaultPageSize, this.maxPageSize);
+        if (!page) {
+            return { success: false, reason: 'invalid_cursor', error: 'Invalid cursor; start again without one' };
+        }
+
+        const current = await this.database.getDatasetVersion();
+        const chain = changelogChain(this.changesDir, current.version, since);
+        if (!chain) {
+            return {
+                success: false,
+                reason: 'unknown_version',
+                error: `No changelog leads from ${since} to the current version ${current.version}; ` +
+                    'changes are recorded for builds whose predecessor was built with a snapshot',
+                version: current.version
+            };
+        }
+
+        const changes = (await this.nettedChanges(since, current.version, chain))
+            .filter(change => (!country || change.country_code === country) && (!type || change.change_type === type));
+
+        const counts = { added: 0, removed: 0, changed: 0 };
+        for (const change of changes) {
+            counts[change.change_type]++;
+        }
+
+        const { rows, hasMore, nextCursor } = pageResult(query, page, changes.slice(page.offset, page.offset + page.pageSize + 1));
+
+        return {
+            success: true,
+            since,
+            version: current.version,
+            country,
+            builds: chain.map(build => ({
+                version: build.version,
+                previousVersion: build.previousVersion,
+                builtAt: build.builtAt,
+                counts: country ? build.countries[country] || { added: 0, removed: 0, changed: 0 } : build.counts
+            })),
+            counts,
+            changes: rows,
+            count: rows.length,
+            total: changes.length,
+            hasMore,
+            nextCursor
+        };
+    }
+
+    /**
+     * The net change per postal code over the builds of `chain`, for all countries and types.
+     * Changelogs never change once written, so the result is kept per (since, version).
+     */
+    async nettedChanges(since, version, chain) {
+        if (chain.length === 0) {
+            return [];
+        }
+
+        const key = `${since}|${version}`;
+        const cached = this.nettedCache.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        const rows = await this.statements.getDatasetChanges(
+            chain.map(build => path.join(this.changesDir, `${build.version}.parquet`))
+        );
+        const changes = netChanges(
+            rows.map(row => ({ ...row, version: chain[Number(row.build) - 1].version })),
+            chain[chain.length - 1].minShiftKm
+        );
+
+        this.nettedCache.set(key, changes);
+        return changes;
+    }
+
+    /**
+     * The dataset as it was at `asOf` (a date or timestamp), for SearchService lookups:
+     * { success, history: { asOf, version, builtAt, files } }. `files` is empty when the
+     * current build was already live then.
+     */
+    async resolveAsOf(asOf) {
+        const date = parseAsOf(asOf);
+        if (!date) {
+            return { success: false, reason: 'invalid', error: 'asOf must be a date (YYYY-MM-DD) or an ISO 8601 timestamp' };
+        }
+
+        const current = await this.database.getDatasetVersion();
+        const build = buildAt(this.changesDir, current, date);
+        if (!build) {
+            return {
+                success: false,
+                reason: 'unavailable',
+                error: `No dataset history reaches back to ${date.toISOString()}; ` +
+                    'point-in-time lookups cover the builds recorded in the changelog'
+            };
+        }
+
+        return {
+            success: true,
+            history: { asOf: date.toISOString(), ...build }
+        };
+    }
+
+    // Switches to a reloaded database
+    useDatabase(database) {
+        this.database = database;
+        this.statements = database.getStatements();
+    }
+}
+
+module.exports = ChangeService;
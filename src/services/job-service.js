@@ -0,0 +1,456 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Transform, pipeline } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const csv = require('csv-parser');
+const { csvRow } = require('../utils/response-format');
+const { foldText } = require('../utils/text');
+const { COUNTRY_ALIASES } = require('./address-parser');
+
+// Columns appended to every input row of a job result
+const RESULT_COLUMNS = [
+    'match_type',
+    'matched_country_code',
+    'matched_postal_code',
+    'place_name',
+    'admin_name1',
+    'admin_code1',
+    'admin_name2',
+    'admin_code2',
+    'latitude',
+    'longitude',
+    'match_count'
+];
+
+// Spreadsheet exports often start with a byte order mark and pad header names
+const cleanHeader = ({ header }) => header.replace(/^\uFEFF/, '').trim();
+
+/**
+ * Bulk geocoding jobs
+ * An uploaded CSV file is stored under data/jobs/<id>/, looked up row by row in the
+ * background and written back out with RESULT_COLUMNS appended. Job state lives in the
+ * geocode_jobs table, so queued and interrupted jobs are picked up again after a restart.
+ * Jobs run one at a time; rows within a job are looked up `rowConcurrency` at a time.
+ */
+class JobService {
+    constructor(database, searchService, logger, options = {}) {
+        this.database = database;
+        this.searchService = searchService;
+        this.logger = logger;
+        this.statements = database.getStatements();
+        this.jobsDir = options.jobsDir || path.join(__dirname, '../../data/jobs');
+        this.maxUploadBytes = options.maxUploadBytes || 1024 * 1024 * 1024; // 1 GB per upload
+        this.rowConcurrency = 8; // Parallel lookups within a job
+        this.progressInterval = 1000; // Rows between progress writes to the database
+        this.maxRowErrors = 100; // Row errors kept for the job status
+        this.queue = [];
+        this.activeJob = null; // { id, progress } of the running job
+    }
+
+    /**
+     * Stores an uploaded CSV stream and queues it
+     * options: { originalFilename, countryColumn, postalCodeColumn, defaultCountry, delimiter, fuzzy }
+     */
+    async createJob(input, options) {
+        const id = crypto.randomUUID();
+        const jobDir = path.join(this.jobsDir, id);
+        const inputPath = path.join(jobDir, 'input.csv');
+        const delimiter = options.delimiter || ',';
+
+        try {
+            await fs.ensureDir(jobDir);
+            const inputBytes = await this.saveUpload(input, inputPath);
+
+            const headers = inputBytes > 0 ? await this.readHeaders(inputPath, delimiter) : [];
+            if (headers.length === 0) {
+                await fs.remove(jobDir);
+                return { success: false, reason: 'empty', error: 'Uploaded CSV is empty' };
+            }
+
+            const missing = [options.postalCodeColumn, options.countryColumn]
+                .filter(column => column && !headers.includes(column));
+            if (missing.length > 0) {
+                await fs.remove(jobDir);
+                return {
+                    success: false,
+                    reason: 'missing_columns',
+                    error: `Column not found in CSV header: ${missing.join(', ')}`,
+                    headers
+                };
+            }
+
+            await this.statements.createJob({
+                id,
+                originalFilename: options.originalFilename || null,
+                inputPath,
+                resultPath: path.join(jobDir, 'result.csv'),
+                countryColumn: options.countryColumn || null,
+                postalCodeColumn: options.postalCodeColumn,
+                defaultCountry: options.defaultCountry || null,
+                delimiter,
+                fuzzy: options.fuzzy === true,
+                inputBytes
+            });
+
+            this.logger.info(`Queued geocoding job ${id} (${inputBytes} bytes)`);
+            this.enqueue(id);
+
+            return { success: true, job: await this.getJob(id) };
+
+        } catch (error) {
+            await fs.remove(jobDir).catch(() => {});
+
+            if (error.code === 'UPLOAD_TOO_LARGE') {
+                return {
+                    success: false,
+                    reason: 'too_large',
+                    error: `Upload exceeds ${Math.round(this.maxUploadBytes / (1024 * 1024))} MB`
+                };
+            }
+
+            this.logger.error('Job creation error:', error);
+            return { success: false, error: 'Failed to create job' };
+        }
+    }
+
+    // Streams the upload to disk, failing once it grows past maxUploadBytes
+    async saveUpload(input, filePath) {
+        const limit = this.maxUploadBytes;
+        let bytes = 0;
+
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                bytes += chunk.length;
+                if (bytes > limit) {
+                    const error = new Error('Upload too large');
+                    error.code = 'UPLOAD_TOO_LARGE';
+                    return callback(error);
+                }
+                callback(null, chunk);
+            }
+        });
+
+        await pipelineAsync(input, counter, fs.createWriteStream(filePath));
+        return bytes;
+    }
+
+    readHeaders(filePath, delimiter) {
+        return new Promise((resolve, reject) => {
+            const source = fs.createReadStream(filePath);
+            const parser = csv({ separator: delimiter, mapHeaders: cleanHeader });
+
+            parser.once('headers', headers => {
+                source.destroy();
+                resolve(headers);
+            });
+            parser.once('end', () => resolve([]));
+            parser.once('error', reject);
+            source.once('error', reject);
+
+            source.pipe(parser).resume();
+        });
+    }
+
+    /**
+     * Switches to a reloaded database. The running job looks up its remaining rows in the
+     * new build; job state is unaffected because both databases share the state connection.
+     */
+    useDatabase(database, searchService) {
+        this.database = database;
+        this.searchService = searchService;
+        this.statements = database.getStatements();
+    }
+
+    enqueue(jobId) {
+        this.queue.push(jobId);
+        this.processQueue().catch(error => this.logger.error('Job queue error:', error));
+    }
+
+    // Requeues jobs that were waiting or running when the process stopped
+    async resumeJobs() {
+        const unfinished = await this.statements.findUnfinishedJobs();
+
+        if (unfinished.length > 0) {
+            this.logger.info(`Resuming ${unfinished.length} geocoding job(s)`);
+        }
+
+        unfinished.forEach(job => this.enqueue(job.id));
+    }
+
+    async processQueue() {
+        if (this.activeJob) {
+            return;
+        }
+
+        while (this.queue.length > 0) {
+            const jobId = this.queue.shift();
+            this.activeJob = { id: jobId, progress: null };
+
+            try {
+                await this.runJob(jobId);
+            } catch (error) {
+                this.logger.error(`Geocoding job ${jobId} failed:`, error);
+                await this.statements.finishJob(jobId, 'failed', error.message)
+                    .catch(finishError => this.logger.error('Failed to record job failure:', finishError));
+            } finally {
+                this.activeJob = null;
+            }
+        }
+    }
+
+    async runJob(jobId) {
+        const job = await this.statements.getJob(jobId);
+        if (!job) {
+            return;
+        }
+
+        const startTime = Date.now();
+        await this.statements.markJobRunning(jobId);
+        this.logger.info(`Starting geocoding job ${jobId}`);
+
+        const progress = {
+            bytesProcessed: 0,
+            rowsProcessed: 0,
+            exactRows: 0,
+            fuzzyRows: 0,
+            unmatchedRows: 0,
+            errorRows: 0,
+            rowErrors: []
+        };
+        this.activeJob.progress = progress;
+
+        const source = fs.createReadStream(job.input_path);
+        source.on('data', chunk => {
+            progress.bytesProcessed += chunk.length;
+        });
+
+        // pipeline() forwards read errors to the parser so the loop below throws
+        const parser = pipeline(
+            source,
+            csv({ separator: job.delimiter || ',', mapHeaders: cleanHeader }),
+            () => {}
+        );
+
+        let headers = null;
+        parser.once('headers', parsedHeaders => {
+            headers = parsedHeaders;
+        });
+
+        const output = fs.createWriteStream(job.result_path);
+        const write = async (text) => {
+            if (!output.write(text)) {
+                await once(output, 'drain');
+            }
+        };
+
+        let headerWritten = false;
+        const writeHeader = async () => {
+            const resultColumns = RESULT_COLUMNS.map(column => (headers.includes(column) ? `geocoded_${column}` : column));
+            await write(csvRow([...headers, ...resultColumns]));
+            headerWritten = true;
+        };
+
+        let batch = [];
+        let lastSaved = 0;
+        const flush = async () => {
+            const firstRow = progress.rowsProcessed + 1;
+            const resolved = await Promise.all(batch.map((row, index) => this.geocodeRow(job, row, firstRow + index)));
+
+            for (let index = 0; index < batch.length; index++) {
+                const outcome = resolved[index];
+                this.countOutcome(progress, outcome, firstRow + index);
+                await write(csvRow([...headers.map(header => batch[index][header]), ...outcome.values]));
+            }
+
+            batch = [];
+            if (progress.rowsProcessed - lastSaved >= this.progressInterval) {
+                lastSaved = progress.rowsProcessed;
+                await this.statements.updateJobProgress(jobId, progress);
+            }
+        };
+
+        try {
+            for await (const row of parser) {
+                if (!headerWritten) {
+                    await writeHeader();
+                }
+
+                batch.push(row);
+                if (batch.length >= this.rowConcurrency) {
+                    await flush();
+                }
+            }
+
+            // A header-only file still gets a header-only result
+            if (!headerWritten && headers) {
+                await writeHeader();
+            }
+            if (batch.length > 0) {
+                await flush();
+            }
+
+            output.end();
+            await once(output, 'finish');
+        } catch (error) {
+            output.destroy();
+            await this.statements.updateJobProgress(jobId, progress);
+            throw error;
+        }
+
+        progress.bytesProcessed = Number(job.input_bytes);
+        await this.statements.updateJobProgress(jobId, progress);
+        await this.statements.finishJob(jobId, 'completed');
+
+        this.logger.info(`Geocoding job ${jobId} completed: ${progress.rowsProcessed} rows ` +
+            `(${progress.exactRows} exact, ${progress.fuzzyRows} fuzzy, ${progress.unmatchedRows} unmatched, ` +
+            `${progress.errorRows} errors) in ${Date.now() - startTime}ms`);
+    }
+
+    // Country cells may hold ISO codes or names ("Germany", "USA"); the job default fills blanks
+    resolveCountry(job, row) {
+        const value = job.country_column ? String(row[job.country_column] || '').trim() : '';
+        if (!value) {
+            return job.default_country || '';
+        }
+
+        return COUNTRY_ALIASES[foldText(value)] || value;
+    }
+
+    // Looks one input row up; never throws. Returns { matchType, values, error }
+    async geocodeRow(job, row, rowNumber) {
+        const postalCode = String(row[job.postal_code_column] || '').trim();
+        const country = this.resolveCountry(job, row);
+        const failed = (error) => ({
+            matchType: 'error',
+            values: ['error', ...RESULT_COLUMNS.slice(1).map(() => null)],
+            error
+        });
+
+        if (!postalCode) {
+            return failed('Missing postal code');
+        }
+        if (!country) {
+            return failed('Missing country');
+        }
+
+        try {
+            const result = await this.searchService.searchPostalCode(country, postalCode, job.fuzzy === true);
+            if (!result.success) {
+                return failed(result.error || 'Lookup failed');
+            }
+
+            const match = result.results[0] || {};
+            return {
+                matchType: result.matchType,
+                values: [
+                    result.matchType,
+                    match.country_code,
+                    match.postal_code,
+                    match.place_name,
+                    match.admin_name1,
+                    match.admin_code1,
+                    match.admin_name2,
+                    match.admin_code2,
+                    match.latitude,
+                    match.longitude,
+                    result.results.length
+                ],
+                error: null
+            };
+        } catch (error) {
+            this.logger.error(`Geocoding job row ${rowNumber} error:`, error);
+            return failed('Lookup failed');
+        }
+    }
+
+    countOutcome(progress, outcome, rowNumber) {
+        progress.rowsProcessed++;
+
+        switch (outcome.matchType) {
+        case 'exact':
+            progress.exactRows++;
+            break;
+        case 'outward': // Matched the shorter code only; counted with the approximate matches
+        case 'fuzzy':
+            progress.fuzzyRows++;
+            break;
+        case 'error':
+            progress.errorRows++;
+            if (progress.rowErrors.length < this.maxRowErrors) {
+                progress.rowErrors.push({ row: rowNumber, error: outcome.error });
+            }
+            break;
+        default:
+            progress.unmatchedRows++;
+        }
+    }
+
+    async getJob(jobId) {
+        const job = await this.statements.getJob(jobId);
+        return job ? this.formatJob(job) : null;
+    }
+
+    formatJob(job) {
+        // The running job reports its in-memory counters rather than the last saved ones
+        const live = this.activeJob && this.activeJob.id === job.id && job.status === 'running' ?
+            this.activeJob.progress :
+            null;
+
+        const inputBytes = Number(job.input_bytes) || 0;
+        const bytesProcessed = live ? live.bytesProcessed : Number(job.bytes_processed) || 0;
+        let fraction = inputBytes > 0 ? Math.min(bytesProcessed / inputBytes, 1) : 0;
+        if (job.status === 'completed') {
+            fraction = 1;
+        } else if (job.status === 'running') {
+            fraction = Math.min(fraction, 0.99); // read-ahead finishes before the last lookups do
+        }
+
+        return {
+            id: job.id,
+            status: job.status,
+            filename: job.original_filename,
+            options: {
+                countryColumn: job.country_column,
+                postalCodeColumn: job.postal_code_column,
+                defaultCountry: job.default_country,
+                delimiter: job.delimiter,
+                fuzzy: job.fuzzy === true
+            },
+            progress: Math.round(fraction * 1000) / 1000,
+            counts: {
+                processed: live ? live.rowsProcessed : Number(job.rows_processed) || 0,
+                exact: live ? live.exactRows : Number(job.exact_rows) || 0,
+                fuzzy: live ? live.fuzzyRows : Number(job.fuzzy_rows) || 0,
+                unmatched: live ? live.unmatchedRows : Number(job.unmatched_rows) || 0,
+                errors: live ? live.errorRows : Number(job.error_rows) || 0
+            },
+            rowErrors: live ? live.rowErrors : JSON.parse(job.row_errors || '[]'),
+            error: job.error_message,
+            inputBytes,
+            createdAt: job.created_at,
+            startedAt: job.started_at,
+            updatedAt: job.updated_at,
+            completedAt: job.completed_at,
+            resultUrl: job.status === 'completed' ? `/jobs/${job.id}/result` : null
+        };
+    }
+
+    // Result file of a completed job: { job, resultPath } or { job } while it is not ready
+    async getResult(jobId) {
+        const job = await this.statements.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        const ready = job.status === 'completed' && await fs.pathExists(job.result_path);
+        return {
+            job: this.formatJob(job),
+            resultPath: ready ? job.result_path : null
+        };
+    }
+}
+
+module.exports = JobService;
+module.exports.RESULT_COLUMNS = RESULT_COLUMNS;
@@ -0,0 +1,118 @@
+/**
+ * Per-country postal code format rules
+ *
+ * Each rule describes the compact form of a code (upper case, no spaces or dashes):
+ *   pattern - regular expression the compact form must match
+ *   lengths - allowed lengths of the compact form
+ *   format  - optional function turning the compact form into the canonical
+ *             display form used by GeoNames (separators re-inserted)
+ *   lookup  - optional function reducing the compact form to the part stored
+ *             in the dataset (e.g. US ZIP+4 -> ZIP)
+ *   fallback - optional function giving the shorter code a dataset may hold instead
+ *             of the full one, or null (GeoNames allCountries.txt only has the GB
+ *             outward code, the CA FSA and the NL digits unless the *_full files are loaded)
+ *   example - a well-formed sample shown in validation messages
+ *
+ * Rules are independent of the data, so countries without rows still get format checks.
+ */
+
+const splitAt = (position, separator = ' ') => (compact) =>
+    compact.length > position ? `${compact.slice(0, position)}${separator}${compact.slice(position)}` : compact;
+
+const POSTAL_CODE_FORMATS = {
+    AR: { pattern: /^([A-Z]\d{4}[A-Z]{3}|\d{4})$/, lengths: [4, 8], example: '1425' },
+    AT: { pattern: /^\d{4}$/, lengths: [4], example: '1010' },
+    AU: { pattern: /^\d{4}$/, lengths: [4], example: '2000' },
+    BE: { pattern: /^\d{4}$/, lengths: [4], example: '1000' },
+    BR: { pattern: /^\d{8}$/, lengths: [8], format: splitAt(5, '-'), example: '01310-100' },
+    CA: {
+        pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z](\d[ABCEGHJ-NPRSTV-Z]\d)?$/,
+        lengths: [3, 6],
+        format: splitAt(3),
+        fallback: (compact) => (compact.length === 6 ? compact.slice(0, 3) : null),
+        example: 'M5V 3A8'
+    },
+    CH: { pattern: /^\d{4}$/, lengths: [4], example: '8001' },
+    CZ: { pattern: /^\d{5}$/, lengths: [5], format: splitAt(3), example: '110 00' },
+    DE: { pattern: /^\d{5}$/, lengths: [5], example: '10115' },
+    DK: { pattern: /^\d{4}$/, lengths: [4], example: '1050' },
+    ES: { pattern: /^(0[1-9]|[1-4]\d|5[0-2])\d{3}$/, lengths: [5], example: '28001' },
+    FI: { pattern: /^\d{5}$/, lengths: [5], example: '00100' },
+    FR: { pattern: /^\d{5}$/, lengths: [5], example: '75001' },
+    GB: {
+        // Full postcodes (outward + inward) or outward district only
+        pattern: /^([A-Z]{1,2}\d[A-Z\d]?(\d[A-Z]{2})?|GIR0AA)$/,
+        lengths: [2, 3, 4, 5, 6, 7],
+        format: (compact) => (/\d[A-Z]{2}$/.test(compact) && compact.length >= 5 ?
+            `${compact.slice(0, -3)} ${compact.slice(-3)}` :
+            compact),
+        fallback: (compact) => (/\d[A-Z]{2}$/.test(compact) && compact.length >= 5 && compact !== 'GIR0AA' ? compact.slice(0, -3) : null),
+        example: 'SW1A 1AA'
+    },
+    IE: { pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W)([AC-FHKNPRTV-Y\d]{4})?$/, lengths: [3, 7], format: splitAt(3), example: 'D02 X285' },
+    IN: { pattern: /^[1-9]\d{5}$/, lengths: [6], example: '110001' },
+    IT: { pattern: /^\d{5}$/, lengths: [5], example: '00118' },
+    JP: { pattern: /^\d{7}$/, lengths: [7], format: splitAt(3, '-'), example: '100-0001' },
+    MX: { pattern: /^\d{5}$/, lengths: [5], example: '06000' },
+    NL: { pattern: /^[1-9]\d{3}([A-RT-Z][A-Z]|S[BCE-RT-Z])?$/, lengths: [4, 6], format: splitAt(4), fallback: (compact) => (compact.length === 6 ? compact.slice(0, 4) : null), example: '1012 AB' },
+    NO: { pattern: /^\d{4}$/, lengths: [4], example: '0150' },
+    NZ: { pattern: /^\d{4}$/, lengths: [4], example: '6011' },
+    PL: { pattern: /^\d{5}$/, lengths: [5], format: splitAt(2, '-'), example: '00-001' },
+    PT: { pattern: /^\d{7}$/, lengths: [7], format: splitAt(4, '-'), example: '1000-001' },
+    SE: { pattern: /^\d{5}$/, lengths: [5], format: splitAt(3), example: '111 22' },
+    SK: { pattern: /^\d{5}$/, lengths: [5], format: splitAt(3), example: '811 01' },
+    US: {
+        pattern: /^\d{5}(\d{4})?$/,
+        lengths: [5, 9],
+        format: splitAt(5, '-'),
+        lookup: (compact) => compact.slice(0, 5),
+        example: '90210'
+    },
+    ZA: { pattern: /^\d{4}$/, lengths: [4], example: '0001' }
+};
+
+function getFormatRule(countryCode) {
+    return POSTAL_CODE_FORMATS[countryCode] || null;
+}
+
+function toCompact(postalCode) {
+    return postalCode.toUpperCase().replace(/[\s\-.]+/g, '');
+}
+
+/**
+ * Checks a postal code against its country's format rule
+ * Returns { formatValid, normalized, reason } where formatValid is null when no rule exists
+ */
+function validateFormat(countryCode, postalCode) {
+    const rule = getFormatRule(countryCode);
+    const compact = toCompact(postalCode);
+
+    if (!rule) {
+        return { formatValid: null, normalized: postalCode.trim().toUpperCase(), reason: 'no_format_rule' };
+    }
+
+    if (!/^[A-Z\d]+$/.test(compact)) {
+        return { formatValid: false, normalized: null, reason: 'invalid_characters' };
+    }
+
+    if (!rule.lengths.includes(compact.length)) {
+        return { formatValid: false, normalized: null, reason: 'invalid_length' };
+    }
+
+    if (!rule.pattern.test(compact)) {
+        return { formatValid: false, normalized: null, reason: 'invalid_format' };
+    }
+
+    return {
+        formatValid: true,
+        normalized: rule.format ? rule.format(compact) : compact,
+        reason: null
+    };
+}
+
+module.exports = {
+    POSTAL_CODE_FORMATS,
+    getFormatRule,
+    toCompact,
+    validateFormat
+};
@@ -0,0 +1,79 @@
+const { getFormatRule, toCompact, validateFormat } = require('./postal-code-formats');
+
+/**
+ * Country-aware postal code normalization
+ * Turns user input such as "sw1a1aa", "M5V3A8", "1012ab" or "90210-1234"
+ * into the form stored in the dataset before any lookup is made.
+ */
+
+function normalizeCountry(country) {
+    return typeof country === 'string' ? country.trim().toUpperCase() : '';
+}
+
+function unique(values) {
+    return values.filter((value, index) => value && values.indexOf(value) === index);
+}
+
+function basicNormalize(postalCode) {
+    return postalCode.trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Normalizes a full postal code for exact lookups
+ * Returns { normalized, candidates, outward } - candidates are alternative spellings to try
+ * when the normalized form is not found (e.g. datasets storing the compact form); outward
+ * is the shorter code of countries whose full codes may not be loaded ("SW1A 1AA" -> "SW1A",
+ * "M5V 3A8" -> "M5V"), or null. It is not a spelling of the code, so it never counts as an exact match.
+ */
+function normalizePostalCode(country, postalCode) {
+    if (typeof postalCode !== 'string') {
+        return { normalized: '', candidates: [], outward: null };
+    }
+
+    const countryCode = normalizeCountry(country);
+    const rule = getFormatRule(countryCode);
+    const basic = basicNormalize(postalCode);
+
+    if (rule && validateFormat(countryCode, postalCode).formatValid) {
+        const compact = toCompact(postalCode);
+        const stored = rule.lookup ? rule.lookup(compact) : compact;
+        const normalized = rule.format ? rule.format(stored) : stored;
+
+        const outward = rule.fallback ? rule.fallback(stored) : null;
+
+        return { normalized, candidates: unique([normalized, stored]), outward };
+    }
+
+    const normalized = basic;
+    const candidates = unique([basic, toCompact(postalCode)]);
+
+    return { normalized, candidates, outward: null };
+}
+
+/**
+ * Normalizes a partial postal code for prefix searches
+ * Separators are only re-inserted once the input is a complete, well-formed code,
+ * since the split point of a partial code is ambiguous for some countries (GB)
+ */
+function normalizePartialPostalCode(country, partialPostalCode) {
+    if (typeof partialPostalCode !== 'string') {
+        return '';
+    }
+
+    const countryCode = normalizeCountry(country);
+    const rule = getFormatRule(countryCode);
+
+    if (rule && validateFormat(countryCode, partialPostalCode).formatValid) {
+        const compact = toCompact(partialPostalCode);
+        const stored = rule.lookup ? rule.lookup(compact) : compact;
+        return rule.format ? rule.format(stored) : stored;
+    }
+
+    return basicNormalize(partialPostalCode);
+}
+
+module.exports = {
+    normalizeCountry,
+    normalizePostalCode,
+    normalizePartialPostalCode
+};
@@ -0,0 +1,369 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { parseCron, nextRun } = require('../utils/cron');
+const { ingestPostalCodes, thresholdsFromEnv } = require('../ingest-postal-codes');
+const { readManifest } = require('../database/dataset-builds');
+
+const STAGES = ['download', 'extract', 'load', 'optimize', 'swap'];
+
+const DEFAULT_BASE_URL = 'https://download.geonames.org/export/zip';
+const DEFAULT_FILES = ['allCountries.zip', 'CA_full.csv.zip', 'GB_full.csv.zip', 'NL_full.csv.zip'];
+
+/**
+ * Server-managed dataset refresh
+ * A run downloads the source archives from `baseUrl` (GeoNames or a mirror of it), then
+ * builds, checks and promotes a new database the same way `npm run ingest` does, and
+ * finally reloads the server onto it. Runs go through the stages download, extract, load,
+ * optimize and swap; every stage change is written to refresh_log, so finished runs can be
+ * looked up after a restart. One run at a time, started on `schedule` or on demand.
+ */
+class RefreshService {
+    constructor(database, logger, options = {}) {
+        this.database = database;
+        this.logger = logger;
+        this.statements = database.getStatements();
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.files = options.files || DEFAULT_FILES;
+        this.sources = options.sources; // Source adapters to build from (default: all)
+        this.rawDataDir = options.rawDataDir || path.join(__dirname, '../../raw_data/geonames.org_all_countries');
+        this.dbPath = options.dbPath || path.join(__dirname, '../../data/postal_codes.duckdb');
+        this.schedule = options.schedule ? parseCron(options.schedule) : null;
+        this.reload = options.reload || (async () => ({ success: true }));
+        this.downloadTimeoutMs = 30 * 60 * 1000; // Per file; allCountries.zip is large
+        this.activeRun = null;
+        this.timer = null;
+    }
+
+    isRunning() {
+        return this.activeRun !== null;
+    }
+
+    /**
+     * Starts a run in the background. Returns { success, run } right away, or reason
+     * in_progress with the id of the run that is still going.
+     * options: { rebuild (build even when no archive is newer than the live build) }
+     */
+    async trigger(trigger, options = {}) {
+        if (this.activeRun) {
+            return {
+                success: false,
+                reason: 'in_progress',
+                error: `Refresh #${this.activeRun.id} is still running`,
+                runId: this.activeRun.id
+            };
+        }
+
+        // Claimed before the first await so two triggers cannot both start a run
+        this.activeRun = { id: null };
+
+        try {
+            const id = await this.statements.createRefreshRun(trigger);
+            this.activeRun = {
+                id,
+                status: 'running',
+                stage: 'download',
+                trigger,
+                startedAt: new Date().toISOString(),
+                completedAt: null,
+                durationMs: null,
+                stages: [],
+                files: [],
+                rows: { loaded: 0, byFile: {}, previousTotal: null },
+                checks: null,
+                version: null,
+                changes: null,
+                error: null
+            };
+        } catch (error) {
+            this.activeRun = null;
+            throw error;
+        }
+
+        const run = this.activeRun;
+        this.logger.info(`Refresh #${run.id} started (${trigger})`);
+
+        this.execute(run, options)
+            .catch(error => this.logger.error(`Refresh #${run.id} could not record its outcome:`, error))
+            .finally(() => { this.activeRun = null; });
+
+        return { success: true, run: this.formatRun(run) };
+    }
+
+    async execute(run, options) {
+        const started = Date.now();
+
+        try {
+            await this.enterStage(run, 'download');
+            await this.downloadSources(run);
+            const pending = await this.archivesNewerThanBuild();
+
+            if (pending.length === 0 && !options.rebuild) {
+                run.status = 'unchanged';
+                this.logger.info(`Refresh #${run.id}: no source file changed, keeping the current build`);
+            } else {
+                const result = await ingestPostalCodes({
+                    dbPath: this.dbPath,
+                    sources: this.sources,
+                    rawDataDir: this.rawDataDir,
+                    thresholds: thresholdsFromEnv(),
+                    onProgress: (progress) => this.onProgress(run, progress)
+                });
+                run.version = result.dataset.version;
+                run.changes = result.changelog ? result.changelog.counts : null;
+
+                const reload = await this.reload(run);
+                if (!reload.success) {
+                    throw new Error(`The new build was promoted but the server could not switch to it: ${reload.error}`);
+                }
+                run.status = 'completed';
+                this.logger.info(`Refresh #${run.id} completed: ${run.rows.loaded} rows, dataset ${run.version}`);
+            }
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            this.logger.error(`Refresh #${run.id} failed in stage ${run.stage}:`, error.message);
+        }
+
+        run.durationMs = Date.now() - started;
+        run.completedAt = new Date().toISOString();
+        const current = run.stages[run.stages.length - 1];
+        if (current && !current.completedAt) {
+            current.completedAt = run.completedAt;
+        }
+
+        await this.persist(run);
+    }
+
+    // Progress reported by the ingest: a new stage, or rows loaded from one file
+    onProgress(run, progress) {
+        if (progress.file) {
+            run.rows.byFile[progress.file] = progress.rows;
+            run.rows.loaded = progress.totalRows;
+        }
+        if (progress.checks) {
+            run.checks = progress.checks;
+            run.rows.previousTotal = progress.previousTotalRows;
+        }
+
+        const update = progress.stage !== run.stage ? this.enterStage(run, progress.stage) : this.persist(run);
+        update.catch(error => this.logger.warn(`Refresh #${run.id} progress not recorded:`, error.message));
+    }
+
+    async enterStage(run, stage) {
+        const now = new Date().toISOString();
+        const previous = run.stages[run.stages.length - 1];
+        if (previous && !previous.completedAt) {
+            previous.completedAt = now;
+        }
+
+        run.stage = stage;
+        run.stages.push({ name: stage, startedAt: now, completedAt: null });
+        await this.persist(run);
+    }
+
+    /**
+     * Fetches each source archive into rawDataDir. Archives that have not changed since
+     * the local copy was downloaded are left alone (If-Modified-Since).
+     */
+    async downloadSources(run) {
+        await fs.ensureDir(this.rawDataDir);
+
+        for (const name of this.files) {
+            const url = `${this.baseUrl}/${name}`;
+            const target = path.join(this.rawDataDir, name);
+            const file = { name, url, status: 'downloading', bytes: null };
+            run.files.push(file);
+            await this.persist(run);
+
+            const headers = {};
+            if (await fs.pathExists(target)) {
+                headers['If-Modified-Since'] = (await fs.stat(target)).mtime.toUTCString();
+            }
+
+            const response = await fetch(url, { headers, signal: AbortSignal.timeout(this.downloadTimeoutMs) });
+            if (response.status === 304) {
+                file.status = 'not_modified';
+                continue;
+            }
+            if (!response.ok || !response.body) {
+                throw new Error(`Download of ${url} failed: HTTP ${response.status}`);
+            }
+
+            // Written next to the target and renamed, so an aborted download never replaces a good archive
+            const partial = `${target}.download`;
+            try {
+                await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(partial));
+                await fs.move(partial, target, { overwrite: true });
+            } catch (error) {
+                await fs.remove(partial);
+                throw new Error(`Download of ${url} failed: ${error.message}`);
+            }
+
+            file.status = 'downloaded';
+            file.bytes = (await fs.stat(target)).size;
+            this.logger.info(`Refresh #${run.id}: downloaded ${name} (${file.bytes} bytes)`);
+        }
+
+        await this.persist(run);
+    }
+
+    /**
+     * The archives in rawDataDir written after the live build was made: downloaded by this
+     * run, or by an earlier one whose build failed or was rejected, so that build is retried.
+     * Every archive when there is no live build.
+     */
+    async archivesNewerThanBuild() {
+        if (!await fs.pathExists(this.dbPath)) {
+            return this.files;
+        }
+
+        // Builds from before build manifests: the database file was last written by its build
+        const manifest = readManifest(this.dbPath);
+        const builtAt = manifest && manifest.builtAt ?
+            new Date(manifest.builtAt).getTime() :
+            (await fs.stat(this.dbPath)).mtimeMs;
+
+        const newer = [];
+        for (const name of this.files) {
+            const target = path.join(this.rawDataDir, name);
+            if (await fs.pathExists(target) && (await fs.stat(target)).mtimeMs > builtAt) {
+                newer.push(name);
+            }
+        }
+        return newer;
+    }
+
+    async persist(run) {
+        await this.statements.updateRefreshRun(run.id, {
+            status: run.status,
+            stage: run.stage,
+            recordsProcessed: run.rows.loaded,
+            durationMs: run.durationMs,
+            error: run.error,
+            details: {
+                stages: run.stages,
+                files: run.files,
+                rows: run.rows,
+                checks: run.checks,
+                version: run.version,
+                changes: run.changes
+            }
+        });
+    }
+
+    // The running run from memory, others from refresh_log; null when unknown
+    async getRun(id) {
+        if (this.activeRun && this.activeRun.id === id) {
+            return this.formatRun(this.activeRun);
+        }
+
+        const row = await this.statements.getRefreshRun(id);
+        return row ? this.formatRow(row) : null;
+    }
+
+    async listRuns(limit = 20) {
+        const rows = await this.statements.listRefreshRuns(limit);
+        return rows.map(row => this.formatRow(row));
+    }
+
+    // Marks runs that were going when the server last stopped as failed
+    async recoverInterruptedRuns() {
+        await this.statements.failInterruptedRefreshRuns();
+    }
+
+    nextRunAt() {
+        const next = this.schedule ? nextRun(this.schedule) : null;
+        return next ? next.toISOString() : null;
+    }
+
+    // Switches to a reloaded database (refresh_log lives in the shared state connection)
+    useDatabase(database) {
+        this.database = database;
+        this.statements = database.getStatements();
+    }
+
+    /**
+     * Checks the schedule at the start of every minute; the timer does not keep the
+     * process alive. A scheduled run is skipped while another one is still going.
+     */
+    start() {
+        this.stop();
+        if (!this.schedule) {
+            return;
+        }
+
+        const tick = () => {
+            const now = new Date();
+            if (this.schedule.matches(now) && !this.activeRun) {
+                this.trigger(`schedule (${this.schedule.expression})`)
+                    .catch(error => this.logger.error('Scheduled refresh could not start:', error));
+            }
+            this.timer = setTimeout(tick, 60000 - (Date.now() % 60000));
+            this.timer.unref();
+        };
+
+        this.timer = setTimeout(tick, 60000 - (Date.now() % 60000));
+        this.timer.unref();
+        this.logger.info(`Background refresh scheduled (${this.schedule.expression}), next run at ${this.nextRunAt()}`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    formatRun(run) {
+        return {
+            id: run.id,
+            status: run.status,
+            stage: run.stage,
+            stageIndex: STAGES.indexOf(run.stage) + 1,
+            stageCount: STAGES.length,
+            trigger: run.trigger,
+            startedAt: run.startedAt,
+            completedAt: run.completedAt,
+            durationMs: run.durationMs,
+            stages: run.stages,
+            files: run.files,
+            rows: run.rows,
+            checks: run.checks,
+            version: run.version,
+            changes: run.changes,
+            error: run.error
+        };
+    }
+
+    formatRow(row) {
+        let details = {};
+        try {
+            details = row.details ? JSON.parse(row.details) : {};
+        } catch {
+            details = {};
+        }
+
+        return this.formatRun({
+            id: Number(row.id),
+            status: row.status,
+            stage: row.stage || null,
+            trigger: row.trigger || row.source_name || row.operation,
+            startedAt: row.started_at ? new Date(row.started_at).toISOString() : null,
+            completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null,
+            durationMs: row.duration_ms === null ? null : Number(row.duration_ms),
+            stages: details.stages || [],
+            files: details.files || [],
+            rows: details.rows || { loaded: Number(row.records_processed || 0), byFile: {}, previousTotal: null },
+            checks: details.checks || null,
+            version: details.version || null,
+            changes: details.changes || null,
+            error: row.error_message || null
+        });
+    }
+}
+
+module.exports = RefreshService;
+module.exports.STAGES = STAGES;
+module.exports.DEFAULT_FILES = DEFAULT_FILES;
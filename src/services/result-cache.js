@@ -0,0 +1,128 @@
+/**
+ * In-process LRU cache with a per-entry TTL for lookup results
+ * Entries are keyed by normalized query, so "sw1a1aa" and "SW1A 1AA" share one entry.
+ * A timer polls the database's dataset fingerprint (file identity and dataset version)
+ * and flushes everything when it changes, so a rebuilt dataset is never answered from
+ * stale entries.
+ */
+class ResultCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries ?? 10000;
+        this.ttlMs = options.ttlMs ?? 10 * 60 * 1000; // 10 minutes
+        this.checkIntervalMs = options.checkIntervalMs ?? 5000; // Dataset change polling
+        this.enabled = options.enabled !== false && this.maxEntries > 0;
+        this.logger = options.logger || null;
+
+        this.entries = new Map(); // Map keeps insertion order: first key is least recently used
+        this.fingerprint = null;
+        this.timer = null;
+        this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0, flushes: 0 };
+        this.lastFlushAt = null;
+    }
+
+    get(key) {
+        if (!this.enabled) {
+            return undefined;
+        }
+
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.counters.misses++;
+            return undefined;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.counters.expirations++;
+            this.counters.misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.counters.hits++;
+        return entry.value;
+    }
+
+    set(key, value) {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.counters.evictions++;
+        }
+    }
+
+    flush(reason = 'manual') {
+        const size = this.entries.size;
+        this.entries.clear();
+        this.counters.flushes++;
+        this.lastFlushAt = new Date().toISOString();
+
+        if (this.logger && size > 0) {
+            this.logger.info(`Result cache flushed (${reason}), ${size} entries dropped`);
+        }
+    }
+
+    /**
+     * Flushes when the fingerprint differs from the last one seen.
+     * The first call only records the fingerprint.
+     */
+    noteFingerprint(fingerprint) {
+        if (this.fingerprint !== null && fingerprint !== this.fingerprint) {
+            this.flush('dataset changed');
+        }
+        this.fingerprint = fingerprint;
+    }
+
+    // Polls getFingerprint() every checkIntervalMs; the timer does not keep the process alive
+    watch(getFingerprint) {
+        this.stop();
+        if (!this.enabled) {
+            return;
+        }
+
+        const check = async () => {
+            try {
+                this.noteFingerprint(await getFingerprint());
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.warn('Result cache fingerprint check failed:', error.message);
+                }
+            }
+        };
+
+        check();
+        this.timer = setInterval(check, this.checkIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getStats() {
+        const lookups = this.counters.hits + this.counters.misses;
+
+        return {
+            enabled: this.enabled,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            ...this.counters,
+            hitRate: lookups > 0 ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : 0,
+            lastFlushAt: this.lastFlushAt
+        };
+    }
+}
+
+module.exports = ResultCache;
@@ -1,16 +1,64 @@
 const levenshtein = require('fast-levenshtein');
+const {
+    isValidCoordinate,
+    haversineDistance,
+    kmToMiles,
+    pointInGeometry,
+    geometryBounds
+} = require('../utils/geo');
+const { POSTAL_CODE_FORMATS, validateFormat, getFormatRule } = require('./postal-code-formats');
+const { normalizeCountry, normalizePostalCode, normalizePartialPostalCode } = require('./postal-code-normalizer');
+const { foldText } = require('../utils/text');
+const { parseAddressText, extractPlaceCandidates } = require('./address-parser');
+const { encodeCursor, readPage, pageResult } = require('../utils/cursor');
+const { rowsBefore } = require('../database/dataset-changes');
+const ResultCache = require('./result-cache');
+
+// Returned by paged methods when a cursor is malformed or belongs to another query
+const INVALID_CURSOR = {
+    success: false,
+    reason: 'invalid_cursor',
+    error: 'Invalid cursor; start again without one'
+};
+
+// Position of a findInBoundingBox row in its scan order, for continuing the scan after it
+function scanKey(row) {
+    return [row.country_code, row.postal_code, row.place_name, row.latitude, row.longitude, row.row_id];
+}
 
 class SearchService {
-    constructor(database, logger) {
+    constructor(database, logger, options = {}) {
         this.database = database;
         this.logger = logger;
         this.statements = database.getStatements();
+        this.cache = options.cache || new ResultCache({ enabled: false }); // see PostalCodeServer.initialize
+        // Prefixed to cache keys, so services answering from different builds can share one cache
+        this.cacheScope = options.cacheScope || '';
         this.maxFuzzyDistance = 3; // Maximum Levenshtein distance for fuzzy matching
         this.maxResults = 20; // Maximum results to return
+        this.maxExactResults = 50; // Places returned for one exact postal code (some codes cover dozens)
+        this.maxSuggestResults = 100; // Page size limit for suggestions
+        this.maxBrowseResults = 1000; // Page size limit for country and admin area listings
+        this.reverseSearchRadiiKm = [10, 50, 250, 1000, null]; // Widening windows for reverse geocoding (null = unbounded)
+        this.maxNearbyRadiusKm = 500; // Largest radius accepted by radius search
+        this.maxNearbyResults = 1000; // Maximum results for radius search
+        this.maxMatrixSize = 50; // Maximum origins and destinations per distance matrix
+        this.maxPlaceResults = 100; // Maximum results for place name search
+        this.maxAreaResults = 5000; // Maximum postal codes listed for an admin area
+        this.maxParseLookups = 12; // Postal code candidates checked per parsed address
+        this.maxSpatialPageSize = 1000; // Maximum page size for bounding box / polygon queries
+        this.polygonScanChunk = 5000; // Rows fetched per step when filtering a polygon's bounding box
+        this.streamConcurrency = 8; // Default parallel lookups for streaming batches
+        this.maxStreamConcurrency = 32; // Upper bound a client may request for streaming batches
     }
 
-    async searchPostalCode(country, postalCode, fuzzy = true) {
+    /**
+     * options.history: an earlier build to answer from (ChangeService.resolveAsOf); lookups
+     * against it are exact only, since fuzzy matching needs the whole dataset of that time
+     */
+    async searchPostalCode(country, postalCode, fuzzy = true, options = {}) {
         const startTime = Date.now();
+        const history = options.history && options.history.files.length > 0 ? options.history : null;
         
         try {
             // Validate input
@@ -23,55 +71,89 @@ class SearchService {
             }
 
             // Normalize inputs
-            const normalizedCountry = country.trim().toUpperCase();
-            const normalizedPostalCode = postalCode.trim();
+            const normalizedCountry = normalizeCountry(country);
+            const { normalized: normalizedPostalCode, candidates, outward } = normalizePostalCode(normalizedCountry, postalCode);
+            const query = {
+                country: normalizedCountry,
+                postalCode: normalizedPostalCode,
+                raw: { country, postalCode }
+            };
+
+            const cacheKey = `${this.cacheScope}|lookup|${normalizedCountry}|${normalizedPostalCode}|${fuzzy && !history ? 1 : 0}` +
+                (history ? `|${history.version}` : '');
+            const cached = this.cache.get(cacheKey);
+            if (cached) {
+                return this.fromCache(cached, query, startTime);
+            }
 
             this.logger.info(`Searching for ${normalizedCountry}:${normalizedPostalCode}, fuzzy=${fuzzy}`);
 
             // Step 1: Try exact match first
-            const exactResults = await this.findExactMatches(normalizedCountry, normalizedPostalCode);
+            const exactResults = await this.findExactCandidates(normalizedCountry, candidates, history);
             
             if (exactResults.length > 0) {
                 const result = {
                     success: true,
                     matchType: 'exact',
-                    query: { country: normalizedCountry, postalCode: normalizedPostalCode },
+                    query,
                     results: this.formatResults(exactResults),
                     searchTime: Date.now() - startTime
                 };
 
                 this.logger.info(`Found ${exactResults.length} exact matches in ${result.searchTime}ms`);
+                this.cache.set(cacheKey, result);
                 return result;
             }
 
-            // Step 2: If no exact matches and fuzzy is enabled, try fuzzy matching
-            if (fuzzy) {
+            // Step 2: The outward code / FSA / digits when the data only has the shorter codes
+            if (outward) {
+                const outwardResults = await this.findExactCandidates(normalizedCountry, [outward], history);
+
+                if (outwardResults.length > 0) {
+                    const result = {
+                        success: true,
+                        matchType: 'outward',
+                        query,
+                        results: this.formatResults(outwardResults),
+                        searchTime: Date.now() - startTime
+                    };
+
+                    this.logger.info(`Found ${outwardResults.length} outward code matches in ${result.searchTime}ms`);
+                    this.cache.set(cacheKey, result);
+                    return result;
+                }
+            }
+
+            // Step 3: If no exact matches and fuzzy is enabled, try fuzzy matching
+            if (fuzzy && !history) {
                 const fuzzyResults = await this.findFuzzyMatches(normalizedCountry, normalizedPostalCode);
                 
                 if (fuzzyResults.length > 0) {
                     const result = {
                         success: true,
                         matchType: 'fuzzy',
-                        query: { country: normalizedCountry, postalCode: normalizedPostalCode },
+                        query,
                         results: this.formatResults(fuzzyResults),
                         searchTime: Date.now() - startTime
                     };
 
                     this.logger.info(`Found ${fuzzyResults.length} fuzzy matches in ${result.searchTime}ms`);
+                    this.cache.set(cacheKey, result);
                     return result;
                 }
             }
 
-            // Step 3: No matches found
+            // Step 4: No matches found
             const result = {
                 success: true,
                 matchType: 'none',
-                query: { country: normalizedCountry, postalCode: normalizedPostalCode },
+                query,
                 results: [],
                 searchTime: Date.now() - startTime
             };
 
             this.logger.info(`No matches found in ${result.searchTime}ms`);
+            this.cache.set(cacheKey, result);
             return result;
 
         } catch (error) {
@@ -85,15 +167,201 @@ class SearchService {
         }
     }
 
+    /**
+     * Looks a postal code up without a country: every country where it exists is
+     * returned with a likelihood built from its format rule, row accuracy and the
+     * caller's preferred countries (countryHint first, then Accept-Language regions)
+     */
+    async detectCountry(postalCode, preferredCountries = []) {
+        const startTime = Date.now();
+
+        try {
+            if (!postalCode) {
+                return {
+                    success: false,
+                    error: 'Postal code is required',
+                    results: []
+                };
+            }
+
+            // Spellings of the code for every country whose format rule accepts it
+            const generic = normalizePostalCode(null, postalCode);
+            const perCountry = new Map();
+            for (const country of Object.keys(POSTAL_CODE_FORMATS)) {
+                if (validateFormat(country, postalCode).formatValid) {
+                    perCountry.set(country, normalizePostalCode(country, postalCode).candidates);
+                }
+            }
+
+            const spellings = new Set(generic.candidates);
+            perCountry.forEach(candidates => candidates.forEach(candidate => spellings.add(candidate)));
+
+            this.logger.info(`Detecting country for ${generic.normalized} across ${spellings.size} spellings`);
+
+            const rows = await this.statements.findExactAnyCountry([...spellings], this.maxExactResults);
+
+            // Keep rows whose spelling is right for their own country
+            const byCountry = new Map();
+            for (const row of rows) {
+                const rule = getFormatRule(row.country_code);
+                const accepted = perCountry.has(row.country_code) ?
+                    perCountry.get(row.country_code).includes(row.postal_code) :
+                    generic.candidates.includes(row.postal_code);
+
+                if (!accepted) {
+                    continue;
+                }
+
+                if (!byCountry.has(row.country_code)) {
+                    byCountry.set(row.country_code, {
+                        country: row.country_code,
+                        formatValid: rule ? perCountry.has(row.country_code) : null,
+                        rows: []
+                    });
+                }
+                byCountry.get(row.country_code).rows.push(row);
+            }
+
+            const preferences = preferredCountries.map(country => normalizeCountry(country)).filter(Boolean);
+            const scored = [...byCountry.values()].map(group => {
+                const formatScore = group.formatValid === true ? 2 : (group.formatValid === null ? 1 : 0.5);
+                const preferenceIndex = preferences.indexOf(group.country);
+                const preferenceScore = preferenceIndex === -1 ? 0 : 3 / (preferenceIndex + 1);
+                const bestAccuracy = Math.max(...group.rows.map(row => row.accuracy || 0));
+
+                return { ...group, score: formatScore + preferenceScore + (bestAccuracy / 6) * 0.5 };
+            });
+
+            const totalScore = scored.reduce((sum, group) => sum + group.score, 0);
+            const candidates = scored
+                .sort((a, b) => (b.score - a.score) || a.country.localeCompare(b.country))
+                .map(group => ({
+                    country: group.country,
+                    likelihood: Math.round((group.score / totalScore) * 1000) / 1000,
+                    formatValid: group.formatValid,
+                    results: this.formatResults(group.rows)
+                }));
+
+            const result = {
+                success: true,
+                matchType: candidates.length > 0 ? 'exact' : 'none',
+                query: {
+                    country: null,
+                    postalCode: generic.normalized,
+                    raw: { country: null, postalCode },
+                    preferredCountries: preferences
+                },
+                candidates,
+                results: candidates.flatMap(candidate => candidate.results),
+                searchTime: Date.now() - startTime
+            };
+
+            this.logger.info(`Found ${postalCode} in ${candidates.length} countries in ${result.searchTime}ms`);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Country detection error:', error);
+            return {
+                success: false,
+                error: 'Internal search error',
+                results: [],
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    // Format check against the country rule plus an exact existence check (options.history as for searchPostalCode)
+    async validatePostalCode(country, postalCode, options = {}) {
+        const history = options.history && options.history.files.length > 0 ? options.history : null;
+
+        try {
+            if (!country || !postalCode) {
+                return {
+                    success: false,
+                    error: 'Country and postal code are required'
+                };
+            }
+
+            const normalizedCountry = normalizeCountry(country);
+            const format = validateFormat(normalizedCountry, postalCode);
+            const { normalized, candidates } = normalizePostalCode(normalizedCountry, postalCode);
+            const query = {
+                country: normalizedCountry,
+                postalCode: normalized,
+                raw: { country, postalCode }
+            };
+
+            const cacheKey = `${this.cacheScope}|validate|${normalizedCountry}|${normalized}` + (history ? `|${history.version}` : '');
+            const cached = this.cache.get(cacheKey);
+            if (cached) {
+                return this.fromCache(cached, query);
+            }
+
+            const matches = await this.findExactCandidates(normalizedCountry, candidates, history);
+            const exists = matches.length > 0;
+
+            let reason = format.reason;
+            if (format.formatValid !== false && !exists) {
+                reason = 'not_found';
+            }
+
+            const rule = getFormatRule(normalizedCountry);
+
+            const result = {
+                success: true,
+                query,
+                formatValid: format.formatValid,
+                exists,
+                normalized: format.formatValid === false ? null : normalized,
+                reason,
+                ...(format.formatValid === false && rule && { example: rule.example })
+            };
+
+            this.cache.set(cacheKey, result);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Validation error:', error);
+            return {
+                success: false,
+                error: 'Internal validation error'
+            };
+        }
+    }
+
     async findExactMatches(country, postalCode) {
         try {
-            return await this.statements.findExact(country, postalCode);
+            return await this.statements.findExact(country, postalCode, this.maxExactResults);
         } catch (error) {
             this.logger.error('Exact match error:', error);
             return [];
         }
     }
 
+    // Exact lookup over the normalized spellings of a code, first hit wins
+    async findExactCandidates(country, candidates, history = null) {
+        for (const candidate of candidates) {
+            const results = history ?
+                await this.findExactAsOf(country, candidate, history) :
+                await this.findExactMatches(country, candidate);
+            if (results.length > 0) {
+                return results;
+            }
+        }
+
+        return [];
+    }
+
+    // Rows of a code in an earlier build: those before its first change since, or today's if it has not changed
+    async findExactAsOf(country, postalCode, history) {
+        const change = await this.statements.findFirstCodeChange(history.files, country, postalCode);
+        if (!change) {
+            return await this.findExactMatches(country, postalCode);
+        }
+
+        return rowsBefore(change).slice(0, this.maxExactResults);
+    }
+
     async findFuzzyMatches(country, postalCode) {
         try {
             // Multiple fuzzy search strategies
@@ -150,7 +418,7 @@ class SearchService {
 
     async fuzzyPostalCodeSearch(country, postalCode) {
         try {
-            return await this.statements.findFuzzy(country, postalCode);
+            return await this.statements.findFuzzy(country, postalCode, this.maxResults);
         } catch (error) {
             this.logger.error('Postal code fuzzy search error:', error);
             return [];
@@ -165,7 +433,7 @@ class SearchService {
 
             for (let len = postalCode.length - 1; len >= minLength; len--) {
                 const prefix = postalCode.substring(0, len);
-                const prefixResults = await this.statements.findFuzzy(country, prefix);
+                const prefixResults = await this.statements.findFuzzy(country, prefix, this.maxResults);
                 
                 results.push(...prefixResults);
                 
@@ -186,7 +454,12 @@ class SearchService {
         try {
             // Sometimes users search by place name instead of postal code
             // This is a fallback for cases where postal code might be a place name
-            return await this.statements.findByPlace(country, postalCode);
+            const folded = foldText(postalCode);
+            if (folded.length < 2) {
+                return [];
+            }
+
+            return await this.statements.findByPlace(country, folded, this.maxResults);
         } catch (error) {
             this.logger.error('Place name search error:', error);
             return [];
@@ -242,6 +515,13 @@ class SearchService {
             accuracy: result.accuracy,
 
             similarity_score: result.similarity_score || 1.0,
+            ...(result.distance_km !== undefined && {
+                distance_km: Math.round(result.distance_km * 1000) / 1000
+            }),
+            ...(result.match_score !== undefined && {
+                match_score: result.match_score,
+                matched_field: result.matched_field
+            }),
             fullAddress: this.constructFullAddress(result)
         }));
     }
@@ -349,6 +629,16 @@ class SearchService {
         }
     }
 
+    // A cached result re-labelled for the current request (its raw input and timing)
+    fromCache(cached, query, startTime = null) {
+        return {
+            ...cached,
+            query,
+            cached: true,
+            ...(startTime !== null && { searchTime: Date.now() - startTime })
+        };
+    }
+
     async searchMultiple(searches) {
         const results = [];
         
@@ -367,47 +657,588 @@ class SearchService {
         return results;
     }
 
-    async suggest(country, partialPostalCode, limit = 10) {
+    // Resolves one NDJSON input line of a streaming batch; never throws
+    async searchStreamLine(text, lineNumber) {
+        let search;
+        try {
+            search = JSON.parse(text);
+        } catch {
+            return { id: null, line: lineNumber, success: false, error: 'Invalid JSON', results: [] };
+        }
+
+        const id = search && search.id !== undefined ? search.id : null;
+        if (!search || typeof search.country !== 'string' || typeof search.postalCode !== 'string') {
+            return { id, line: lineNumber, success: false, error: 'Each line needs country and postalCode strings', results: [] };
+        }
+
+        const result = await this.searchPostalCode(search.country, search.postalCode, search.fuzzy !== false);
+        return { id, line: lineNumber, ...result };
+    }
+
+    /**
+     * Streaming batch lookup: reads NDJSON lines from an async iterable, runs up to
+     * `concurrency` lookups at once and hands each result to writeResult as soon as it
+     * resolves (completion order, correlated by id/line). Stops reading once isCancelled()
+     * turns true; lookups already running are allowed to finish.
+     */
+    async searchStream(lines, writeResult, options = {}) {
+        const concurrency = Math.min(
+            Math.max(parseInt(options.concurrency) || this.streamConcurrency, 1),
+            this.maxStreamConcurrency
+        );
+        const isCancelled = options.isCancelled || (() => false);
+        const inFlight = new Set();
+        const summary = { lines: 0, processed: 0, failed: 0, cancelled: false };
+
+        for await (const rawLine of lines) {
+            if (isCancelled()) {
+                break;
+            }
+
+            summary.lines++;
+            const text = rawLine.trim();
+            if (text.length === 0) {
+                continue;
+            }
+
+            const task = this.searchStreamLine(text, summary.lines)
+                .then(async (output) => {
+                    summary.processed++;
+                    if (!output.success) {
+                        summary.failed++;
+                    }
+                    await writeResult(output);
+                })
+                .catch(error => this.logger.error('Streaming batch line error:', error))
+                .finally(() => inFlight.delete(task));
+
+            inFlight.add(task);
+            if (inFlight.size >= concurrency) {
+                await Promise.race(inFlight);
+            }
+        }
+
+        await Promise.all(inFlight);
+        summary.cancelled = isCancelled();
+        return summary;
+    }
+
+    // Paged with options.cursor; limit is the page size
+    async searchPlaces(country, placeQuery, limit = 20, options = {}) {
+        const startTime = Date.now();
+
         try {
-            if (!country || !partialPostalCode || partialPostalCode.length < 2) {
+            const folded = foldText(placeQuery);
+
+            if (folded.length < 2) {
                 return {
                     success: false,
-                    error: 'Country and at least 2 characters of postal code required',
-                    suggestions: []
+                    error: 'At least 2 characters of place name required',
+                    results: []
                 };
             }
 
-            const normalizedCountry = country.trim().toUpperCase();
-            const normalizedPartial = partialPostalCode.trim();
+            const normalizedCountry = country ? normalizeCountry(country) : null;
+            const pageQuery = { type: 'place', country: normalizedCountry, q: folded };
+            const page = readPage(pageQuery, options.cursor, limit, 20, this.maxPlaceResults);
+            if (!page) {
+                return { ...INVALID_CURSOR, results: [] };
+            }
 
-            // Get suggestions using prefix search
-            const suggestions = await this.statements.findFuzzy(
-                normalizedCountry,
-                normalizedPartial
+            this.logger.info(`Place search for "${folded}" in ${normalizedCountry || 'all countries'}`);
+
+            const rows = await this.statements.searchPlaces(normalizedCountry, folded, page.pageSize + 1, page.offset);
+            const { rows: places, hasMore, nextCursor } = pageResult(pageQuery, page, rows);
+
+            const result = {
+                success: true,
+                query: {
+                    country: normalizedCountry,
+                    q: folded,
+                    pageSize: page.pageSize,
+                    raw: { country: country || null, q: placeQuery }
+                },
+                count: places.length,
+                hasMore,
+                nextCursor,
+                results: this.formatResults(places),
+                searchTime: Date.now() - startTime
+            };
+
+            this.logger.info(`Found ${places.length} places in ${result.searchTime}ms`);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Place search error:', error);
+            return {
+                success: false,
+                error: 'Internal place search error',
+                results: [],
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    async reverseGeocode(latitude, longitude, limit = 5) {
+        const startTime = Date.now();
+
+        try {
+            const lat = Number(latitude);
+            const lon = Number(longitude);
+
+            if (!isValidCoordinate(lat, lon)) {
+                return {
+                    success: false,
+                    error: 'Valid latitude (-90 to 90) and longitude (-180 to 180) are required',
+                    results: []
+                };
+            }
+
+            const maxResults = Math.min(Math.max(parseInt(limit) || 5, 1), this.maxResults);
+
+            this.logger.info(`Reverse geocoding ${lat},${lon}, limit=${maxResults}`);
+
+            // Search progressively wider windows; the first one holding enough rows
+            // already contains the true nearest neighbours
+            let nearest = [];
+            for (const radiusKm of this.reverseSearchRadiiKm) {
+                nearest = await this.statements.findNearest(lat, lon, maxResults, radiusKm);
+                if (nearest.length >= maxResults) {
+                    break;
+                }
+            }
+
+            const result = {
+                success: true,
+                query: { latitude: lat, longitude: lon, limit: maxResults },
+                results: this.formatResults(nearest),
+                searchTime: Date.now() - startTime
+            };
+
+            this.logger.info(`Found ${nearest.length} nearby postal codes in ${result.searchTime}ms`);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Reverse geocoding error:', error);
+            return {
+                success: false,
+                error: 'Internal reverse geocoding error',
+                results: [],
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    async findNearby(country, postalCode, radiusKm, limit = 100, crossBorder = false) {
+        const startTime = Date.now();
+
+        try {
+            if (!country || !postalCode) {
+                return {
+                    success: false,
+                    error: 'Country and postal code are required',
+                    results: []
+                };
+            }
+
+            const radius = Number(radiusKm);
+            if (!Number.isFinite(radius) || radius <= 0 || radius > this.maxNearbyRadiusKm) {
+                return {
+                    success: false,
+                    error: `radiusKm must be between 0 and ${this.maxNearbyRadiusKm}`,
+                    results: []
+                };
+            }
+
+            const normalizedCountry = normalizeCountry(country);
+            const { normalized: normalizedPostalCode, candidates } = normalizePostalCode(normalizedCountry, postalCode);
+            const maxResults = Math.min(Math.max(parseInt(limit) || 100, 1), this.maxNearbyResults);
+            const query = {
+                country: normalizedCountry,
+                postalCode: normalizedPostalCode,
+                raw: { country, postalCode },
+                radiusKm: radius,
+                limit: maxResults,
+                crossBorder
+            };
+
+            this.logger.info(`Radius search around ${normalizedCountry}:${normalizedPostalCode}, radius=${radius}km, crossBorder=${crossBorder}`);
+
+            // Resolve the anchor, preferring the most accurate row that has coordinates
+            const anchors = await this.findExactCandidates(normalizedCountry, candidates);
+            const anchor = anchors.find(row => row.latitude !== null && row.longitude !== null);
+
+            if (!anchor) {
+                return {
+                    success: true,
+                    query,
+                    anchor: anchors.length > 0 ? this.formatResults(anchors.slice(0, 1))[0] : null,
+                    ...(anchors.length > 0 && { warning: 'Anchor postal code has no coordinates' }),
+                    results: [],
+                    searchTime: Date.now() - startTime
+                };
+            }
+
+            const nearby = await this.statements.findNearest(
+                Number(anchor.latitude),
+                Number(anchor.longitude),
+                maxResults,
+                radius,
+                crossBorder ? null : normalizedCountry
             );
 
-            // Format and deduplicate suggestions
-            const seen = new Set();
-            const uniqueSuggestions = [];
-
-            for (const suggestion of suggestions) {
-                const key = `${suggestion.postal_code}:${suggestion.place_name}`;
-                if (!seen.has(key) && uniqueSuggestions.length < limit) {
-                    seen.add(key);
-                    uniqueSuggestions.push({
-                        postal_code: suggestion.postal_code,
-                        place_name: suggestion.place_name,
-                        admin_name1: suggestion.admin_name1
-                    });
+            const result = {
+                success: true,
+                query,
+                anchor: this.formatResults([anchor])[0],
+                count: nearby.length,
+                results: this.formatResults(nearby),
+                searchTime: Date.now() - startTime
+            };
+
+            this.logger.info(`Found ${nearby.length} postal codes within ${radius}km in ${result.searchTime}ms`);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Radius search error:', error);
+            return {
+                success: false,
+                error: 'Internal radius search error',
+                results: [],
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    // Paged with either offset or options.cursor (the cursor wins)
+    async findWithinBoundingBox(bounds, limit = 100, offset = 0, options = {}) {
+        const startTime = Date.now();
+
+        try {
+            const pageQuery = { type: 'bbox', ...bounds };
+            const page = readPage(pageQuery, options.cursor, limit, 100, this.maxSpatialPageSize);
+            if (!page) {
+                return { ...INVALID_CURSOR, results: [] };
+            }
+
+            const pageSize = page.pageSize;
+            const start = options.cursor ? page.offset : Math.max(parseInt(offset) || 0, 0);
+
+            // Fetch one extra row to know whether another page exists; a cursor continues after
+            // the last row of its page
+            const rows = await this.statements.findInBoundingBox(bounds, pageSize + 1, page.after ? 0 : start, page.after);
+            const { rows: found, hasMore } = pageResult(pageQuery, { offset: start, pageSize }, rows);
+            const nextCursor = hasMore ? encodeCursor(pageQuery, start + pageSize, scanKey(found[found.length - 1])) : null;
+
+            const result = {
+                success: true,
+                query: { ...bounds, limit: pageSize, offset: start },
+                count: found.length,
+                hasMore,
+                nextOffset: hasMore ? start + pageSize : null,
+                nextCursor,
+                results: this.formatResults(found),
+                searchTime: Date.now() - startTime
+            };
+
+            this.logger.info(`Found ${found.length} postal codes in bounding box in ${result.searchTime}ms`);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Bounding box search error:', error);
+            return {
+                success: false,
+                error: 'Internal spatial search error',
+                results: [],
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    // Paged with either offset or options.cursor (the cursor wins)
+    async findWithinPolygon(geometry, limit = 100, offset = 0, options = {}) {
+        const startTime = Date.now();
+
+        try {
+            const pageQuery = { type: 'polygon', geometry };
+            const page = readPage(pageQuery, options.cursor, limit, 100, this.maxSpatialPageSize);
+            if (!page) {
+                return { ...INVALID_CURSOR, results: [] };
+            }
+
+            const pageSize = page.pageSize;
+            const start = options.cursor ? page.offset : Math.max(parseInt(offset) || 0, 0);
+            const bounds = geometryBounds(geometry);
+
+            // Walk the polygon's bounding box in stable order, keeping rows inside the shape,
+            // until the page is full and one more inside row shows there is a next page. A cursor
+            // continues the walk after the last row of its page; a plain offset has to skip the
+            // inside rows before it. Chunks continue from the last row read rather than by offset.
+            const found = [];
+            let skip = page.after === null ? start : 0;
+            let after = page.after;
+            let hasMore = false;
+            let scanned = 0;
+            while (!hasMore) {
+                const rows = await this.statements.findInBoundingBox(bounds, this.polygonScanChunk, 0, after);
+                scanned += rows.length;
+
+                for (const row of rows) {
+                    if (!pointInGeometry(Number(row.latitude), Number(row.longitude), geometry)) {
+                        continue;
+                    }
+                    if (skip > 0) {
+                        skip--;
+                    } else if (found.length < pageSize) {
+                        found.push(row);
+                    } else {
+                        hasMore = true;
+                        break;
+                    }
+                }
+
+                if (rows.length < this.polygonScanChunk) {
+                    break;
                 }
+                after = scanKey(rows[rows.length - 1]);
+            }
+
+            const nextCursor = hasMore ? encodeCursor(pageQuery, start + pageSize, scanKey(found[found.length - 1])) : null;
+
+            const result = {
+                success: true,
+                query: { type: geometry.type, bounds, limit: pageSize, offset: start },
+                count: found.length,
+                hasMore,
+                nextOffset: hasMore ? start + pageSize : null,
+                nextCursor,
+                results: this.formatResults(found),
+                searchTime: Date.now() - startTime
+            };
+
+            this.logger.info(`Found ${found.length} postal codes in polygon (${scanned} scanned) in ${result.searchTime}ms`);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Polygon search error:', error);
+            return {
+                success: false,
+                error: 'Internal spatial search error',
+                results: [],
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    // Accepts "US:90210" or { country, postalCode }
+    parseLocationRef(ref) {
+        if (ref && typeof ref === 'object') {
+            return { country: ref.country, postalCode: ref.postalCode };
+        }
+
+        if (typeof ref === 'string') {
+            const separator = ref.indexOf(':');
+            if (separator > 0) {
+                return {
+                    country: ref.substring(0, separator),
+                    postalCode: ref.substring(separator + 1)
+                };
             }
+        }
+
+        return null;
+    }
+
+    async resolveLocation(ref) {
+        const parsed = this.parseLocationRef(ref);
+
+        if (!parsed || typeof parsed.country !== 'string' || typeof parsed.postalCode !== 'string') {
+            return {
+                query: ref,
+                found: false,
+                hasCoordinates: false,
+                result: null,
+                error: 'Expected COUNTRY:POSTALCODE or { country, postalCode }'
+            };
+        }
+
+        const search = await this.searchPostalCode(parsed.country, parsed.postalCode, false);
+        const match = search.results.find(row => row.latitude !== null && row.longitude !== null) ||
+            search.results[0] ||
+            null;
+
+        return {
+            query: search.query || parsed,
+            found: match !== null,
+            hasCoordinates: match !== null && match.latitude !== null && match.longitude !== null,
+            result: match,
+            ...(!search.success && { error: search.error })
+        };
+    }
+
+    measureDistance(from, to) {
+        if (!from.found || !to.found) {
+            return {
+                status: !from.found ? 'origin_not_found' : 'destination_not_found',
+                distance_km: null,
+                distance_miles: null
+            };
+        }
+
+        if (!from.hasCoordinates || !to.hasCoordinates) {
+            return {
+                status: 'no_coordinates',
+                distance_km: null,
+                distance_miles: null
+            };
+        }
+
+        const km = haversineDistance(
+            Number(from.result.latitude),
+            Number(from.result.longitude),
+            Number(to.result.latitude),
+            Number(to.result.longitude)
+        );
+
+        return {
+            status: 'ok',
+            distance_km: Math.round(km * 1000) / 1000,
+            distance_miles: Math.round(kmToMiles(km) * 1000) / 1000
+        };
+    }
+
+    async calculateDistance(from, to) {
+        const startTime = Date.now();
+
+        try {
+            const [origin, destination] = await Promise.all([
+                this.resolveLocation(from),
+                this.resolveLocation(to)
+            ]);
 
             return {
                 success: true,
-                query: { country: normalizedCountry, partial: normalizedPartial },
-                suggestions: uniqueSuggestions
+                from: origin,
+                to: destination,
+                ...this.measureDistance(origin, destination),
+                searchTime: Date.now() - startTime
             };
 
+        } catch (error) {
+            this.logger.error('Distance calculation error:', error);
+            return {
+                success: false,
+                error: 'Internal distance calculation error',
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    async distanceMatrix(origins, destinations) {
+        const startTime = Date.now();
+
+        try {
+            // Resolve each distinct location once, even if it appears on both sides
+            const resolved = new Map();
+            const resolve = async (ref) => {
+                const key = JSON.stringify(ref);
+                if (!resolved.has(key)) {
+                    resolved.set(key, await this.resolveLocation(ref));
+                }
+                return resolved.get(key);
+            };
+
+            const resolvedOrigins = [];
+            for (const origin of origins) {
+                resolvedOrigins.push(await resolve(origin));
+            }
+
+            const resolvedDestinations = [];
+            for (const destination of destinations) {
+                resolvedDestinations.push(await resolve(destination));
+            }
+
+            const matrix = resolvedOrigins.map(origin =>
+                resolvedDestinations.map(destination => this.measureDistance(origin, destination))
+            );
+
+            return {
+                success: true,
+                origins: resolvedOrigins,
+                destinations: resolvedDestinations,
+                matrix,
+                searchTime: Date.now() - startTime
+            };
+
+        } catch (error) {
+            this.logger.error('Distance matrix error:', error);
+            return {
+                success: false,
+                error: 'Internal distance matrix error',
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    // Paged with options.cursor; limit is the page size
+    async suggest(country, partialPostalCode, limit = 10, options = {}) {
+        try {
+            if (!country || !partialPostalCode || partialPostalCode.trim().length === 0) {
+                return {
+                    success: false,
+                    error: 'Country and at least 1 character of postal code required',
+                    suggestions: []
+                };
+            }
+
+            const normalizedCountry = normalizeCountry(country);
+            const normalizedPartial = normalizePartialPostalCode(normalizedCountry, partialPostalCode);
+
+            const pageQuery = { type: 'suggest', country: normalizedCountry, partial: normalizedPartial };
+            const page = readPage(pageQuery, options.cursor, limit, 10, this.maxSuggestResults);
+            if (!page) {
+                return { ...INVALID_CURSOR, suggestions: [] };
+            }
+
+            const query = {
+                country: normalizedCountry,
+                partial: normalizedPartial,
+                pageSize: page.pageSize,
+                raw: { country, partial: partialPostalCode }
+            };
+
+            const cacheKey = `${this.cacheScope}|suggest|${normalizedCountry}|${normalizedPartial}|${page.pageSize}|${page.offset}|` +
+                (options.includeRecords ? 1 : 0);
+            const cached = this.cache.get(cacheKey);
+            if (cached) {
+                return this.fromCache(cached, query);
+            }
+
+            // One row per postal code + place, prefix matches first
+            const rows = await this.statements.findSuggestions(
+                normalizedCountry,
+                normalizedPartial,
+                page.pageSize + 1,
+                page.offset
+            );
+            const { rows: suggestions, hasMore, nextCursor } = pageResult(pageQuery, page, rows);
+
+            const result = {
+                success: true,
+                query,
+                hasMore,
+                nextCursor,
+                suggestions: suggestions.map(suggestion => ({
+                    postal_code: suggestion.postal_code,
+                    place_name: suggestion.place_name,
+                    admin_name1: suggestion.admin_name1
+                })),
+                ...(options.includeRecords && { records: this.formatResults(suggestions) })
+            };
+
+            this.cache.set(cacheKey, result);
+            return result;
+
         } catch (error) {
             this.logger.error('Suggestion error:', error);
             return {
@@ -418,6 +1249,281 @@ class SearchService {
         }
     }
 
+    // Scores how well a postal_codes row agrees with the locality/region text of an address
+    scoreAddressRow(row, places) {
+        const place = foldText(row.place_name);
+        const regionValues = [row.admin_name1, row.admin_code1, row.admin_name2, row.admin_name3]
+            .map(value => foldText(value))
+            .filter(value => value.length > 0);
+
+        let locality = null;
+        let localityScore = 0;
+        for (const candidate of places.localities) {
+            const folded = foldText(candidate);
+            const score = folded === place ? 0.25 :
+                (place && (place.includes(folded) || folded.includes(place)) ? 0.15 : 0);
+            if (score > localityScore) {
+                localityScore = score;
+                locality = candidate;
+            }
+        }
+
+        let region = null;
+        let regionScore = 0;
+        for (const candidate of places.regions) {
+            const folded = foldText(candidate);
+            if (candidate !== locality && regionValues.includes(folded)) {
+                regionScore = 0.1;
+                region = candidate;
+                break;
+            }
+        }
+
+        return { score: localityScore + regionScore, locality, region };
+    }
+
+    async parseAddress(rawAddress, countryHint = null) {
+        const startTime = Date.now();
+
+        try {
+            if (typeof rawAddress !== 'string' || rawAddress.trim().length === 0) {
+                return {
+                    success: false,
+                    error: 'Address text is required'
+                };
+            }
+
+            const hint = countryHint ? normalizeCountry(countryHint) : null;
+            const parsed = parseAddressText(rawAddress, hint);
+            const countryScore = parsed.country && parsed.country.source === 'name' ? 0.15 : 0.05;
+
+            // Check postal code candidates against the data, keeping the best-agreeing row
+            let best = null;
+            for (const candidate of parsed.postalCodes.slice(0, this.maxParseLookups)) {
+                const { candidates } = normalizePostalCode(candidate.country, candidate.text);
+                const rows = await this.findExactCandidates(candidate.country, candidates);
+                const places = extractPlaceCandidates(parsed.segments, parsed.country, candidate);
+
+                for (const row of rows) {
+                    const agreement = this.scoreAddressRow(row, places);
+                    const countryAgrees = parsed.country && parsed.country.code === row.country_code;
+                    const confidence = 0.5 + agreement.score + (countryAgrees ? countryScore : 0);
+
+                    if (!best || confidence > best.confidence) {
+                        best = { row, candidate, places, agreement, confidence, matchType: 'postal_code' };
+                    }
+                }
+            }
+
+            // No postal code in the data: fall back to the locality within the detected country
+            const country = parsed.country ? parsed.country.code : hint;
+            if (!best && country) {
+                const places = extractPlaceCandidates(parsed.segments, parsed.country, null);
+
+                for (const locality of places.localities) {
+                    const folded = foldText(locality);
+                    if (folded.length < 2) {
+                        continue;
+                    }
+
+                    const rows = await this.statements.searchPlaces(country, folded, 5);
+                    for (const row of rows) {
+                        const agreement = this.scoreAddressRow(row, places);
+                        const confidence = agreement.score + (parsed.country ? countryScore : 0);
+
+                        if (!best || confidence > best.confidence) {
+                            best = { row, candidate: null, places, agreement, confidence, matchType: 'place' };
+                        }
+                    }
+                }
+            }
+
+            const places = best ? best.places : extractPlaceCandidates(
+                parsed.segments,
+                parsed.country,
+                parsed.postalCodes[0] || null
+            );
+
+            const result = {
+                success: true,
+                input: rawAddress,
+                components: {
+                    street: places.street,
+                    locality: best && best.agreement.locality ? best.agreement.locality : (places.localities[0] || null),
+                    region: best && best.agreement.region ? best.agreement.region : null,
+                    postalCode: best && best.candidate ?
+                        { value: best.candidate.text, normalized: best.candidate.normalized } :
+                        null,
+                    country: best ? best.row.country_code : (country || null),
+                    countrySource: parsed.country ? parsed.country.source : (hint ? 'hint' : (best ? 'postal_code' : null))
+                },
+                candidates: {
+                    localities: places.localities,
+                    regions: places.regions,
+                    postalCodes: parsed.postalCodes.slice(0, this.maxParseLookups)
+                        .map(candidate => ({ country: candidate.country, value: candidate.text, normalized: candidate.normalized }))
+                },
+                matchType: best ? best.matchType : 'none',
+                confidence: best ? Math.round(Math.min(1, best.confidence) * 100) / 100 : 0,
+                match: best ? this.formatResults([best.row])[0] : null,
+                searchTime: Date.now() - startTime
+            };
+
+            this.logger.info(`Parsed address with ${result.matchType} match, confidence ${result.confidence} in ${result.searchTime}ms`);
+            return result;
+
+        } catch (error) {
+            this.logger.error('Address parsing error:', error);
+            return {
+                success: false,
+                error: 'Internal address parsing error',
+                searchTime: Date.now() - startTime
+            };
+        }
+    }
+
+    // Administrative hierarchy browsing (countries -> admin1 -> admin2 -> postal codes),
+    // each paged with options.cursor / options.pageSize
+    async listCountries(options = {}) {
+        try {
+            const pageQuery = { type: 'countries' };
+            const page = readPage(pageQuery, options.cursor, options.pageSize, this.maxBrowseResults, this.maxBrowseResults);
+            if (!page) {
+                return { ...INVALID_CURSOR, results: [] };
+            }
+
+            const rows = await this.statements.listCountries(page.pageSize + 1, page.offset);
+            const { rows: countries, hasMore, nextCursor } = pageResult(pageQuery, page, rows);
+
+            return {
+                success: true,
+                count: countries.length,
+                hasMore,
+                nextCursor,
+                results: countries.map(row => ({
+                    country_code: row.country_code,
+                    record_count: Number(row.record_count)
+                }))
+            };
+        } catch (error) {
+            this.logger.error('List countries error:', error);
+            return {
+                success: false,
+                error: 'Internal browse error',
+                results: []
+            };
+        }
+    }
+
+    async listAdmin1(country, options = {}) {
+        try {
+            const normalizedCountry = normalizeCountry(country);
+            const pageQuery = { type: 'admin1', country: normalizedCountry };
+            const page = readPage(pageQuery, options.cursor, options.pageSize, this.maxBrowseResults, this.maxBrowseResults);
+            if (!page) {
+                return { ...INVALID_CURSOR, results: [] };
+            }
+
+            const rows = await this.statements.listAdmin1(normalizedCountry, page.pageSize + 1, page.offset);
+            const { rows: areas, hasMore, nextCursor } = pageResult(pageQuery, page, rows);
+
+            return {
+                success: true,
+                query: { country: normalizedCountry },
+                count: areas.length,
+                hasMore,
+                nextCursor,
+                results: areas.map(row => ({
+                    admin_code1: row.admin_code1,
+                    admin_name1: row.admin_name1,
+                    record_count: Number(row.record_count)
+                }))
+            };
+        } catch (error) {
+            this.logger.error('List admin1 error:', error);
+            return {
+                success: false,
+                error: 'Internal browse error',
+                results: []
+            };
+        }
+    }
+
+    async listAdmin2(country, admin1Code, options = {}) {
+        try {
+            const normalizedCountry = normalizeCountry(country);
+            const pageQuery = { type: 'admin2', country: normalizedCountry, admin1: admin1Code };
+            const page = readPage(pageQuery, options.cursor, options.pageSize, this.maxBrowseResults, this.maxBrowseResults);
+            if (!page) {
+                return { ...INVALID_CURSOR, results: [] };
+            }
+
+            const rows = await this.statements.listAdmin2(normalizedCountry, admin1Code, page.pageSize + 1, page.offset);
+            const { rows: areas, hasMore, nextCursor } = pageResult(pageQuery, page, rows);
+
+            return {
+                success: true,
+                query: { country: normalizedCountry, admin1: admin1Code },
+                count: areas.length,
+                hasMore,
+                nextCursor,
+                results: areas.map(row => ({
+                    admin_code2: row.admin_code2,
+                    admin_name2: row.admin_name2,
+                    record_count: Number(row.record_count)
+                }))
+            };
+        } catch (error) {
+            this.logger.error('List admin2 error:', error);
+            return {
+                success: false,
+                error: 'Internal browse error',
+                results: []
+            };
+        }
+    }
+
+    // limit is the page size; paged with options.cursor
+    async listPostalCodesInArea(country, admin1Code, admin2Code = null, limit = 1000, options = {}) {
+        try {
+            const normalizedCountry = normalizeCountry(country);
+            const pageQuery = { type: 'area', country: normalizedCountry, admin1: admin1Code, admin2: admin2Code };
+            const page = readPage(pageQuery, options.cursor, limit, 1000, this.maxAreaResults);
+            if (!page) {
+                return { ...INVALID_CURSOR, results: [] };
+            }
+
+            const rows = await this.statements.listPostalCodesInArea(
+                normalizedCountry,
+                admin1Code,
+                admin2Code,
+                page.pageSize + 1,
+                page.offset
+            );
+            const { rows: postalCodes, hasMore, nextCursor } = pageResult(pageQuery, page, rows);
+
+            return {
+                success: true,
+                query: { country: normalizedCountry, admin1: admin1Code, admin2: admin2Code, limit: page.pageSize },
+                count: postalCodes.length,
+                hasMore,
+                nextCursor,
+                results: this.formatResults(postalCodes)
+            };
+        } catch (error) {
+            this.logger.error('List postal codes in area error:', error);
+            return {
+                success: false,
+                error: 'Internal browse error',
+                results: []
+            };
+        }
+    }
+
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
     // Get database statistics for monitoring
     async getStats() {
         try {
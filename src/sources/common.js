@@ -0,0 +1,39 @@
+/**
+ * Shared pieces of the source adapters
+ */
+
+// The columns every adapter maps its source to, in the GeoNames column order
+const STANDARD_COLUMNS = [
+    'country_code',
+    'postal_code',
+    'place_name',
+    'admin_name1',
+    'admin_code1',
+    'admin_name2',
+    'admin_code2',
+    'admin_name3',
+    'admin_code3',
+    'latitude',
+    'longitude',
+    'accuracy'
+];
+
+function sqlString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function sqlIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// "Admin name1" -> "admin_name1", so export labels match field names
+function normalizeColumnName(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+module.exports = {
+    STANDARD_COLUMNS,
+    sqlString,
+    sqlIdentifier,
+    normalizeColumnName
+};
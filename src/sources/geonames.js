@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { STANDARD_COLUMNS, sqlString } = require('./common');
+
+/**
+ * GeoNames postal code dumps (https://download.geonames.org/export/zip/)
+ * Tab-separated text without a header, in the standard column order. allCountries.txt
+ * holds every country; the <CC>_full.txt exports add the full-length codes of countries
+ * whose codes allCountries.txt only has in part (CA, GB, NL). Per-country files other
+ * than those are left out, because allCountries.txt already contains their rows.
+ */
+
+function isDataFile(fileName) {
+    return fileName === 'allCountries.txt' || /^[A-Z]{2}_full\.txt$/.test(fileName);
+}
+
+/**
+ * Extracts the text files of the downloaded ZIP archives into the same directory
+ */
+async function extractZipFiles(dir) {
+    console.log('🗂️  Extracting ZIP files...');
+
+    if (!fs.existsSync(dir)) {
+        console.log(`⚠️  Raw data directory not found: ${dir}`);
+        return;
+    }
+
+    const zipFiles = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.zip'))
+        .map(file => ({
+            zipPath: path.join(dir, file),
+            fileName: file
+        }));
+
+    if (zipFiles.length === 0) {
+        console.log('⚠️  No ZIP files found in raw data directory');
+        return;
+    }
+
+    for (const { zipPath, fileName } of zipFiles) {
+        try {
+            console.log(`📦 Extracting ${fileName}...`);
+            const zip = new AdmZip(zipPath);
+
+            for (const entry of zip.getEntries()) {
+                if (!entry.entryName.endsWith('.txt')) {
+                    continue;
+                }
+
+                // Only extract if the TXT doesn't exist or is older than the ZIP
+                const txtPath = path.join(dir, entry.entryName);
+                if (!fs.existsSync(txtPath) || fs.statSync(txtPath).mtime < fs.statSync(zipPath).mtime) {
+                    console.log(`   → Extracting ${entry.entryName}`);
+                    zip.extractEntryTo(entry, dir, false, true);
+                } else {
+                    console.log(`   ✓ ${entry.entryName} already exists and is up to date`);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Failed to extract ${fileName}:`, error.message);
+        }
+    }
+
+    console.log('✅ ZIP extraction completed');
+}
+
+module.exports = {
+    name: 'geonames',
+    defaultDir: 'geonames.org_all_countries',
+
+    extract: extractZipFiles,
+
+    // allCountries.txt first, then the full-code exports
+    discover(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(dir)
+            .filter(isDataFile)
+            .sort((a, b) => (b === 'allCountries.txt') - (a === 'allCountries.txt') || a.localeCompare(b))
+            .map(file => ({ file: path.join(dir, file) }));
+    },
+
+    read(input) {
+        return `read_csv(${sqlString(input.file)},
+            delim = '\t', header = false, auto_detect = false, null_padding = true, ignore_errors = true,
+            columns = {${STANDARD_COLUMNS.map(column => `'${column}': 'VARCHAR'`).join(', ')}})`;
+    },
+
+    // Already in the standard layout
+    select() {
+        return Object.fromEntries(STANDARD_COLUMNS.map(column => [column, column]));
+    }
+};
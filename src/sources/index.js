@@ -0,0 +1,73 @@
+const path = require('path');
+const { STANDARD_COLUMNS } = require('./common');
+const geonames = require('./geonames');
+const opendatasoft = require('./opendatasoft');
+const mappedCsv = require('./mapped-csv');
+
+/**
+ * Source adapters
+ * The ingest reads postal codes through adapters, one per kind of source. An adapter is an
+ * object with:
+ *
+ *   name                    recorded per source file in data_sources.adapter
+ *   defaultDir              its directory under raw_data/
+ *   extract(dir)            optional; unpacks downloaded archives in place
+ *   discover(dir)           the inputs to load, in load order: [{ file, ...adapter settings }]
+ *   read(input)             a DuckDB table function call that reads the input
+ *   select(input, columns)  a SQL expression (or null) per standard column over the columns
+ *                           `read` produced: the adapter's column mapping and type coercion
+ *
+ * The selected values land in a text staging table with the standard columns; the ingest
+ * casts them to the postal_codes types from there, so adapters only have to produce values
+ * that cast cleanly (e.g. "52.37" rather than "52,37").
+ */
+
+const ADAPTERS = [geonames, opendatasoft, mappedCsv];
+
+const DEFAULT_RAW_DATA_ROOT = path.join(process.cwd(), 'raw_data');
+
+function getAdapter(name) {
+    return ADAPTERS.find(adapter => adapter.name === name) || null;
+}
+
+/**
+ * The sources to ingest as [{ adapter, dir }]
+ * names: adapter names, as an array or comma-separated (default: all adapters)
+ * dirs: directories by adapter name, instead of raw_data/<defaultDir>
+ */
+function resolveSources(names, dirs = {}, rawDataRoot = DEFAULT_RAW_DATA_ROOT) {
+    const list = Array.isArray(names) ? names : String(names || '').split(',');
+    const selected = list.map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    const unknown = selected.filter(name => !getAdapter(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown source adapter ${unknown.join(', ')} (available: ${ADAPTERS.map(adapter => adapter.name).join(', ')})`);
+    }
+
+    return (selected.length > 0 ? [...new Set(selected)].map(getAdapter) : ADAPTERS)
+        .map(adapter => ({ adapter, dir: dirs[adapter.name] || path.join(rawDataRoot, adapter.defaultDir) }));
+}
+
+/**
+ * Reads one input into a new temporary table `tableName` with the standard columns as text
+ */
+async function stageInput(db, adapter, input, tableName) {
+    const relation = adapter.read(input);
+    const described = await db.all(`DESCRIBE SELECT * FROM ${relation}`);
+    const expressions = adapter.select(input, described.map(row => row.column_name));
+
+    await db.run(`
+        CREATE TEMPORARY TABLE ${tableName} AS
+        SELECT ${STANDARD_COLUMNS.map(column => `CAST(${expressions[column] || 'NULL'} AS VARCHAR) as ${column}`).join(',\n               ')}
+        FROM ${relation}
+    `);
+}
+
+module.exports = {
+    ADAPTERS,
+    STANDARD_COLUMNS,
+    DEFAULT_RAW_DATA_ROOT,
+    getAdapter,
+    resolveSources,
+    stageInput
+};
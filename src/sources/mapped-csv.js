@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { STANDARD_COLUMNS, sqlString, sqlIdentifier } = require('./common');
+
+/**
+ * CSV files of any layout, described by a mapping file next to them (<name>.mapping.json):
+ *
+ *   {
+ *     "file": "plz.csv",                      data file, relative to the mapping file
+ *     "delimiter": ";",                       optional, detected when left out
+ *     "header": true,                         false: columns are mapped by position (1-based)
+ *     "decimalComma": false,                  true for coordinates written as 52,37
+ *     "columns": { "postal_code": "PLZ", "place_name": "Ort", "latitude": "lat", "longitude": "lon" },
+ *     "defaults": { "country_code": "DE" }    values for columns the file does not have
+ *   }
+ *
+ * postal_code must be mapped and country_code either mapped or given a default.
+ */
+
+const MAPPING_SUFFIX = '.mapping.json';
+
+function readMapping(mappingFile) {
+    let mapping;
+    try {
+        mapping = JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`${mappingFile}: not a readable JSON mapping (${error.message})`);
+    }
+
+    const columns = mapping.columns || {};
+    const defaults = mapping.defaults || {};
+    const errors = [];
+
+    if (typeof mapping.file !== 'string' || !mapping.file) {
+        errors.push('"file" must name the data file');
+    }
+    for (const column of [...Object.keys(columns), ...Object.keys(defaults)]) {
+        if (!STANDARD_COLUMNS.includes(column)) {
+            errors.push(`unknown column ${column} (expected one of: ${STANDARD_COLUMNS.join(', ')})`);
+        }
+    }
+    if (columns.postal_code === undefined) {
+        errors.push('postal_code must be mapped');
+    }
+    if (columns.country_code === undefined && defaults.country_code === undefined) {
+        errors.push('country_code must be mapped or given a default');
+    }
+    if (mapping.header === false) {
+        for (const [column, position] of Object.entries(columns)) {
+            if (!Number.isInteger(position) || position < 1) {
+                errors.push(`${column} must be mapped to a column position (1, 2, ...) when "header" is false`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`${mappingFile}: ${errors.join('; ')}`);
+    }
+
+    return {
+        file: path.resolve(path.dirname(mappingFile), mapping.file),
+        mappingFile,
+        delimiter: mapping.delimiter || null,
+        header: mapping.header !== false,
+        decimalComma: mapping.decimalComma === true,
+        columns,
+        defaults
+    };
+}
+
+module.exports = {
+    name: 'csv',
+    defaultDir: 'custom',
+
+    // One input per mapping file; mappings whose data file is missing are skipped
+    discover(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith(MAPPING_SUFFIX))
+            .sort()
+            .map(file => readMapping(path.join(dir, file)))
+            .filter(input => {
+                if (!fs.existsSync(input.file)) {
+                    console.log(`⚠️  ${path.basename(input.mappingFile)} maps ${input.file}, which was not found; skipping...`);
+                    return false;
+                }
+                return true;
+            });
+    },
+
+    read(input) {
+        const delimiter = input.delimiter ? `, delim = ${sqlString(input.delimiter)}` : '';
+        return `read_csv(${sqlString(input.file)}, header = ${input.header}, all_varchar = true${delimiter})`;
+    },
+
+    select(input, columns) {
+        const expressions = {};
+
+        for (const column of STANDARD_COLUMNS) {
+            const source = input.columns[column];
+            if (source === undefined) {
+                const value = input.defaults[column];
+                expressions[column] = value === undefined || value === null ? null : sqlString(value);
+                continue;
+            }
+
+            const name = input.header ? source : columns[source - 1];
+            if (!columns.includes(name)) {
+                throw new Error(`${input.mappingFile}: ${column} is mapped to column ${source}, which ${path.basename(input.file)} ` +
+                    `does not have (columns: ${columns.join(', ')})`);
+            }
+            expressions[column] = `trim(${sqlIdentifier(name)})`;
+        }
+
+        expressions.country_code = expressions.country_code && `upper(${expressions.country_code})`;
+        if (input.decimalComma) {
+            for (const column of ['latitude', 'longitude']) {
+                expressions[column] = expressions[column] && `replace(${expressions[column]}, ',', '.')`;
+            }
+        }
+
+        return expressions;
+    }
+};
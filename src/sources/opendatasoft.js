@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { STANDARD_COLUMNS, sqlString, sqlIdentifier, normalizeColumnName } = require('./common');
+
+/**
+ * OpenDataSoft exports of the GeoNames postal code dataset
+ * (https://data.opendatasoft.com/explore/dataset/geonames-postal-code%40public/export/)
+ * CSV (semicolon-separated, with a header) or JSON (an array of records). Both carry the
+ * GeoNames fields by name, or by label ("Admin name1") when exported with labels. Where
+ * latitude and longitude are missing they are taken from the geo point in `coordinates`:
+ * "lat, lon" text in CSV, { lat, lon } in JSON.
+ */
+
+const EXTENSIONS = ['.csv', '.json'];
+
+function isJson(input) {
+    return path.extname(input.file).toLowerCase() === '.json';
+}
+
+module.exports = {
+    name: 'opendatasoft',
+    defaultDir: 'opendatasoft.com_allcountries',
+
+    discover(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(dir)
+            .filter(file => EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort()
+            .map(file => ({ file: path.join(dir, file) }));
+    },
+
+    read(input) {
+        return isJson(input) ?
+            `read_json_auto(${sqlString(input.file)})` :
+            `read_csv(${sqlString(input.file)}, header = true, all_varchar = true, ignore_errors = true)`;
+    },
+
+    select(input, columns) {
+        const byName = new Map(columns.map(column => [normalizeColumnName(column), sqlIdentifier(column)]));
+        const expressions = {};
+
+        for (const column of STANDARD_COLUMNS) {
+            const source = byName.get(column);
+            expressions[column] = source ? `trim(CAST(${source} AS VARCHAR))` : null;
+        }
+
+        const point = byName.get('coordinates') || byName.get('geo_point_2d');
+        if (point && !expressions.latitude) {
+            expressions.latitude = isJson(input) ? `struct_extract(${point}, 'lat')` : `trim(split_part(${point}, ',', 1))`;
+        }
+        if (point && !expressions.longitude) {
+            expressions.longitude = isJson(input) ? `struct_extract(${point}, 'lon')` : `trim(split_part(${point}, ',', 2))`;
+        }
+
+        if (expressions.country_code) {
+            expressions.country_code = `upper(${expressions.country_code})`;
+        }
+        // Numeric fields can come as "4.0"
+        if (expressions.accuracy) {
+            expressions.accuracy = `CAST(TRY_CAST(${expressions.accuracy} AS DOUBLE) AS INTEGER)`;
+        }
+
+        return expressions;
+    }
+};
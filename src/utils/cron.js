@@ -0,0 +1,100 @@
+/**
+ * Minimal five-field cron expressions: minute hour day-of-month month day-of-week
+ * Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10).
+ * Day of week runs 0-6 from Sunday (7 is also Sunday). As in cron, when both day fields
+ * are restricted a time matches if either of them does. Times are local server time.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${field.name} in cron expression: "${part}"`);
+        }
+
+        const step = match[4] ? parseInt(match[4], 10) : 1;
+        let start = field.min;
+        let end = field.max;
+        if (match[2] !== undefined) {
+            start = parseInt(match[2], 10);
+            // "5/15" means from 5 to the end in steps of 15
+            end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : start);
+        }
+
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            throw new Error(`Invalid ${field.name} in cron expression: "${part}" (allowed ${field.min}-${field.max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses an expression into { expression, matches(date) }; throws on invalid input
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression needs 5 fields (minute hour day month weekday): "${expression}"`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+    const dayRestricted = parts[2] !== '*';
+    const weekdayRestricted = parts[4] !== '*';
+
+    return {
+        expression: parts.join(' '),
+        matches(date) {
+            if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+                return false;
+            }
+
+            const dayMatch = days.has(date.getDate());
+            const weekdayMatch = weekdays.has(date.getDay());
+            if (dayRestricted && weekdayRestricted) {
+                return dayMatch || weekdayMatch;
+            }
+            return dayMatch && weekdayMatch;
+        }
+    };
+}
+
+/**
+ * First minute after `from` that matches, or null when none does within a year
+ * (e.g. "0 0 31 2 *")
+ */
+function nextRun(schedule, from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+        date.setMinutes(date.getMinutes() + 1);
+        if (schedule.matches(date)) {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    nextRun
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/**
+ * Opaque pagination cursors
+ * A cursor holds the offset of the next page and a fingerprint of the query it came
+ * from, so replaying it against a different query is rejected instead of returning an
+ * unrelated page. Every paged statement orders by a total order, which keeps offsets
+ * stable for a given dataset build. Spatial pages also carry the scan key of their last
+ * row, so the next page continues after it rather than sorting and skipping every earlier row.
+ */
+
+function queryFingerprint(query) {
+    return crypto.createHash('sha1').update(JSON.stringify(query)).digest('base64url').substring(0, 12);
+}
+
+function encodeCursor(query, offset, after = null) {
+    const state = { q: queryFingerprint(query), o: offset };
+    if (after !== null) {
+        state.k = after;
+    }
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isKey = value => Array.isArray(value) &&
+    value.every(part => part === null || typeof part === 'string' || Number.isFinite(part));
+
+/**
+ * { offset, after } encoded in a cursor: offset 0 when there is no cursor, after (the scan
+ * key) null when the cursor has none; null when the cursor is malformed or belongs to another query
+ */
+function decodeCursorState(cursor, query) {
+    if (cursor === undefined || cursor === null || cursor === '') {
+        return { offset: 0, after: null };
+    }
+
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!decoded || decoded.q !== queryFingerprint(query) || !isCount(decoded.o) ||
+            (decoded.k !== undefined && !isKey(decoded.k))) {
+            return null;
+        }
+        return { offset: decoded.o, after: decoded.k === undefined ? null : decoded.k };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Offset encoded in a cursor: 0 when there is no cursor, null when the cursor is
+ * malformed or belongs to another query
+ */
+function decodeCursor(cursor, query) {
+    const state = decodeCursorState(cursor, query);
+    return state ? state.offset : null;
+}
+
+/**
+ * Resolves the requested page: { offset, after, pageSize }, or null for an invalid
+ * cursor. Statements should be asked for pageSize + 1 rows so pageResult can tell
+ * whether another page exists.
+ */
+function readPage(query, cursor, pageSize, defaultPageSize, maxPageSize) {
+    const state = decodeCursorState(cursor, query);
+    if (state === null) {
+        return null;
+    }
+
+    return {
+        ...state,
+        pageSize: Math.min(Math.max(parseInt(pageSize) || defaultPageSize, 1), maxPageSize)
+    };
+}
+
+// Splits a pageSize + 1 row fetch into the page and the cursor for the next one
+function pageResult(query, page, rows) {
+    const hasMore = rows.length > page.pageSize;
+
+    return {
+        rows: rows.slice(0, page.pageSize),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(query, page.offset + page.pageSize) : null
+    };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    readPage,
+    pageResult
+};
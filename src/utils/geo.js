@@ -0,0 +1,176 @@
+/**
+ * Geographic helpers shared by the spatial endpoints
+ * Distances use the haversine formula on a spherical Earth (mean radius)
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+const KM_PER_MILE = 1.609344;
+const MAX_POLYGON_POSITIONS = 10000; // Every scanned row is tested against every position
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function isValidCoordinate(latitude, longitude) {
+    return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        latitude >= -90 && latitude <= 90 &&
+        longitude >= -180 && longitude <= 180;
+}
+
+/**
+ * Great-circle distance in kilometres between two points
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function kmToMiles(km) {
+    return km / KM_PER_MILE;
+}
+
+/**
+ * Lat/lon window that contains every point within radiusKm of the centre.
+ * Used as a cheap prefilter before the exact distance is computed.
+ * Longitude bounds are dropped when the window reaches a pole or wraps the antimeridian.
+ */
+function boundingBox(latitude, longitude, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+    const minLat = Math.max(-90, latitude - latDelta);
+    const maxLat = Math.min(90, latitude + latDelta);
+
+    const cosLat = Math.cos(toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+    const lonDelta = cosLat > 0 ? radiusKm / (KM_PER_DEGREE_LATITUDE * cosLat) : 360;
+
+    if (maxLat >= 90 || minLat <= -90 || longitude - lonDelta < -180 || longitude + lonDelta > 180) {
+        return { minLat, maxLat, minLon: -180, maxLon: 180 };
+    }
+
+    return { minLat, maxLat, minLon: longitude - lonDelta, maxLon: longitude + lonDelta };
+}
+
+/**
+ * Ray casting test for a single linear ring of [lon, lat] positions
+ */
+function pointInRing(latitude, longitude, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lonI, latI] = ring[i];
+        const [lonJ, latJ] = ring[j];
+
+        if ((latI > latitude) !== (latJ > latitude) &&
+            longitude < (lonJ - lonI) * (latitude - latI) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Point-in-polygon for GeoJSON Polygon and MultiPolygon geometries (holes respected)
+ */
+function pointInGeometry(latitude, longitude, geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+    return polygons.some(([outer, ...holes]) =>
+        pointInRing(latitude, longitude, outer) &&
+        !holes.some(hole => pointInRing(latitude, longitude, hole))
+    );
+}
+
+/**
+ * Checks that a value is a GeoJSON Polygon or MultiPolygon with valid positions.
+ * Positions must be numbers, as GeoJSON requires ("40.7" is rejected, since the
+ * ring tests would do string arithmetic on it).
+ * Accepts a bare geometry or a Feature wrapping one; returns the geometry or null.
+ */
+function toPolygonGeometry(value) {
+    const geometry = value && value.type === 'Feature' ? value.geometry : value;
+    if (!geometry || !Array.isArray(geometry.coordinates)) {
+        return null;
+    }
+
+    const isRing = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(position =>
+        Array.isArray(position) && isValidCoordinate(position[1], position[0])
+    );
+    const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+    if (geometry.type === 'Polygon' && isPolygon(geometry.coordinates)) {
+        return geometry;
+    }
+
+    if (geometry.type === 'MultiPolygon' && geometry.coordinates.length > 0 &&
+        geometry.coordinates.every(isPolygon)) {
+        return geometry;
+    }
+
+    return null;
+}
+
+/**
+ * Number of positions in a Polygon/MultiPolygon, holes included
+ */
+function countPositions(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.reduce((sum, rings) => rings.reduce((ringSum, ring) => ringSum + ring.length, sum), 0);
+}
+
+/**
+ * Bounding box of a Polygon/MultiPolygon's outer rings
+ * (a loop rather than Math.min(...positions), which overflows the stack on large rings)
+ */
+function geometryBounds(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+
+    for (const [outer] of polygons) {
+        for (const [longitude, latitude] of outer) {
+            bounds.minLat = Math.min(bounds.minLat, latitude);
+            bounds.maxLat = Math.max(bounds.maxLat, latitude);
+            bounds.minLon = Math.min(bounds.minLon, longitude);
+            bounds.maxLon = Math.max(bounds.maxLon, longitude);
+        }
+    }
+
+    return bounds;
+}
+
+/**
+ * SQL expression for the haversine distance (km) between a row's coordinates
+ * and a point given as query parameters, e.g. haversineSql('pc', '$1', '$2')
+ */
+function haversineSql(tableAlias, latParam, lonParam) {
+    const lat = `CAST(${tableAlias}.latitude AS DOUBLE)`;
+    const lon = `CAST(${tableAlias}.longitude AS DOUBLE)`;
+    const pointLat = `CAST(${latParam} AS DOUBLE)`;
+    const pointLon = `CAST(${lonParam} AS DOUBLE)`;
+
+    return `(2 * ${EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS(${lat} - ${pointLat}) / 2), 2) +
+        COS(RADIANS(${pointLat})) * COS(RADIANS(${lat})) *
+        POWER(SIN(RADIANS(${lon} - ${pointLon}) / 2), 2)
+    ))))`;
+}
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    MAX_POLYGON_POSITIONS,
+    toRadians,
+    isValidCoordinate,
+    haversineDistance,
+    kmToMiles,
+    boundingBox,
+    pointInRing,
+    pointInGeometry,
+    toPolygonGeometry,
+    countPositions,
+    geometryBounds,
+    haversineSql
+};
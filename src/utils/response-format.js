@@ -0,0 +1,134 @@
+/**
+ * Response format negotiation for lookup-style endpoints
+ * A ?format= query parameter wins over the Accept header; JSON is the default.
+ */
+
+const FORMAT_MEDIA_TYPES = {
+    json: 'application/json',
+    geojson: 'application/geo+json',
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson'
+};
+
+function negotiateFormat(req, allowed = Object.keys(FORMAT_MEDIA_TYPES)) {
+    const requested = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : null;
+    if (requested && allowed.includes(requested)) {
+        return requested;
+    }
+
+    const mediaTypes = allowed.map(format => FORMAT_MEDIA_TYPES[format]);
+    const accepted = req.accepts(mediaTypes);
+    const match = Object.keys(FORMAT_MEDIA_TYPES).find(format => FORMAT_MEDIA_TYPES[format] === accepted);
+
+    return match && allowed.includes(match) ? match : 'json';
+}
+
+/**
+ * Builds a GeoJSON FeatureCollection from formatted postal code records.
+ * Records without coordinates keep their place with a null geometry.
+ * The rest of the JSON envelope (query, matchType, ...) is carried as foreign members.
+ */
+function toFeatureCollection(records, envelope = {}) {
+    const members = { ...envelope };
+    delete members.results;
+    delete members.records;
+    delete members.suggestions;
+
+    return {
+        type: 'FeatureCollection',
+        ...members,
+        features: records.map(record => {
+            const hasCoordinates = record.latitude !== null && record.latitude !== undefined &&
+                record.longitude !== null && record.longitude !== undefined;
+
+            return {
+                type: 'Feature',
+                geometry: hasCoordinates ?
+                    { type: 'Point', coordinates: [Number(record.longitude), Number(record.latitude)] } :
+                    null,
+                properties: record
+            };
+        })
+    };
+}
+
+// Columns of a postal code record as SearchService.formatResults builds it
+const RECORD_FIELDS = [
+    'country_code', 'postal_code', 'place_name',
+    'admin_name1', 'admin_code1', 'admin_name2', 'admin_code2', 'admin_name3', 'admin_code3',
+    'latitude', 'longitude', 'accuracy', 'similarity_score', 'fullAddress'
+];
+
+/**
+ * Column list for tabular output: ?fields=a,b,c when given, otherwise every key
+ * in order of first appearance (which follows SearchService.formatResults), or
+ * `defaultFields` when there are no records to take them from
+ */
+function resolveFields(records, fieldsParam, defaultFields = RECORD_FIELDS) {
+    if (typeof fieldsParam === 'string' && fieldsParam.trim().length > 0) {
+        return fieldsParam.split(',').map(field => field.trim()).filter(Boolean);
+    }
+    if (records.length === 0) {
+        return [...defaultFields];
+    }
+
+    const fields = [];
+    for (const record of records) {
+        for (const key of Object.keys(record)) {
+            if (!fields.includes(key)) {
+                fields.push(key);
+            }
+        }
+    }
+    return fields;
+}
+
+/**
+ * One CSV cell. Text that a spreadsheet would run as a formula (leading =, +, -, @,
+ * tab or CR) gets a leading apostrophe; plain numbers such as "-73.9" are left alone.
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line (with its CRLF terminator) from a list of values
+function csvRow(values) {
+    return values.map(csvValue).join(',') + '\r\n';
+}
+
+function toCsv(records, fields) {
+    return csvRow(fields) + records.map(record => csvRow(fields.map(field => record[field]))).join('');
+}
+
+function pickFields(record, fields) {
+    const picked = {};
+    for (const field of fields) {
+        picked[field] = record[field] === undefined ? null : record[field];
+    }
+    return picked;
+}
+
+function toNdjson(records, fields) {
+    return records.map(record => JSON.stringify(pickFields(record, fields)) + '\n').join('');
+}
+
+module.exports = {
+    FORMAT_MEDIA_TYPES,
+    RECORD_FIELDS,
+    negotiateFormat,
+    toFeatureCollection,
+    resolveFields,
+    pickFields,
+    csvValue,
+    csvRow,
+    toCsv,
+    toNdjson
+};
@@ -0,0 +1,60 @@
+/**
+ * Text helpers for name matching
+ */
+
+// Letters that Unicode decomposition does not split into base letter + accent
+const SPECIAL_FOLDS = {
+    'ß': 'ss',
+    'æ': 'ae',
+    'ø': 'o',
+    'œ': 'oe',
+    'đ': 'd',
+    'ð': 'd',
+    'þ': 'th',
+    'ł': 'l',
+    'ı': 'i'
+};
+
+/**
+ * Folds a name for accent- and case-insensitive comparison:
+ * "Zürich" -> "zurich", "São Paulo" -> "sao paulo", "Straße" -> "strasse"
+ */
+function foldText(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+
+    return value
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[ßæøœđðþłı]/g, char => SPECIAL_FOLDS[char])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * SQL counterpart of foldText for DuckDB, used to build the *_folded columns
+ * at ingest time so stored names and user queries fold the same way
+ */
+function foldSql(expression) {
+    let folded = `lower(${expression})`;
+    for (const [char, replacement] of Object.entries(SPECIAL_FOLDS)) {
+        folded = `replace(${folded}, '${char}', '${replacement}')`;
+    }
+
+    return `trim(regexp_replace(strip_accents(${folded}), '\\s+', ' ', 'g'))`;
+}
+
+/**
+ * Escapes LIKE wildcards so user input is matched literally; use with ESCAPE '\'
+ */
+function escapeLikeWildcards(value) {
+    return value.replace(/[%_\\]/g, '\\$&');
+}
+
+module.exports = {
+    foldText,
+    foldSql,
+    escapeLikeWildcards
+};
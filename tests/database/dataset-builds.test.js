@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+    buildPaths,
+    readManifest,
+    writeManifest,
+    acquireBuildLock,
+    loadBaseline,
+    checkBuild,
+    promoteBuild,
+    rollbackBuild
+} = require('../../src/database/dataset-builds');
+
+describe('dataset builds on disk', () => {
+    let dir;
+    let paths;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'builds-'));
+        paths = buildPaths(path.join(dir, 'postal_codes.duckdb'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // A stand-in database file whose content names the build, with its manifest
+    function writeBuild(file, version) {
+        fs.writeFileSync(file, version);
+        writeManifest(file, { version });
+    }
+
+    const contents = (file) => fs.readFileSync(file, 'utf8');
+
+    test('buildPaths names the staging, previous and swap files next to the live one', () => {
+        expect(buildPaths('/data/postal_codes.duckdb')).toEqual({
+            live: '/data/postal_codes.duckdb',
+            staging: '/data/postal_codes_staging.duckdb',
+            previous: '/data/postal_codes_previous.duckdb',
+            swap: '/data/postal_codes_swap.duckdb'
+        });
+    });
+
+    test('promoteBuild makes staging live and keeps the replaced build as previous', () => {
+        writeBuild(paths.live, 'v1');
+        fs.writeFileSync(`${paths.live}.rows.parquet`, 'v1 rows');
+        writeBuild(paths.staging, 'v2');
+
+        promoteBuild(paths);
+
+        expect(contents(paths.live)).toBe('v2');
+        expect(readManifest(paths.live)).toEqual({ version: 'v2' });
+        expect(contents(paths.previous)).toBe('v1');
+        expect(readManifest(paths.previous)).toEqual({ version: 'v1' });
+        expect(fs.existsSync(paths.staging)).toBe(false);
+        // The new build has no snapshot, so the old one must not pass for it
+        expect(fs.existsSync(`${paths.live}.rows.parquet`)).toBe(false);
+        expect(contents(`${paths.previous}.rows.parquet`)).toBe('v1 rows');
+    });
+
+    test('promoteBuild works for the first build', () => {
+        writeBuild(paths.staging, 'v1');
+
+        promoteBuild(paths);
+
+        expect(contents(paths.live)).toBe('v1');
+        expect(fs.existsSync(paths.previous)).toBe(false);
+    });
+
+    test('rollbackBuild swaps the previous build back in, and a second rollback undoes the first', () => {
+        writeBuild(paths.live, 'v2');
+        writeBuild(paths.previous, 'v1');
+
+        expect(rollbackBuild(paths)).toEqual({ version: 'v1' });
+        expect(contents(paths.live)).toBe('v1');
+        expect(contents(paths.previous)).toBe('v2');
+        expect(fs.existsSync(paths.swap)).toBe(false);
+
+        expect(rollbackBuild(paths)).toEqual({ version: 'v2' });
+        expect(contents(paths.previous)).toBe('v1');
+    });
+
+    test('rollbackBuild fails without a previous build', () => {
+        writeBuild(paths.live, 'v1');
+
+        expect(() => rollbackBuild(paths)).toThrow(/No previous build/);
+        expect(contents(paths.live)).toBe('v1');
+    });
+
+    test('acquireBuildLock lets one build at a time use staging', () => {
+        const release = acquireBuildLock(paths);
+
+        expect(contents(`${paths.staging}.lock`)).toBe(String(process.pid));
+        expect(() => acquireBuildLock(paths)).toThrow(/Another build is already running/);
+
+        release();
+        expect(fs.existsSync(`${paths.staging}.lock`)).toBe(false);
+        acquireBuildLock(paths)();
+    });
+
+    test('acquireBuildLock takes over a lock left by a process that has exited', () => {
+        const exited = spawnSync(process.execPath, ['-e', '']).pid;
+        fs.writeFileSync(`${paths.staging}.lock`, String(exited));
+
+        const release = acquireBuildLock(paths);
+
+        expect(contents(`${paths.staging}.lock`)).toBe(String(process.pid));
+        release();
+    });
+
+    test('loadBaseline reads the live manifest and is null for the first build', async () => {
+        const db = { run: jest.fn() };
+
+        await expect(loadBaseline(db, paths.live)).resolves.toBeNull();
+
+        writeBuild(paths.live, 'v1');
+        await expect(loadBaseline(db, paths.live)).resolves.toEqual({ version: 'v1', source: 'manifest' });
+        expect(db.run).not.toHaveBeenCalled();
+    });
+});
+
+describe('checkBuild', () => {
+    // Answers the profile query with `profileRows` and sample lookups from `codes`
+    function fakeBuild(profileRows, codes) {
+        return {
+            all: jest.fn(async (sql, country, postalCode) => {
+                if (sql.includes('GROUP BY')) {
+                    return profileRows;
+                }
+                return codes.includes(`${country} ${postalCode}`) ? [{ 1: 1 }] : [];
+            })
+        };
+    }
+
+    const baseline = {
+        totalRecords: 12000,
+        countries: { DE: 8000, LU: 4000 },
+        samples: [{ country: 'DE', postalCode: '01067' }, { country: 'LU', postalCode: 'L-1111' }]
+    };
+
+    test('passes a build close to the previous one', async () => {
+        const db = fakeBuild([
+            { country_code: 'DE', count: 8100, first_code: '01067', last_code: '99998' },
+            { country_code: 'LU', count: 3900, first_code: 'L-1111', last_code: 'L-9999' }
+        ], ['DE 01067', 'LU L-1111']);
+
+        const result = await checkBuild(db, baseline);
+
+        expect(result.passed).toBe(true);
+        expect(result.checks.map(check => check.name)).toEqual(['rows', 'total_delta', 'country_deltas', 'sample_lookups']);
+        expect(result.deltas).toEqual([
+            { country: 'DE', before: 8000, after: 8100, change: 100 },
+            { country: 'LU', before: 4000, after: 3900, change: -100 }
+        ]);
+        expect(result.profile.samples).toHaveLength(4);
+    });
+
+    test('fails on a country that lost too many rows and on missing sample codes', async () => {
+        const db = fakeBuild([
+            { country_code: 'DE', count: 8000, first_code: '01067', last_code: '99998' },
+            { country_code: 'LU', count: 3000, first_code: 'L-2222', last_code: 'L-9999' }
+        ], ['DE 01067']);
+
+        const result = await checkBuild(db, baseline, { maxRowDrop: 0.1 });
+        const failed = result.checks.filter(check => !check.passed);
+
+        expect(result.passed).toBe(false);
+        expect(failed.map(check => check.name)).toEqual(['country_deltas', 'sample_lookups']);
+        expect(failed[0].detail).toContain('LU 4000 -> 3000');
+        expect(failed[1].detail).toContain('missing: LU L-1111');
+    });
+
+    test('checks the first build against its own samples', async () => {
+        const db = fakeBuild([{ country_code: 'DE', count: 10, first_code: '01067', last_code: '01067' }], ['DE 01067']);
+
+        const result = await checkBuild(db, null);
+
+        expect(result.passed).toBe(true);
+        expect(result.checks.map(check => check.name)).toEqual(['rows', 'sample_lookups']);
+    });
+
+    test('fails an empty build', async () => {
+        expect((await checkBuild(fakeBuild([], []), null)).passed).toBe(false);
+    });
+});
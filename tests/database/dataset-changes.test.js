@@ -0,0 +1,303 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    classifyChange,
+    netChanges,
+    changelogHistory,
+    changelogChain,
+    buildAt,
+    exportSnapshot,
+    recordChangelog
+} = require('../../src/database/dataset-changes');
+const { describeWithDuckDb, createTestDatabase } = require('../helpers/duckdb');
+const services = require('../helpers/services');
+
+// A snapshot row of one place of a postal code
+const place = (fields = {}) => ({
+    place_name: 'Berlin',
+    admin_name1: 'Berlin',
+    admin_code1: 'BE',
+    admin_code2: '00',
+    admin_code3: '11000',
+    latitude: 52.5323,
+    longitude: 13.3846,
+    accuracy: 4,
+    ...fields
+});
+
+describe('classifyChange', () => {
+    test('reports codes that appeared or disappeared', () => {
+        expect(classifyChange(null, [place()])).toEqual({ change_type: 'added', changed_fields: [] });
+        expect(classifyChange([place()], null)).toEqual({ change_type: 'removed', changed_fields: [] });
+        expect(classifyChange(null, null)).toBeNull();
+    });
+
+    test('names the tracked fields that changed', () => {
+        expect(classifyChange([place()], [place({ place_name: 'Berlin Mitte', admin_code3: '11001' })]))
+            .toEqual({ change_type: 'changed', changed_fields: ['place_name', 'admin_codes'] });
+    });
+
+    test('ignores admin name spelling, accuracy and the order of places', () => {
+        const before = [place(), place({ place_name: 'Mitte' })];
+        const after = [place({ place_name: 'Mitte', accuracy: 1 }), place({ admin_name1: 'Land Berlin' })];
+
+        expect(classifyChange(before, after)).toBeNull();
+    });
+
+    test('reports a centroid move beyond the threshold, or coordinates appearing', () => {
+        // About 1.1 km north
+        const moved = [place({ latitude: 52.5423 })];
+
+        expect(classifyChange([place()], moved)).toEqual({ change_type: 'changed', changed_fields: ['coordinates'] });
+        expect(classifyChange([place()], moved, 2)).toBeNull();
+        expect(classifyChange([place({ latitude: null, longitude: null })], [place()]))
+            .toEqual({ change_type: 'changed', changed_fields: ['coordinates'] });
+    });
+});
+
+describe('netChanges', () => {
+    const change = (postalCode, version, before, after) => ({
+        country_code: 'DE',
+        postal_code: postalCode,
+        version,
+        before: before && JSON.stringify(before),
+        after: after && JSON.stringify(after)
+    });
+
+    test('nets a code from its rows before the first build to its rows after the last', () => {
+        const renamed = place({ place_name: 'Berlin Mitte' });
+
+        expect(netChanges([
+            change('10115', 'v2', [place()], [place({ latitude: 52.5324 })]),
+            change('10115', 'v3', [place({ latitude: 52.5324 })], [renamed])
+        ])).toEqual([{
+            country_code: 'DE',
+            postal_code: '10115',
+            change_type: 'changed',
+            changed_fields: ['place_name'],
+            version: 'v3',
+            before: [place()],
+            after: [renamed]
+        }]);
+    });
+
+    test('drops codes that ended up as they started', () => {
+        expect(netChanges([
+            change('10115', 'v2', null, [place()]),
+            change('10115', 'v3', [place()], null),
+            change('10117', 'v2', [place()], [place({ place_name: 'Mitte' })]),
+            change('10117', 'v3', [place({ place_name: 'Mitte' })], [place()]),
+            change('10119', 'v3', null, [place()])
+        ]).map(net => [net.postal_code, net.change_type])).toEqual([['10119', 'added']]);
+    });
+
+    test('keeps codes with only minor changes out', () => {
+        expect(netChanges([change('10115', 'v2', [place()], [place({ accuracy: 1 })])])).toEqual([]);
+    });
+});
+
+describe('changelog chains', () => {
+    let dir;
+
+    // Two chains of builds: v1 -> v2 -> v3 -> v4 and w1 -> w2
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-'));
+        for (const [version, previousVersion] of [['v2', 'v1'], ['v3', 'v2'], ['v4', 'v3'], ['w2', 'w1']]) {
+            fs.writeFileSync(path.join(dir, `${version}.json`), JSON.stringify({ version, previousVersion }));
+        }
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('changelogHistory follows the chain back from the current version, newest first', () => {
+        expect(changelogHistory(dir, 'v4').map(summary => summary.version)).toEqual(['v4', 'v3', 'v2']);
+        expect(changelogHistory(dir, 'v4', 2).map(summary => summary.version)).toEqual(['v4', 'v3']);
+        expect(changelogHistory(dir, 'v1')).toEqual([]);
+    });
+
+    test('changelogChain lists the builds since a version, oldest first', () => {
+        expect(changelogChain(dir, 'v4', 'v2').map(summary => summary.version)).toEqual(['v3', 'v4']);
+        expect(changelogChain(dir, 'v4', 'v1').map(summary => summary.version)).toEqual(['v2', 'v3', 'v4']);
+        expect(changelogChain(dir, 'v4', 'v4')).toEqual([]);
+    });
+
+    test('changelogChain is null when no chain connects the versions', () => {
+        expect(changelogChain(dir, 'v4', 'w1')).toBeNull();
+        expect(changelogChain(dir, 'v4', 'v0')).toBeNull();
+    });
+
+    test('recordChangelog starts no changelog when the live build has no snapshot', async () => {
+        const db = { run: jest.fn(), all: jest.fn() };
+
+        await expect(recordChangelog(db, path.join(dir, 'postal_codes.duckdb'), { version: 'v5' }, { version: 'v4' })).resolves.toBeNull();
+        await expect(recordChangelog(db, path.join(dir, 'postal_codes.duckdb'), { version: 'v5' }, null)).resolves.toBeNull();
+        expect(db.run).not.toHaveBeenCalled();
+    });
+});
+
+describe('buildAt', () => {
+    let dir;
+    const current = { version: 'v3', builtAt: '2026-03-01T00:00:00.000Z' };
+
+    // v1 (built 2026-01-01) -> v2 (2026-02-01) -> v3 (2026-03-01)
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-at-'));
+        const summaries = [
+            { version: 'v2', previousVersion: 'v1', previousBuiltAt: '2026-01-01T00:00:00.000Z', builtAt: '2026-02-01T00:00:00.000Z' },
+            { version: 'v3', previousVersion: 'v2', previousBuiltAt: '2026-02-01T00:00:00.000Z', builtAt: '2026-03-01T00:00:00.000Z' }
+        ];
+        for (const summary of summaries) {
+            fs.writeFileSync(path.join(dir, `${summary.version}.json`), JSON.stringify(summary));
+        }
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('is the current build, with no changelogs to read, from its build time on', () => {
+        expect(buildAt(dir, current, new Date('2026-03-01T00:00:00.000Z'))).toEqual({ ...current, files: [] });
+        expect(buildAt(dir, current, new Date('2026-06-01'))).toEqual({ ...current, files: [] });
+    });
+
+    test('walks back to the build live at the date, with the changelogs since it oldest first', () => {
+        expect(buildAt(dir, current, new Date('2026-02-15'))).toEqual({
+            version: 'v2',
+            builtAt: '2026-02-01T00:00:00.000Z',
+            files: [path.join(dir, 'v3.parquet')]
+        });
+        expect(buildAt(dir, current, new Date('2026-01-01T00:00:00.000Z'))).toEqual({
+            version: 'v1',
+            builtAt: '2026-01-01T00:00:00.000Z',
+            files: [path.join(dir, 'v2.parquet'), path.join(dir, 'v3.parquet')]
+        });
+    });
+
+    test('is null before the history begins', () => {
+        expect(buildAt(dir, current, new Date('2025-12-31'))).toBeNull();
+    });
+});
+
+describeWithDuckDb('changelog SQL', () => {
+    let dir;
+    let livePath;
+    let database;
+
+    const code = (postalCode, fields = {}) =>
+        services.row({ country_code: 'DE', postal_code: postalCode, place_name: 'Berlin', admin_name1: 'Berlin', admin_code1: 'BE',
+            latitude: 52.52, longitude: 13.4, ...fields });
+
+    // v1 -> v9 -> v10, named so the changelog files do not sort in build order
+    const v1 = [
+        code('10115'),
+        code('10117'),
+        code('10119'),
+        code('10178'),
+        code('10179'),
+        code('10243'),
+        code('10245'),
+        code('10247'),
+        code('10249'), code('10249', { place_name: 'Friedrichshain' }),
+        code('10315', { latitude: null, longitude: null })
+    ];
+    const v9 = [
+        code('10115'),
+        code('10119', { place_name: 'Berlin Mitte' }),
+        code('10178', { admin_code1: 'BB' }),
+        code('10179', { latitude: 52.565 }), // ~5 km north
+        code('10243', { latitude: 52.5209 }), // ~100 m
+        code('10245', { admin_name1: 'Land Berlin' }),
+        code('10247', { accuracy: 6 }),
+        code('10249'),
+        code('10315'),
+        code('10318')
+    ];
+    const v10 = [...v9.filter(row => row.postal_code !== '10119'), code('10119', { place_name: 'Mitte' }), code('12043')];
+    const builds = {
+        v1: { version: 'v1', builtAt: '2026-01-01T00:00:00.000Z' },
+        v9: { version: 'v9', builtAt: '2026-02-01T00:00:00.000Z' },
+        v10: { version: 'v10', builtAt: '2026-03-01T00:00:00.000Z' }
+    };
+
+    // Builds `rows` and records its changelog against the live snapshot, then makes it the live build
+    async function build(rows, dataset, previous) {
+        const next = await createTestDatabase(rows);
+        const summary = previous ? await recordChangelog(next.db, livePath, dataset, previous) : null;
+        await exportSnapshot(next.db, livePath);
+
+        if (database) {
+            await database.close();
+        }
+        database = next;
+        return summary;
+    }
+
+    const changelog = (version) => database.db.all(`
+        SELECT * FROM read_parquet('${path.join(dir, 'changes', `${version}.parquet`)}') ORDER BY postal_code
+    `);
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-sql-'));
+        livePath = path.join(dir, 'postal_codes.duckdb');
+
+        await build(v1, builds.v1, null);
+        await build(v9, builds.v9, builds.v1);
+    });
+
+    afterAll(async () => {
+        await database.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('classifies every difference as classifyChange does', async () => {
+        const rows = await changelog('v9');
+
+        for (const row of rows) {
+            const expected = classifyChange(row.before && JSON.parse(row.before), row.after && JSON.parse(row.after));
+            expect([row.postal_code, row.change_type, row.changed_fields]).toEqual([
+                row.postal_code,
+                expected ? expected.change_type : 'minor',
+                expected ? expected.changed_fields.join(',') : ''
+            ]);
+        }
+
+        expect(rows.map(row => [row.postal_code, row.change_type, row.changed_fields])).toEqual([
+            ['10117', 'removed', ''],
+            ['10119', 'changed', 'place_name'],
+            ['10178', 'changed', 'admin_codes'],
+            ['10179', 'changed', 'coordinates'],
+            ['10243', 'minor', ''],
+            ['10245', 'minor', ''],
+            ['10247', 'minor', ''],
+            ['10249', 'changed', 'place_name'],
+            ['10315', 'changed', 'coordinates'],
+            ['10318', 'added', '']
+        ]);
+    });
+
+    test('counts only the reported changes in the summary', async () => {
+        const summary = JSON.parse(fs.readFileSync(path.join(dir, 'changes', 'v9.json'), 'utf8'));
+
+        expect(summary).toMatchObject({ version: 'v9', previousVersion: 'v1', counts: { added: 1, removed: 1, changed: 5 } });
+    });
+
+    test('reads several changelogs in build order, not file name order', async () => {
+        await build(v10, builds.v10, builds.v9);
+        const statements = database.getStatements();
+        const files = [path.join(dir, 'changes', 'v9.parquet'), path.join(dir, 'changes', 'v10.parquet')];
+
+        const changes = await statements.getDatasetChanges(files, 'DE');
+        expect(changes.filter(change => change.postal_code === '10119').map(change => change.build)).toEqual([1, 2]);
+        expect(changes.find(change => change.postal_code === '12043').build).toBe(2);
+
+        const first = await statements.findFirstCodeChange(files, 'DE', '10119');
+        expect(JSON.parse(first.before).map(row => row.place_name)).toEqual(['Berlin']);
+        const latest = await statements.findFirstCodeChange(files.slice(1), 'DE', '10119');
+        expect(JSON.parse(latest.before).map(row => row.place_name)).toEqual(['Berlin Mitte']);
+    });
+});
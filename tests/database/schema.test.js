@@ -0,0 +1,44 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const PostalCodeDatabase = require('../../src/database/schema');
+
+describe('PostalCodeDatabase query tracking', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('counts the queries running on a connection', async () => {
+        const database = new PostalCodeDatabase('/tmp/none.duckdb', '/tmp/none_state.duckdb');
+        let finish;
+        const db = database.trackQueries({
+            all: () => new Promise(resolve => {
+                finish = resolve;
+            }),
+            run: async () => {
+                throw new Error('boom');
+            }
+        });
+
+        const query = db.all('SELECT 1');
+        expect(database.activeQueries).toBe(1);
+        finish([]);
+        await query;
+        await expect(db.run('SELECT 1')).rejects.toThrow('boom');
+        expect(database.activeQueries).toBe(0);
+    });
+
+    test('drain waits for a quiet connection and gives up after the timeout', async () => {
+        jest.useFakeTimers();
+        const database = new PostalCodeDatabase('/tmp/none.duckdb', '/tmp/none_state.duckdb');
+        database.lastQueryAt = Date.now();
+
+        const idle = database.drain(500, 5000);
+        await jest.advanceTimersByTimeAsync(600);
+        await expect(idle).resolves.toBe(true);
+
+        database.activeQueries = 1;
+        const busy = database.drain(500, 5000);
+        await jest.advanceTimersByTimeAsync(5100);
+        await expect(busy).resolves.toBe(false);
+    });
+});
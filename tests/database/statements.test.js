@@ -0,0 +1,134 @@
+const { describeWithDuckDb, createTestDatabase } = require('../helpers/duckdb');
+const SearchService = require('../../src/services/search-service');
+const { recordDatasetVersion } = require('../../src/database/dataset-version');
+const { row, silentLogger } = require('../helpers/services');
+
+describeWithDuckDb('place search statements', () => {
+    let database;
+    let statements;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await createTestDatabase([
+            row({ country_code: 'FR', postal_code: '75001', place_name: '10% Ville', admin_name1: 'Ile-de-France', admin_name2: 'Paris' }),
+            row({ country_code: 'FR', postal_code: '75002', place_name: '100 Ville', admin_name1: 'Ile-de-France', admin_name2: 'Paris' }),
+            row({ country_code: 'GB', postal_code: 'AB1', place_name: 'a_b', admin_name1: 'Scotland', admin_name2: 'Aberdeen' }),
+            row({ country_code: 'GB', postal_code: 'AB2', place_name: 'axb', admin_name1: 'Scotland', admin_name2: 'Aberdeen' })
+        ]);
+        statements = database.getStatements();
+    });
+
+    afterAll(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    test('searchPlaces matches % and _ literally', async () => {
+        expect((await statements.searchPlaces(null, '10%', 10)).map(found => found.postal_code)).toEqual(['75001']);
+        expect((await statements.searchPlaces('GB', 'a_b', 10)).map(found => found.postal_code)).toEqual(['AB1']);
+    });
+
+    test('findByPlace matches % and _ literally', async () => {
+        expect((await statements.findByPlace('FR', '10%', 10)).map(found => found.postal_code)).toEqual(['75001']);
+        expect((await statements.findByPlace('GB', 'a_b', 10)).map(found => found.postal_code)).toEqual(['AB1']);
+    });
+});
+
+describeWithDuckDb('bounding box statements', () => {
+    const bounds = { minLat: 34, maxLat: 35, minLon: -119, maxLon: -118 };
+    const scanKey = found => [found.country_code, found.postal_code, found.place_name, found.latitude, found.longitude, found.row_id];
+    let database;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const rows = [];
+        for (let index = 0; index < 30; index++) {
+            rows.push(row({
+                postal_code: String(90200 + (index % 7)),
+                place_name: index % 5 === 0 ? null : `Place ${index % 3}`,
+                latitude: 34 + (index % 10) / 20,
+                longitude: -118.9 + (index % 4) / 10
+            }));
+        }
+        rows.push(row(), row()); // the same key but for the row id
+        rows.push(row({ country_code: 'MX', postal_code: '22000', latitude: 34.5, longitude: -118.5 }));
+        database = await createTestDatabase(rows);
+    });
+
+    afterAll(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    test('findInBoundingBox continues after a scan key in the order of a single read', async () => {
+        const statements = database.getStatements();
+        const all = await statements.findInBoundingBox(bounds, 1000, 0);
+
+        const chunked = [];
+        let after = null;
+        for (;;) {
+            const rows = await statements.findInBoundingBox(bounds, 4, 0, after);
+            chunked.push(...rows);
+            if (rows.length < 4) {
+                break;
+            }
+            after = scanKey(rows[rows.length - 1]);
+        }
+
+        expect(all).toHaveLength(33);
+        expect(chunked.map(scanKey)).toEqual(all.map(scanKey));
+    });
+
+    test('polygon pages walked by cursor hold every inside row once', async () => {
+        const service = new SearchService(database, silentLogger);
+        service.polygonScanChunk = 5;
+        const polygon = { type: 'Polygon', coordinates: [[[-119, 34], [-118.6, 34], [-118.6, 35], [-119, 35], [-119, 34]]] };
+
+        const pages = [];
+        let cursor;
+        do {
+            const page = await service.findWithinPolygon(polygon, 4, 0, { cursor });
+            pages.push(...page.results);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        const single = await service.findWithinPolygon(polygon, 1000, 0);
+        expect(pages.length).toBeGreaterThan(4);
+        expect(pages).toEqual(single.results);
+    });
+});
+
+describeWithDuckDb('getStats', () => {
+    let database;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = await createTestDatabase([
+            row({ source_id: 1 }),
+            row({ postal_code: '90211', source_id: 1 }),
+            row({ country_code: 'GB', postal_code: 'SW1A 1AA', source_id: 2 }),
+            row({ country_code: 'NL', postal_code: '1012 AB', source_id: null })
+        ]);
+        const lastUpdated = new Date('2026-01-01T00:00:00.000Z');
+        await recordDatasetVersion(database.db, [
+            { name: 'allCountries.txt', checksum: 'a', fileSize: 10, lastUpdated, recordCount: 2, adapter: 'geonames' },
+            { name: 'GB_full.txt', checksum: 'b', fileSize: 5, lastUpdated, recordCount: 1, adapter: 'geonames' }
+        ]);
+    });
+
+    afterAll(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    test('counts the source files and the records of each', async () => {
+        const stats = await database.getStats();
+
+        expect(stats).toMatchObject({ total_records: 4, countries: 3, sources: 2 });
+        expect(stats.by_source).toEqual([
+            { source: 'allCountries.txt', adapter: 'geonames', count: 2 },
+            { source: 'GB_full.txt', adapter: 'geonames', count: 1 },
+            { source: 'unknown', adapter: null, count: 1 }
+        ]);
+    });
+});
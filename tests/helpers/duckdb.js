@@ -0,0 +1,48 @@
+/**
+ * A PostalCodeDatabase on real in-memory DuckDB, for tests of the statements' SQL
+ * rather than of the services around them. Suites using it are skipped where the duckdb
+ * native binding is not installed.
+ */
+const { foldSql } = require('../../src/utils/text');
+
+function duckDbAvailable() {
+    try {
+        require('duckdb-async');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const describeWithDuckDb = duckDbAvailable() ? describe : describe.skip;
+
+// A connected database holding `rows`, postal code rows as tests/helpers/services.js row() builds them
+async function createTestDatabase(rows = []) {
+    const PostalCodeDatabase = require('../../src/database/schema');
+    const database = new PostalCodeDatabase(':memory:', ':memory:');
+    await database.connect();
+    await database.createTables();
+
+    const countries = [...new Set(rows.map(row => row.country_code))];
+    for (const [index, code] of countries.entries()) {
+        await database.db.run('INSERT INTO countries (id, code) VALUES ($1, $2)', index + 1, code);
+    }
+    for (const row of rows) {
+        await database.db.run(`
+            INSERT INTO postal_codes (country_id, postal_code, place_name, admin_name1, admin_code1, admin_name2, admin_code2,
+                                      latitude, longitude, accuracy, source_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, countries.indexOf(row.country_code) + 1, row.postal_code, row.place_name, row.admin_name1, row.admin_code1,
+        row.admin_name2, row.admin_code2, row.latitude, row.longitude, row.accuracy, row.source_id ?? null);
+    }
+    await database.db.run(`
+        UPDATE postal_codes
+        SET place_name_folded = ${foldSql('place_name')},
+            admin_name1_folded = ${foldSql('admin_name1')},
+            admin_name2_folded = ${foldSql('admin_name2')}
+    `);
+
+    return database;
+}
+
+module.exports = { describeWithDuckDb, createTestDatabase };
@@ -0,0 +1,17 @@
+/**
+ * A PostalCodeServer without a database for route tests: the services a route reads
+ * are the fakes the test passes in. Test files mock duckdb-async before requiring this.
+ */
+
+// Request logs would drown the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const PostalCodeServer = require('../../src/server');
+
+function createServer(services = {}) {
+    const server = new PostalCodeServer();
+    Object.assign(server, services);
+    return server;
+}
+
+module.exports = { createServer };
@@ -0,0 +1,36 @@
+/**
+ * Services over fake statements for service tests: `statements` stands in for
+ * PostalCodeDatabase.getStatements(), with jest.fn()s for the queries a test needs.
+ */
+const SearchService = require('../../src/services/search-service');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function fakeDatabase(statements = {}, extra = {}) {
+    return { getStatements: () => statements, ...extra };
+}
+
+function createSearchService(statements = {}, options = {}) {
+    return new SearchService(fakeDatabase(statements), silentLogger, options);
+}
+
+// A postal code row as the statements return it
+function row(fields = {}) {
+    return {
+        country_code: 'US',
+        postal_code: '90210',
+        place_name: 'Beverly Hills',
+        admin_name1: 'California',
+        admin_code1: 'CA',
+        admin_name2: 'Los Angeles',
+        admin_code2: '037',
+        admin_name3: null,
+        admin_code3: null,
+        latitude: 34.0901,
+        longitude: -118.4065,
+        accuracy: 4,
+        ...fields
+    };
+}
+
+module.exports = { silentLogger, fakeDatabase, createSearchService, row };
@@ -0,0 +1,83 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const history = { asOf: '2026-01-31T23:59:59.999Z', version: 'v1', builtAt: '2026-01-01T00:00:00.000Z', files: ['/changes/v2.parquet'] };
+const found = { success: true, matchType: 'exact', query: { country: 'US', postalCode: '90210' }, results: [{ postal_code: '90210' }] };
+
+function asOfServer(resolved = { success: true, history }) {
+    return createServer({
+        changeService: { resolveAsOf: jest.fn().mockResolvedValue(resolved) },
+        searchService: {
+            searchPostalCode: jest.fn().mockResolvedValue(found),
+            validatePostalCode: jest.fn().mockResolvedValue({ success: true, formatValid: true, exists: true })
+        }
+    });
+}
+
+describe('GET /lookup?asOf', () => {
+    test('looks the code up in the build live at the date', async () => {
+        const server = asOfServer();
+
+        const response = await request(server.app).get('/lookup?country=US&postalCode=90210&asOf=2026-01-31').expect(200);
+
+        expect(server.changeService.resolveAsOf).toHaveBeenCalledWith('2026-01-31');
+        expect(server.searchService.searchPostalCode).toHaveBeenCalledWith('US', '90210', true, { history });
+        expect(response.body.asOf).toEqual({ date: history.asOf, version: 'v1', builtAt: history.builtAt });
+    });
+
+    test('needs a country', async () => {
+        const server = asOfServer();
+
+        await request(server.app).get('/lookup?postalCode=90210&asOf=2026-01-31').expect(400);
+        expect(server.changeService.resolveAsOf).not.toHaveBeenCalled();
+    });
+
+    test('answers 400 for a date it cannot read and 404 before the recorded history', async () => {
+        const invalid = asOfServer({ success: false, reason: 'invalid', error: 'asOf must be a date' });
+        const unavailable = asOfServer({ success: false, reason: 'unavailable', error: 'No dataset history' });
+
+        await request(invalid.app).get('/lookup?country=US&postalCode=90210&asOf=soon').expect(400);
+        const response = await request(unavailable.app).get('/lookup?country=US&postalCode=90210&asOf=1999-01-01').expect(404);
+
+        expect(response.body).toMatchObject({ success: false, reason: 'unavailable' });
+        expect(unavailable.searchService.searchPostalCode).not.toHaveBeenCalled();
+    });
+
+    test('leaves lookups without asOf on the current build', async () => {
+        const server = asOfServer();
+
+        const response = await request(server.app).get('/lookup?country=US&postalCode=90210').expect(200);
+
+        expect(server.changeService.resolveAsOf).not.toHaveBeenCalled();
+        expect(server.searchService.searchPostalCode).toHaveBeenCalledWith('US', '90210', true, { history: null });
+        expect(response.body.asOf).toBeUndefined();
+    });
+});
+
+describe('GET /validate?asOf', () => {
+    test('checks the code against the build live at the date', async () => {
+        const server = asOfServer();
+
+        const response = await request(server.app).get('/validate?country=US&postalCode=90210&asOf=2026-01-31').expect(200);
+
+        expect(response.body).toBe(true);
+        expect(server.searchService.searchPostalCode).toHaveBeenCalledWith('US', '90210', false, { history });
+    });
+
+    test('adds the build to detailed answers', async () => {
+        const server = asOfServer();
+
+        const response = await request(server.app).get('/validate?country=US&postalCode=90210&detailed=true&asOf=2026-01-31').expect(200);
+
+        expect(server.searchService.validatePostalCode).toHaveBeenCalledWith('US', '90210', { history });
+        expect(response.body).toMatchObject({ exists: true, asOf: { version: 'v1' } });
+    });
+
+    test('answers 404 before the recorded history', async () => {
+        const server = asOfServer({ success: false, reason: 'unavailable', error: 'No dataset history' });
+
+        await request(server.app).get('/validate?country=US&postalCode=90210&asOf=1999-01-01').expect(404);
+    });
+});
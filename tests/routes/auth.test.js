@@ -0,0 +1,124 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const FOUND = { success: true, matchType: 'exact', results: [{ country_code: 'US', postal_code: '90210' }] };
+const READER = { id: 'reader', name: 'reader', scopes: ['read'], rateLimitPerMinute: 600, monthlyQuota: null };
+
+function keyServer(apiKeys = { 'pck_reader_secret': READER }, usage = { quota: null, exceeded: false }) {
+    const server = createServer({
+        searchService: { searchPostalCode: jest.fn().mockResolvedValue(FOUND), searchMultiple: jest.fn().mockResolvedValue([]) },
+        apiKeyService: {
+            authenticate: jest.fn(async (key) => apiKeys[key] || null),
+            recordUsage: jest.fn().mockResolvedValue(usage),
+            listKeys: jest.fn().mockResolvedValue([]),
+            createKey: jest.fn(),
+            revokeKey: jest.fn()
+        }
+    });
+    server.authToken = 'operator-secret';
+    return server;
+}
+
+describe('API key authentication', () => {
+    test('lets requests without a key through on read endpoints by default', async () => {
+        const server = keyServer();
+
+        await request(server.app).get('/lookup?country=US&postalCode=90210').expect(200);
+        expect(server.apiKeyService.recordUsage).not.toHaveBeenCalled();
+    });
+
+    test('requires a key everywhere but / and /health with API_KEYS_REQUIRED', async () => {
+        const server = keyServer();
+        server.apiKeysRequired = true;
+        server.searchService.healthCheck = jest.fn().mockResolvedValue({ healthy: true });
+
+        await request(server.app).get('/lookup?country=US&postalCode=90210').expect(401);
+        await request(server.app).get('/lookup?country=US&postalCode=90210').set('x-api-key', 'pck_reader_secret').expect(200);
+        await request(server.app).get('/health').expect(200);
+    });
+
+    test('answers 401 for an unknown or revoked key, in any header', async () => {
+        const server = keyServer();
+
+        await request(server.app).get('/lookup?country=US&postalCode=90210').set('x-api-key', 'pck_gone').expect(401);
+        await request(server.app).get('/lookup?country=US&postalCode=90210').set('Authorization', 'Bearer pck_gone').expect(401);
+        await request(server.app).get('/lookup?country=US&postalCode=90210').set('Authorization', 'Bearer pck_reader_secret').expect(200);
+    });
+
+    test('answers 403 when the key lacks the scope the endpoint needs', async () => {
+        const server = keyServer();
+        const asReader = (req) => req.set('x-api-key', 'pck_reader_secret');
+
+        await asReader(request(server.app).post('/lookup/batch')).send({ searches: [{ country: 'US', postalCode: '90210' }] }).expect(403);
+        await asReader(request(server.app).get('/admin/keys')).expect(403);
+    });
+
+    test('reports the monthly quota and answers 429 once it is used up', async () => {
+        const quota = { quota: 100, remaining: 0, exceeded: true, resetsAt: '2026-04-01T00:00:00.000Z' };
+        const server = keyServer(undefined, quota);
+
+        const response = await request(server.app)
+            .get('/lookup?country=US&postalCode=90210')
+            .set('x-api-key', 'pck_reader_secret')
+            .expect(429);
+
+        expect(response.headers['x-quota-limit']).toBe('100');
+        expect(response.headers['x-quota-remaining']).toBe('0');
+        expect(response.body.resetsAt).toBe(quota.resetsAt);
+        expect(server.searchService.searchPostalCode).not.toHaveBeenCalled();
+    });
+
+    test('takes the operator token for every scope without counting quota', async () => {
+        const server = keyServer();
+
+        await request(server.app).get('/admin/keys').set('x-auth-token', 'operator-secret').expect(200);
+        await request(server.app).get('/admin/keys').set('x-auth-token', 'operator-secrets').expect(401);
+        expect(server.apiKeyService.recordUsage).not.toHaveBeenCalled();
+    });
+});
+
+describe('API key administration', () => {
+    const asOperator = (req) => req.set('x-auth-token', 'operator-secret');
+
+    test('needs a credential', async () => {
+        await request(keyServer().app).get('/admin/keys').expect(401);
+    });
+
+    test('lists keys, revoked ones on request', async () => {
+        const server = keyServer();
+
+        const response = await asOperator(request(server.app).get('/admin/keys?includeRevoked=true')).expect(200);
+
+        expect(response.body).toEqual({ success: true, keys: [], count: 0 });
+        expect(server.apiKeyService.listKeys).toHaveBeenCalledWith({ includeRevoked: true });
+    });
+
+    test('creates a key with 201 and answers 400 for invalid settings', async () => {
+        const server = keyServer();
+        server.apiKeyService.createKey
+            .mockResolvedValueOnce({ success: true, key: 'pck_new_secret', apiKey: { id: 'new' } })
+            .mockResolvedValueOnce({ success: false, reason: 'invalid', error: 'Key name is required' });
+
+        const created = await asOperator(request(server.app).post('/admin/keys'))
+            .send({ name: 'reporting', scopes: ['read'], monthlyQuota: 1000 })
+            .expect(201);
+        expect(created.body.key).toBe('pck_new_secret');
+        expect(server.apiKeyService.createKey).toHaveBeenCalledWith({
+            name: 'reporting', scopes: ['read'], rateLimitPerMinute: undefined, monthlyQuota: 1000
+        });
+
+        await asOperator(request(server.app).post('/admin/keys')).send({}).expect(400);
+    });
+
+    test('revokes a key and answers 404 for an unknown one', async () => {
+        const server = keyServer();
+        server.apiKeyService.revokeKey
+            .mockResolvedValueOnce({ success: true, apiKey: { id: 'reader', status: 'revoked' } })
+            .mockResolvedValueOnce({ success: false, reason: 'not_found', error: 'API key not found: nope' });
+
+        await asOperator(request(server.app).delete('/admin/keys/reader')).expect(200);
+        await asOperator(request(server.app).delete('/admin/keys/nope')).expect(404);
+    });
+});
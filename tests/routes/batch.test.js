@@ -0,0 +1,84 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const http = require('http');
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+const { createSearchService } = require('../helpers/services');
+
+describe('POST /lookup/batch', () => {
+    test('requires a non-empty searches array of at most 50', async () => {
+        const server = createServer({ searchService: { searchMultiple: jest.fn() } });
+
+        await request(server.app).post('/lookup/batch').send({}).expect(400);
+        await request(server.app).post('/lookup/batch').send({ searches: [] }).expect(400);
+        await request(server.app)
+            .post('/lookup/batch')
+            .send({ searches: Array.from({ length: 51 }, () => ({ country: 'US', postalCode: '90210' })) })
+            .expect(400);
+        expect(server.searchService.searchMultiple).not.toHaveBeenCalled();
+    });
+
+    test('answers every search in order', async () => {
+        const searches = [{ country: 'US', postalCode: '90210' }, { country: 'DE', postalCode: '10115' }];
+        const searchMultiple = jest.fn().mockResolvedValue(searches.map(search => ({ query: search, success: true, results: [] })));
+        const server = createServer({ searchService: { searchMultiple } });
+
+        const response = await request(server.app).post('/lookup/batch').send({ searches }).expect(200);
+
+        expect(searchMultiple).toHaveBeenCalledWith(searches);
+        expect(response.body.count).toBe(2);
+        expect(response.body.results.map(result => result.query)).toEqual(searches);
+    });
+});
+
+describe('POST /lookup/batch/stream', () => {
+    test('writes one NDJSON line per input line, correlated by id and line number', async () => {
+        const searchService = createSearchService();
+        jest.spyOn(searchService, 'searchPostalCode').mockImplementation(async (country, postalCode) => ({
+            success: true,
+            matchType: 'exact',
+            results: [{ country_code: country, postal_code: postalCode }]
+        }));
+        const server = createServer({ searchService });
+
+        const response = await request(server.app)
+            .post('/lookup/batch/stream?concurrency=2')
+            .set('Content-Type', 'application/x-ndjson')
+            .send('{"id":"a","country":"US","postalCode":"90210"}\n\nnot json\n{"id":"c","country":"DE","postalCode":"10115"}\n')
+            .expect('Content-Type', /application\/x-ndjson/)
+            .expect(200);
+
+        const outputs = response.text.trim().split('\n').map(line => JSON.parse(line));
+        expect(outputs).toHaveLength(3);
+        expect(outputs.find(output => output.id === 'a')).toMatchObject({ line: 1, success: true });
+        expect(outputs.find(output => output.line === 3)).toMatchObject({ id: null, success: false });
+        expect(outputs.find(output => output.id === 'c').results[0].postal_code).toBe('10115');
+    });
+
+    test('waits for drain without piling up listeners on the response', async () => {
+        let closeListeners = 0;
+        const write = http.ServerResponse.prototype.write;
+        const spy = jest.spyOn(http.ServerResponse.prototype, 'write').mockImplementation(function (...args) {
+            closeListeners = Math.max(closeListeners, this.listenerCount('close'));
+            return write.apply(this, args);
+        });
+        const padding = 'x'.repeat(256 * 1024);
+        const searchStream = jest.fn(async (lines, writeResult) => {
+            for (let line = 1; line <= 40; line++) {
+                await writeResult({ id: null, line, success: true, padding });
+            }
+            return { processed: 40, failed: 0, cancelled: false };
+        });
+        const server = createServer({ searchService: { searchStream } });
+
+        const response = await request(server.app)
+            .post('/lookup/batch/stream')
+            .set('Content-Type', 'application/x-ndjson')
+            .send('{"country":"US","postalCode":"90210"}\n')
+            .expect(200);
+        spy.mockRestore();
+
+        expect(response.text.trim().split('\n')).toHaveLength(40);
+        expect(closeListeners).toBeLessThan(5);
+    });
+});
@@ -0,0 +1,57 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const listing = (results) => ({ success: true, count: results.length, hasMore: false, nextCursor: null, results });
+
+describe('administrative browsing', () => {
+    test('GET /countries lists the countries', async () => {
+        const listCountries = jest.fn().mockResolvedValue(listing([{ country_code: 'DE', record_count: 16000 }]));
+        const server = createServer({ searchService: { listCountries } });
+
+        const response = await request(server.app).get('/countries?pageSize=10').expect(200);
+
+        expect(listCountries).toHaveBeenCalledWith({ pageSize: '10' });
+        expect(response.body.results).toEqual([{ country_code: 'DE', record_count: 16000 }]);
+    });
+
+    test('GET /countries/:code/admin1 answers 404 for a country without areas', async () => {
+        const listAdmin1 = jest.fn().mockResolvedValue(listing([]));
+        const server = createServer({ searchService: { listAdmin1 } });
+
+        await request(server.app).get('/countries/XX/admin1').expect(404);
+        expect(listAdmin1).toHaveBeenCalledWith('XX', {});
+    });
+
+    test('GET /countries/:code/admin1/:admin1/admin2 passes both codes on', async () => {
+        const listAdmin2 = jest.fn().mockResolvedValue(listing([{ admin_code2: '037', admin_name2: 'Los Angeles', record_count: 500 }]));
+        const server = createServer({ searchService: { listAdmin2 } });
+
+        await request(server.app).get('/countries/US/admin1/CA/admin2').expect(200);
+        expect(listAdmin2).toHaveBeenCalledWith('US', 'CA', {});
+    });
+
+    test('GET .../postal-codes lists the codes of an admin1 or admin2 area', async () => {
+        const listPostalCodesInArea = jest.fn().mockResolvedValue(listing([{ postal_code: '90210' }]));
+        const server = createServer({ searchService: { listPostalCodesInArea } });
+
+        await request(server.app).get('/countries/US/admin1/CA/postal-codes?limit=20').expect(200);
+        await request(server.app).get('/countries/US/admin1/CA/admin2/037/postal-codes').expect(200);
+
+        expect(listPostalCodesInArea).toHaveBeenNthCalledWith(1, 'US', 'CA', null, 20, { cursor: undefined });
+        expect(listPostalCodesInArea).toHaveBeenNthCalledWith(2, 'US', 'CA', '037', 1000, { cursor: undefined });
+    });
+
+    test('a rejected cursor is a 400 and other failures a 500', async () => {
+        const server = createServer({
+            searchService: {
+                listCountries: jest.fn().mockResolvedValue({ success: false, reason: 'invalid_cursor', results: [] }),
+                listAdmin1: jest.fn().mockResolvedValue({ success: false, error: 'boom', results: [] })
+            }
+        });
+
+        await request(server.app).get('/countries?cursor=bad').expect(400);
+        await request(server.app).get('/countries/DE/admin1').expect(500);
+    });
+});
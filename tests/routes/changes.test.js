@@ -0,0 +1,55 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { CHANGE_FIELDS } = require('../../src/database/dataset-changes');
+const { createServer } = require('../helpers/server');
+
+function changesServer(result) {
+    return createServer({ changeService: { getChanges: jest.fn().mockResolvedValue(result) } });
+}
+
+describe('GET /changes', () => {
+    test('passes the query on', async () => {
+        const server = changesServer({ success: true, changes: [] });
+
+        await request(server.app).get('/changes?since=v1&country=DE&type=added&limit=10&cursor=abc').expect(200);
+
+        expect(server.changeService.getChanges).toHaveBeenCalledWith({
+            since: 'v1', country: 'DE', type: 'added', pageSize: '10', cursor: 'abc'
+        });
+    });
+
+    test('answers 400 for invalid parameters and 404 for a version without a changelog', async () => {
+        await request(changesServer({ success: false, reason: 'invalid', error: 'since is required' }).app).get('/changes').expect(400);
+        await request(changesServer({ success: false, reason: 'invalid_cursor', error: 'Invalid cursor' }).app).get('/changes?since=v1').expect(400);
+        await request(changesServer({ success: false, reason: 'unknown_version', error: 'No changelog' }).app).get('/changes?since=v0').expect(404);
+    });
+
+    test('lists changes as CSV with before and after as JSON', async () => {
+        const server = changesServer({
+            success: true,
+            changes: [{
+                country_code: 'DE',
+                postal_code: '10115',
+                change_type: 'changed',
+                changed_fields: ['place_name'],
+                version: 'v3',
+                before: [{ place_name: 'Berlin' }],
+                after: [{ place_name: 'Berlin Mitte' }]
+            }]
+        });
+
+        const response = await request(server.app).get('/changes?since=v1&format=csv').expect('Content-Type', /text\/csv/).expect(200);
+
+        expect(response.text).toBe(
+            `${CHANGE_FIELDS.join(',')}\r\n` +
+            'DE,10115,changed,"[""place_name""]",v3,"[{""place_name"":""Berlin""}]","[{""place_name"":""Berlin Mitte""}]"\r\n'
+        );
+    });
+
+    test('keeps the CSV header when nothing changed', async () => {
+        const response = await request(changesServer({ success: true, changes: [] }).app).get('/changes?since=v3&format=csv').expect(200);
+
+        expect(response.text).toBe(`${CHANGE_FIELDS.join(',')}\r\n`);
+    });
+});
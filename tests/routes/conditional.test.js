@@ -0,0 +1,79 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const BUILT_AT = '2026-03-01T12:00:00.000Z';
+const FOUND = { success: true, matchType: 'exact', results: [{ country_code: 'US', postal_code: '90210' }] };
+
+function versionedServer(searchService) {
+    const server = createServer({ searchService });
+    server.datasetVersion = { version: 'v42', builtAt: BUILT_AT };
+    return server;
+}
+
+describe('Conditional requests on dataset reads', () => {
+    test('successful reads carry the dataset ETag and Last-Modified', async () => {
+        const server = versionedServer({ searchPostalCode: jest.fn().mockResolvedValue(FOUND) });
+
+        const response = await request(server.app).get('/lookup?country=US&postalCode=90210').expect(200);
+
+        expect(response.headers.etag).toBe('W/"v42"');
+        expect(response.headers['last-modified']).toBe(new Date(BUILT_AT).toUTCString());
+        expect(response.headers.vary).toMatch(/Accept/);
+    });
+
+    test('answers 304 for a matching If-None-Match or a current If-Modified-Since without searching', async () => {
+        const searchPostalCode = jest.fn().mockResolvedValue(FOUND);
+        const server = versionedServer({ searchPostalCode });
+
+        await request(server.app).get('/lookup?country=US&postalCode=90210').set('If-None-Match', 'W/"v42"').expect(304);
+        await request(server.app)
+            .get('/lookup?country=US&postalCode=90210')
+            .set('If-Modified-Since', new Date(BUILT_AT).toUTCString())
+            .expect(304);
+        expect(searchPostalCode).not.toHaveBeenCalled();
+    });
+
+    test('answers in full once the dataset has moved on', async () => {
+        const server = versionedServer({ searchPostalCode: jest.fn().mockResolvedValue(FOUND) });
+
+        await request(server.app).get('/lookup?country=US&postalCode=90210').set('If-None-Match', 'W/"v41"').expect(200);
+    });
+
+    test('leaves the dataset validators off error responses', async () => {
+        const server = versionedServer({ searchPostalCode: jest.fn().mockResolvedValue({ success: true, matchType: 'none', results: [] }) });
+
+        const missing = await request(server.app).get('/lookup?country=US&postalCode=00000').expect(404);
+        const invalid = await request(server.app).get('/lookup?country=US').expect(400);
+
+        for (const response of [missing, invalid]) {
+            expect(response.headers.etag).not.toBe('W/"v42"');
+            expect(response.headers['last-modified']).toBeUndefined();
+        }
+    });
+
+    test('sends no dataset validators before a dataset version is known, or on writes', async () => {
+        const searchMultiple = jest.fn().mockResolvedValue([]);
+        const server = createServer({ searchService: { searchPostalCode: jest.fn().mockResolvedValue(FOUND), searchMultiple } });
+
+        const read = await request(server.app).get('/lookup?country=US&postalCode=90210').expect(200);
+        expect(read.headers['last-modified']).toBeUndefined();
+
+        server.datasetVersion = { version: 'v42', builtAt: BUILT_AT };
+        const write = await request(server.app)
+            .post('/lookup/batch')
+            .set('If-None-Match', 'W/"v42"')
+            .send({ searches: [{ country: 'US', postalCode: '90210' }] })
+            .expect(200);
+        expect(write.headers['last-modified']).toBeUndefined();
+    });
+
+    test('varies on Accept-Language when /lookup detects the country', async () => {
+        const server = versionedServer({ detectCountry: jest.fn().mockResolvedValue(FOUND) });
+
+        const response = await request(server.app).get('/lookup?postalCode=90210').set('Accept-Language', 'en-US').expect(200);
+
+        expect(response.headers.vary).toMatch(/Accept-Language/);
+    });
+});
@@ -0,0 +1,76 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+describe('GET /distance', () => {
+    test('requires from and to', async () => {
+        const server = createServer({ searchService: { calculateDistance: jest.fn() } });
+
+        await request(server.app).get('/distance?from=US:90210').expect(400);
+        expect(server.searchService.calculateDistance).not.toHaveBeenCalled();
+    });
+
+    test('answers 200 with the distance', async () => {
+        const calculateDistance = jest.fn().mockResolvedValue({ success: true, status: 'ok', distance_km: 3936.1 });
+        const server = createServer({ searchService: { calculateDistance } });
+
+        const response = await request(server.app).get('/distance?from=US:90210&to=US:10001').expect(200);
+
+        expect(calculateDistance).toHaveBeenCalledWith('US:90210', 'US:10001');
+        expect(response.body.distance_km).toBe(3936.1);
+    });
+
+    test('answers 404 when either code cannot be measured', async () => {
+        const server = createServer({
+            searchService: { calculateDistance: jest.fn().mockResolvedValue({ success: true, status: 'origin_not_found' }) }
+        });
+
+        await request(server.app).get('/distance?from=US:99999&to=US:10001').expect(404);
+    });
+
+    test('answers 500 when the calculation fails', async () => {
+        const server = createServer({
+            searchService: { calculateDistance: jest.fn().mockResolvedValue({ success: false, error: 'boom' }) }
+        });
+
+        await request(server.app).get('/distance?from=US:90210&to=US:10001').expect(500);
+    });
+});
+
+describe('POST /distance/matrix', () => {
+    function matrixServer() {
+        return createServer({
+            searchService: {
+                maxMatrixSize: 2,
+                distanceMatrix: jest.fn().mockResolvedValue({ success: true, matrix: [[{ status: 'ok' }]] })
+            }
+        });
+    }
+
+    test('requires non-empty origins and destinations', async () => {
+        const server = matrixServer();
+
+        await request(server.app).post('/distance/matrix').send({ origins: ['US:90210'] }).expect(400);
+        await request(server.app).post('/distance/matrix').send({ origins: [], destinations: ['US:10001'] }).expect(400);
+        expect(server.searchService.distanceMatrix).not.toHaveBeenCalled();
+    });
+
+    test('rejects more locations than the matrix limit', async () => {
+        const server = matrixServer();
+
+        await request(server.app).post('/distance/matrix')
+            .send({ origins: ['US:1', 'US:2', 'US:3'], destinations: ['US:10001'] })
+            .expect(400);
+    });
+
+    test('answers 200 with the matrix', async () => {
+        const server = matrixServer();
+        const body = { origins: ['US:90210'], destinations: [{ country: 'US', postalCode: '10001' }] };
+
+        const response = await request(server.app).post('/distance/matrix').send(body).expect(200);
+
+        expect(server.searchService.distanceMatrix).toHaveBeenCalledWith(body.origins, body.destinations);
+        expect(response.body.matrix).toEqual([[{ status: 'ok' }]]);
+    });
+});
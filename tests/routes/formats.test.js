@@ -0,0 +1,99 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const RECORDS = [
+    { country_code: 'US', postal_code: '90210', place_name: 'Beverly Hills', latitude: 34.0901, longitude: -118.4065 },
+    { country_code: 'US', postal_code: '90299', place_name: 'Nowhere', latitude: null, longitude: null }
+];
+
+describe('GeoJSON output', () => {
+    test('GET /lookup answers a FeatureCollection for Accept: application/geo+json', async () => {
+        const searchPostalCode = jest.fn().mockResolvedValue({ success: true, matchType: 'exact', results: RECORDS });
+        const server = createServer({ searchService: { searchPostalCode } });
+
+        const response = await request(server.app)
+            .get('/lookup?country=US&postalCode=90210')
+            .set('Accept', 'application/geo+json')
+            .expect('Content-Type', /application\/geo\+json/)
+            .expect(200);
+
+        expect(response.body.type).toBe('FeatureCollection');
+        expect(response.body.matchType).toBe('exact');
+        expect(response.body.features.map(feature => feature.geometry)).toEqual([
+            { type: 'Point', coordinates: [-118.4065, 34.0901] },
+            null
+        ]);
+    });
+
+    test('GET /suggest asks for full records and returns them as features', async () => {
+        const suggest = jest.fn().mockResolvedValue({ success: true, suggestions: ['90210'], records: RECORDS.slice(0, 1) });
+        const server = createServer({ searchService: { suggest } });
+
+        const response = await request(server.app).get('/suggest?country=US&partial=902&format=geojson').expect(200);
+
+        expect(suggest).toHaveBeenCalledWith('US', '902', 10, { includeRecords: true, cursor: undefined });
+        expect(response.body.features).toHaveLength(1);
+        expect(response.body).not.toHaveProperty('suggestions');
+    });
+
+    test('keeps the JSON error body when the lookup fails', async () => {
+        const searchPostalCode = jest.fn().mockResolvedValue({ success: false, error: 'boom', results: [] });
+        const server = createServer({ searchService: { searchPostalCode } });
+
+        const response = await request(server.app).get('/lookup?country=US&postalCode=90210&format=geojson').expect(500);
+
+        expect(response.body).toEqual({ success: false, error: 'boom', results: [] });
+    });
+});
+
+describe('CSV and NDJSON output', () => {
+    test('POST /lookup/batch flattens the matches, tagged with their search, into CSV', async () => {
+        const searchMultiple = jest.fn().mockResolvedValue([
+            { query: { country: 'US', postalCode: '90210' }, matchType: 'exact', results: RECORDS.slice(0, 1) },
+            { query: { country: 'US', postalCode: '99999' }, matchType: 'none', results: [] }
+        ]);
+        const server = createServer({ searchService: { searchMultiple } });
+
+        const response = await request(server.app)
+            .post('/lookup/batch?format=csv&fields=batch_index,match_type,postal_code,place_name')
+            .send({ searches: [{ country: 'US', postalCode: '90210' }, { country: 'US', postalCode: '99999' }] })
+            .expect('Content-Type', /text\/csv/)
+            .expect(200);
+
+        expect(response.text).toBe(
+            'batch_index,match_type,postal_code,place_name\r\n' +
+            '0,exact,90210,Beverly Hills\r\n' +
+            '1,none,,\r\n'
+        );
+    });
+
+    test('GET /countries answers NDJSON for Accept: application/x-ndjson', async () => {
+        const listCountries = jest.fn().mockResolvedValue({
+            success: true,
+            results: [{ country_code: 'DE', record_count: 2 }, { country_code: 'US', record_count: 3 }]
+        });
+        const server = createServer({ searchService: { listCountries } });
+
+        const response = await request(server.app)
+            .get('/countries')
+            .set('Accept', 'application/x-ndjson')
+            .expect('Content-Type', /application\/x-ndjson/)
+            .expect(200);
+
+        expect(response.text.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+            { country_code: 'DE', record_count: 2 },
+            { country_code: 'US', record_count: 3 }
+        ]);
+    });
+
+    test('an empty browse result still has the CSV header', async () => {
+        const listCountries = jest.fn().mockResolvedValue({ success: true, results: [] });
+        const server = createServer({ searchService: { listCountries } });
+
+        const response = await request(server.app).get('/countries?format=csv').expect(404);
+
+        expect(response.text).toBe('country_code,record_count\r\n');
+    });
+});
@@ -0,0 +1,104 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+function jobsServer(jobService = {}) {
+    return createServer({ jobService: { maxUploadBytes: 1024, ...jobService } });
+}
+
+describe('POST /jobs', () => {
+    test('answers 415 unless the CSV is the raw request body', async () => {
+        const server = jobsServer({ createJob: jest.fn() });
+
+        await request(server.app).post('/jobs').send({ csv: 'zip\n90210' }).expect(415);
+        expect(server.jobService.createJob).not.toHaveBeenCalled();
+    });
+
+    test('checks defaultCountry, delimiter and the upload size before reading the body', async () => {
+        const server = jobsServer({ createJob: jest.fn() });
+        const post = (query) => request(server.app).post(`/jobs${query}`).set('Content-Type', 'text/csv');
+
+        await post('?defaultCountry=USA').send('zip\n90210\n').expect(400);
+        await post('?delimiter=;;').send('zip\n90210\n').expect(400);
+        await post('').send('x'.repeat(2048)).expect(413);
+        expect(server.jobService.createJob).not.toHaveBeenCalled();
+    });
+
+    test('queues the job and points at its status with 202 and Location', async () => {
+        const createJob = jest.fn().mockResolvedValue({ success: true, job: { id: 'job-1', status: 'queued' } });
+        const server = jobsServer({ createJob });
+
+        const response = await request(server.app)
+            .post('/jobs?postalCodeColumn=zip&defaultCountry=us&fuzzy=true&filename=a.csv')
+            .set('Content-Type', 'text/csv')
+            .send('zip\n90210\n')
+            .expect(202);
+
+        expect(response.headers.location).toBe('/jobs/job-1');
+        expect(createJob).toHaveBeenCalledWith(expect.anything(), {
+            originalFilename: 'a.csv',
+            countryColumn: null,
+            postalCodeColumn: 'zip',
+            defaultCountry: 'US',
+            delimiter: undefined,
+            fuzzy: true
+        });
+    });
+
+    test('maps service failures to their status codes', async () => {
+        const createJob = jest.fn()
+            .mockResolvedValueOnce({ success: false, reason: 'missing_columns', error: 'Column not found' })
+            .mockResolvedValueOnce({ success: false, reason: 'too_large', error: 'Upload exceeds 1 GB' })
+            .mockResolvedValueOnce({ success: false, error: 'Failed to create job' });
+        const server = jobsServer({ createJob });
+        const post = () => request(server.app).post('/jobs').set('Content-Type', 'text/csv').send('zip\n90210\n');
+
+        await post().expect(400);
+        await post().expect(413);
+        await post().expect(500);
+    });
+});
+
+describe('GET /jobs/:id and its result', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-result-'));
+        fs.writeFileSync(path.join(dir, 'result.csv'), 'zip,match_type\r\n90210,exact\r\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('answers 404 for an unknown job', async () => {
+        const server = jobsServer({ getJob: jest.fn().mockResolvedValue(null), getResult: jest.fn().mockResolvedValue(null) });
+
+        await request(server.app).get('/jobs/nope').expect(404);
+        await request(server.app).get('/jobs/nope/result').expect(404);
+    });
+
+    test('answers 409 while the result is not ready', async () => {
+        const server = jobsServer({ getResult: jest.fn().mockResolvedValue({ job: { id: 'job-1', status: 'running' }, resultPath: null }) });
+
+        const response = await request(server.app).get('/jobs/job-1/result').expect(409);
+        expect(response.body.job.status).toBe('running');
+    });
+
+    test('downloads a completed result named after the upload', async () => {
+        const server = jobsServer({
+            getResult: jest.fn().mockResolvedValue({
+                job: { id: 'job-1', status: 'completed', filename: 'addresses.csv' },
+                resultPath: path.join(dir, 'result.csv')
+            })
+        });
+
+        const response = await request(server.app).get('/jobs/job-1/result').expect(200);
+        expect(response.headers['content-disposition']).toContain('addresses-geocoded.csv');
+        expect(response.text).toBe('zip,match_type\r\n90210,exact\r\n');
+    });
+});
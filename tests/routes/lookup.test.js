@@ -0,0 +1,56 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const FOUND = { success: true, matchType: 'exact', results: [{ country_code: 'DE', postal_code: '10115' }] };
+const NONE = { success: true, matchType: 'none', results: [] };
+
+describe('GET /lookup', () => {
+    test('requires postalCode', async () => {
+        const server = createServer({ searchService: {} });
+
+        await request(server.app).get('/lookup?country=US').expect(400);
+    });
+
+    test('looks the code up in the given country, fuzzy by default', async () => {
+        const searchPostalCode = jest.fn().mockResolvedValue(FOUND);
+        const server = createServer({ searchService: { searchPostalCode } });
+
+        await request(server.app).get('/lookup?country=DE&postalCode=10115').expect(200);
+        await request(server.app).get('/lookup?country=DE&postalCode=10115&fuzzy=false').expect(200);
+
+        expect(searchPostalCode).toHaveBeenNthCalledWith(1, 'DE', '10115', true, { history: null });
+        expect(searchPostalCode).toHaveBeenNthCalledWith(2, 'DE', '10115', false, { history: null });
+    });
+
+    test('answers 404 without a match and 500 when the search fails', async () => {
+        const searchPostalCode = jest.fn()
+            .mockResolvedValueOnce(NONE)
+            .mockResolvedValueOnce({ success: false, error: 'boom', results: [] });
+        const server = createServer({ searchService: { searchPostalCode } });
+
+        await request(server.app).get('/lookup?country=DE&postalCode=99999').expect(404);
+        await request(server.app).get('/lookup?country=DE&postalCode=10115').expect(500);
+    });
+});
+
+describe('GET /lookup without a country', () => {
+    test('detects the country, preferring countryHint and then the Accept-Language regions', async () => {
+        const detectCountry = jest.fn().mockResolvedValue(FOUND);
+        const server = createServer({ searchService: { detectCountry } });
+
+        await request(server.app)
+            .get('/lookup?postalCode=10115&countryHint=AT')
+            .set('Accept-Language', 'fr-FR;q=0.5, en-GB, de-DE;q=0.8, en;q=0.9')
+            .expect(200);
+
+        expect(detectCountry).toHaveBeenCalledWith('10115', ['AT', 'GB', 'DE', 'FR']);
+    });
+
+    test('answers 404 when no country has the code', async () => {
+        const server = createServer({ searchService: { detectCountry: jest.fn().mockResolvedValue(NONE) } });
+
+        await request(server.app).get('/lookup?postalCode=00000').expect(404);
+    });
+});
@@ -0,0 +1,51 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+function nearbyServer(result) {
+    return createServer({
+        searchService: {
+            maxNearbyRadiusKm: 500,
+            findNearby: jest.fn().mockResolvedValue(result)
+        }
+    });
+}
+
+describe('GET /nearby', () => {
+    test('requires country, postalCode and radiusKm', async () => {
+        const server = nearbyServer();
+
+        await request(server.app).get('/nearby?country=US&postalCode=90210').expect(400);
+        expect(server.searchService.findNearby).not.toHaveBeenCalled();
+    });
+
+    test('rejects a radius outside the allowed range with 400', async () => {
+        const server = nearbyServer();
+
+        await request(server.app).get('/nearby?country=US&postalCode=90210&radiusKm=0').expect(400);
+        await request(server.app).get('/nearby?country=US&postalCode=90210&radiusKm=501').expect(400);
+        await request(server.app).get('/nearby?country=US&postalCode=90210&radiusKm=far').expect(400);
+    });
+
+    test('passes the radius, limit and crossBorder on', async () => {
+        const server = nearbyServer({ success: true, results: [{ postal_code: '90211' }] });
+
+        await request(server.app).get('/nearby?country=US&postalCode=90210&radiusKm=25&limit=7&crossBorder=true').expect(200);
+
+        expect(server.searchService.findNearby).toHaveBeenCalledWith('US', '90210', 25, 7, true);
+    });
+
+    test('answers 404 when nothing is within the radius', async () => {
+        const server = nearbyServer({ success: true, results: [] });
+
+        await request(server.app).get('/nearby?country=US&postalCode=90210&radiusKm=5').expect(404);
+        expect(server.searchService.findNearby).toHaveBeenCalledWith('US', '90210', 5, 100, false);
+    });
+
+    test('answers 500 when the search fails', async () => {
+        const server = nearbyServer({ success: false, error: 'boom', results: [] });
+
+        await request(server.app).get('/nearby?country=US&postalCode=90210&radiusKm=5').expect(500);
+    });
+});
@@ -0,0 +1,32 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+describe('POST /parse', () => {
+    test('requires an address string', async () => {
+        const server = createServer({ searchService: { parseAddress: jest.fn() } });
+
+        await request(server.app).post('/parse').send({}).expect(400);
+        await request(server.app).post('/parse').send({ address: '   ' }).expect(400);
+        await request(server.app).post('/parse').send({ address: 42 }).expect(400);
+        expect(server.searchService.parseAddress).not.toHaveBeenCalled();
+    });
+
+    test('answers 200 with the parsed address', async () => {
+        const parsed = { success: true, matchType: 'postal_code', confidence: 0.9 };
+        const parseAddress = jest.fn().mockResolvedValue(parsed);
+        const server = createServer({ searchService: { parseAddress } });
+
+        const response = await request(server.app).post('/parse').send({ address: 'Damrak 1, 1012 LG Amsterdam', countryHint: 'NL' }).expect(200);
+
+        expect(parseAddress).toHaveBeenCalledWith('Damrak 1, 1012 LG Amsterdam', 'NL');
+        expect(response.body).toEqual(parsed);
+    });
+
+    test('answers 500 when parsing fails', async () => {
+        const server = createServer({ searchService: { parseAddress: jest.fn().mockResolvedValue({ success: false, error: 'boom' }) } });
+
+        await request(server.app).post('/parse').send({ address: 'Damrak 1' }).expect(500);
+    });
+});
@@ -0,0 +1,76 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+function refreshServer(refreshService) {
+    const server = createServer({
+        refreshService: {
+            timer: null,
+            schedule: null,
+            isRunning: () => false,
+            ...refreshService
+        }
+    });
+    server.authToken = 'operator-secret';
+    return server;
+}
+
+const asOperator = (req) => req.set('x-auth-token', 'operator-secret');
+
+describe('POST /admin/refresh', () => {
+    test('needs a credential', async () => {
+        await request(refreshServer({ trigger: jest.fn() }).app).post('/admin/refresh').expect(401);
+    });
+
+    test('starts a run with 202 and points at it', async () => {
+        const trigger = jest.fn().mockResolvedValue({ success: true, run: { id: 7, status: 'running' } });
+        const server = refreshServer({ trigger });
+
+        const response = await asOperator(request(server.app).post('/admin/refresh')).send({ rebuild: true }).expect(202);
+
+        expect(response.headers.location).toBe('/admin/refresh/7');
+        expect(trigger).toHaveBeenCalledWith('POST /admin/refresh by operator', { rebuild: true });
+    });
+
+    test('answers 409 with the running run while one is going', async () => {
+        const trigger = jest.fn().mockResolvedValue({ success: false, reason: 'in_progress', error: 'Refresh #6 is still running', runId: 6 });
+        const server = refreshServer({ trigger });
+
+        const response = await asOperator(request(server.app).post('/admin/refresh')).expect(409);
+
+        expect(response.headers.location).toBe('/admin/refresh/6');
+        expect(trigger).toHaveBeenCalledWith(expect.any(String), { rebuild: false });
+    });
+});
+
+describe('GET /admin/refresh', () => {
+    test('lists recent runs with the schedule', async () => {
+        const listRuns = jest.fn().mockResolvedValue([{ id: 7 }]);
+        const server = refreshServer({
+            listRuns,
+            timer: {},
+            schedule: { expression: '0 3 * * *' },
+            nextRunAt: () => '2026-03-03T03:00:00.000Z'
+        });
+
+        const response = await asOperator(request(server.app).get('/admin/refresh?limit=500')).expect(200);
+
+        expect(listRuns).toHaveBeenCalledWith(100);
+        expect(response.body).toMatchObject({
+            refreshInProgress: false,
+            schedule: { enabled: true, expression: '0 3 * * *', nextRunAt: '2026-03-03T03:00:00.000Z' },
+            count: 1
+        });
+    });
+
+    test('shows one run and answers 404 for an unknown or malformed id', async () => {
+        const getRun = jest.fn(async (id) => (id === 7 ? { id: 7, status: 'completed' } : null));
+        const server = refreshServer({ getRun });
+
+        await asOperator(request(server.app).get('/admin/refresh/7')).expect(200);
+        await asOperator(request(server.app).get('/admin/refresh/8')).expect(404);
+        await asOperator(request(server.app).get('/admin/refresh/latest')).expect(404);
+        expect(getRun).toHaveBeenCalledTimes(2);
+    });
+});
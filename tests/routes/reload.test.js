@@ -0,0 +1,128 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const winston = require('winston');
+const PostalCodeDatabase = require('../../src/database/schema');
+const ResultCache = require('../../src/services/result-cache');
+const { createServer } = require('../helpers/server');
+
+describe('PostalCodeServer.reloadDatabase', () => {
+    let dir;
+    let dbPath;
+    let oldDatabase;
+    let server;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reload-'));
+        dbPath = path.join(dir, 'postal_codes.duckdb');
+        fs.writeFileSync(dbPath, 'v1');
+
+        const stat = fs.statSync(dbPath);
+        oldDatabase = {
+            dbPath,
+            statePath: path.join(dir, 'service_state.duckdb'),
+            fileId: `${stat.dev}:${stat.ino}`,
+            drain: jest.fn().mockResolvedValue(true),
+            close: jest.fn().mockResolvedValue()
+        };
+
+        const useDatabase = () => ({ useDatabase: jest.fn() });
+        server = createServer({
+            database: oldDatabase,
+            searchService: { name: 'old' },
+            datasetVersion: { version: 'v1' },
+            resultCache: new ResultCache(),
+            jobService: useDatabase(),
+            apiKeyService: useDatabase(),
+            refreshService: useDatabase(),
+            changeService: useDatabase()
+        });
+        server.authToken = 'operator-secret';
+
+        // The new build opens without DuckDB; its queries answer from these stubs
+        jest.spyOn(PostalCodeDatabase.prototype, 'connect').mockImplementation(async function () {
+            const stat = fs.statSync(this.dbPath);
+            this.fileId = `${stat.dev}:${stat.ino}`;
+        });
+        jest.spyOn(PostalCodeDatabase.prototype, 'createTables').mockResolvedValue();
+        jest.spyOn(PostalCodeDatabase.prototype, 'getDatasetVersion').mockResolvedValue({ version: 'v2', builtAt: '2026-03-02T00:00:00.000Z' });
+        jest.spyOn(PostalCodeDatabase.prototype, 'getDatasetFingerprint').mockResolvedValue('v2-fingerprint');
+        jest.spyOn(PostalCodeDatabase.prototype, 'getStats').mockResolvedValue({ total_records: 42 });
+        jest.spyOn(PostalCodeDatabase.prototype, 'getStatements').mockReturnValue({ findExact: jest.fn().mockResolvedValue([]) });
+        jest.spyOn(PostalCodeDatabase.prototype, 'close').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // A new build renamed over the live path, as ingest and rollback leave it
+    function replaceDatabaseFile() {
+        fs.writeFileSync(`${dbPath}.new`, 'v2');
+        fs.renameSync(`${dbPath}.new`, dbPath);
+    }
+
+    test('keeps serving the open connection while the file on disk is the same', async () => {
+        await expect(server.reloadDatabase()).resolves.toEqual({ success: true, reloaded: false, reason: 'unchanged', version: 'v1' });
+        expect(PostalCodeDatabase.prototype.connect).not.toHaveBeenCalled();
+    });
+
+    test('swaps in a replaced file and retires the old connection once it is idle', async () => {
+        replaceDatabaseFile();
+        server.resultCache.set('lookup', 'stale');
+
+        const result = await server.reloadDatabase('test');
+
+        expect(result).toMatchObject({ success: true, reloaded: true, previousVersion: 'v1', version: 'v2', trigger: 'test' });
+        expect(server.database).not.toBe(oldDatabase);
+        expect(server.database.dbPath).toBe(dbPath);
+        expect(server.searchService.cacheScope).toBe('v2');
+        expect(server.datasetVersion.version).toBe('v2');
+        expect(server.jobService.useDatabase).toHaveBeenCalledWith(server.database, server.searchService);
+        for (const service of [server.apiKeyService, server.refreshService, server.changeService]) {
+            expect(service.useDatabase).toHaveBeenCalledWith(server.database);
+        }
+        expect(server.resultCache.get('lookup')).toBeUndefined();
+        expect(PostalCodeDatabase.prototype.connect).toHaveBeenCalledWith(oldDatabase);
+
+        await new Promise(setImmediate);
+        expect(oldDatabase.drain).toHaveBeenCalled();
+        expect(oldDatabase.close).toHaveBeenCalledWith({ keepState: true });
+        expect(server.lastReload).toMatchObject({ success: true, version: 'v2' });
+    });
+
+    test('stays on the old build when the new one fails its health check', async () => {
+        replaceDatabaseFile();
+        PostalCodeDatabase.prototype.getStats.mockResolvedValue({ total_records: 0 });
+        // Keeps the expected error log out of the test output
+        jest.spyOn(winston.transports.Console.prototype, 'log').mockImplementation((info, callback) => callback());
+
+        const result = await server.reloadDatabase();
+
+        expect(result).toMatchObject({ success: false, reason: 'failed', version: 'v1' });
+        expect(server.database).toBe(oldDatabase);
+        expect(server.searchService).toEqual({ name: 'old' });
+        expect(PostalCodeDatabase.prototype.close).toHaveBeenCalledWith({ keepState: true });
+        expect(oldDatabase.close).not.toHaveBeenCalled();
+        expect(server.reloadInProgress).toBe(false);
+    });
+
+    test('POST /admin/reload needs admin and maps the outcome to a status code', async () => {
+        await request(server.app).post('/admin/reload').expect(401);
+
+        const reload = () => request(server.app).post('/admin/reload').set('x-auth-token', 'operator-secret');
+
+        await reload().expect(200);
+
+        server.reloadInProgress = true;
+        await reload().expect(409);
+        server.reloadInProgress = false;
+
+        fs.rmSync(dbPath);
+        await reload().expect(404);
+    });
+});
@@ -0,0 +1,59 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const RESULT = {
+    country_code: 'US',
+    postal_code: '90210',
+    place_name: 'Beverly Hills',
+    latitude: 34.0901,
+    longitude: -118.4065,
+    distance_km: 0.1
+};
+
+describe('GET /reverse', () => {
+    test('rejects missing or out-of-range coordinates with 400', async () => {
+        const server = createServer({ searchService: { reverseGeocode: jest.fn() } });
+
+        await request(server.app).get('/reverse?lat=34.09').expect(400);
+        await request(server.app).get('/reverse?lat=91&lon=0').expect(400);
+        await request(server.app).get('/reverse?lat=abc&lon=0').expect(400);
+        expect(server.searchService.reverseGeocode).not.toHaveBeenCalled();
+    });
+
+    test('returns the nearest postal codes', async () => {
+        const reverseGeocode = jest.fn().mockResolvedValue({ success: true, results: [RESULT] });
+        const server = createServer({ searchService: { reverseGeocode } });
+
+        const response = await request(server.app).get('/reverse?lat=34.09&lon=-118.41&limit=3').expect(200);
+
+        expect(reverseGeocode).toHaveBeenCalledWith(34.09, -118.41, 3);
+        expect(response.body.results).toEqual([RESULT]);
+    });
+
+    test('defaults to five results', async () => {
+        const reverseGeocode = jest.fn().mockResolvedValue({ success: true, results: [RESULT] });
+        const server = createServer({ searchService: { reverseGeocode } });
+
+        await request(server.app).get('/reverse?lat=34.09&lon=-118.41').expect(200);
+
+        expect(reverseGeocode).toHaveBeenCalledWith(34.09, -118.41, 5);
+    });
+
+    test('answers 404 when nothing is near', async () => {
+        const server = createServer({
+            searchService: { reverseGeocode: jest.fn().mockResolvedValue({ success: true, results: [] }) }
+        });
+
+        await request(server.app).get('/reverse?lat=0&lon=0').expect(404);
+    });
+
+    test('answers 500 when the search fails', async () => {
+        const server = createServer({
+            searchService: { reverseGeocode: jest.fn().mockResolvedValue({ success: false, error: 'boom' }) }
+        });
+
+        await request(server.app).get('/reverse?lat=0&lon=0').expect(500);
+    });
+});
@@ -0,0 +1,42 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+function placeServer(result) {
+    return createServer({ searchService: { searchPlaces: jest.fn().mockResolvedValue(result) } });
+}
+
+describe('GET /search/place', () => {
+    test('requires q with at least two characters', async () => {
+        const server = placeServer();
+
+        await request(server.app).get('/search/place?country=CH').expect(400);
+        await request(server.app).get('/search/place?q=%20z%20').expect(400);
+        expect(server.searchService.searchPlaces).not.toHaveBeenCalled();
+    });
+
+    test('passes country, query, page size and cursor on', async () => {
+        const server = placeServer({ success: true, results: [{ place_name: 'Zürich' }] });
+
+        await request(server.app).get('/search/place?country=CH&q=zurich&pageSize=5&cursor=abc').expect(200);
+
+        expect(server.searchService.searchPlaces).toHaveBeenCalledWith('CH', 'zurich', 5, { cursor: 'abc' });
+    });
+
+    test('answers 404 when no place matches', async () => {
+        const server = placeServer({ success: true, results: [] });
+
+        await request(server.app).get('/search/place?q=nowhere').expect(404);
+        expect(server.searchService.searchPlaces).toHaveBeenCalledWith(undefined, 'nowhere', 20, { cursor: undefined });
+    });
+
+    test('answers 400 for a rejected cursor and 500 for other failures', async () => {
+        await request(placeServer({ success: false, reason: 'invalid_cursor', results: [] }).app)
+            .get('/search/place?q=zurich&cursor=bad')
+            .expect(400);
+        await request(placeServer({ success: false, error: 'boom', results: [] }).app)
+            .get('/search/place?q=zurich')
+            .expect(500);
+    });
+});
@@ -0,0 +1,44 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+describe('GET /validate', () => {
+    test('requires country and postalCode', async () => {
+        const server = createServer({ searchService: {} });
+
+        await request(server.app).get('/validate?country=US').expect(400);
+    });
+
+    test('answers true for an exact match and false otherwise', async () => {
+        const searchPostalCode = jest.fn()
+            .mockResolvedValueOnce({ success: true, matchType: 'exact', results: [{ postal_code: '90210' }] })
+            .mockResolvedValueOnce({ success: true, matchType: 'fuzzy', results: [{ postal_code: '90211' }] })
+            .mockResolvedValueOnce({ success: true, matchType: 'outward', results: [{ postal_code: 'SW1A' }] });
+        const server = createServer({ searchService: { searchPostalCode } });
+
+        expect((await request(server.app).get('/validate?country=US&postalCode=90210').expect(200)).body).toBe(true);
+        expect((await request(server.app).get('/validate?country=US&postalCode=90219').expect(200)).body).toBe(false);
+        expect((await request(server.app).get('/validate?country=GB&postalCode=SW1A9ZZ').expect(200)).body).toBe(false);
+        expect(searchPostalCode).toHaveBeenCalledWith('US', '90210', false, { history: null });
+    });
+
+    test('reports the format check with detailed=true', async () => {
+        const validation = { success: true, formatValid: false, exists: false, reason: 'invalid_length', example: '10115' };
+        const validatePostalCode = jest.fn().mockResolvedValue(validation);
+        const server = createServer({ searchService: { validatePostalCode } });
+
+        const response = await request(server.app).get('/validate?country=DE&postalCode=1011&detailed=true').expect(200);
+
+        expect(response.body).toEqual(validation);
+        expect(validatePostalCode).toHaveBeenCalledWith('DE', '1011', { history: null });
+    });
+
+    test('answers 500 when the detailed check fails', async () => {
+        const server = createServer({
+            searchService: { validatePostalCode: jest.fn().mockResolvedValue({ success: false, error: 'boom' }) }
+        });
+
+        await request(server.app).get('/validate?country=DE&postalCode=10115&detailed=1').expect(500);
+    });
+});
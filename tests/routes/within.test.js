@@ -0,0 +1,103 @@
+jest.mock('duckdb-async', () => ({ Database: {} }));
+
+const request = require('supertest');
+const { createServer } = require('../helpers/server');
+
+const polygon = {
+    type: 'Polygon',
+    coordinates: [[[-118.5, 34.0], [-118.3, 34.0], [-118.3, 34.1], [-118.5, 34.1], [-118.5, 34.0]]]
+};
+
+function withinServer(result) {
+    return createServer({
+        searchService: {
+            findWithinBoundingBox: jest.fn().mockResolvedValue(result),
+            findWithinPolygon: jest.fn().mockResolvedValue(result)
+        }
+    });
+}
+
+describe('GET /within/bbox', () => {
+    test('requires valid bounds with minLat below maxLat', async () => {
+        const server = withinServer();
+
+        await request(server.app).get('/within/bbox?minLat=34&minLon=-118.5&maxLat=34.1').expect(400);
+        await request(server.app).get('/within/bbox?minLat=34.1&minLon=-118.5&maxLat=34&maxLon=-118.3').expect(400);
+        await request(server.app).get('/within/bbox?minLat=34&minLon=-118.5&maxLat=91&maxLon=-118.3').expect(400);
+        expect(server.searchService.findWithinBoundingBox).not.toHaveBeenCalled();
+    });
+
+    test('passes the bounds and paging on and sends the next cursor in a header', async () => {
+        const server = withinServer({ success: true, results: [{ postal_code: '90210' }], nextCursor: 'next' });
+
+        const response = await request(server.app)
+            .get('/within/bbox?minLat=34&minLon=-118.5&maxLat=34.1&maxLon=-118.3&pageSize=10&cursor=abc')
+            .expect(200);
+
+        expect(response.headers['x-next-cursor']).toBe('next');
+        expect(server.searchService.findWithinBoundingBox).toHaveBeenCalledWith(
+            { minLat: 34, minLon: -118.5, maxLat: 34.1, maxLon: -118.3 }, 10, 0, { cursor: 'abc' }
+        );
+    });
+
+    test('accepts bounds across the antimeridian', async () => {
+        const server = withinServer({ success: true, results: [] });
+
+        await request(server.app).get('/within/bbox?minLat=-20&minLon=170&maxLat=-10&maxLon=-170').expect(200);
+    });
+
+    test('answers 400 for an invalid cursor', async () => {
+        const server = withinServer({ success: false, reason: 'invalid_cursor', error: 'Invalid cursor', results: [] });
+
+        await request(server.app)
+            .get('/within/bbox?minLat=34&minLon=-118.5&maxLat=34.1&maxLon=-118.3&cursor=bad')
+            .expect(400);
+    });
+});
+
+describe('POST /within/polygon', () => {
+    test('requires a GeoJSON Polygon or MultiPolygon', async () => {
+        const server = withinServer();
+
+        await request(server.app).post('/within/polygon').send({}).expect(400);
+        await request(server.app).post('/within/polygon').send({ geometry: { type: 'Point', coordinates: [0, 0] } }).expect(400);
+        expect(server.searchService.findWithinPolygon).not.toHaveBeenCalled();
+    });
+
+    test('rejects geometries with more positions than the cap', async () => {
+        const server = withinServer();
+        const ring = Array.from({ length: 10000 }, (_, index) => [Math.cos(index), Math.sin(index)]);
+        ring.push(ring[0]);
+
+        const response = await request(server.app)
+            .post('/within/polygon')
+            .send({ geometry: { type: 'Polygon', coordinates: [ring] } })
+            .expect(400);
+
+        expect(response.body.error).toMatch(/10001 positions; at most 10000/);
+        expect(server.searchService.findWithinPolygon).not.toHaveBeenCalled();
+    });
+
+    test('searches a Feature geometry with the body paging', async () => {
+        const server = withinServer({ success: true, results: [{ postal_code: '90210' }] });
+
+        await request(server.app)
+            .post('/within/polygon')
+            .send({ geometry: { type: 'Feature', geometry: polygon }, limit: 5, offset: 10 })
+            .expect(200);
+
+        expect(server.searchService.findWithinPolygon).toHaveBeenCalledWith(polygon, 5, 10, { cursor: undefined });
+    });
+
+    test('answers 400 for an invalid cursor and 500 when the search fails', async () => {
+        await request(withinServer({ success: false, reason: 'invalid_cursor', error: 'Invalid cursor', results: [] }).app)
+            .post('/within/polygon')
+            .send({ geometry: polygon, cursor: 'bad' })
+            .expect(400);
+
+        await request(withinServer({ success: false, error: 'boom', results: [] }).app)
+            .post('/within/polygon')
+            .send({ geometry: polygon })
+            .expect(500);
+    });
+});
@@ -0,0 +1,98 @@
+const {
+    splitSegments,
+    detectCountry,
+    findPostalCodeCandidates,
+    extractPlaceCandidates,
+    parseAddressText
+} = require('../../src/services/address-parser');
+
+describe('splitSegments', () => {
+    test('splits on commas, semicolons and line breaks and tidies spaces', () => {
+        expect(splitSegments('10 Downing  Street,\nLondon ;; SW1A 2AA')).toEqual(['10 Downing Street', 'London', 'SW1A 2AA']);
+    });
+});
+
+describe('detectCountry', () => {
+    test('reads a country name as the last segment', () => {
+        expect(detectCountry(['Main St 1', 'USA'])).toMatchObject({ code: 'US', source: 'name', remainder: '' });
+        expect(detectCountry(['Bahnhofstrasse 1', 'Schweiz'])).toMatchObject({ code: 'CH', source: 'name' });
+    });
+
+    test('reads a country name at the end of the last segment', () => {
+        expect(detectCountry(['Unter den Linden 1', '10117 Berlin Germany'])).toMatchObject({
+            code: 'DE',
+            text: 'Germany',
+            remainder: '10117 Berlin'
+        });
+    });
+
+    test('prefers the longest alias', () => {
+        expect(detectCountry(['1 Main St', 'Springfield United States of America'])).toMatchObject({
+            code: 'US',
+            remainder: 'Springfield'
+        });
+    });
+
+    test('takes a two-letter segment after other parts as an ISO code', () => {
+        expect(detectCountry(['Damrak 1', 'NL'])).toMatchObject({ code: 'NL', source: 'iso' });
+        expect(detectCountry(['NL'])).toBeNull();
+    });
+
+    test('returns null without a country', () => {
+        expect(detectCountry([])).toBeNull();
+        expect(detectCountry(['Somewhere 12'])).toBeNull();
+    });
+});
+
+describe('findPostalCodeCandidates', () => {
+    test('finds codes of one or two tokens, later and longer ones first', () => {
+        const candidates = findPostalCodeCandidates(['10 Downing Street', 'London SW1A 2AA'], ['GB']);
+
+        expect(candidates.map(candidate => candidate.normalized)).toEqual(['SW1A 2AA', 'SW1A']);
+        expect(candidates[0]).toMatchObject({ segmentIndex: 1, tokenIndex: 1, tokenCount: 2 });
+    });
+
+    test('lists a code found more than once at its first position', () => {
+        const candidates = findPostalCodeCandidates(['94043', '94043 Mountain View'], ['US']);
+
+        expect(candidates).toHaveLength(1);
+        expect(candidates[0].segmentIndex).toBe(0);
+    });
+});
+
+describe('extractPlaceCandidates', () => {
+    test('splits the rest of the address into street, localities and region codes', () => {
+        const segments = splitSegments('1600 Amphitheatre Pkwy, Mountain View, CA 94043, USA');
+        const country = detectCountry(segments);
+        const [postalCode] = findPostalCodeCandidates(segments, ['US']);
+
+        expect(extractPlaceCandidates(segments, country, postalCode)).toEqual({
+            street: '1600 Amphitheatre Pkwy',
+            localities: ['Mountain View'],
+            regions: ['CA', 'Mountain View']
+        });
+    });
+});
+
+describe('parseAddressText', () => {
+    test('parses country and postal code of a full address', () => {
+        const parsed = parseAddressText('10 Downing Street, London SW1A 2AA, United Kingdom');
+
+        expect(parsed.country).toMatchObject({ code: 'GB', source: 'name' });
+        expect(parsed.postalCodes[0]).toMatchObject({ country: 'GB', normalized: 'SW1A 2AA' });
+    });
+
+    test('uses the country hint when the address names no country', () => {
+        const parsed = parseAddressText('Unter den Linden 1, 10117 Berlin', 'DE');
+
+        expect(parsed.country).toBeNull();
+        expect(parsed.postalCodes.map(candidate => candidate.country)).toEqual(['DE']);
+    });
+
+    test('tries every format rule when an ISO-looking country finds no code', () => {
+        const parsed = parseAddressText('1600 Amphitheatre Pkwy, Mountain View 94043, CA');
+
+        expect(parsed.country).toMatchObject({ code: 'CA', source: 'iso' });
+        expect(parsed.postalCodes.map(candidate => candidate.country)).toContain('US');
+    });
+});
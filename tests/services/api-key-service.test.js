@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const ApiKeyService = require('../../src/services/api-key-service');
+const { fakeDatabase, silentLogger } = require('../helpers/services');
+
+// api_keys and api_key_usage kept in memory, shaped the way the state database returns them
+function keyStatements() {
+    const keys = new Map();
+    const usage = new Map();
+
+    return {
+        keys,
+        usage,
+        createApiKey: jest.fn(async (apiKey) => {
+            keys.set(apiKey.id, {
+                id: apiKey.id,
+                name: apiKey.name,
+                key_hash: apiKey.keyHash,
+                scopes: apiKey.scopes.join(','),
+                rate_limit_per_minute: apiKey.rateLimitPerMinute,
+                monthly_quota: apiKey.monthlyQuota,
+                created_at: '2026-03-01 12:00:00',
+                revoked_at: null
+            });
+        }),
+        getApiKey: jest.fn(async (keyId) => keys.get(keyId) || null),
+        findApiKeyByHash: jest.fn(async (keyHash) => [...keys.values()].find(row => row.key_hash === keyHash) || null),
+        listApiKeys: jest.fn(async (month, includeRevoked) => [...keys.values()]
+            .filter(row => includeRevoked || !row.revoked_at)
+            .map(row => ({ ...row, month_requests: usage.get(`${row.id}|${month}`) || 0, last_used_at: null }))),
+        revokeApiKey: jest.fn(async (keyId) => {
+            keys.get(keyId).revoked_at = '2026-03-02 12:00:00';
+        }),
+        getApiKeyUsage: jest.fn(async (keyId, month) => usage.get(`${keyId}|${month}`) || 0),
+        addApiKeyUsage: jest.fn(async (keyId, month, requests) => {
+            usage.set(`${keyId}|${month}`, (usage.get(`${keyId}|${month}`) || 0) + requests);
+        })
+    };
+}
+
+function createApiKeyService() {
+    const statements = keyStatements();
+    return { service: new ApiKeyService(fakeDatabase(statements), silentLogger), statements };
+}
+
+describe('ApiKeyService', () => {
+    test('creates a key whose secret is only returned once and stores its hash', async () => {
+        const { service, statements } = createApiKeyService();
+
+        const result = await service.createKey({ name: ' reporting ', scopes: 'read,batch', monthlyQuota: '1000' });
+
+        expect(result.success).toBe(true);
+        expect(result.key).toMatch(new RegExp(`^pck_${result.apiKey.id}_`));
+        expect(result.apiKey).toMatchObject({
+            name: 'reporting',
+            scopes: ['read', 'batch'],
+            rateLimitPerMinute: 600,
+            monthlyQuota: 1000,
+            status: 'active'
+        });
+        expect(statements.keys.get(result.apiKey.id).key_hash).toBe(crypto.createHash('sha256').update(result.key).digest('hex'));
+    });
+
+    test('rejects a missing name, unknown scopes and limits that are not positive integers', async () => {
+        const { service, statements } = createApiKeyService();
+
+        for (const options of [
+            { name: ' ' },
+            { name: 'a', scopes: ['read', 'write'] },
+            { name: 'a', scopes: [] },
+            { name: 'a', rateLimitPerMinute: 0 },
+            { name: 'a', monthlyQuota: 1.5 }
+        ]) {
+            await expect(service.createKey(options)).resolves.toMatchObject({ success: false, reason: 'invalid' });
+        }
+        expect(statements.createApiKey).not.toHaveBeenCalled();
+    });
+
+    test('authenticates a key until it is revoked', async () => {
+        const { service } = createApiKeyService();
+        const { key, apiKey } = await service.createKey({ name: 'app' });
+
+        await expect(service.authenticate(key)).resolves.toMatchObject({ id: apiKey.id, scopes: ['read'] });
+        await expect(service.authenticate(`${key}x`)).resolves.toBeNull();
+        await expect(service.authenticate('not-a-key')).resolves.toBeNull();
+
+        await expect(service.revokeKey(apiKey.id)).resolves.toMatchObject({ success: true, apiKey: { status: 'revoked' } });
+        await expect(service.authenticate(key)).resolves.toBeNull();
+        await expect(service.revokeKey('unknown')).resolves.toMatchObject({ success: false, reason: 'not_found' });
+    });
+
+    test('counts requests against the monthly quota, starting from the stored usage', async () => {
+        const { service, statements } = createApiKeyService();
+        const { apiKey } = await service.createKey({ name: 'app', monthlyQuota: 3 });
+        statements.usage.set(`${apiKey.id}|${new Date().toISOString().substring(0, 7)}`, 1);
+
+        await expect(service.recordUsage(apiKey)).resolves.toMatchObject({ quota: 3, used: 2, remaining: 1, exceeded: false });
+        await expect(service.recordUsage(apiKey)).resolves.toMatchObject({ used: 3, remaining: 0, exceeded: false });
+        await expect(service.recordUsage(apiKey)).resolves.toMatchObject({ used: 3, remaining: 0, exceeded: true });
+        expect(statements.getApiKeyUsage).toHaveBeenCalledTimes(1);
+    });
+
+    test('writes pending usage on flush and keeps it when the write fails', async () => {
+        const { service, statements } = createApiKeyService();
+        const { apiKey } = await service.createKey({ name: 'app' });
+        await service.recordUsage(apiKey);
+        await service.recordUsage(apiKey);
+
+        statements.addApiKeyUsage.mockRejectedValueOnce(new Error('locked'));
+        await service.flushUsage();
+        expect([...statements.usage.values()]).toEqual([]);
+
+        await service.flushUsage();
+        expect([...statements.usage.values()]).toEqual([2]);
+
+        const [listed] = await service.listKeys();
+        expect(listed.usage).toMatchObject({ requests: 2, remaining: null });
+    });
+});
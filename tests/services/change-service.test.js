@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeService = require('../../src/services/change-service');
+const { decodeCursor } = require('../../src/utils/cursor');
+const { fakeDatabase, silentLogger } = require('../helpers/services');
+
+describe('ChangeService', () => {
+    let dir;
+
+    // v1 (built 2026-01-01) -> v2 -> v3 is live
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'change-service-'));
+        const summaries = [
+            { version: 'v2', previousVersion: 'v1', previousBuiltAt: '2026-01-01T00:00:00.000Z', builtAt: '2026-02-01T00:00:00.000Z', minShiftKm: 1,
+                counts: { added: 2, removed: 0, changed: 0 }, countries: { DE: { added: 1, removed: 0, changed: 0 }, US: { added: 1, removed: 0, changed: 0 } } },
+            { version: 'v3', previousVersion: 'v2', previousBuiltAt: '2026-02-01T00:00:00.000Z', builtAt: '2026-03-01T00:00:00.000Z', minShiftKm: 1,
+                counts: { added: 0, removed: 2, changed: 0 }, countries: { DE: { added: 0, removed: 1, changed: 0 }, US: { added: 0, removed: 1, changed: 0 } } }
+        ];
+        for (const summary of summaries) {
+            fs.writeFileSync(path.join(dir, `${summary.version}.json`), JSON.stringify(summary));
+        }
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const rows = JSON.stringify([{ place_name: 'Somewhere', latitude: 1, longitude: 1 }]);
+
+    // Changelog rows as getDatasetChanges returns them: build is the position in the file list
+    function createChangeService() {
+        const getDatasetChanges = jest.fn().mockResolvedValue([
+            { country_code: 'DE', postal_code: '10115', before: null, after: rows, build: 1 },
+            { country_code: 'DE', postal_code: '10115', before: rows, after: null, build: 2 },
+            { country_code: 'DE', postal_code: '10117', before: rows, after: null, build: 2 },
+            { country_code: 'US', postal_code: '90210', before: null, after: rows, build: 1 },
+            { country_code: 'US', postal_code: '90211', before: rows, after: null, build: 2 }
+        ]);
+        const database = fakeDatabase({ getDatasetChanges }, {
+            dbPath: path.join(dir, 'postal_codes.duckdb'),
+            getDatasetVersion: jest.fn().mockResolvedValue({ version: 'v3', builtAt: '2026-03-01T00:00:00.000Z' })
+        });
+        return new ChangeService(database, silentLogger, { changesDir: dir });
+    }
+
+    test('requires since and checks country, type and cursor', async () => {
+        const service = createChangeService();
+
+        await expect(service.getChanges({})).resolves.toMatchObject({ success: false, reason: 'invalid' });
+        await expect(service.getChanges({ since: 'v1', country: 'Germanyland' })).resolves.toMatchObject({ reason: 'invalid' });
+        await expect(service.getChanges({ since: 'v1', type: 'minor' })).resolves.toMatchObject({ reason: 'invalid' });
+        await expect(service.getChanges({ since: 'v1', cursor: 'nope' })).resolves.toMatchObject({ reason: 'invalid_cursor' });
+    });
+
+    test('answers unknown_version when no changelog leads from since', async () => {
+        await expect(createChangeService().getChanges({ since: 'v0' }))
+            .resolves.toMatchObject({ success: false, reason: 'unknown_version', version: 'v3' });
+    });
+
+    test('lists the net changes since a version with the builds in between', async () => {
+        const service = createChangeService();
+
+        const result = await service.getChanges({ since: 'v1' });
+
+        expect(service.statements.getDatasetChanges).toHaveBeenCalledWith([path.join(dir, 'v2.parquet'), path.join(dir, 'v3.parquet')]);
+        expect(result).toMatchObject({ success: true, since: 'v1', version: 'v3', counts: { added: 1, removed: 2, changed: 0 }, total: 3 });
+        expect(result.builds.map(build => build.version)).toEqual(['v2', 'v3']);
+        expect(result.changes.map(change => [change.postal_code, change.change_type, change.version])).toEqual([
+            ['10117', 'removed', 'v3'],
+            ['90210', 'added', 'v2'],
+            ['90211', 'removed', 'v3']
+        ]);
+    });
+
+    test('filters and pages one netting of the changelogs', async () => {
+        const service = createChangeService();
+
+        const first = await service.getChanges({ since: 'v1', type: 'removed', pageSize: 1 });
+        expect(first.changes.map(change => change.postal_code)).toEqual(['10117']);
+        expect(first.hasMore).toBe(true);
+        expect(decodeCursor(first.nextCursor, { since: 'v1', country: null, type: 'removed' })).toBe(1);
+
+        const second = await service.getChanges({ since: 'v1', type: 'removed', pageSize: 1, cursor: first.nextCursor });
+        expect(second.changes.map(change => change.postal_code)).toEqual(['90211']);
+        expect(second.hasMore).toBe(false);
+
+        const german = await service.getChanges({ since: 'v1', country: 'de' });
+        expect(german.changes.map(change => change.postal_code)).toEqual(['10117']);
+        expect(german.builds.map(build => build.counts)).toEqual([
+            { added: 1, removed: 0, changed: 0 },
+            { added: 0, removed: 1, changed: 0 }
+        ]);
+
+        expect(service.statements.getDatasetChanges).toHaveBeenCalledTimes(1);
+    });
+
+    test('has no changes since the current version', async () => {
+        const service = createChangeService();
+
+        await expect(service.getChanges({ since: 'v3' })).resolves.toMatchObject({ success: true, builds: [], changes: [], total: 0 });
+        expect(service.statements.getDatasetChanges).not.toHaveBeenCalled();
+    });
+
+    test('resolveAsOf rejects what is not a date', async () => {
+        await expect(createChangeService().resolveAsOf('last tuesday')).resolves.toMatchObject({ success: false, reason: 'invalid' });
+        await expect(createChangeService().resolveAsOf(undefined)).resolves.toMatchObject({ success: false, reason: 'invalid' });
+    });
+
+    test('resolveAsOf answers unavailable before the recorded history', async () => {
+        await expect(createChangeService().resolveAsOf('2025-12-31')).resolves.toMatchObject({ success: false, reason: 'unavailable' });
+    });
+
+    test('resolveAsOf reads a plain date as the end of that day', async () => {
+        const result = await createChangeService().resolveAsOf('2026-01-31');
+
+        expect(result).toEqual({
+            success: true,
+            history: {
+                asOf: '2026-01-31T23:59:59.999Z',
+                version: 'v1',
+                builtAt: '2026-01-01T00:00:00.000Z',
+                files: [path.join(dir, 'v2.parquet'), path.join(dir, 'v3.parquet')]
+            }
+        });
+        await expect(createChangeService().resolveAsOf('2026-02-01T12:00:00Z'))
+            .resolves.toMatchObject({ history: { version: 'v2', files: [path.join(dir, 'v3.parquet')] } });
+    });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const JobService = require('../../src/services/job-service');
+const { RESULT_COLUMNS } = require('../../src/services/job-service');
+const { fakeDatabase, silentLogger } = require('../helpers/services');
+
+// geocode_jobs rows kept in memory, shaped the way the state database returns them
+function jobStatements() {
+    const jobs = new Map();
+    let finished = () => {};
+
+    const statements = {
+        jobs,
+        finished: new Promise(resolve => {
+            finished = resolve;
+        }),
+        createJob: jest.fn(async (job) => {
+            jobs.set(job.id, {
+                id: job.id,
+                status: 'queued',
+                original_filename: job.originalFilename,
+                input_path: job.inputPath,
+                result_path: job.resultPath,
+                country_column: job.countryColumn,
+                postal_code_column: job.postalCodeColumn,
+                default_country: job.defaultCountry,
+                delimiter: job.delimiter,
+                fuzzy: job.fuzzy,
+                input_bytes: job.inputBytes,
+                row_errors: null,
+                error_message: null
+            });
+        }),
+        getJob: jest.fn(async (jobId) => jobs.get(jobId) || null),
+        markJobRunning: jest.fn(async (jobId) => {
+            jobs.get(jobId).status = 'running';
+        }),
+        updateJobProgress: jest.fn(async (jobId, progress) => {
+            Object.assign(jobs.get(jobId), {
+                bytes_processed: progress.bytesProcessed,
+                rows_processed: progress.rowsProcessed,
+                exact_rows: progress.exactRows,
+                fuzzy_rows: progress.fuzzyRows,
+                unmatched_rows: progress.unmatchedRows,
+                error_rows: progress.errorRows,
+                row_errors: JSON.stringify(progress.rowErrors)
+            });
+        }),
+        finishJob: jest.fn(async (jobId, status, errorMessage = null) => {
+            Object.assign(jobs.get(jobId), { status, error_message: errorMessage });
+            finished(jobId);
+        })
+    };
+    return statements;
+}
+
+describe('JobService', () => {
+    let jobsDir;
+
+    beforeEach(() => {
+        jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(jobsDir, { recursive: true, force: true });
+    });
+
+    function createJobService(searchPostalCode, options = {}) {
+        const statements = jobStatements();
+        const service = new JobService(fakeDatabase(statements), { searchPostalCode }, silentLogger, { jobsDir, ...options });
+        return { service, statements };
+    }
+
+    const upload = (text) => Readable.from([Buffer.from(text)]);
+
+    test('geocodes every row and appends the result columns', async () => {
+        const searchPostalCode = jest.fn(async (country, postalCode) => (postalCode === '90210' ?
+            { success: true, matchType: 'exact', results: [{ country_code: 'US', postal_code: '90210', place_name: 'Beverly Hills', latitude: 34.0901, longitude: -118.4065 }] } :
+            { success: true, matchType: 'none', results: [] }));
+        const { service, statements } = createJobService(searchPostalCode);
+
+        const created = await service.createJob(upload('\uFEFF id , country,zip\n1,USA,90210\n2,,99999\n3,US,\n'), {
+            originalFilename: 'addresses.csv',
+            countryColumn: 'country',
+            postalCodeColumn: 'zip',
+            defaultCountry: 'CA'
+        });
+        expect(created.success).toBe(true);
+
+        await statements.finished;
+        const job = await service.getJob(created.job.id);
+        expect(job.status).toBe('completed');
+        expect(job.progress).toBe(1);
+        expect(job.counts).toEqual({ processed: 3, exact: 1, fuzzy: 0, unmatched: 1, errors: 1 });
+        expect(job.rowErrors).toEqual([{ row: 3, error: 'Missing postal code' }]);
+        expect(job.resultUrl).toBe(`/jobs/${created.job.id}/result`);
+
+        // Country names resolve to codes and blank countries take the job default
+        expect(searchPostalCode).toHaveBeenCalledWith('US', '90210', false);
+        expect(searchPostalCode).toHaveBeenCalledWith('CA', '99999', false);
+
+        const { resultPath } = await service.getResult(created.job.id);
+        const lines = fs.readFileSync(resultPath, 'utf8').split('\r\n');
+        expect(lines[0]).toBe(['id', 'country', 'zip', ...RESULT_COLUMNS].join(','));
+        expect(lines[1]).toBe('1,USA,90210,exact,US,90210,Beverly Hills,,,,,34.0901,-118.4065,1');
+        expect(lines[2]).toBe('2,,99999,none,,,,,,,,,,0');
+        expect(lines[3]).toMatch(/^3,US,,error,/);
+    });
+
+    test('prefixes result columns the input already has', async () => {
+        const { service, statements } = createJobService(async () => ({ success: true, matchType: 'none', results: [] }));
+
+        const created = await service.createJob(upload('postal_code,latitude\n10115,1\n'), {
+            postalCodeColumn: 'postal_code',
+            defaultCountry: 'DE'
+        });
+        await statements.finished;
+
+        const { resultPath } = await service.getResult(created.job.id);
+        const header = fs.readFileSync(resultPath, 'utf8').split('\r\n')[0];
+        expect(header).toContain('postal_code,latitude,match_type,');
+        expect(header).toContain(',geocoded_latitude,');
+    });
+
+    test('rejects an empty upload and a header without the named columns, keeping nothing', async () => {
+        const { service, statements } = createJobService(jest.fn());
+
+        await expect(service.createJob(upload(''), { postalCodeColumn: 'zip' }))
+            .resolves.toMatchObject({ success: false, reason: 'empty' });
+        await expect(service.createJob(upload('zip,city\n'), { postalCodeColumn: 'zip', countryColumn: 'country' }))
+            .resolves.toMatchObject({ success: false, reason: 'missing_columns', headers: ['zip', 'city'] });
+
+        expect(statements.createJob).not.toHaveBeenCalled();
+        expect(fs.readdirSync(jobsDir)).toEqual([]);
+    });
+
+    test('stops an upload once it grows past maxUploadBytes', async () => {
+        const { service } = createJobService(jest.fn(), { maxUploadBytes: 10 });
+
+        await expect(service.createJob(upload('zip\n12345\n67890\n'), { postalCodeColumn: 'zip', defaultCountry: 'DE' }))
+            .resolves.toMatchObject({ success: false, reason: 'too_large' });
+        expect(fs.readdirSync(jobsDir)).toEqual([]);
+    });
+
+    test('getResult has no result path before the job has completed', async () => {
+        const { service, statements } = createJobService(jest.fn());
+        statements.jobs.set('queued-job', { id: 'queued-job', status: 'queued', result_path: path.join(jobsDir, 'result.csv') });
+
+        await expect(service.getResult('queued-job')).resolves.toMatchObject({ resultPath: null, job: { status: 'queued' } });
+        await expect(service.getResult('unknown')).resolves.toBeNull();
+    });
+});
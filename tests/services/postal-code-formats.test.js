@@ -0,0 +1,62 @@
+const {
+    POSTAL_CODE_FORMATS,
+    getFormatRule,
+    toCompact,
+    validateFormat
+} = require('../../src/services/postal-code-formats');
+
+describe('toCompact', () => {
+    test('upper-cases and drops spaces, dashes and dots', () => {
+        expect(toCompact(' sw1a 1aa ')).toBe('SW1A1AA');
+        expect(toCompact('90210-1234')).toBe('902101234');
+        expect(toCompact('1012.ab')).toBe('1012AB');
+    });
+});
+
+describe('getFormatRule', () => {
+    test('returns the rule of a known country and null otherwise', () => {
+        expect(getFormatRule('DE')).toBe(POSTAL_CODE_FORMATS.DE);
+        expect(getFormatRule('XX')).toBeNull();
+    });
+});
+
+describe('validateFormat', () => {
+    test.each([
+        ['US', '90210', '90210'],
+        ['US', '902101234', '90210-1234'],
+        ['GB', 'sw1a1aa', 'SW1A 1AA'],
+        ['GB', 'SW1A', 'SW1A'],
+        ['CA', 'm5v3a8', 'M5V 3A8'],
+        ['NL', '1012ab', '1012 AB'],
+        ['BR', '01310100', '01310-100'],
+        ['JP', '1000001', '100-0001'],
+        ['PL', '00-001', '00-001']
+    ])('%s %s is valid and displayed as %s', (country, postalCode, normalized) => {
+        expect(validateFormat(country, postalCode)).toEqual({ formatValid: true, normalized, reason: null });
+    });
+
+    test('reports characters a code cannot contain', () => {
+        expect(validateFormat('DE', '1011#')).toEqual({ formatValid: false, normalized: null, reason: 'invalid_characters' });
+    });
+
+    test('reports a length the country does not use', () => {
+        expect(validateFormat('DE', '1011')).toMatchObject({ formatValid: false, reason: 'invalid_length' });
+        expect(validateFormat('US', '9021012')).toMatchObject({ formatValid: false, reason: 'invalid_length' });
+    });
+
+    test('reports a code of the right length that does not match the pattern', () => {
+        expect(validateFormat('CA', 'D5V3A8')).toMatchObject({ formatValid: false, reason: 'invalid_format' });
+        expect(validateFormat('ES', '53001')).toMatchObject({ formatValid: false, reason: 'invalid_format' });
+        expect(validateFormat('NL', '0123AB')).toMatchObject({ formatValid: false, reason: 'invalid_format' });
+    });
+
+    test('leaves countries without a rule unchecked', () => {
+        expect(validateFormat('XX', ' ab-12 ')).toEqual({ formatValid: null, normalized: 'AB-12', reason: 'no_format_rule' });
+    });
+
+    test('every example is valid for its own country', () => {
+        for (const [country, rule] of Object.entries(POSTAL_CODE_FORMATS)) {
+            expect(validateFormat(country, rule.example)).toMatchObject({ formatValid: true, normalized: rule.example });
+        }
+    });
+});
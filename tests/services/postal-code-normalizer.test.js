@@ -0,0 +1,55 @@
+const {
+    normalizeCountry,
+    normalizePostalCode,
+    normalizePartialPostalCode
+} = require('../../src/services/postal-code-normalizer');
+
+describe('normalizeCountry', () => {
+    test('trims and upper-cases', () => {
+        expect(normalizeCountry(' gb ')).toBe('GB');
+    });
+
+    test('turns anything but a string into an empty code', () => {
+        expect(normalizeCountry(undefined)).toBe('');
+        expect(normalizeCountry(42)).toBe('');
+    });
+});
+
+describe('normalizePostalCode', () => {
+    test.each([
+        ['GB', 'sw1a1aa', 'SW1A 1AA', ['SW1A 1AA', 'SW1A1AA'], 'SW1A'],
+        ['CA', 'm5v3a8', 'M5V 3A8', ['M5V 3A8', 'M5V3A8'], 'M5V'],
+        ['NL', '1012ab', '1012 AB', ['1012 AB', '1012AB'], '1012'],
+        ['US', '90210-1234', '90210', ['90210'], null],
+        ['DE', ' 10115 ', '10115', ['10115'], null]
+    ])('%s %s -> %s', (country, postalCode, normalized, candidates, outward) => {
+        expect(normalizePostalCode(country, postalCode)).toEqual({ normalized, candidates, outward });
+    });
+
+    test('has no outward code for partial codes or the GIR 0AA special case', () => {
+        expect(normalizePostalCode('GB', 'SW1A')).toMatchObject({ candidates: ['SW1A'], outward: null });
+        expect(normalizePostalCode('GB', 'gir0aa')).toMatchObject({ candidates: ['GIR 0AA', 'GIR0AA'], outward: null });
+        expect(normalizePostalCode('CA', 'M5V')).toMatchObject({ candidates: ['M5V'], outward: null });
+    });
+
+    test('falls back to the cleaned and compact input without a matching rule', () => {
+        expect(normalizePostalCode('XX', ' ab  12-3 ')).toEqual({ normalized: 'AB 12-3', candidates: ['AB 12-3', 'AB123'], outward: null });
+        expect(normalizePostalCode('DE', '1011')).toEqual({ normalized: '1011', candidates: ['1011'], outward: null });
+    });
+
+    test('returns no candidates for a missing code', () => {
+        expect(normalizePostalCode('US', undefined)).toEqual({ normalized: '', candidates: [], outward: null });
+    });
+});
+
+describe('normalizePartialPostalCode', () => {
+    test('formats a partial code only once it is complete', () => {
+        expect(normalizePartialPostalCode('GB', 'sw1a 1')).toBe('SW1A 1');
+        expect(normalizePartialPostalCode('GB', 'sw1a1aa')).toBe('SW1A 1AA');
+        expect(normalizePartialPostalCode('CA', 'm5v3')).toBe('M5V3');
+    });
+
+    test('returns an empty prefix for anything but a string', () => {
+        expect(normalizePartialPostalCode('GB', null)).toBe('');
+    });
+});
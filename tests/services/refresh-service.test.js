@@ -0,0 +1,215 @@
+jest.mock('../../src/ingest-postal-codes', () => ({
+    ingestPostalCodes: jest.fn(),
+    thresholdsFromEnv: () => ({})
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RefreshService = require('../../src/services/refresh-service');
+const { ingestPostalCodes } = require('../../src/ingest-postal-codes');
+const { writeManifest } = require('../../src/database/dataset-builds');
+const { fakeDatabase, silentLogger } = require('../helpers/services');
+
+describe('RefreshService', () => {
+    let dir;
+    let rawDataDir;
+    let dbPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-'));
+        rawDataDir = path.join(dir, 'raw');
+        dbPath = path.join(dir, 'postal_codes.duckdb');
+        fs.mkdirSync(rawDataDir);
+        ingestPostalCodes.mockReset();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createRefreshService(options = {}) {
+        let nextId = 1;
+        const statements = {
+            createRefreshRun: jest.fn(async () => nextId++),
+            updateRefreshRun: jest.fn(async () => {})
+        };
+        const service = new RefreshService(fakeDatabase(statements), silentLogger, {
+            baseUrl: 'https://mirror.example/zip/',
+            files: ['allCountries.zip', 'GB_full.csv.zip'],
+            rawDataDir,
+            dbPath,
+            ...options
+        });
+        return { service, statements };
+    }
+
+    // An archive on disk written at `time`
+    function writeArchive(name, time) {
+        const file = path.join(rawDataDir, name);
+        fs.writeFileSync(file, name);
+        fs.utimesSync(file, time, time);
+    }
+
+    function writeLiveBuild(builtAt) {
+        fs.writeFileSync(dbPath, 'live');
+        writeManifest(dbPath, { version: 'v1', builtAt: builtAt.toISOString() });
+    }
+
+    async function finished(service) {
+        while (service.isRunning()) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    const lastRecorded = (statements) => statements.updateRefreshRun.mock.calls.at(-1)[1];
+
+    describe('archivesNewerThanBuild', () => {
+        test('lists every archive when there is no live build', async () => {
+            const { service } = createRefreshService();
+
+            await expect(service.archivesNewerThanBuild()).resolves.toEqual(['allCountries.zip', 'GB_full.csv.zip']);
+        });
+
+        test('lists the archives written after the live build', async () => {
+            const { service } = createRefreshService();
+            writeLiveBuild(new Date('2026-03-02T00:00:00Z'));
+            writeArchive('allCountries.zip', new Date('2026-03-01T00:00:00Z'));
+            writeArchive('GB_full.csv.zip', new Date('2026-03-03T00:00:00Z'));
+
+            await expect(service.archivesNewerThanBuild()).resolves.toEqual(['GB_full.csv.zip']);
+        });
+
+        test('falls back to the database file time without a manifest', async () => {
+            const { service } = createRefreshService();
+            fs.writeFileSync(dbPath, 'live');
+            fs.utimesSync(dbPath, new Date('2026-03-02T00:00:00Z'), new Date('2026-03-02T00:00:00Z'));
+            writeArchive('allCountries.zip', new Date('2026-03-03T00:00:00Z'));
+
+            await expect(service.archivesNewerThanBuild()).resolves.toEqual(['allCountries.zip']);
+        });
+    });
+
+    describe('runs', () => {
+        test('keeps the current build when no archive is newer than it', async () => {
+            const { service, statements } = createRefreshService();
+            writeArchive('allCountries.zip', new Date('2026-03-01T00:00:00Z'));
+            writeArchive('GB_full.csv.zip', new Date('2026-03-01T00:00:00Z'));
+            writeLiveBuild(new Date('2026-03-02T00:00:00Z'));
+            const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(null, { status: 304 }));
+
+            const started = await service.trigger('test');
+            expect(started).toMatchObject({ success: true, run: { id: 1, status: 'running', stage: 'download' } });
+            await finished(service);
+
+            expect(fetchMock).toHaveBeenCalledWith('https://mirror.example/zip/allCountries.zip', expect.objectContaining({
+                headers: { 'If-Modified-Since': new Date('2026-03-01T00:00:00Z').toUTCString() }
+            }));
+            expect(ingestPostalCodes).not.toHaveBeenCalled();
+            expect(lastRecorded(statements)).toMatchObject({ status: 'unchanged' });
+            expect(lastRecorded(statements).details.files.map(file => file.status)).toEqual(['not_modified', 'not_modified']);
+        });
+
+        test('downloads changed archives, builds, and switches the server to the new build', async () => {
+            const reload = jest.fn().mockResolvedValue({ success: true });
+            const { service, statements } = createRefreshService({ reload });
+            writeLiveBuild(new Date(Date.now() - 60000));
+            jest.spyOn(global, 'fetch').mockImplementation(async (url) => new Response(`data of ${url}`, { status: 200 }));
+            ingestPostalCodes.mockImplementation(async ({ onProgress }) => {
+                onProgress({ stage: 'load', file: 'allCountries.txt', rows: 10, totalRows: 10 });
+                return { dataset: { version: 'v2' }, changelog: { counts: { added: 1 } } };
+            });
+
+            await service.trigger('test');
+            await finished(service);
+
+            expect(fs.readFileSync(path.join(rawDataDir, 'GB_full.csv.zip'), 'utf8')).toBe('data of https://mirror.example/zip/GB_full.csv.zip');
+            expect(ingestPostalCodes).toHaveBeenCalledWith(expect.objectContaining({ dbPath, rawDataDir }));
+            expect(reload).toHaveBeenCalledWith(expect.objectContaining({ id: 1, version: 'v2' }));
+            expect(lastRecorded(statements)).toMatchObject({
+                status: 'completed',
+                recordsProcessed: 10,
+                details: { version: 'v2', changes: { added: 1 } }
+            });
+            expect(lastRecorded(statements).details.stages.map(stage => stage.name)).toEqual(['download', 'load']);
+        });
+
+        test('retries the build of archives an earlier run downloaded but did not build', async () => {
+            const { service } = createRefreshService();
+            writeLiveBuild(new Date('2026-03-01T00:00:00Z'));
+            writeArchive('allCountries.zip', new Date('2026-03-02T00:00:00Z'));
+            jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(null, { status: 304 }));
+            ingestPostalCodes.mockResolvedValue({ dataset: { version: 'v2' }, changelog: null });
+
+            await service.trigger('test');
+            await finished(service);
+
+            expect(ingestPostalCodes).toHaveBeenCalledTimes(1);
+        });
+
+        test('rebuilds on request even when nothing changed', async () => {
+            const { service } = createRefreshService();
+            writeArchive('allCountries.zip', new Date('2026-03-01T00:00:00Z'));
+            writeLiveBuild(new Date('2026-03-02T00:00:00Z'));
+            jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(null, { status: 304 }));
+            ingestPostalCodes.mockResolvedValue({ dataset: { version: 'v2' }, changelog: null });
+
+            await service.trigger('test', { rebuild: true });
+            await finished(service);
+
+            expect(ingestPostalCodes).toHaveBeenCalledTimes(1);
+        });
+
+        test('records a failed download and leaves no partial archive', async () => {
+            const { service, statements } = createRefreshService();
+            jest.spyOn(global, 'fetch').mockImplementation(async () => new Response('nope', { status: 503 }));
+
+            await service.trigger('test');
+            await finished(service);
+
+            expect(lastRecorded(statements)).toMatchObject({
+                status: 'failed',
+                stage: 'download',
+                error: 'Download of https://mirror.example/zip/allCountries.zip failed: HTTP 503'
+            });
+            expect(fs.readdirSync(rawDataDir)).toEqual([]);
+        });
+
+        test('fails the run when the server cannot switch to the promoted build', async () => {
+            const { service, statements } = createRefreshService({ reload: async () => ({ success: false, error: 'health check failed' }) });
+            jest.spyOn(global, 'fetch').mockImplementation(async () => new Response('data', { status: 200 }));
+            ingestPostalCodes.mockResolvedValue({ dataset: { version: 'v2' }, changelog: null });
+
+            await service.trigger('test');
+            await finished(service);
+
+            expect(lastRecorded(statements)).toMatchObject({ status: 'failed' });
+            expect(lastRecorded(statements).error).toContain('health check failed');
+        });
+
+        test('runs one refresh at a time', async () => {
+            const { service } = createRefreshService();
+            let respond;
+            jest.spyOn(global, 'fetch').mockImplementation(() => new Promise(resolve => {
+                respond = () => resolve(new Response(null, { status: 304 }));
+            }));
+
+            const [first, second] = await Promise.all([service.trigger('a'), service.trigger('b')]);
+
+            expect(first.success).toBe(true);
+            expect(second).toMatchObject({ success: false, reason: 'in_progress' });
+            while (service.isRunning()) {
+                if (respond) {
+                    respond();
+                    respond = null;
+                }
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        });
+    });
+
+    test('rejects an invalid schedule when it is created', () => {
+        expect(() => createRefreshService({ schedule: '0 25 * * *' })).toThrow(/Invalid hour/);
+    });
+});
@@ -0,0 +1,82 @@
+const ResultCache = require('../../src/services/result-cache');
+
+describe('ResultCache', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('returns what was stored and counts hits and misses', () => {
+        const cache = new ResultCache();
+
+        expect(cache.get('a')).toBeUndefined();
+        cache.set('a', 1);
+        expect(cache.get('a')).toBe(1);
+        expect(cache.getStats()).toMatchObject({ size: 1, hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    test('evicts the least recently used entry past maxEntries', () => {
+        const cache = new ResultCache({ maxEntries: 2 });
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('a')).toBe(1);
+        expect(cache.get('c')).toBe(3);
+        expect(cache.getStats().evictions).toBe(1);
+    });
+
+    test('expires entries after their TTL', () => {
+        jest.useFakeTimers();
+        const cache = new ResultCache({ ttlMs: 1000 });
+
+        cache.set('a', 1);
+        jest.advanceTimersByTime(999);
+        expect(cache.get('a')).toBe(1);
+        jest.advanceTimersByTime(1);
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.getStats()).toMatchObject({ size: 0, expirations: 1 });
+    });
+
+    test('is disabled with maxEntries 0', () => {
+        const cache = new ResultCache({ maxEntries: 0 });
+
+        cache.set('a', 1);
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.getStats()).toMatchObject({ enabled: false, size: 0, misses: 0 });
+    });
+
+    test('flushes when the dataset fingerprint changes, not on the first one', () => {
+        const cache = new ResultCache();
+
+        cache.noteFingerprint('v1');
+        cache.set('a', 1);
+        cache.noteFingerprint('v1');
+        expect(cache.get('a')).toBe(1);
+
+        cache.noteFingerprint('v2');
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.getStats().flushes).toBe(1);
+    });
+
+    test('watch polls the fingerprint until stopped', async () => {
+        jest.useFakeTimers();
+        const cache = new ResultCache({ checkIntervalMs: 100 });
+        let fingerprint = 'v1';
+        const getFingerprint = jest.fn(async () => fingerprint);
+
+        cache.watch(getFingerprint);
+        await jest.advanceTimersByTimeAsync(0);
+        cache.set('a', 1);
+
+        fingerprint = 'v2';
+        await jest.advanceTimersByTimeAsync(100);
+        expect(cache.get('a')).toBeUndefined();
+
+        cache.stop();
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(getFingerprint).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,557 @@
+const ResultCache = require('../../src/services/result-cache');
+const { createSearchService, row } = require('../helpers/services');
+
+describe('SearchService.findNearby', () => {
+    test('searches around the anchor within its country', async () => {
+        const findExact = jest.fn().mockResolvedValue([row()]);
+        const findNearest = jest.fn().mockResolvedValue([row({ postal_code: '90211', distance_km: 1.23456 })]);
+        const service = createSearchService({ findExact, findNearest });
+
+        const result = await service.findNearby('us', '90210', 10, 5);
+
+        expect(result.success).toBe(true);
+        expect(result.anchor.postal_code).toBe('90210');
+        expect(findNearest).toHaveBeenCalledWith(34.0901, -118.4065, 5, 10, 'US');
+        expect(result.results[0]).toMatchObject({ postal_code: '90211', distance_km: 1.235 });
+    });
+
+    test('leaves the country open across borders', async () => {
+        const findNearest = jest.fn().mockResolvedValue([]);
+        const service = createSearchService({ findExact: jest.fn().mockResolvedValue([row()]), findNearest });
+
+        await service.findNearby('US', '90210', 10, 5, true);
+
+        expect(findNearest).toHaveBeenCalledWith(34.0901, -118.4065, 5, 10, null);
+    });
+
+    test('returns no results when the anchor has no coordinates', async () => {
+        const findNearest = jest.fn();
+        const service = createSearchService({
+            findExact: jest.fn().mockResolvedValue([row({ latitude: null, longitude: null })]),
+            findNearest
+        });
+
+        const result = await service.findNearby('US', '90210', 10);
+
+        expect(result).toMatchObject({ success: true, results: [], warning: 'Anchor postal code has no coordinates' });
+        expect(findNearest).not.toHaveBeenCalled();
+    });
+
+    test('rejects radii outside the allowed range', async () => {
+        const service = createSearchService();
+
+        expect((await service.findNearby('US', '90210', 0)).success).toBe(false);
+        expect((await service.findNearby('US', '90210', service.maxNearbyRadiusKm + 1)).success).toBe(false);
+    });
+});
+
+describe('SearchService distances', () => {
+    const rows = {
+        '90210': row(),
+        '10001': row({ postal_code: '10001', place_name: 'New York', latitude: 40.7484, longitude: -73.9967 }),
+        '00000': row({ postal_code: '00000', latitude: null, longitude: null })
+    };
+    const findExact = jest.fn(async (country, postalCode) => (rows[postalCode] ? [rows[postalCode]] : []));
+
+    beforeEach(() => findExact.mockClear());
+
+    test('parseLocationRef reads COUNTRY:POSTALCODE and { country, postalCode }', () => {
+        const service = createSearchService();
+
+        expect(service.parseLocationRef('US:90210')).toEqual({ country: 'US', postalCode: '90210' });
+        expect(service.parseLocationRef({ country: 'US', postalCode: '10001' })).toEqual({ country: 'US', postalCode: '10001' });
+        expect(service.parseLocationRef('90210')).toBeNull();
+        expect(service.parseLocationRef(':90210')).toBeNull();
+    });
+
+    test('calculateDistance measures between two resolved codes', async () => {
+        const service = createSearchService({ findExact });
+
+        const result = await service.calculateDistance('US:90210', 'US:10001');
+
+        expect(result).toMatchObject({ success: true, status: 'ok' });
+        expect(result.distance_km).toBeCloseTo(3948, -1);
+        expect(result.distance_miles).toBeCloseTo(result.distance_km / 1.609344, 2);
+    });
+
+    test('calculateDistance names the side that was not found or has no coordinates', async () => {
+        const service = createSearchService({ findExact });
+
+        expect((await service.calculateDistance('US:99999', 'US:10001')).status).toBe('origin_not_found');
+        expect((await service.calculateDistance('US:90210', 'US:99999')).status).toBe('destination_not_found');
+        expect((await service.calculateDistance('US:90210', 'US:00000'))).toMatchObject({ status: 'no_coordinates', distance_km: null });
+        expect((await service.calculateDistance('90210', 'US:10001')).from.error).toMatch(/COUNTRY:POSTALCODE/);
+    });
+
+    test('distanceMatrix resolves each location once', async () => {
+        const service = createSearchService({ findExact });
+
+        const result = await service.distanceMatrix(['US:90210', 'US:10001'], ['US:10001', 'US:90210']);
+
+        expect(result.matrix).toHaveLength(2);
+        expect(result.matrix[0][1]).toMatchObject({ status: 'ok', distance_km: 0 });
+        expect(result.matrix[0][0].distance_km).toBe(result.matrix[1][1].distance_km);
+        expect(findExact).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('SearchService.validatePostalCode', () => {
+    test('reports a well-formed code that exists', async () => {
+        const service = createSearchService({ findExact: jest.fn().mockResolvedValue([row()]) });
+
+        expect(await service.validatePostalCode('us', '90210')).toMatchObject({
+            success: true,
+            formatValid: true,
+            exists: true,
+            normalized: '90210',
+            reason: null
+        });
+    });
+
+    test('does not count a full code as existing when only its outward code is in the dataset', async () => {
+        const findExact = jest.fn(async (country, postalCode) => (postalCode === 'SW1A' ? [row({ country_code: 'GB', postal_code: 'SW1A' })] : []));
+        const service = createSearchService({ findExact });
+
+        expect(await service.validatePostalCode('GB', 'SW1A9ZZ')).toMatchObject({ formatValid: true, exists: false, reason: 'not_found' });
+        expect(findExact.mock.calls.map(call => call[1])).toEqual(['SW1A 9ZZ', 'SW1A9ZZ']);
+    });
+
+    test('reports a well-formed code that is not in the dataset as not_found', async () => {
+        const service = createSearchService({ findExact: jest.fn().mockResolvedValue([]) });
+
+        expect(await service.validatePostalCode('US', '00001')).toMatchObject({ formatValid: true, exists: false, reason: 'not_found' });
+    });
+
+    test('names the format problem and shows an example', async () => {
+        const service = createSearchService({ findExact: jest.fn().mockResolvedValue([]) });
+
+        expect(await service.validatePostalCode('DE', '1011')).toMatchObject({
+            formatValid: false,
+            exists: false,
+            normalized: null,
+            reason: 'invalid_length',
+            example: '10115'
+        });
+    });
+});
+
+describe('SearchService.searchPostalCode', () => {
+    test('tries the normalized spellings in order until one is found', async () => {
+        const compact = row({ country_code: 'GB', postal_code: 'SW1A1AA', place_name: 'London' });
+        const findExact = jest.fn(async (country, postalCode) => (postalCode === 'SW1A1AA' ? [compact] : []));
+        const service = createSearchService({ findExact });
+
+        const result = await service.searchPostalCode('gb', 'sw1a 1aa', false);
+
+        expect(findExact.mock.calls.map(call => call[1])).toEqual(['SW1A 1AA', 'SW1A1AA']);
+        expect(result).toMatchObject({ success: true, matchType: 'exact', query: { country: 'GB', postalCode: 'SW1A 1AA' } });
+        expect(result.results[0].postal_code).toBe('SW1A1AA');
+    });
+
+    test('answers a full code missing from the data with its outward code as matchType outward', async () => {
+        const outward = row({ country_code: 'GB', postal_code: 'SW1A', place_name: 'London' });
+        const findExact = jest.fn(async (country, postalCode) => (postalCode === 'SW1A' ? [outward] : []));
+        const service = createSearchService({ findExact });
+
+        const result = await service.searchPostalCode('gb', 'sw1a9zz', false);
+
+        expect(findExact.mock.calls.map(call => call[1])).toEqual(['SW1A 9ZZ', 'SW1A9ZZ', 'SW1A']);
+        expect(result).toMatchObject({ success: true, matchType: 'outward', query: { postalCode: 'SW1A 9ZZ' } });
+        expect(result.results[0].postal_code).toBe('SW1A');
+    });
+
+    test('answers matchType none without fuzzy matching', async () => {
+        const service = createSearchService({ findExact: jest.fn().mockResolvedValue([]) });
+
+        expect(await service.searchPostalCode('US', '00001', false)).toMatchObject({ success: true, matchType: 'none', results: [] });
+    });
+
+    test('requires a country and a postal code', async () => {
+        const service = createSearchService();
+
+        expect((await service.searchPostalCode('', '90210')).success).toBe(false);
+    });
+});
+
+describe('SearchService.searchPlaces', () => {
+    test('searches with the folded query, wildcards included as typed', async () => {
+        const searchPlaces = jest.fn().mockResolvedValue([row({ country_code: 'GB', place_name: 'St_Albans' })]);
+        const service = createSearchService({ searchPlaces });
+
+        const result = await service.searchPlaces('gb', ' St_Albans ', 10);
+
+        expect(searchPlaces).toHaveBeenCalledWith('GB', 'st_albans', 11, 0);
+        expect(result).toMatchObject({ success: true, count: 1, hasMore: false, nextCursor: null });
+    });
+
+    test('requires two characters of place name', async () => {
+        const searchPlaces = jest.fn();
+        const service = createSearchService({ searchPlaces });
+
+        expect((await service.searchPlaces(null, ' z ')).success).toBe(false);
+        expect(searchPlaces).not.toHaveBeenCalled();
+    });
+});
+
+describe('SearchService administrative browsing', () => {
+    test('lists admin1 areas of a country with their record counts as numbers', async () => {
+        const listAdmin1 = jest.fn().mockResolvedValue([
+            { admin_code1: 'BE', admin_name1: 'Berlin', record_count: 190n }
+        ]);
+        const service = createSearchService({ listAdmin1 });
+
+        const result = await service.listAdmin1('de', { pageSize: 10 });
+
+        expect(listAdmin1).toHaveBeenCalledWith('DE', 11, 0);
+        expect(result).toMatchObject({
+            success: true,
+            query: { country: 'DE' },
+            results: [{ admin_code1: 'BE', admin_name1: 'Berlin', record_count: 190 }]
+        });
+    });
+
+    test('lists the postal codes of an admin2 area', async () => {
+        const listPostalCodesInArea = jest.fn().mockResolvedValue([row()]);
+        const service = createSearchService({ listPostalCodesInArea });
+
+        const result = await service.listPostalCodesInArea('us', 'CA', '037', 50);
+
+        expect(listPostalCodesInArea).toHaveBeenCalledWith('US', 'CA', '037', 51, 0);
+        expect(result.query).toEqual({ country: 'US', admin1: 'CA', admin2: '037', limit: 50 });
+    });
+});
+
+describe('SearchService.parseAddress', () => {
+    test('matches the postal code and scores the agreeing locality and region', async () => {
+        const findExact = jest.fn(async (country, postalCode) => (postalCode === '94043' ?
+            [row({ postal_code: '94043', place_name: 'Mountain View', admin_name2: 'Santa Clara', latitude: 37.4, longitude: -122.1 })] :
+            []));
+        const service = createSearchService({ findExact });
+
+        const result = await service.parseAddress('1600 Amphitheatre Pkwy, Mountain View, CA 94043, USA');
+
+        expect(result).toMatchObject({
+            success: true,
+            matchType: 'postal_code',
+            confidence: 1,
+            components: {
+                street: '1600 Amphitheatre Pkwy',
+                locality: 'Mountain View',
+                region: 'CA',
+                postalCode: { value: '94043', normalized: '94043' },
+                country: 'US',
+                countrySource: 'name'
+            }
+        });
+    });
+
+    test('falls back to the locality when no postal code is in the data', async () => {
+        const searchPlaces = jest.fn().mockResolvedValue([row({ country_code: 'DE', postal_code: '10115', place_name: 'Berlin' })]);
+        const service = createSearchService({ findExact: jest.fn().mockResolvedValue([]), searchPlaces });
+
+        const result = await service.parseAddress('Unter den Linden 1, Berlin, Germany');
+
+        expect(searchPlaces).toHaveBeenCalledWith('DE', 'berlin', 5);
+        expect(result).toMatchObject({ matchType: 'place', components: { locality: 'Berlin', country: 'DE' } });
+    });
+
+    test('requires address text', async () => {
+        expect((await createSearchService().parseAddress('  ')).success).toBe(false);
+    });
+});
+
+describe('SearchService.detectCountry', () => {
+    const rows = [
+        row({ country_code: 'DE', postal_code: '10115', place_name: 'Berlin' }),
+        row({ country_code: 'FR', postal_code: '10115', place_name: 'Somewhere' }),
+        row({ country_code: 'US', postal_code: '10115', place_name: 'New York' })
+    ];
+
+    test('looks every spelling up at once and ranks the countries', async () => {
+        const findExactAnyCountry = jest.fn().mockResolvedValue(rows);
+        const service = createSearchService({ findExactAnyCountry });
+
+        const result = await service.detectCountry('10115');
+
+        expect(findExactAnyCountry).toHaveBeenCalledWith(expect.arrayContaining(['10115']), service.maxExactResults);
+        expect(result.matchType).toBe('exact');
+        expect(result.candidates.map(candidate => candidate.country)).toEqual(['DE', 'FR', 'US']);
+        expect(result.candidates.reduce((sum, candidate) => sum + candidate.likelihood, 0)).toBeCloseTo(1, 2);
+    });
+
+    test('puts preferred countries first, in order of preference', async () => {
+        const service = createSearchService({ findExactAnyCountry: jest.fn().mockResolvedValue(rows) });
+
+        const result = await service.detectCountry('10115', ['us', 'FR']);
+
+        expect(result.candidates.map(candidate => candidate.country)).toEqual(['US', 'FR', 'DE']);
+        expect(result.query.preferredCountries).toEqual(['US', 'FR']);
+    });
+
+    test('drops rows whose spelling only another country\'s format produces', async () => {
+        const service = createSearchService({
+            findExactAnyCountry: jest.fn().mockResolvedValue([row({ country_code: 'US', postal_code: '1012 AB' })])
+        });
+
+        // "1012 AB" is the NL spelling of the input; US does not write codes that way
+        const result = await service.detectCountry('1012ab');
+
+        expect(result).toMatchObject({ matchType: 'none', candidates: [], results: [] });
+    });
+});
+
+describe('SearchService spatial search', () => {
+    const polygon = {
+        type: 'Polygon',
+        coordinates: [[[-119, 34], [-118, 34], [-118, 35], [-119, 35], [-119, 34]], [[-118.6, 34.4], [-118.4, 34.4], [-118.4, 34.6], [-118.6, 34.6], [-118.6, 34.4]]]
+    };
+
+    test('findWithinBoundingBox fetches one row more than the page to see whether there is a next one', async () => {
+        const findInBoundingBox = jest.fn().mockResolvedValue([row(), row({ postal_code: '90211' })]);
+        const service = createSearchService({ findInBoundingBox });
+        const bounds = { minLat: 34, minLon: -119, maxLat: 35, maxLon: -118 };
+
+        const result = await service.findWithinBoundingBox(bounds, 1, 0);
+
+        expect(findInBoundingBox).toHaveBeenCalledWith(bounds, 2, 0, null);
+        expect(result.results.map(found => found.postal_code)).toEqual(['90210']);
+        expect(result.hasMore).toBe(true);
+        expect(result.nextOffset).toBe(1);
+    });
+
+    test('findWithinPolygon keeps only the rows inside the shape, leaving out holes', async () => {
+        const findInBoundingBox = jest.fn().mockResolvedValue([
+            row({ postal_code: 'inside', latitude: 34.2, longitude: -118.2 }),
+            row({ postal_code: 'hole', latitude: 34.5, longitude: -118.5 }),
+            row({ postal_code: 'no-coordinates', latitude: null, longitude: null })
+        ]);
+        const service = createSearchService({ findInBoundingBox });
+
+        const result = await service.findWithinPolygon(polygon, 10, 0);
+
+        expect(findInBoundingBox).toHaveBeenCalledWith({ minLat: 34, maxLat: 35, minLon: -119, maxLon: -118 }, service.polygonScanChunk, 0, null);
+        expect(result.results.map(found => found.postal_code)).toEqual(['inside']);
+        expect(result.query.type).toBe('Polygon');
+        expect(result.hasMore).toBe(false);
+    });
+
+    test('findWithinPolygon continues each chunk after the scan key of the last row read', async () => {
+        const scan = [row({ postal_code: '90210', latitude: 34.2, longitude: -118.2, row_id: 0 }), row({ postal_code: '90211', latitude: 34.5, longitude: -118.5, row_id: 1 })];
+        const findInBoundingBox = jest.fn()
+            .mockResolvedValueOnce(scan)
+            .mockResolvedValueOnce([row({ postal_code: '90212', latitude: 34.8, longitude: -118.8, row_id: 2 })]);
+        const service = createSearchService({ findInBoundingBox });
+        service.polygonScanChunk = 2;
+
+        const result = await service.findWithinPolygon(polygon, 10, 0);
+
+        expect(findInBoundingBox).toHaveBeenNthCalledWith(2, expect.any(Object), 2, 0, ['US', '90211', 'Beverly Hills', 34.5, -118.5, 1]);
+        expect(result.results.map(found => found.postal_code)).toEqual(['90210', '90212']);
+    });
+});
+
+describe('SearchService streaming batches', () => {
+    // A lookup that resolves when the test releases it, to see how many run at once
+    function heldLookups(service) {
+        const pending = [];
+        jest.spyOn(service, 'searchPostalCode').mockImplementation((country, postalCode) => new Promise(resolve => {
+            pending.push(() => resolve({ success: true, matchType: 'exact', results: [row({ postal_code: postalCode })] }));
+        }));
+        return pending;
+    }
+
+    async function* linesOf(...lines) {
+        yield* lines;
+    }
+
+    test('searchStreamLine repeats the id and line, and reports bad lines without throwing', async () => {
+        const service = createSearchService();
+        jest.spyOn(service, 'searchPostalCode').mockResolvedValue({ success: true, matchType: 'exact', results: [] });
+
+        await expect(service.searchStreamLine('{"id":"a1","country":"US","postalCode":"90210"}', 3))
+            .resolves.toMatchObject({ id: 'a1', line: 3, success: true });
+        await expect(service.searchStreamLine('{not json', 4))
+            .resolves.toMatchObject({ id: null, line: 4, success: false, error: 'Invalid JSON' });
+        await expect(service.searchStreamLine('{"id":7,"country":"US"}', 5))
+            .resolves.toMatchObject({ id: 7, line: 5, success: false });
+        expect(service.searchPostalCode).toHaveBeenCalledTimes(1);
+    });
+
+    test('searchStream runs at most `concurrency` lookups at once and writes each as it resolves', async () => {
+        const service = createSearchService();
+        const pending = heldLookups(service);
+        const written = [];
+        const input = ['90210', '10001', '60601'].map(code => JSON.stringify({ id: code, country: 'US', postalCode: code }));
+
+        const streaming = service.searchStream(linesOf(...input), output => written.push(output.id), { concurrency: 2 });
+        await new Promise(setImmediate);
+        expect(pending).toHaveLength(2);
+
+        pending[1]();
+        await new Promise(setImmediate);
+        expect(written).toEqual(['10001']);
+        expect(pending).toHaveLength(3);
+
+        pending[0]();
+        pending[2]();
+        await expect(streaming).resolves.toEqual({ lines: 3, processed: 3, failed: 0, cancelled: false });
+        expect(written).toEqual(['10001', '90210', '60601']);
+    });
+
+    test('searchStream skips blank lines, counts failures and stops reading once cancelled', async () => {
+        const service = createSearchService();
+        jest.spyOn(service, 'searchPostalCode').mockResolvedValue({ success: true, matchType: 'exact', results: [] });
+        const written = [];
+        let cancelled = false;
+
+        const summary = await service.searchStream(
+            linesOf('', 'oops', '{"country":"US","postalCode":"90210"}', '{"country":"US","postalCode":"10001"}'),
+            output => {
+                written.push(output);
+                cancelled = output.success;
+            },
+            { concurrency: 1, isCancelled: () => cancelled }
+        );
+
+        expect(summary).toEqual({ lines: 3, processed: 2, failed: 1, cancelled: true });
+        expect(written.map(output => output.line)).toEqual([2, 3]);
+    });
+});
+
+describe('SearchService paging', () => {
+    const polygon = {
+        type: 'Polygon',
+        coordinates: [[[-119, 34], [-118, 34], [-118, 35], [-119, 35], [-119, 34]]]
+    };
+    const inside = (postalCode) => row({ postal_code: postalCode, latitude: 34.5, longitude: -118.5 });
+    const outside = (postalCode) => row({ postal_code: postalCode, latitude: 34.9, longitude: -120 });
+
+    // Serves a fixed bounding box scan in chunks, as the statement would page through it
+    // by offset or after the scan key of a row (row_id is the scan position here)
+    function scanOf(rows) {
+        const scan = rows.map((found, index) => ({ ...found, row_id: index }));
+        return jest.fn(async (bounds, limit, offset, after) => {
+            const start = after ? after[5] + 1 : offset;
+            return scan.slice(start, start + limit);
+        });
+    }
+
+    test('findWithinPolygon continues a cursor after the last row of its page instead of rescanning', async () => {
+        const findInBoundingBox = scanOf([inside('1'), outside('x'), inside('2'), outside('y'), inside('3'), inside('4')]);
+        const service = createSearchService({ findInBoundingBox });
+        service.polygonScanChunk = 2;
+
+        const first = await service.findWithinPolygon(polygon, 2, 0);
+        expect(first.results.map(found => found.postal_code)).toEqual(['1', '2']);
+        expect(first.hasMore).toBe(true);
+        expect(findInBoundingBox.mock.calls[1]).toEqual([expect.any(Object), 2, 0, ['US', 'x', 'Beverly Hills', 34.9, -120, 1]]);
+
+        findInBoundingBox.mockClear();
+        const second = await service.findWithinPolygon(polygon, 2, 0, { cursor: first.nextCursor });
+        expect(second.results.map(found => found.postal_code)).toEqual(['3', '4']);
+        expect(second.hasMore).toBe(false);
+        expect(second.query.offset).toBe(2);
+        expect(findInBoundingBox.mock.calls[0]).toEqual([expect.any(Object), 2, 0, ['US', '2', 'Beverly Hills', 34.5, -118.5, 2]]);
+    });
+
+    test('findWithinPolygon skips the inside rows before a plain offset', async () => {
+        const service = createSearchService({ findInBoundingBox: scanOf([inside('1'), outside('x'), inside('2'), inside('3')]) });
+        service.polygonScanChunk = 2;
+
+        const result = await service.findWithinPolygon(polygon, 10, 1);
+
+        expect(result.results.map(found => found.postal_code)).toEqual(['2', '3']);
+    });
+
+    test('a cursor only works for the query it came from', async () => {
+        const findInBoundingBox = jest.fn().mockResolvedValue([row({ row_id: 0 }), row({ row_id: 1 }), row({ row_id: 2 })]);
+        const service = createSearchService({ findInBoundingBox });
+        const bounds = { minLat: 34, minLon: -119, maxLat: 35, maxLon: -118 };
+
+        const first = await service.findWithinBoundingBox(bounds, 2, 0);
+        const next = await service.findWithinBoundingBox(bounds, 2, 0, { cursor: first.nextCursor });
+        expect(next).toMatchObject({ success: true, query: { offset: 2 } });
+        expect(findInBoundingBox).toHaveBeenLastCalledWith(bounds, 3, 0, ['US', '90210', 'Beverly Hills', 34.0901, -118.4065, 1]);
+
+        await expect(service.findWithinBoundingBox({ ...bounds, maxLat: 36 }, 2, 0, { cursor: first.nextCursor }))
+            .resolves.toMatchObject({ success: false, reason: 'invalid_cursor' });
+        await expect(service.findWithinPolygon(polygon, 2, 0, { cursor: first.nextCursor }))
+            .resolves.toMatchObject({ success: false, reason: 'invalid_cursor' });
+    });
+});
+
+describe('SearchService result caching', () => {
+    test('answers a repeated lookup in any spelling from the cache', async () => {
+        const findExact = jest.fn().mockResolvedValue([row({ country_code: 'GB', postal_code: 'SW1A 1AA' })]);
+        const service = createSearchService({ findExact }, { cache: new ResultCache() });
+
+        const first = await service.searchPostalCode('GB', 'SW1A 1AA', false);
+        const second = await service.searchPostalCode('gb', 'sw1a1aa', false);
+
+        expect(findExact).toHaveBeenCalledTimes(1);
+        expect(first.cached).toBeUndefined();
+        expect(second).toMatchObject({ cached: true, query: { raw: { country: 'gb', postalCode: 'sw1a1aa' } } });
+        expect(second.results).toEqual(first.results);
+    });
+
+    test('keeps services that share a cache apart by cacheScope', async () => {
+        const cache = new ResultCache();
+        const live = createSearchService({ findExact: jest.fn().mockResolvedValue([row()]) }, { cache, cacheScope: 'live' });
+        const staged = createSearchService({ findExact: jest.fn().mockResolvedValue([]) }, { cache, cacheScope: 'staged' });
+
+        await live.searchPostalCode('US', '90210', false);
+        const result = await staged.searchPostalCode('US', '90210', false);
+
+        expect(result.matchType).toBe('none');
+        expect(staged.statements.findExact).toHaveBeenCalled();
+    });
+});
+
+describe('SearchService point-in-time lookups', () => {
+    const history = { asOf: '2026-01-31T23:59:59.999Z', version: 'v1', builtAt: '2026-01-01T00:00:00.000Z', files: ['/changes/v2.parquet'] };
+    const before = JSON.stringify([{ place_name: 'Old Town', latitude: 34, longitude: -118 }]);
+
+    test('answers a code that changed since with its rows before the change', async () => {
+        const findFirstCodeChange = jest.fn().mockResolvedValue({ country_code: 'US', postal_code: '90210', before });
+        const service = createSearchService({ findFirstCodeChange, findExact: jest.fn() });
+
+        const result = await service.searchPostalCode('US', '90210', true, { history });
+
+        expect(findFirstCodeChange).toHaveBeenCalledWith(history.files, 'US', '90210');
+        expect(service.statements.findExact).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ success: true, matchType: 'exact' });
+        expect(result.results.map(result => [result.postal_code, result.place_name])).toEqual([['90210', 'Old Town']]);
+    });
+
+    test('answers an unchanged code from the current build', async () => {
+        const service = createSearchService({ findFirstCodeChange: jest.fn().mockResolvedValue(null), findExact: jest.fn().mockResolvedValue([row()]) });
+
+        const result = await service.searchPostalCode('US', '90210', true, { history });
+
+        expect(result.results[0].place_name).toBe('Beverly Hills');
+    });
+
+    test('does not fuzzy match a code that did not exist yet', async () => {
+        const added = { country_code: 'US', postal_code: '90210', before: null };
+        const service = createSearchService({ findFirstCodeChange: jest.fn().mockResolvedValue(added), findFuzzy: jest.fn() });
+
+        await expect(service.searchPostalCode('US', '90210', true, { history })).resolves.toMatchObject({ matchType: 'none', results: [] });
+        await expect(service.validatePostalCode('US', '90210', { history })).resolves.toMatchObject({ exists: false, reason: 'not_found' });
+        expect(service.statements.findFuzzy).not.toHaveBeenCalled();
+    });
+
+    test('caches answers per build', async () => {
+        const findFirstCodeChange = jest.fn().mockResolvedValue({ country_code: 'US', postal_code: '90210', before });
+        const findExact = jest.fn().mockResolvedValue([row()]);
+        const service = createSearchService({ findFirstCodeChange, findExact }, { cache: new ResultCache() });
+
+        const current = await service.searchPostalCode('US', '90210', false);
+        const past = await service.searchPostalCode('US', '90210', false, { history });
+        const again = await service.searchPostalCode('US', '90210', false, { history });
+
+        expect(current.results[0].place_name).toBe('Beverly Hills');
+        expect(past.results[0].place_name).toBe('Old Town');
+        expect(again).toMatchObject({ cached: true });
+        expect(findFirstCodeChange).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const geonames = require('../../src/sources/geonames');
+const { STANDARD_COLUMNS } = require('../../src/sources/common');
+
+describe('geonames source', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geonames-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('loads allCountries.txt first, then the full-code exports, and leaves other files out', () => {
+        for (const file of ['NL_full.txt', 'GB_full.txt', 'allCountries.txt', 'DE.txt', 'readme.txt', 'allCountries.zip']) {
+            fs.writeFileSync(path.join(dir, file), '');
+        }
+
+        expect(geonames.discover(dir).map(input => path.basename(input.file))).toEqual(['allCountries.txt', 'GB_full.txt', 'NL_full.txt']);
+    });
+
+    test('finds nothing in a missing directory', () => {
+        expect(geonames.discover(path.join(dir, 'missing'))).toEqual([]);
+    });
+
+    test('selects the standard columns as they are', () => {
+        expect(geonames.select()).toEqual(Object.fromEntries(STANDARD_COLUMNS.map(column => [column, column])));
+    });
+});
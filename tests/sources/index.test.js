@@ -0,0 +1,25 @@
+const path = require('path');
+const { ADAPTERS, getAdapter, resolveSources } = require('../../src/sources');
+
+describe('resolveSources', () => {
+    test('reads every adapter from its directory under the raw data root by default', () => {
+        expect(resolveSources(undefined, {}, '/raw')).toEqual(ADAPTERS.map(adapter => ({
+            adapter,
+            dir: path.join('/raw', adapter.defaultDir)
+        })));
+    });
+
+    test('takes names as a list or comma-separated, once each, with directories overridden by name', () => {
+        const sources = resolveSources(' CSV, geonames,csv ', { csv: '/data/plz' }, '/raw');
+
+        expect(sources).toEqual([
+            { adapter: getAdapter('csv'), dir: '/data/plz' },
+            { adapter: getAdapter('geonames'), dir: path.join('/raw', 'geonames.org_all_countries') }
+        ]);
+        expect(resolveSources(['opendatasoft'], {}, '/raw').map(source => source.adapter.name)).toEqual(['opendatasoft']);
+    });
+
+    test('rejects unknown adapters', () => {
+        expect(() => resolveSources('geonames,osm')).toThrow('Unknown source adapter osm (available: geonames, opendatasoft, csv)');
+    });
+});
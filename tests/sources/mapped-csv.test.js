@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mappedCsv = require('../../src/sources/mapped-csv');
+
+describe('csv source', () => {
+    let dir;
+
+    function writeMapping(name, mapping) {
+        fs.writeFileSync(path.join(dir, `${name}.mapping.json`), typeof mapping === 'string' ? mapping : JSON.stringify(mapping));
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapped-csv-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('reads one input per mapping, skipping mappings whose data file is missing', () => {
+        fs.writeFileSync(path.join(dir, 'plz.csv'), 'PLZ;Ort\n10115;Berlin\n');
+        writeMapping('plz', { file: 'plz.csv', delimiter: ';', columns: { postal_code: 'PLZ', place_name: 'Ort' }, defaults: { country_code: 'de' } });
+        writeMapping('gone', { file: 'gone.csv', columns: { postal_code: 'zip', country_code: 'cc' } });
+
+        expect(mappedCsv.discover(dir)).toEqual([{
+            file: path.join(dir, 'plz.csv'),
+            mappingFile: path.join(dir, 'plz.mapping.json'),
+            delimiter: ';',
+            header: true,
+            decimalComma: false,
+            columns: { postal_code: 'PLZ', place_name: 'Ort' },
+            defaults: { country_code: 'de' }
+        }]);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('gone.mapping.json maps'));
+    });
+
+    test('rejects mappings that cannot be loaded, naming every problem', () => {
+        writeMapping('bad', { columns: { zip: 'PLZ', place_name: 'Ort' } });
+
+        expect(() => mappedCsv.discover(dir)).toThrow(
+            /bad\.mapping\.json: "file" must name the data file; unknown column zip .*; postal_code must be mapped; country_code must be mapped or given a default$/
+        );
+    });
+
+    test('rejects mappings that are not JSON', () => {
+        writeMapping('broken', '{ "file": ');
+
+        expect(() => mappedCsv.discover(dir)).toThrow(/broken\.mapping\.json: not a readable JSON mapping/);
+    });
+
+    test('needs column positions when the file has no header', () => {
+        writeMapping('positions', { file: 'plz.csv', header: false, columns: { postal_code: 'PLZ', country_code: 0 } });
+
+        expect(() => mappedCsv.discover(dir)).toThrow(
+            'postal_code must be mapped to a column position (1, 2, ...) when "header" is false; ' +
+            'country_code must be mapped to a column position (1, 2, ...) when "header" is false'
+        );
+    });
+
+    describe('select', () => {
+        const input = {
+            file: '/raw/custom/plz.csv',
+            mappingFile: '/raw/custom/plz.mapping.json',
+            header: true,
+            decimalComma: true,
+            columns: { postal_code: 'PLZ', place_name: 'Ort', latitude: 'lat', longitude: 'lon' },
+            defaults: { country_code: 'de', admin_name1: 'Berlin' }
+        };
+
+        test('maps columns, fills defaults and turns decimal commas into points', () => {
+            expect(mappedCsv.select(input, ['PLZ', 'Ort', 'lat', 'lon'])).toMatchObject({
+                country_code: 'upper(\'de\')',
+                postal_code: 'trim("PLZ")',
+                admin_name1: '\'Berlin\'',
+                admin_code1: null,
+                latitude: 'replace(trim("lat"), \',\', \'.\')',
+                longitude: 'replace(trim("lon"), \',\', \'.\')'
+            });
+        });
+
+        test('maps by position without a header', () => {
+            const positional = { ...input, header: false, decimalComma: false, columns: { postal_code: 2, country_code: 1 }, defaults: {} };
+
+            expect(mappedCsv.select(positional, ['column0', 'column1'])).toMatchObject({
+                country_code: 'upper(trim("column0"))',
+                postal_code: 'trim("column1")',
+                latitude: null
+            });
+        });
+
+        test('names a mapped column the file does not have', () => {
+            expect(() => mappedCsv.select(input, ['PLZ', 'Ort'])).toThrow(
+                '/raw/custom/plz.mapping.json: latitude is mapped to column lat, which plz.csv does not have (columns: PLZ, Ort)'
+            );
+        });
+    });
+});
@@ -0,0 +1,35 @@
+const opendatasoft = require('../../src/sources/opendatasoft');
+
+describe('opendatasoft source', () => {
+    const csv = { file: '/raw/export.csv' };
+    const json = { file: '/raw/export.JSON' };
+
+    test('maps fields by name or by label', () => {
+        const expressions = opendatasoft.select(csv, ['Country code', 'Postal code', 'Place name', 'Admin name1', 'latitude', 'longitude', 'Accuracy']);
+
+        expect(expressions).toMatchObject({
+            country_code: 'upper(trim(CAST("Country code" AS VARCHAR)))',
+            postal_code: 'trim(CAST("Postal code" AS VARCHAR))',
+            admin_name1: 'trim(CAST("Admin name1" AS VARCHAR))',
+            latitude: 'trim(CAST("latitude" AS VARCHAR))',
+            accuracy: 'CAST(TRY_CAST(trim(CAST("Accuracy" AS VARCHAR)) AS DOUBLE) AS INTEGER)',
+            admin_code3: null
+        });
+    });
+
+    test('takes missing coordinates from the geo point', () => {
+        expect(opendatasoft.select(csv, ['country_code', 'postal_code', 'coordinates'])).toMatchObject({
+            latitude: 'trim(split_part("coordinates", \',\', 1))',
+            longitude: 'trim(split_part("coordinates", \',\', 2))'
+        });
+        expect(opendatasoft.select(json, ['country_code', 'postal_code', 'coordinates'])).toMatchObject({
+            latitude: 'struct_extract("coordinates", \'lat\')',
+            longitude: 'struct_extract("coordinates", \'lon\')'
+        });
+    });
+
+    test('reads CSV and JSON exports', () => {
+        expect(opendatasoft.read(csv)).toMatch(/^read_csv\('\/raw\/export\.csv'/);
+        expect(opendatasoft.read(json)).toBe('read_json_auto(\'/raw/export.JSON\')');
+    });
+});
@@ -0,0 +1,58 @@
+const { parseCron, nextRun } = require('../../src/utils/cron');
+
+// Local times, as the schedule is read in server time
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+    test('matches lists, ranges and steps', () => {
+        const schedule = parseCron('*/15 9-17 * * 1,3,5');
+
+        expect(schedule.matches(at(2026, 3, 2, 9, 45))).toBe(true); // Monday
+        expect(schedule.matches(at(2026, 3, 2, 9, 50))).toBe(false);
+        expect(schedule.matches(at(2026, 3, 2, 18, 0))).toBe(false);
+        expect(schedule.matches(at(2026, 3, 3, 9, 0))).toBe(false); // Tuesday
+    });
+
+    test('reads a start with a step as running to the end of the field', () => {
+        const schedule = parseCron('5/20 * * * *');
+
+        expect([5, 25, 45].every(minute => schedule.matches(at(2026, 3, 2, 0, minute)))).toBe(true);
+        expect(schedule.matches(at(2026, 3, 2, 0, 0))).toBe(false);
+    });
+
+    test('treats 7 as Sunday', () => {
+        expect(parseCron('0 3 * * 7').matches(at(2026, 3, 1, 3, 0))).toBe(true);
+    });
+
+    test('matches either day field when both are restricted, as cron does', () => {
+        const schedule = parseCron('0 0 1 * 1');
+
+        expect(schedule.matches(at(2026, 4, 1))).toBe(true); // the 1st, a Wednesday
+        expect(schedule.matches(at(2026, 3, 2))).toBe(true); // a Monday
+        expect(schedule.matches(at(2026, 3, 3))).toBe(false);
+    });
+
+    test('normalizes the whitespace of the expression', () => {
+        expect(parseCron('  0  3 * *   * ').expression).toBe('0 3 * * *');
+    });
+
+    test('rejects a wrong field count, values out of range and malformed parts', () => {
+        expect(() => parseCron('0 3 * *')).toThrow(/needs 5 fields/);
+        expect(() => parseCron('60 * * * *')).toThrow(/Invalid minute/);
+        expect(() => parseCron('* 5-2 * * *')).toThrow(/Invalid hour/);
+        expect(() => parseCron('* * 0 * *')).toThrow(/Invalid day of month/);
+        expect(() => parseCron('* * * */0 *')).toThrow(/Invalid month/);
+        expect(() => parseCron('* * * * mon')).toThrow(/Invalid day of week/);
+    });
+});
+
+describe('nextRun', () => {
+    test('finds the first matching minute after the given time', () => {
+        expect(nextRun(parseCron('30 2 * * *'), at(2026, 3, 2, 2, 30))).toEqual(at(2026, 3, 3, 2, 30));
+        expect(nextRun(parseCron('30 2 * * *'), at(2026, 3, 2, 1, 15))).toEqual(at(2026, 3, 2, 2, 30));
+    });
+
+    test('is null when nothing matches within a year', () => {
+        expect(nextRun(parseCron('0 0 31 2 *'), at(2026, 1, 1))).toBeNull();
+    });
+});
@@ -0,0 +1,62 @@
+const { encodeCursor, decodeCursor, readPage, pageResult } = require('../../src/utils/cursor');
+
+const query = { type: 'place', country: 'DE', q: 'berlin' };
+
+describe('encodeCursor and decodeCursor', () => {
+    test('round-trip the offset for the same query', () => {
+        expect(decodeCursor(encodeCursor(query, 40), query)).toBe(40);
+    });
+
+    test('read a missing cursor as the first page', () => {
+        expect(decodeCursor(undefined, query)).toBe(0);
+        expect(decodeCursor('', query)).toBe(0);
+    });
+
+    test('reject a cursor from another query', () => {
+        expect(decodeCursor(encodeCursor(query, 40), { ...query, q: 'bern' })).toBeNull();
+    });
+
+    test('reject malformed cursors and negative or fractional offsets', () => {
+        const forged = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+        const fingerprint = JSON.parse(Buffer.from(encodeCursor(query, 0), 'base64url').toString()).q;
+
+        expect(decodeCursor('not a cursor', query)).toBeNull();
+        expect(decodeCursor(forged({ q: fingerprint, o: -1 }), query)).toBeNull();
+        expect(decodeCursor(forged({ q: fingerprint, o: 1.5 }), query)).toBeNull();
+        expect(decodeCursor(forged({ q: fingerprint, o: 10, k: 'x' }), query)).toBeNull();
+        expect(decodeCursor(forged({ q: fingerprint, o: 10, k: [{}] }), query)).toBeNull();
+        expect(decodeCursor(forged({ q: fingerprint, o: 10 }), query)).toBe(10);
+    });
+});
+
+describe('readPage', () => {
+    test('clamps the page size between 1 and the maximum, with a default', () => {
+        expect(readPage(query, undefined, undefined, 20, 100)).toEqual({ offset: 0, after: null, pageSize: 20 });
+        expect(readPage(query, undefined, '500', 20, 100).pageSize).toBe(100);
+        expect(readPage(query, undefined, -3, 20, 100).pageSize).toBe(1);
+    });
+
+    test('resumes at the offset and scan key a cursor holds', () => {
+        const after = ['US', '90210', 'Beverly Hills', 34.0901, -118.4065, 137];
+
+        expect(readPage(query, encodeCursor(query, 20, after), 10, 20, 100)).toEqual({ offset: 20, after, pageSize: 10 });
+    });
+
+    test('is null for an invalid cursor', () => {
+        expect(readPage(query, encodeCursor({ type: 'bbox' }, 20), 10, 20, 100)).toBeNull();
+    });
+});
+
+describe('pageResult', () => {
+    test('trims the extra row and points the next cursor past the page', () => {
+        const result = pageResult(query, { offset: 10, pageSize: 2 }, ['a', 'b', 'c']);
+
+        expect(result.rows).toEqual(['a', 'b']);
+        expect(result.hasMore).toBe(true);
+        expect(decodeCursor(result.nextCursor, query)).toBe(12);
+    });
+
+    test('has no next cursor on the last page', () => {
+        expect(pageResult(query, { offset: 10, pageSize: 2 }, ['a', 'b'])).toEqual({ rows: ['a', 'b'], hasMore: false, nextCursor: null });
+    });
+});
@@ -0,0 +1,159 @@
+const {
+    isValidCoordinate,
+    haversineDistance,
+    kmToMiles,
+    boundingBox,
+    pointInRing,
+    pointInGeometry,
+    toPolygonGeometry,
+    countPositions,
+    geometryBounds
+} = require('../../src/utils/geo');
+
+describe('isValidCoordinate', () => {
+    test('accepts latitudes and longitudes within range', () => {
+        expect(isValidCoordinate(0, 0)).toBe(true);
+        expect(isValidCoordinate(-90, 180)).toBe(true);
+        expect(isValidCoordinate(90, -180)).toBe(true);
+    });
+
+    test('rejects values out of range or not finite numbers', () => {
+        expect(isValidCoordinate(90.1, 0)).toBe(false);
+        expect(isValidCoordinate(0, -180.1)).toBe(false);
+        expect(isValidCoordinate(NaN, 0)).toBe(false);
+        expect(isValidCoordinate(0, Infinity)).toBe(false);
+        expect(isValidCoordinate('40.7', '-74')).toBe(false);
+    });
+});
+
+describe('haversineDistance', () => {
+    test('is zero for the same point', () => {
+        expect(haversineDistance(52.52, 13.405, 52.52, 13.405)).toBe(0);
+    });
+
+    test('measures great-circle distances in kilometres', () => {
+        // Berlin - Paris, about 878 km
+        expect(haversineDistance(52.52, 13.405, 48.8566, 2.3522)).toBeCloseTo(878, -1);
+        // A quarter of a meridian
+        expect(haversineDistance(0, 0, 90, 0)).toBeCloseTo(10007.5, 0);
+    });
+
+    test('is symmetric', () => {
+        expect(haversineDistance(34.09, -118.41, 40.75, -73.99))
+            .toBeCloseTo(haversineDistance(40.75, -73.99, 34.09, -118.41), 9);
+    });
+});
+
+describe('kmToMiles', () => {
+    test('converts kilometres to statute miles', () => {
+        expect(kmToMiles(1.609344)).toBeCloseTo(1, 9);
+    });
+});
+
+describe('boundingBox', () => {
+    test('contains every point within the radius', () => {
+        const box = boundingBox(52.52, 13.405, 10);
+
+        for (const bearing of [0, 45, 90, 135, 180, 225, 270, 315]) {
+            const radians = bearing * Math.PI / 180;
+            const latitude = 52.52 + (9.99 / 111.32) * Math.cos(radians);
+            const longitude = 13.405 + (9.99 / (111.32 * Math.cos(latitude * Math.PI / 180))) * Math.sin(radians);
+            expect(haversineDistance(52.52, 13.405, latitude, longitude)).toBeLessThan(10.1);
+            expect(latitude).toBeGreaterThanOrEqual(box.minLat);
+            expect(latitude).toBeLessThanOrEqual(box.maxLat);
+            expect(longitude).toBeGreaterThanOrEqual(box.minLon);
+            expect(longitude).toBeLessThanOrEqual(box.maxLon);
+        }
+    });
+
+    test('drops the longitude bounds near a pole', () => {
+        expect(boundingBox(89.95, 10, 20)).toEqual({ minLat: expect.any(Number), maxLat: 90, minLon: -180, maxLon: 180 });
+    });
+
+    test('drops the longitude bounds across the antimeridian', () => {
+        const box = boundingBox(0, 179.95, 20);
+        expect(box.minLon).toBe(-180);
+        expect(box.maxLon).toBe(180);
+    });
+});
+
+// [longitude, latitude] rings, as in GeoJSON
+const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+
+describe('pointInRing', () => {
+    test('tells points inside a ring from points outside it', () => {
+        expect(pointInRing(5, 5, square)).toBe(true);
+        expect(pointInRing(5, 11, square)).toBe(false);
+        expect(pointInRing(-1, 5, square)).toBe(false);
+    });
+});
+
+describe('pointInGeometry', () => {
+    test('leaves out points in a hole', () => {
+        const polygon = { type: 'Polygon', coordinates: [square, hole] };
+
+        expect(pointInGeometry(2, 2, polygon)).toBe(true);
+        expect(pointInGeometry(5, 5, polygon)).toBe(false);
+    });
+
+    test('accepts a point in any part of a MultiPolygon', () => {
+        const multiPolygon = {
+            type: 'MultiPolygon',
+            coordinates: [[square], [[[20, 20], [30, 20], [30, 30], [20, 30], [20, 20]]]]
+        };
+
+        expect(pointInGeometry(25, 25, multiPolygon)).toBe(true);
+        expect(pointInGeometry(15, 15, multiPolygon)).toBe(false);
+    });
+});
+
+describe('toPolygonGeometry', () => {
+    test('accepts a Polygon, a MultiPolygon or a Feature wrapping one', () => {
+        const polygon = { type: 'Polygon', coordinates: [square] };
+
+        expect(toPolygonGeometry(polygon)).toBe(polygon);
+        expect(toPolygonGeometry({ type: 'Feature', geometry: polygon })).toBe(polygon);
+        expect(toPolygonGeometry({ type: 'MultiPolygon', coordinates: [[square]] })).toEqual({ type: 'MultiPolygon', coordinates: [[square]] });
+    });
+
+    test('rejects other geometries, short rings and out-of-range positions', () => {
+        expect(toPolygonGeometry(null)).toBeNull();
+        expect(toPolygonGeometry({ type: 'Point', coordinates: [0, 0] })).toBeNull();
+        expect(toPolygonGeometry({ type: 'Polygon', coordinates: [] })).toBeNull();
+        expect(toPolygonGeometry({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] })).toBeNull();
+        expect(toPolygonGeometry({ type: 'Polygon', coordinates: [[[0, 0], [200, 0], [200, 10], [0, 0]]] })).toBeNull();
+        expect(toPolygonGeometry({ type: 'MultiPolygon', coordinates: [] })).toBeNull();
+    });
+
+    test('rejects positions given as strings', () => {
+        const ring = square.map(([longitude, latitude]) => [String(longitude), String(latitude)]);
+
+        expect(toPolygonGeometry({ type: 'Polygon', coordinates: [ring] })).toBeNull();
+    });
+});
+
+describe('geometryBounds', () => {
+    test('spans the outer rings of every polygon', () => {
+        const multiPolygon = {
+            type: 'MultiPolygon',
+            coordinates: [[square, hole], [[[20, -5], [30, -5], [30, 30], [20, 30], [20, -5]]]]
+        };
+
+        expect(geometryBounds(multiPolygon)).toEqual({ minLat: -5, maxLat: 30, minLon: 0, maxLon: 30 });
+    });
+
+    test('handles rings too large to spread into Math.min', () => {
+        const ring = Array.from({ length: 300000 }, (_, index) => [index / 10000, Math.sin(index)]);
+        ring.push(ring[0]);
+
+        expect(geometryBounds({ type: 'Polygon', coordinates: [ring] })).toMatchObject({ minLon: 0, maxLon: 29.9999 });
+    });
+});
+
+describe('countPositions', () => {
+    test('counts the positions of every ring, holes included', () => {
+        expect(countPositions({ type: 'Polygon', coordinates: [square, hole] })).toBe(10);
+        expect(countPositions({ type: 'MultiPolygon', coordinates: [[square, hole], [square]] })).toBe(15);
+    });
+});
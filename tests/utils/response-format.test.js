@@ -0,0 +1,141 @@
+const {
+    RECORD_FIELDS,
+    negotiateFormat,
+    toFeatureCollection,
+    resolveFields,
+    csvValue,
+    toCsv,
+    toNdjson
+} = require('../../src/utils/response-format');
+
+// Only the parts of an Express request negotiateFormat reads; the Accept header match is
+// left to Express and covered by the route tests
+function fakeRequest(query = {}, accepted = false) {
+    return { query, accepts: () => accepted };
+}
+
+describe('negotiateFormat', () => {
+    test('defaults to JSON', () => {
+        expect(negotiateFormat(fakeRequest())).toBe('json');
+    });
+
+    test('takes ?format= in any case over the Accept header', () => {
+        expect(negotiateFormat(fakeRequest({ format: 'GeoJSON' }, 'text/csv'))).toBe('geojson');
+    });
+
+    test('falls back to the Accept header for a format the endpoint does not allow', () => {
+        expect(negotiateFormat(fakeRequest({ format: 'csv' }), ['json', 'geojson'])).toBe('json');
+        expect(negotiateFormat(fakeRequest({ format: 'csv' }, 'application/geo+json'), ['json', 'geojson'])).toBe('geojson');
+    });
+
+    test('maps the accepted media type back to its format', () => {
+        expect(negotiateFormat(fakeRequest({}, 'application/geo+json'))).toBe('geojson');
+    });
+});
+
+describe('toFeatureCollection', () => {
+    const records = [
+        { postal_code: '90210', latitude: 34.0901, longitude: -118.4065 },
+        { postal_code: '00000', latitude: null, longitude: null }
+    ];
+
+    test('builds Point features with the record as properties', () => {
+        const collection = toFeatureCollection(records);
+
+        expect(collection.type).toBe('FeatureCollection');
+        expect(collection.features[0]).toEqual({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [-118.4065, 34.0901] },
+            properties: records[0]
+        });
+    });
+
+    test('keeps records without coordinates with a null geometry', () => {
+        const collection = toFeatureCollection(records);
+
+        expect(collection.features).toHaveLength(2);
+        expect(collection.features[1].geometry).toBeNull();
+    });
+
+    test('carries the envelope as foreign members without the record lists', () => {
+        const collection = toFeatureCollection(records, {
+            success: true,
+            matchType: 'exact',
+            results: records,
+            suggestions: ['90210']
+        });
+
+        expect(collection.matchType).toBe('exact');
+        expect(collection.success).toBe(true);
+        expect(collection).not.toHaveProperty('results');
+        expect(collection).not.toHaveProperty('suggestions');
+    });
+});
+
+describe('resolveFields', () => {
+    test('takes ?fields= when given, trimmed and without empty names', () => {
+        expect(resolveFields([{ a: 1 }], ' postal_code, ,place_name ')).toEqual(['postal_code', 'place_name']);
+    });
+
+    test('otherwise lists every key in order of first appearance', () => {
+        expect(resolveFields([{ a: 1, b: 2 }, { c: 3, a: 4 }])).toEqual(['a', 'b', 'c']);
+    });
+
+    test('uses the default columns when there are no records, so the CSV still has a header', () => {
+        expect(resolveFields([], undefined)).toEqual(RECORD_FIELDS);
+        expect(resolveFields([], '', ['country_code', 'record_count'])).toEqual(['country_code', 'record_count']);
+    });
+});
+
+describe('csvValue', () => {
+    test('writes null and undefined as empty cells', () => {
+        expect(csvValue(null)).toBe('');
+        expect(csvValue(undefined)).toBe('');
+    });
+
+    test('quotes cells with commas, quotes or line breaks', () => {
+        expect(csvValue('Washington, D.C.')).toBe('"Washington, D.C."');
+        expect(csvValue('say "hi"')).toBe('"say ""hi"""');
+        expect(csvValue('a\nb')).toBe('"a\nb"');
+    });
+
+    test('defuses text a spreadsheet would run as a formula', () => {
+        expect(csvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+        expect(csvValue('@SUM(A1)')).toBe('\'@SUM(A1)');
+        expect(csvValue('-1+2')).toBe('\'-1+2');
+    });
+
+    test('leaves signed numbers alone, as text or as numbers', () => {
+        expect(csvValue('-73.9')).toBe('-73.9');
+        expect(csvValue('+49')).toBe('+49');
+        expect(csvValue(-118.4065)).toBe('-118.4065');
+    });
+
+    test('writes objects as JSON', () => {
+        expect(csvValue({ a: 1 })).toBe('"{""a"":1}"');
+    });
+});
+
+describe('toCsv and toNdjson', () => {
+    const records = [
+        { postal_code: '90210', place_name: 'Beverly Hills', latitude: 34.0901 },
+        { postal_code: '10001', place_name: 'New York' }
+    ];
+
+    test('toCsv writes a header and one CRLF-terminated line per record in field order', () => {
+        expect(toCsv(records, ['place_name', 'postal_code', 'latitude'])).toBe(
+            'place_name,postal_code,latitude\r\n' +
+            'Beverly Hills,90210,34.0901\r\n' +
+            'New York,10001,\r\n'
+        );
+    });
+
+    test('toNdjson writes one object per line with exactly the selected fields', () => {
+        const lines = toNdjson(records, ['postal_code', 'latitude']).split('\n');
+
+        expect(lines).toHaveLength(3);
+        expect(lines[2]).toBe('');
+        expect(JSON.parse(lines[0])).toEqual({ postal_code: '90210', latitude: 34.0901 });
+        expect(JSON.parse(lines[1])).toEqual({ postal_code: '10001', latitude: null });
+    });
+});
@@ -0,0 +1,44 @@
+const { foldText, foldSql, escapeLikeWildcards } = require('../../src/utils/text');
+
+describe('foldText', () => {
+    test.each([
+        ['Zürich', 'zurich'],
+        ['São Paulo', 'sao paulo'],
+        ['Straße', 'strasse'],
+        ['Ærøskøbing', 'aeroskobing'],
+        ['Łódź', 'lodz'],
+        ['  Saint-Étienne   du  Rouvray ', 'saint-etienne du rouvray']
+    ])('%s -> %s', (value, folded) => {
+        expect(foldText(value)).toBe(folded);
+    });
+
+    test('turns anything but a string into an empty string', () => {
+        expect(foldText(null)).toBe('');
+        expect(foldText(12)).toBe('');
+    });
+});
+
+describe('foldSql', () => {
+    test('lower-cases, replaces the special letters and strips accents of the expression', () => {
+        const sql = foldSql('place_name');
+
+        expect(sql).toContain('lower(place_name)');
+        expect(sql).toContain("'ß', 'ss'");
+        expect(sql).toMatch(/^trim\(regexp_replace\(strip_accents\(/);
+    });
+});
+
+describe('escapeLikeWildcards', () => {
+    test('escapes % and _ so they match themselves', () => {
+        expect(escapeLikeWildcards('st_albans')).toBe('st\\_albans');
+        expect(escapeLikeWildcards('100%')).toBe('100\\%');
+    });
+
+    test('escapes the escape character itself', () => {
+        expect(escapeLikeWildcards('a\\b')).toBe('a\\\\b');
+    });
+
+    test('leaves other text alone', () => {
+        expect(escapeLikeWildcards("saint-jean d'angely")).toBe("saint-jean d'angely");
+    });
+});